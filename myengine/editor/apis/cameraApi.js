@@ -2,7 +2,7 @@
  * 相机API - 提供相机控制和限制设置
  * @author GunGod
  */
-import { PerspectiveCamera, Vector3, Box3 } from "three";
+import { PerspectiveCamera, Vector3, Box3, Spherical, MathUtils } from "three";
 
 // 常量定义
 const DEFAULT_FOV = 60;
@@ -15,6 +15,95 @@ const DEFAULT_MAX_POLAR_ANGLE = Math.PI / 2;
 const DEFAULT_DAMPING_FACTOR = 0.05;
 const SMOOTH_DAMPING_FACTOR = 0.1;
 const DEFAULT_FIT_OFFSET = 2.0;
+const DEFAULT_MOVE_DURATION = 1000;
+
+/**
+ * 缓动函数表（t ∈ [0, 1]）
+ * @type {Object.<string, Function>}
+ */
+const EASING_FUNCTIONS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    spring: null,   // 延迟初始化，见 createSpringEasing
+    ease: null      // CSS ease，见 createBezierEasing
+};
+
+/**
+ * 创建三次贝塞尔缓动（与 CSS cubic-bezier 一致）
+ * @param {number} x1 控制点1 x（0~1）
+ * @param {number} y1 控制点1 y
+ * @param {number} x2 控制点2 x（0~1）
+ * @param {number} y2 控制点2 y
+ * @returns {Function} 缓动函数
+ */
+function createBezierEasing(x1, y1, x2, y2) {
+    x1 = MathUtils.clamp(x1, 0, 1);
+    x2 = MathUtils.clamp(x2, 0, 1);
+    const bezier = (a1, a2, t) => 3 * a1 * (1 - t) * (1 - t) * t + 3 * a2 * (1 - t) * t * t + t * t * t;
+    const slope = (a1, a2, t) => 3 * a1 * (1 - t) * (1 - t) + 6 * (a2 - a1) * (1 - t) * t + 3 * (1 - a2) * t * t;
+
+    // 由 x 反解参数 t：先牛顿迭代，不收敛时二分
+    const solveT = (x) => {
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const dx = bezier(x1, x2, t) - x;
+            if (Math.abs(dx) < 1e-6) return t;
+            const d = slope(x1, x2, t);
+            if (Math.abs(d) < 1e-6) break;
+            t -= dx / d;
+        }
+        let lo = 0, hi = 1;
+        t = x;
+        for (let i = 0; i < 30; i++) {
+            const value = bezier(x1, x2, t);
+            if (Math.abs(value - x) < 1e-6) break;
+            if (value < x) lo = t; else hi = t;
+            t = (lo + hi) / 2;
+        }
+        return t;
+    };
+
+    return (x) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        return bezier(y1, y2, solveT(x));
+    };
+}
+
+/**
+ * 创建弹簧缓动（阻尼振动，结束时收敛到1）
+ * @param {Object} [options={}] 弹簧参数
+ * @param {number} [options.stiffness=120] 刚度
+ * @param {number} [options.damping=14] 阻尼
+ * @param {number} [options.mass=1] 质量
+ * @returns {Function} 缓动函数
+ */
+function createSpringEasing({ stiffness = 120, damping = 14, mass = 1 } = {}) {
+    const w0 = Math.sqrt(stiffness / mass);
+    const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+    // 把 [0,1] 映射到弹簧基本静止所需的物理时间
+    const settleTime = 6 / (Math.min(zeta, 1) * w0);
+
+    return (t) => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        const tau = t * settleTime;
+        if (zeta < 1) {
+            const wd = w0 * Math.sqrt(1 - zeta * zeta);
+            return 1 - Math.exp(-zeta * w0 * tau) * (Math.cos(wd * tau) + (zeta * w0 / wd) * Math.sin(wd * tau));
+        }
+        return 1 - Math.exp(-w0 * tau) * (1 + w0 * tau);
+    };
+}
+
+EASING_FUNCTIONS.spring = createSpringEasing();
+EASING_FUNCTIONS.ease = createBezierEasing(0.25, 0.1, 0.25, 1);
 
 /**
  * 相机API类 - 提供相机控制和限制设置
@@ -47,6 +136,15 @@ export class cameraApi extends PerspectiveCamera {
         
         this.target = new Vector3(0, 0, 0);
         
+        /**
+         * 已保存的视角 name -> { position, target, fov }
+         * @type {Map<string, Object>}
+         */
+        this.views = new Map();
+        
+        this._moveToken = 0; // 平滑移动令牌，新的移动会中止旧的移动
+        this._activeMove = null; // 当前平滑移动 { token, cancel, detach }
+        
         // 应用选项
         if (options) {
             this.setLimits(options);
@@ -278,41 +376,350 @@ export class cameraApi extends PerspectiveCamera {
     
     /**
      * 平滑移动相机位置
+     * @param {Vector3} targetPosition 目标相机位置
+     * @param {Vector3} targetTarget 目标观察点
+     * @param {number} [duration=1000] 时长（毫秒）
+     * @param {Object} [options={}] 选项
+     * @param {string|Function|Array<number>|Object} [options.easing='easeInOutCubic'] 缓动：名称、函数、
+     *        cubic-bezier 控制点 [x1, y1, x2, y2]、{ type: 'bezier', points } 或 { type: 'spring', stiffness, damping, mass }
+     * @param {'orbit'|'linear'} [options.path='orbit'] 插值路径：orbit 绕观察点球面插值（弧线），linear 直线
+     * @param {number} [options.fov] 目标视场角，同时过渡
+     * @param {boolean} [options.cancelOnInteraction=true] 用户拖动控制器时是否中止移动
+     * @param {Function} [options.onComplete] 完成回调（被中止时不会调用）
+     * @returns {Promise<boolean>} 完成时为 true，被中止时为 false
+     * @fires moveStart 开始移动时派发 { position, target, fov, duration }（编辑器据此记录撤销）
      */
-    smoothMoveTo(targetPosition, targetTarget, duration = 1000) {
+    smoothMoveTo(targetPosition, targetTarget, duration = DEFAULT_MOVE_DURATION, options = {}) {
+        this.cancelMove();
+        
         const startPosition = this.position.clone();
-        const startTarget = this.target.clone();
-        const startTime = Date.now();
+        const startTarget = this.getTarget();
+        const endPosition = new Vector3().copy(targetPosition);
+        const endTarget = targetTarget ? new Vector3().copy(targetTarget) : startTarget.clone();
+        const startFov = this.fov;
+        const endFov = typeof options.fov === 'number' ? options.fov : startFov;
+        const easing = this._resolveEasing(options.easing);
+        const useOrbit = options.path !== 'linear';
+        const token = ++this._moveToken;
+        this.dispatchEvent({ type: 'moveStart', position: endPosition.clone(), target: endTarget.clone(), fov: endFov, duration });
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // 使用缓动函数
-            const easeProgress = this._easeInOutCubic(progress);
+        // 球面插值：分别在球坐标下插值相对观察点的偏移，使相机沿弧线绕行而不是穿过模型
+        const startOffset = new Spherical().setFromVector3(startPosition.clone().sub(startTarget));
+        const endOffset = new Spherical().setFromVector3(endPosition.clone().sub(endTarget));
+        let deltaTheta = endOffset.theta - startOffset.theta;
+        if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+        if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+        const offset = new Spherical();
+        const offsetVec = new Vector3();
+        
+        return new Promise(resolve => {
+            const finish = (completed) => {
+                if (this._activeMove?.token === token) {
+                    this._activeMove.detach();
+                    this._activeMove = null;
+                }
+                if (completed && typeof options.onComplete === 'function') options.onComplete();
+                resolve(completed);
+            };
             
-            // 插值位置
-            this.position.lerpVectors(startPosition, targetPosition, easeProgress);
-            this.target.lerpVectors(startTarget, targetTarget, easeProgress);
+            // 用户抓取控制器时中止
+            const onControlStart = () => this.cancelMove();
+            const listenControls = options.cancelOnInteraction !== false && this.controls?.addEventListener;
+            if (listenControls) this.controls.addEventListener('start', onControlStart);
+            this._activeMove = {
+                token,
+                cancel: () => finish(false),
+                detach: () => {
+                    if (listenControls) this.controls?.removeEventListener('start', onControlStart);
+                }
+            };
             
-            if (this.controls) {
-                this.controls.target.copy(this.target);
-            }
+            const startTime = Date.now();
+            const animate = () => {
+                if (token !== this._moveToken) return;
+                const elapsed = Date.now() - startTime;
+                const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+                
+                // 使用缓动函数（弹簧等缓动可能超过1，位置允许过冲）
+                const easeProgress = progress >= 1 ? 1 : easing(progress);
+                
+                this.target.lerpVectors(startTarget, endTarget, easeProgress);
+                if (useOrbit) {
+                    offset.radius = MathUtils.lerp(startOffset.radius, endOffset.radius, easeProgress);
+                    offset.phi = MathUtils.lerp(startOffset.phi, endOffset.phi, easeProgress);
+                    offset.theta = startOffset.theta + deltaTheta * easeProgress;
+                    offset.makeSafe();
+                    this.position.copy(this.target).add(offsetVec.setFromSpherical(offset));
+                } else {
+                    this.position.lerpVectors(startPosition, endPosition, easeProgress);
+                }
+                
+                if (endFov !== startFov) {
+                    this.fov = MathUtils.lerp(startFov, endFov, easeProgress);
+                    this.updateProjectionMatrix();
+                }
+                
+                if (this.controls) {
+                    this.controls.target.copy(this.target);
+                } else {
+                    this.lookAt(this.target);
+                }
+                
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    finish(true);
+                }
+            };
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
+            animate();
+        });
+    }
+    
+    /**
+     * 按进度把相机放到两个视角之间（同步设置，不产生动画），供时间轴等外部驱动逐帧调用
+     * @param {Object} from 起始视角 { position, target, fov }
+     * @param {Object} to 目标视角 { position, target, fov }
+     * @param {number} progress 进度（0~1）
+     * @param {Object} [options={}] 选项
+     * @param {string|Function|Array<number>|Object} [options.easing] 缓动，同 smoothMoveTo
+     * @param {'orbit'|'linear'} [options.path='orbit'] 插值路径
+     * @returns {boolean} 视角数据是否有效
+     */
+    interpolateView(from, to, progress, options = {}) {
+        const start = this._normalizeView(from);
+        const end = this._normalizeView(to);
+        if (!start || !end) {
+            console.warn('cameraApi.interpolateView: 无效的视角数据');
+            return false;
+        }
+        const t = MathUtils.clamp(progress, 0, 1);
+        const easeProgress = t >= 1 ? 1 : this._resolveEasing(options.easing)(t);
+
+        const startTarget = new Vector3().fromArray(start.target);
+        const endTarget = new Vector3().fromArray(end.target);
+        this.target.lerpVectors(startTarget, endTarget, easeProgress);
+        if (options.path !== 'linear') {
+            const startOffset = new Spherical().setFromVector3(new Vector3().fromArray(start.position).sub(startTarget));
+            const endOffset = new Spherical().setFromVector3(new Vector3().fromArray(end.position).sub(endTarget));
+            let deltaTheta = endOffset.theta - startOffset.theta;
+            if (deltaTheta > Math.PI) deltaTheta -= Math.PI * 2;
+            if (deltaTheta < -Math.PI) deltaTheta += Math.PI * 2;
+            const offset = new Spherical(
+                MathUtils.lerp(startOffset.radius, endOffset.radius, easeProgress),
+                MathUtils.lerp(startOffset.phi, endOffset.phi, easeProgress),
+                startOffset.theta + deltaTheta * easeProgress
+            ).makeSafe();
+            this.position.copy(this.target).add(new Vector3().setFromSpherical(offset));
+        } else {
+            this.position.lerpVectors(new Vector3().fromArray(start.position), new Vector3().fromArray(end.position), easeProgress);
+        }
+
+        const fov = MathUtils.lerp(start.fov, end.fov, easeProgress);
+        if (fov !== this.fov) {
+            this.fov = fov;
+            this.updateProjectionMatrix();
+        }
+
+        if (this.controls) {
+            this.controls.target.copy(this.target);
+        } else {
+            this.lookAt(this.target);
+        }
+        return true;
+    }
+    
+    /**
+     * 中止正在进行的平滑移动（相机停在当前位置）
+     * @returns {boolean} 是否中止了移动
+     */
+    cancelMove() {
+        const move = this._activeMove;
+        if (!move) return false;
+        ++this._moveToken;
+        move.cancel();
+        return true;
+    }
+    
+    /**
+     * 是否正在平滑移动
+     * @returns {boolean}
+     */
+    isMoving() {
+        return !!this._activeMove;
+    }
+    
+    /**
+     * 保存视角
+     * @param {string} name 视角名称
+     * @param {Object} [view] 视角数据 { position, target, fov }，不传则保存当前相机状态
+     * @returns {Object|null} 保存的视角
+     */
+    saveView(name, view = null) {
+        if (!name) {
+            console.warn('cameraApi.saveView: 视角名称不能为空');
+            return null;
+        }
+        const data = view ? this._normalizeView(view) : {
+            position: this.position.toArray(),
+            target: this.getTarget().toArray(),
+            fov: this.fov
         };
+        if (!data) {
+            console.warn(`cameraApi.saveView: 无效的视角数据 ${name}`);
+            return null;
+        }
+        this.views.set(name, data);
+        return { name, ...data };
+    }
+    
+    /**
+     * 移动到已保存的视角
+     * @param {string} name 视角名称
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.duration=1000] 时长（毫秒），0 为立即切换
+     * @param {string|Function|Array<number>|Object} [options.easing] 缓动，同 smoothMoveTo
+     * @param {'orbit'|'linear'} [options.path='orbit'] 插值路径
+     * @param {boolean} [options.cancelOnInteraction=true] 用户拖动控制器时是否中止
+     * @param {Function} [options.onComplete] 完成回调
+     * @returns {Promise<boolean>} 到达时为 true，视角不存在或被中止时为 false
+     */
+    goToView(name, options = {}) {
+        const view = this.views.get(name);
+        if (!view) {
+            console.warn(`cameraApi.goToView: 视角不存在 ${name}`);
+            return Promise.resolve(false);
+        }
+        const position = new Vector3().fromArray(view.position);
+        const target = new Vector3().fromArray(view.target);
         
-        animate();
+        const duration = options.duration ?? DEFAULT_MOVE_DURATION;
+        if (duration <= 0) {
+            this.cancelMove();
+            this.dispatchEvent({ type: 'moveStart', position: position.clone(), target: target.clone(), fov: view.fov ?? this.fov, duration: 0 });
+            this.setPosition(position.x, position.y, position.z);
+            this.setTarget(target.x, target.y, target.z);
+            if (typeof view.fov === 'number' && view.fov !== this.fov) {
+                this.fov = view.fov;
+                this.updateProjectionMatrix();
+            }
+            options.onComplete?.();
+            return Promise.resolve(true);
+        }
+        
+        return this.smoothMoveTo(position, target, duration, { ...options, fov: view.fov });
+    }
+    
+    /**
+     * 获取视角
+     * @param {string} name 视角名称
+     * @returns {Object|null}
+     */
+    getView(name) {
+        const view = this.views.get(name);
+        return view ? { name, ...view } : null;
+    }
+    
+    /**
+     * 列出所有视角
+     * @returns {Array<{name: string, position: number[], target: number[], fov: number}>}
+     */
+    listViews() {
+        return Array.from(this.views, ([name, view]) => ({ name, ...view }));
+    }
+    
+    /**
+     * 删除视角
+     * @param {string} name 视角名称
+     * @returns {boolean} 是否删除
+     */
+    removeView(name) {
+        return this.views.delete(name);
+    }
+    
+    /**
+     * 清空视角
+     */
+    clearViews() {
+        this.views.clear();
         return this;
     }
     
     /**
-     * 缓动函数
+     * 规范化视角数据，支持数组或 {x,y,z} 对象
+     * @private
+     */
+    _normalizeView(view) {
+        const toArray = v => {
+            if (Array.isArray(v) && v.length >= 3) return [v[0], v[1], v[2]];
+            if (v && typeof v === 'object' && 'x' in v) return [v.x, v.y, v.z];
+            return null;
+        };
+        const position = toArray(view.position);
+        const target = toArray(view.target) || this.getTarget().toArray();
+        if (!position) return null;
+        return {
+            position,
+            target,
+            fov: typeof view.fov === 'number' ? view.fov : this.fov
+        };
+    }
+    
+    /**
+     * 解析缓动函数
+     * @private
+     */
+    _resolveEasing(easing) {
+        return cameraApi.resolveEasing(easing);
+    }
+    
+    /**
+     * 解析缓动：支持名称、函数、贝塞尔控制点数组及 { type: 'bezier'|'spring' } 对象
+     * @param {string|Function|Array<number>|Object} [easing] 缓动
+     * @returns {Function} 缓动函数，未知时回退到 easeInOutCubic
+     */
+    static resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (Array.isArray(easing) && easing.length === 4) return createBezierEasing(...easing);
+        if (easing && typeof easing === 'object') {
+            if (easing.type === 'bezier' && Array.isArray(easing.points) && easing.points.length === 4) {
+                return createBezierEasing(...easing.points);
+            }
+            if (easing.type === 'spring') return createSpringEasing(easing);
+        }
+        if (easing && !EASING_FUNCTIONS[easing]) {
+            console.warn(`cameraApi: 未知的缓动 ${easing}，使用 easeInOutCubic`);
+        }
+        return EASING_FUNCTIONS[easing] || EASING_FUNCTIONS.easeInOutCubic;
+    }
+    
+    /**
+     * 获取可用的缓动名称
+     * @returns {Array<string>}
+     */
+    static getEasingNames() {
+        return Object.keys(EASING_FUNCTIONS);
+    }
+    
+    /**
+     * 创建三次贝塞尔缓动
+     * @param {number} x1 控制点1 x
+     * @param {number} y1 控制点1 y
+     * @param {number} x2 控制点2 x
+     * @param {number} y2 控制点2 y
+     * @returns {Function}
+     */
+    static bezier(x1, y1, x2, y2) {
+        return createBezierEasing(x1, y1, x2, y2);
+    }
+    
+    /**
+     * 创建弹簧缓动
+     * @param {Object} [options] { stiffness, damping, mass }
+     * @returns {Function}
      */
-    _easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    static spring(options = {}) {
+        return createSpringEasing(options);
     }
 }
 
@@ -1,3 +1,4 @@
 export * from "./editor.js";
 export {cameraApi} from "./apis/cameraApi.js";
-export {Logger} from "./tools/logger.js";
\ No newline at end of file
+export {Logger} from "./tools/logger.js";
+export {HistoryManager} from "./tools/historyManager.js";
\ No newline at end of file
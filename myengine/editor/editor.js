@@ -4,9 +4,10 @@
  * @class Editor
  * @description 提供编辑器核心功能，包括事件处理、API管理和工具集成
  */
-import { Vector2 } from "three";
+import { Vector2, Vector3 } from "three";
 import { EventBus } from "../engine/core/events/eventEmitter.js";
 import {cameraApi} from "./apis/cameraApi.js"
+import { HistoryManager } from "./tools/historyManager.js";
 
 /**
  * 鼠标事件名称常量
@@ -23,9 +24,39 @@ const MOUSE_EVENTS = {
  * @type {Object.<string, string>}
  */
 const ENGINE_EVENTS = {
-    SCENE_LOADED: 'scene.loaded'
+    SCENE_LOADED: 'scene.loaded',
+    KEY_DOWN: 'input.keydown'
 };
 
+/**
+ * 会触发热点历史记录的热点事件
+ * @type {Object.<string, string>}
+ */
+const HOTSPOT_HISTORY_EVENTS = {
+    'hotspot:updated': '更新热点',
+    'hotspot:quaternion:updated': '旋转热点',
+    'hotspot:rotation:updated': '旋转热点',
+    'hotspot:worldnormal:updated': '更新热点法线',
+    'hotspot:icon:updated': '更新热点图标',
+    'hotspot:label:updated': '更新热点标签',
+    'hotspot:attached': '贴合热点'
+};
+
+/**
+ * 视角拖动/滚轮缩放结束后等待该时长（毫秒）再记录，连续的滚轮缩放与阻尼惯性合并为一步
+ * @type {number}
+ */
+const CAMERA_HISTORY_SETTLE_MS = 300;
+
+/**
+ * 材质撤销时需要整体还原的属性
+ * @type {string[]}
+ */
+const MATERIAL_STATE_KEYS = [
+    'color', 'emissive', 'emissiveIntensity', 'roughness', 'metalness', 'opacity',
+    'aoMapIntensity', 'envMapIntensity', 'envMap', 'transparent', 'depthWrite', 'wireframe', 'side'
+];
+
 export class Editor {
     /**
      * 引擎实例
@@ -63,6 +94,12 @@ export class Editor {
      */
     mousePosition;
     
+    /**
+     * 历史记录（撤销/重做）
+     * @type {HistoryManager}
+     */
+    history;
+    
     /**
      * 创建编辑器实例
      * @param {Engine} engine 引擎实例
@@ -114,10 +151,260 @@ export class Editor {
     
     /**
      * 初始化工具
-     * @description 预留方法，用于初始化编辑器工具集
+     * @description 初始化编辑器工具集（历史记录）
      * @returns {void}
      */
     initTools() {
+        this.history = new HistoryManager();
+        this.history.events.on('history:changed', data => this.events.emit('history:changed', data));
+        
+        this._historyShortcutsEnabled = false;
+        this._hotspotSnapshots = new Map();
+        this._draggingHotspotId = null;
+        this._historyUnsubscribers = [];
+        this._bindHotspotHistory();
+        this._bindTransformHistory();
+        this._bindCameraHistory();
+        
+        if (this.engine?.events) {
+            this._historyUnsubscribers.push(
+                this.engine.events.on(ENGINE_EVENTS.KEY_DOWN, this._onHistoryKeyDown.bind(this))
+            );
+        }
+    }
+    
+    // ==================== 撤销/重做 ====================
+    
+    /**
+     * 撤销上一步
+     * @returns {Promise<boolean>} 是否执行了撤销
+     */
+    undo() {
+        return this.history.undo();
+    }
+    
+    /**
+     * 重做下一步
+     * @returns {Promise<boolean>} 是否执行了重做
+     */
+    redo() {
+        return this.history.redo();
+    }
+    
+    /**
+     * 是否可以撤销
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.history.canUndo();
+    }
+    
+    /**
+     * 是否可以重做
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.history.canRedo();
+    }
+    
+    /**
+     * 获取历史状态
+     * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel, undoSize, redoSize }
+     */
+    getHistoryState() {
+        return this.history.getState();
+    }
+    
+    /**
+     * 清空历史
+     * @returns {void}
+     */
+    clearHistory() {
+        this.history.clear();
+    }
+    
+    /**
+     * 开始历史分组（例如滑块连续拖动），结束前的操作合并为一步
+     * @param {string} label 分组描述
+     * @returns {void}
+     */
+    beginHistoryGroup(label) {
+        this.history.beginGroup(label);
+    }
+    
+    /**
+     * 结束历史分组
+     * @returns {void}
+     */
+    endHistoryGroup() {
+        this.history.endGroup();
+    }
+    
+    /**
+     * 启用/禁用撤销重做快捷键（Ctrl+Z / Ctrl+Y / Ctrl+Shift+Z）
+     * @param {boolean} enabled 是否启用
+     * @returns {void}
+     */
+    setHistoryShortcutsEnabled(enabled = true) {
+        this._historyShortcutsEnabled = !!enabled;
+    }
+    
+    // ==================== 可撤销的材质编辑 ====================
+    
+    /**
+     * 修改材质颜色（可撤销）
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} colorType 颜色类型 color|baseColor|emissive
+     * @param {number|string} colorValue 颜色值
+     * @returns {boolean} 是否成功
+     */
+    updateMaterialColor(model, materialUuid, colorType, colorValue) {
+        return this._recordMaterialEdit(model, materialUuid, '修改材质颜色', `${colorType}`,
+            loader => loader.updateMaterialColor(model, materialUuid, colorType, colorValue));
+    }
+    
+    /**
+     * 修改材质数值属性（可撤销）
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} propertyName 属性名
+     * @param {number} value 属性值
+     * @returns {boolean} 是否成功
+     */
+    updateMaterialProperty(model, materialUuid, propertyName, value) {
+        return this._recordMaterialEdit(model, materialUuid, '修改材质属性', propertyName,
+            loader => loader.updateMaterialProperty(model, materialUuid, propertyName, value));
+    }
+    
+    /**
+     * 修改材质布尔属性（可撤销）
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} propertyName 属性名 transparent|wireframe|side
+     * @param {boolean} value 属性值
+     * @returns {boolean} 是否成功
+     */
+    updateMaterialBooleanProperty(model, materialUuid, propertyName, value) {
+        return this._recordMaterialEdit(model, materialUuid, '修改材质属性', propertyName,
+            loader => loader.updateMaterialBooleanProperty(model, materialUuid, propertyName, value));
+    }
+    
+    /**
+     * 替换材质纹理（可撤销，撤销时还原原纹理对象）
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} mapType 纹理类型
+     * @param {string|File} textureSource 纹理来源
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async replaceMaterialTexture(model, materialUuid, mapType, textureSource) {
+        const loader = this._getMaterialLoader();
+        const material = this._findMaterial(model, materialUuid);
+        if (!loader || !material) return false;
+        
+        const before = this._snapshotTexture(material, mapType);
+        const ok = await loader.replaceMaterialTexture(model, materialUuid, mapType, textureSource);
+        if (ok) {
+            this._pushTextureCommand('替换材质纹理', material, mapType, before);
+        }
+        return ok;
+    }
+    
+    /**
+     * 移除材质纹理（可撤销）
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} mapType 纹理类型
+     * @returns {boolean} 是否成功
+     */
+    removeMaterialTexture(model, materialUuid, mapType) {
+        const loader = this._getMaterialLoader();
+        const material = this._findMaterial(model, materialUuid);
+        if (!loader || !material) return false;
+        
+        const before = this._snapshotTexture(material, mapType);
+        const ok = loader.removeMaterialTexture(model, materialUuid, mapType);
+        if (ok) {
+            this._pushTextureCommand('移除材质纹理', material, mapType, before);
+        }
+        return ok;
+    }
+    
+    // ==================== 可撤销的动画绑定 ====================
+    
+    /**
+     * 绑定mesh动画（可撤销）
+     * @param {string} modelId 模型ID
+     * @param {string} meshIdentifier mesh的userData.id或UUID
+     * @param {string} animationName 动画名称
+     * @param {Object} [options={}] 绑定选项
+     * @returns {boolean} 是否成功
+     */
+    bindMeshAnimation(modelId, meshIdentifier, animationName, options = {}) {
+        return this._recordBindingEdit(modelId, meshIdentifier, '绑定动画',
+            ctrl => ctrl.bindMeshAnimation(modelId, meshIdentifier, animationName, options));
+    }
+    
+    /**
+     * 更新mesh动画绑定参数（可撤销）
+     * @param {string} modelId 模型ID
+     * @param {string} meshIdentifier mesh的userData.id或UUID
+     * @param {Object} [options={}] 绑定选项
+     * @returns {boolean} 是否成功
+     */
+    updateMeshBinding(modelId, meshIdentifier, options = {}) {
+        return this._recordBindingEdit(modelId, meshIdentifier, '更新动画绑定',
+            ctrl => ctrl.updateMeshBinding(modelId, meshIdentifier, options));
+    }
+    
+    /**
+     * 解绑mesh动画（可撤销）
+     * @param {string} modelId 模型ID
+     * @param {string} meshIdentifier mesh的userData.id或UUID
+     * @returns {boolean} 是否成功
+     */
+    unbindMeshAnimation(modelId, meshIdentifier) {
+        return this._recordBindingEdit(modelId, meshIdentifier, '解绑动画',
+            ctrl => ctrl.unbindMeshAnimation(modelId, meshIdentifier));
+    }
+    
+    // ==================== 可撤销的相机移动 ====================
+    
+    /**
+     * 移动相机（可撤销）
+     * 视角拖动、goToView、smoothMoveTo 也会自动记录；直接调用 setPosition/setTarget 不记录
+     * @param {{x:number,y:number,z:number}} position 目标位置
+     * @param {{x:number,y:number,z:number}} [target] 目标观察点，不传则保持当前
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.duration=0] 过渡时长（毫秒），0 表示立即移动
+     * @returns {boolean} 是否成功
+     */
+    moveCamera(position, target, options = {}) {
+        const camera = this.cameraApi;
+        if (!camera || !position) return false;
+        
+        const duration = options.duration ?? 0;
+        const before = { position: camera.getPosition(), target: camera.getTarget() };
+        const after = {
+            position: new Vector3(position.x, position.y, position.z),
+            target: target ? new Vector3(target.x, target.y, target.z) : before.target.clone()
+        };
+        
+        // 平滑移动会派发 moveStart，这里已显式记录，避免重复
+        this._cameraHistoryMuted = true;
+        try {
+            this._applyCameraView(after, duration);
+        } finally {
+            this._cameraHistoryMuted = false;
+        }
+        this.history.push({
+            label: '移动相机',
+            mergeKey: 'camera',
+            undo: () => this._applyCameraView(before, duration),
+            redo: () => this._applyCameraView(after, duration)
+        });
+        return true;
     }
     
     /**
@@ -183,6 +470,13 @@ export class Editor {
      * @returns {void}
      */
     dispose() {
+        // 清理历史记录
+        this._historyUnsubscribers?.forEach(off => off());
+        this._historyUnsubscribers = [];
+        this._hotspotSnapshots?.clear();
+        this.history?.dispose();
+        this.history = null;
+        
         // 清理事件监听
         if (this.engine && this.engine.renderer) {
             const canvas = this.engine.renderer.domElement;
@@ -210,6 +504,453 @@ export class Editor {
         return true;
     }
     
+    // ==================== 历史记录内部实现 ====================
+    
+    /**
+     * 监听热点控制器事件，以快照方式记录热点的增删改
+     * 拖拽期间不记录，拖拽结束后整体记录为一步
+     * @private
+     */
+    _bindHotspotHistory() {
+        const ctrl = this.engine?.hotspotController;
+        if (!ctrl?.events) return;
+        
+        ctrl.hotspots.forEach((_, id) => {
+            this._hotspotSnapshots.set(id, ctrl.exportHotspot(id));
+        });
+        
+        const listen = (event, handler) => {
+            this._historyUnsubscribers.push(ctrl.events.on(event, handler));
+        };
+        
+        listen('hotspot:added', ({ id }) => this._recordHotspotChange(id, '添加热点'));
+        listen('hotspot:removed', ({ id }) => this._recordHotspotChange(id, '删除热点'));
+        Object.entries(HOTSPOT_HISTORY_EVENTS).forEach(([event, label]) => {
+            listen(event, ({ id }) => this._recordHotspotChange(id, label));
+        });
+        listen('hotspot:drag:start', ({ id }) => {
+            this._draggingHotspotId = id;
+        });
+        listen('hotspot:drag:end', ({ id }) => {
+            this._draggingHotspotId = null;
+            this._recordHotspotChange(id, '移动热点');
+        });
+        // 类型切换内部是 删除+添加，合并为一步
+        listen('hotspot:type:switching', () => this.history.beginGroup('切换热点类型'));
+        listen('hotspot:type:switched', () => this.history.endGroup());
+    }
+    
+    /**
+     * 记录 smoothMoveTo/goToView 发起的相机移动，以及轨道控制器的拖动、缩放
+     * @private
+     */
+    _bindCameraHistory() {
+        const camera = this.cameraApi;
+        if (!camera?.addEventListener) return;
+        
+        const onMoveStart = ({ position, target, fov, duration }) => {
+            if (this._cameraHistoryMuted || this.history.isApplying()) return;
+            const before = this._captureCameraView();
+            const after = { position, target, fov };
+            this.history.push({
+                label: '移动相机',
+                undo: () => this._applyCameraView(before, duration),
+                redo: () => this._applyCameraView(after, duration)
+            });
+        };
+        camera.addEventListener('moveStart', onMoveStart);
+        this._historyUnsubscribers.push(() => camera.removeEventListener('moveStart', onMoveStart));
+        
+        const controls = camera.controls;
+        if (!controls?.addEventListener) return;
+        let before = null;
+        let timer = null;
+        const commit = () => {
+            timer = null;
+            const after = this._captureCameraView();
+            const start = before;
+            before = null;
+            if (!start || (start.position.equals(after.position) && start.target.equals(after.target))) return;
+            this.history.push({
+                label: '调整视角',
+                undo: () => this._applyCameraView(start, 0),
+                redo: () => this._applyCameraView(after, 0)
+            });
+        };
+        const onStart = () => {
+            clearTimeout(timer);
+            if (!before) before = this._captureCameraView();
+        };
+        const onEnd = () => {
+            clearTimeout(timer);
+            timer = setTimeout(commit, CAMERA_HISTORY_SETTLE_MS);
+        };
+        controls.addEventListener('start', onStart);
+        controls.addEventListener('end', onEnd);
+        this._historyUnsubscribers.push(() => {
+            clearTimeout(timer);
+            controls.removeEventListener('start', onStart);
+            controls.removeEventListener('end', onEnd);
+        });
+    }
+    
+    /**
+     * @private
+     * @returns {{position: Vector3, target: Vector3, fov: number}} 当前相机视角
+     */
+    _captureCameraView() {
+        const camera = this.cameraApi;
+        return { position: camera.getPosition(), target: camera.getTarget(), fov: camera.fov };
+    }
+    
+    /**
+     * 监听变换Gizmo，记录模型/子网格变换（热点变换经热点事件记录）
+     * @private
+     */
+    _bindTransformHistory() {
+        const ctrl = this.engine?.transformController;
+        if (!ctrl?.events) return;
+        
+        let pending = null;
+        this._historyUnsubscribers.push(ctrl.events.on('transform:start', ({ targetType }) => {
+            const object = ctrl.target?.object;
+            pending = targetType !== 'hotspot' && object
+                ? { object, before: this._snapshotTransform(object) }
+                : null;
+        }));
+        this._historyUnsubscribers.push(ctrl.events.on('transform:end', ({ mode }) => {
+            if (!pending) return;
+            const { object, before } = pending;
+            pending = null;
+            const after = this._snapshotTransform(object);
+            if (JSON.stringify(before) === JSON.stringify(after)) return;
+            
+            const label = { translate: '移动对象', rotate: '旋转对象', scale: '缩放对象' }[mode] || '变换对象';
+            this.history.push({
+                label,
+                undo: () => this._restoreTransform(object, before),
+                redo: () => this._restoreTransform(object, after)
+            });
+        }));
+    }
+    
+    /**
+     * 获取对象变换快照
+     * @private
+     * @param {Object3D} object 对象
+     * @returns {{position: number[], quaternion: number[], scale: number[]}}
+     */
+    _snapshotTransform(object) {
+        return {
+            position: object.position.toArray(),
+            quaternion: object.quaternion.toArray(),
+            scale: object.scale.toArray()
+        };
+    }
+    
+    /**
+     * 按快照恢复对象变换
+     * @private
+     * @param {Object3D} object 对象
+     * @param {Object} snapshot 变换快照
+     */
+    _restoreTransform(object, snapshot) {
+        object.position.fromArray(snapshot.position);
+        object.quaternion.fromArray(snapshot.quaternion);
+        object.scale.fromArray(snapshot.scale);
+        object.updateMatrixWorld(true);
+    }
+    
+    /**
+     * 对比热点快照并记录变更
+     * @private
+     * @param {string} id 热点ID
+     * @param {string} label 命令描述
+     */
+    _recordHotspotChange(id, label) {
+        const ctrl = this.engine?.hotspotController;
+        if (!ctrl || this._draggingHotspotId === id) return;
+        
+        const before = this._hotspotSnapshots.get(id) ?? null;
+        const after = ctrl.hotspots.has(id) ? ctrl.exportHotspot(id) : null;
+        if (after) {
+            this._hotspotSnapshots.set(id, after);
+        } else {
+            this._hotspotSnapshots.delete(id);
+        }
+        
+        if (this.history.isApplying()) return;
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        
+        this.history.push({
+            label,
+            mergeKey: `hotspot:${id}`,
+            undo: () => this._restoreHotspot(id, before),
+            redo: () => this._restoreHotspot(id, after)
+        });
+    }
+    
+    /**
+     * 按快照恢复热点（快照为空表示热点不存在）
+     * @private
+     * @param {string} id 热点ID
+     * @param {Object|null} snapshot 热点快照
+     */
+    _restoreHotspot(id, snapshot) {
+        const ctrl = this.engine?.hotspotController;
+        if (!ctrl) return;
+        
+        const wasSelected = ctrl.selectedId === id;
+        if (ctrl.hotspots.has(id)) {
+            ctrl.remove(id);
+        }
+        if (snapshot) {
+            ctrl.add({ ...snapshot, autoSelect: false });
+            if (wasSelected) ctrl.select(id);
+        }
+    }
+    
+    /**
+     * 快捷键处理
+     * @private
+     * @param {Object} data 键盘事件数据 { key, ctrl, shift, meta }（macOS 上使用 Cmd）
+     */
+    _onHistoryKeyDown({ key, ctrl, shift, meta }) {
+        if (!this._historyShortcutsEnabled || !(ctrl || meta)) return;
+        if (key === 'z' && !shift) {
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && shift)) {
+            this.redo();
+        }
+    }
+    
+    /**
+     * 获取材质加载器
+     * @private
+     * @returns {MaterialLoader|null}
+     */
+    _getMaterialLoader() {
+        return this.engine?.assetsManager?.materialLoader || null;
+    }
+    
+    /**
+     * 查找材质（查找顺序与 MaterialLoader 一致：uuid -> originalUuid -> name）
+     * @private
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @returns {THREE.Material|null}
+     */
+    _findMaterial(model, materialUuid) {
+        const materials = this._getMaterialLoader()?.getMaterials(model) || [];
+        const info = materials.find(m => m.uuid === materialUuid)
+            || materials.find(m => m.originalUuid === materialUuid)
+            || materials.find(m => m.name === materialUuid);
+        return info?.material || null;
+    }
+    
+    /**
+     * 记录材质属性编辑：执行前后各保存一份材质状态
+     * @private
+     * @param {Object} model 模型对象
+     * @param {string} materialUuid 材质UUID或名称
+     * @param {string} label 命令描述
+     * @param {string} propertyName 属性名（用于分组合并）
+     * @param {Function} apply 执行函数 (loader) => boolean
+     * @returns {boolean} 是否成功
+     */
+    _recordMaterialEdit(model, materialUuid, label, propertyName, apply) {
+        const loader = this._getMaterialLoader();
+        const material = this._findMaterial(model, materialUuid);
+        if (!loader || !material) return false;
+        
+        const before = this._snapshotMaterial(material);
+        const ok = apply(loader);
+        if (!ok) return false;
+        const after = this._snapshotMaterial(material);
+        
+        this.history.push({
+            label,
+            mergeKey: `material:${material.uuid}:${propertyName}`,
+            undo: () => this._restoreMaterial(model, material, before),
+            redo: () => this._restoreMaterial(model, material, after)
+        });
+        return true;
+    }
+    
+    /**
+     * 保存材质状态快照
+     * @private
+     * @param {THREE.Material} material 材质
+     * @returns {Object} { values, overrides }
+     */
+    _snapshotMaterial(material) {
+        const values = {};
+        MATERIAL_STATE_KEYS.forEach(key => {
+            if (!(key in material)) return;
+            const value = material[key];
+            values[key] = value?.isColor ? value.clone() : value;
+        });
+        const overrides = material.userData?.__overrides;
+        return { values, overrides: overrides ? JSON.parse(JSON.stringify(overrides)) : null };
+    }
+    
+    /**
+     * 还原材质状态快照
+     * @private
+     * @param {Object} model 模型对象
+     * @param {THREE.Material} material 材质
+     * @param {Object} snapshot 快照
+     */
+    _restoreMaterial(model, material, snapshot) {
+        Object.entries(snapshot.values).forEach(([key, value]) => {
+            if (value?.isColor && material[key]?.isColor) {
+                material[key].copy(value);
+            } else {
+                material[key] = value;
+            }
+        });
+        this._restoreOverrides(material, snapshot.overrides);
+        material.needsUpdate = true;
+        
+        // 透明度变化会影响渲染顺序
+        const loader = this._getMaterialLoader();
+        model?.traverse(child => {
+            if (!child.isMesh) return;
+            const mats = Array.isArray(child.material) ? child.material : [child.material];
+            if (mats.includes(material)) {
+                loader?._updateMeshRenderOrder(child.material, child);
+            }
+        });
+    }
+    
+    /**
+     * 保存材质纹理快照
+     * @private
+     * @param {THREE.Material} material 材质
+     * @param {string} mapType 纹理类型
+     * @returns {Object} { texture, overrides }
+     */
+    _snapshotTexture(material, mapType) {
+        const overrides = material.userData?.__overrides;
+        return {
+            texture: material[mapType] || null,
+            overrides: overrides ? JSON.parse(JSON.stringify(overrides)) : null
+        };
+    }
+    
+    /**
+     * 记录纹理编辑命令（撤销/重做直接切换纹理对象，不重新加载）
+     * @private
+     * @param {string} label 命令描述
+     * @param {THREE.Material} material 材质
+     * @param {string} mapType 纹理类型
+     * @param {Object} before 编辑前快照
+     */
+    _pushTextureCommand(label, material, mapType, before) {
+        const after = this._snapshotTexture(material, mapType);
+        const apply = snapshot => {
+            material[mapType] = snapshot.texture;
+            this._restoreOverrides(material, snapshot.overrides);
+            material.needsUpdate = true;
+        };
+        this.history.push({
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+    
+    /**
+     * 还原材质覆盖记录（与 exportSceneState 保持一致）
+     * @private
+     * @param {THREE.Material} material 材质
+     * @param {Object|null} overrides 覆盖记录
+     */
+    _restoreOverrides(material, overrides) {
+        if (!material.userData) material.userData = {};
+        if (overrides) {
+            material.userData.__overrides = JSON.parse(JSON.stringify(overrides));
+        } else {
+            delete material.userData.__overrides;
+        }
+    }
+    
+    /**
+     * 记录动画绑定编辑
+     * @private
+     * @param {string} modelId 模型ID
+     * @param {string} meshIdentifier mesh标识
+     * @param {string} label 命令描述
+     * @param {Function} apply 执行函数 (animationController) => boolean
+     * @returns {boolean} 是否成功
+     */
+    _recordBindingEdit(modelId, meshIdentifier, label, apply) {
+        const ctrl = this.engine?.animationController;
+        if (!ctrl) {
+            console.warn(`${label}: 动画控制器未初始化`);
+            return false;
+        }
+        
+        const before = this._snapshotBinding(modelId, meshIdentifier);
+        const ok = apply(ctrl);
+        if (!ok) return false;
+        const after = this._snapshotBinding(modelId, meshIdentifier);
+        
+        this.history.push({
+            label,
+            mergeKey: `binding:${modelId}:${meshIdentifier}`,
+            undo: () => this._restoreBinding(modelId, meshIdentifier, before),
+            redo: () => this._restoreBinding(modelId, meshIdentifier, after)
+        });
+        return true;
+    }
+    
+    /**
+     * 保存绑定快照
+     * @private
+     * @returns {Object|null} { animationName, options }
+     */
+    _snapshotBinding(modelId, meshIdentifier) {
+        const binding = this.engine?.animationController?.getMeshBinding(modelId, meshIdentifier);
+        if (!binding) return null;
+        return { animationName: binding.animationName, options: { ...binding.options } };
+    }
+    
+    /**
+     * 还原绑定快照（快照为空表示未绑定）
+     * @private
+     */
+    _restoreBinding(modelId, meshIdentifier, snapshot) {
+        const ctrl = this.engine?.animationController;
+        if (!ctrl) return;
+        if (snapshot) {
+            ctrl.bindMeshAnimation(modelId, meshIdentifier, snapshot.animationName, snapshot.options);
+        } else {
+            ctrl.unbindMeshAnimation(modelId, meshIdentifier);
+        }
+    }
+    
+    /**
+     * 应用相机视角
+     * @private
+     * @param {{position: Vector3, target: Vector3, fov?: number}} view 视角
+     * @param {number} duration 过渡时长（毫秒）
+     */
+    _applyCameraView(view, duration) {
+        const camera = this.cameraApi;
+        if (duration > 0) {
+            camera.smoothMoveTo(view.position.clone(), view.target.clone(), duration, { fov: view.fov });
+        } else {
+            camera.cancelMove?.();
+            camera.setPosition(view.position.x, view.position.y, view.position.z);
+            camera.setTarget(view.target.x, view.target.y, view.target.z);
+            if (typeof view.fov === 'number' && view.fov !== camera.fov) {
+                camera.fov = view.fov;
+                camera.updateProjectionMatrix();
+            }
+        }
+    }
+    
     /**
      * 统一错误处理
      * @private
@@ -0,0 +1,274 @@
+/**
+ * 历史记录管理器 - 编辑器撤销/重做命令栈
+ * @description 以命令对象 { label, undo, redo } 记录编辑操作，支持分组（连续拖拽合并为一步）
+ */
+import { EventBus } from "../../engine/core/events/eventEmitter.js";
+
+/**
+ * 默认最大历史步数
+ * @type {number}
+ */
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * 历史事件名称常量
+ * @type {Object.<string, string>}
+ */
+const HISTORY_EVENTS = {
+    CHANGED: 'history:changed'
+};
+
+export class HistoryManager {
+    /**
+     * 事件总线
+     * @type {EventBus}
+     */
+    events = new EventBus();
+
+    /**
+     * 撤销栈
+     * @type {Array<Object>}
+     */
+    undoStack = [];
+
+    /**
+     * 重做栈
+     * @type {Array<Object>}
+     */
+    redoStack = [];
+
+    _group = null;          // 当前打开的分组 { label, commands }
+    _groupDepth = 0;        // 分组嵌套深度
+    _applying = false;      // 是否正在执行撤销/重做
+
+    /**
+     * 创建历史记录管理器
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.maxSize=100] 最大历史步数
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize ?? DEFAULT_MAX_SIZE;
+    }
+
+    /**
+     * 记录一条命令（命令已执行，只负责入栈）
+     * @param {Object} command 命令对象
+     * @param {string} command.label 命令描述
+     * @param {Function} command.undo 撤销函数（可返回Promise）
+     * @param {Function} command.redo 重做函数（可返回Promise）
+     * @param {string} [command.mergeKey] 合并键，同一分组内相同合并键的连续命令合并为一条
+     * @returns {boolean} 是否已记录
+     */
+    push(command) {
+        if (this._applying) return false;
+        if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+            console.warn('HistoryManager.push: 无效的命令对象');
+            return false;
+        }
+
+        if (this._group) {
+            const last = this._group.commands[this._group.commands.length - 1];
+            if (command.mergeKey && last?.mergeKey === command.mergeKey) {
+                // 保留最早的撤销、最新的重做
+                last.redo = command.redo;
+            } else {
+                this._group.commands.push(command);
+            }
+            return true;
+        }
+
+        this._pushToStack(command);
+        this._emitChanged('push');
+        return true;
+    }
+
+    /**
+     * 开始分组，分组结束前记录的命令将合并为一步
+     * @param {string} [label='分组操作'] 分组描述
+     * @returns {void}
+     */
+    beginGroup(label = '分组操作') {
+        this._groupDepth++;
+        if (!this._group) {
+            this._group = { label, commands: [] };
+        }
+    }
+
+    /**
+     * 结束分组
+     * @returns {void}
+     */
+    endGroup() {
+        if (this._groupDepth === 0) return;
+        this._groupDepth--;
+        if (this._groupDepth > 0) return;
+
+        const group = this._group;
+        this._group = null;
+        if (!group || group.commands.length === 0) return;
+
+        const commands = group.commands;
+        const command = commands.length === 1 ? commands[0] : {
+            label: group.label,
+            undo: async () => {
+                for (let i = commands.length - 1; i >= 0; i--) {
+                    await commands[i].undo();
+                }
+            },
+            redo: async () => {
+                for (const cmd of commands) {
+                    await cmd.redo();
+                }
+            }
+        };
+
+        this._pushToStack(command);
+        this._emitChanged('push');
+    }
+
+    /**
+     * 撤销
+     * @returns {Promise<boolean>} 是否执行了撤销
+     */
+    async undo() {
+        if (this._applying || this._group || this.undoStack.length === 0) return false;
+        const command = this.undoStack.pop();
+        const ok = await this._apply(command, 'undo');
+        if (ok) {
+            this.redoStack.push(command);
+        } else {
+            // 执行失败时放回原栈，避免一次失败丢失该记录及其后的历史
+            this.undoStack.push(command);
+        }
+        this._emitChanged('undo', command);
+        return ok;
+    }
+
+    /**
+     * 重做
+     * @returns {Promise<boolean>} 是否执行了重做
+     */
+    async redo() {
+        if (this._applying || this._group || this.redoStack.length === 0) return false;
+        const command = this.redoStack.pop();
+        const ok = await this._apply(command, 'redo');
+        if (ok) {
+            this.undoStack.push(command);
+        } else {
+            // 执行失败时放回原栈，避免一次失败丢失该记录及其后的历史
+            this.redoStack.push(command);
+        }
+        this._emitChanged('redo', command);
+        return ok;
+    }
+
+    /**
+     * 是否可以撤销
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0 && !this._applying;
+    }
+
+    /**
+     * 是否可以重做
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0 && !this._applying;
+    }
+
+    /**
+     * 是否正在执行撤销/重做（此期间产生的变更不应再被记录）
+     * @returns {boolean}
+     */
+    isApplying() {
+        return this._applying;
+    }
+
+    /**
+     * 获取历史状态
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null, undoSize: number, redoSize: number}}
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null,
+            undoSize: this.undoStack.length,
+            redoSize: this.redoStack.length
+        };
+    }
+
+    /**
+     * 清空历史
+     * @returns {void}
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+        this._emitChanged('clear');
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._group = null;
+        this._groupDepth = 0;
+        this.events.removeAllListeners();
+    }
+
+    /**
+     * 命令入栈（新操作会清空重做栈）
+     * @private
+     * @param {Object} command 命令对象
+     */
+    _pushToStack(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxSize);
+        }
+    }
+
+    /**
+     * 执行命令的撤销/重做
+     * @private
+     * @param {Object} command 命令对象
+     * @param {'undo'|'redo'} action 动作
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async _apply(command, action) {
+        this._applying = true;
+        try {
+            await command[action]();
+            return true;
+        } catch (error) {
+            console.error(`HistoryManager: ${action === 'undo' ? '撤销' : '重做'}失败 (${command.label}):`, error);
+            return false;
+        } finally {
+            this._applying = false;
+        }
+    }
+
+    /**
+     * 发送历史变更事件
+     * @private
+     * @param {string} action 触发动作 push|undo|redo|clear
+     * @param {Object} [command] 相关命令
+     */
+    _emitChanged(action, command = null) {
+        this.events.emit(HISTORY_EVENTS.CHANGED, {
+            action,
+            label: command?.label || null,
+            ...this.getState()
+        });
+    }
+}
@@ -2,7 +2,12 @@
  * 动画控制器 - 管理3D模型的动画播放和控制
  * @author AGan
  */
-import { AnimationMixer, LoopRepeat, LoopOnce, LoopPingPong, AnimationClip } from "three";
+import {
+    AnimationMixer, LoopRepeat, LoopOnce, LoopPingPong, AnimationClip, AnimationUtils, PropertyBinding,
+    NormalAnimationBlendMode, AdditiveAnimationBlendMode, InterpolateLinear, InterpolateDiscrete, InterpolateSmooth,
+    VectorKeyframeTrack, QuaternionKeyframeTrack, BooleanKeyframeTrack, NumberKeyframeTrack, ColorKeyframeTrack,
+    Quaternion, Euler, Color, MathUtils
+} from "three";
 import { EventBus } from "../core/events/eventEmitter.js";
 
 // ==================== 常量定义 ======================
@@ -18,6 +23,7 @@ const CONSTANTS = {
     TIME_EPSILON: 0.05, // 时间判断精度阈值
     FRAME_UPDATE_INTERVAL: 60, // 帧更新间隔（用于高亮尺寸更新）  
     MS_PER_SECOND: 1000,   
+    SEEK_END_MARGIN: 1e-4, // 单次播放动画定位时与终点保留的间距（秒），避免定位本身触发 finished
 };
 
 /**
@@ -44,6 +50,27 @@ const LoopType = {
     INFINITE: 4,   // 无限次
 };
 
+/**
+ * 程序化动画可录制的属性：size 为每个关键帧的值长度，path 为轨道绑定路径
+ * @type {Object}
+ */
+const AuthoringProperty = {
+    position: { size: 3, path: 'position', Track: VectorKeyframeTrack },
+    rotation: { size: 4, path: 'quaternion', Track: QuaternionKeyframeTrack },
+    scale: { size: 3, path: 'scale', Track: VectorKeyframeTrack },
+    visible: { size: 1, path: 'visible', Track: BooleanKeyframeTrack },
+    opacity: { size: 1, path: 'material.opacity', Track: NumberKeyframeTrack, material: true },
+    color: { size: 3, path: 'material.color', Track: ColorKeyframeTrack, material: true },
+};
+
+const AuthoringInterpolation = {
+    linear: InterpolateLinear,   // 线性（旋转为球面插值）
+    step: InterpolateDiscrete,   // 阶跃，保持到下一关键帧
+    smooth: InterpolateSmooth,   // 平滑曲线
+};
+
+const KEY_TIME_EPSILON = 1e-4; // 关键帧时间匹配精度（秒）
+
 export class AnimationController {
     _actionToInfo = new Map(); // Action -> { modelId, animationId, name }
     _mixerBoundSet = new Set(); // 已绑定finished事件的mixer集合
@@ -52,8 +79,13 @@ export class AnimationController {
     _frameCount = 0; // 帧计数器
     _splitAnimationIds = new Set(); // 分割动画ID集合（使用clip.uuid）
     _splitCreationTime = new Map(); // 分割动画创建时间戳，用于选择最新
+    _splitDefinitions = new Map(); // 分割动画ID -> { modelId, sourceName, startTime, endTime, name }
     
     _modelActiveCount = new Map(); // modelId -> number (活跃动画数量)
+    _scrubbing = new Map(); // modelId -> { playing: 拖动前正在播放的 action[] }
+    _layers = new Map(); // modelId -> Map(层名称 -> 动画层)
+    _clipDrafts = new Map(); // 草稿ID -> 编辑中的程序化动画
+    _authoredClips = new Map(); // 动画ID -> 已注册的程序化动画定义（用于保存后重新注册）
     _meshToModelIdCache = new WeakMap(); // mesh -> modelId 缓存
     _hoveredMesh = null; // 当前悬停的mesh
     
@@ -128,6 +160,12 @@ export class AnimationController {
      * @private
      */
     _handleAnimationFinished(config, info) {
+        // 层动画使用合成ID，不是模型动画，单独派发层事件
+        if (info.layer) {
+            this.events.emit('animation:layer:finished', { modelId: info.modelId, layer: info.layer, name: info.name });
+            return;
+        }
+
         if (config && config.loopMode === 1) {
             // 只有在不是停留模式下，才恢复模型状态
             if (!config.clampWhenFinished) {
@@ -311,7 +349,82 @@ export class AnimationController {
         this.animations.set(animationId, animationConfig);
     }
 
-    
+    /**
+     * 移除模型的全部动画：停止并释放 AnimationMixer，清理动作、分割动画与 mesh 绑定
+     * 模型被移除或替换前调用，之后可用同一 modelId 重新注册
+     * @param {string} modelId 模型ID
+     * @returns {boolean} 是否存在该模型的动画数据
+     */
+    removeModelAnimations(modelId) {
+        const mixer = this.mixers.get(modelId);
+        const hasDrafts = Array.from(this._clipDrafts.values()).some(draft => draft.modelId === modelId);
+        if (!mixer && !hasDrafts && this.getModelBindings(modelId).length === 0) return false;
+
+        // 正在为该模型选择绑定 mesh 时退出绑定模式
+        if (this._bindingState?.animationInfo?.modelId === modelId) {
+            this.cancelAnimationBinding();
+        }
+
+        this._actionToInfo.forEach((info, action) => {
+            if (info.modelId !== modelId) return;
+            if (action._onceFinishHandler) action.removeEventListener?.('finished', action._onceFinishHandler);
+            if (action._loopHandler) action.removeEventListener?.('loop', action._loopHandler);
+            if (action._playSplitFinishedHandler) action.removeEventListener?.('finished', action._playSplitFinishedHandler);
+            this._actionToInfo.delete(action);
+            this.actions.delete(info.animationId);
+            this._splitAnimationIds.delete(info.animationId);
+            this._splitCreationTime.delete(info.animationId);
+            this._splitDefinitions.delete(info.animationId);
+        });
+
+        this.animations.forEach((config, animationId) => {
+            if (config.modelId !== modelId) return;
+            this._clearTimer(config.startDelayTimerId);
+            this.animations.delete(animationId);
+            this.actions.delete(animationId);
+            this._modelStates?.delete(animationId);
+        });
+
+        if (mixer) {
+            try {
+                mixer.stopAllAction();
+                mixer.uncacheRoot(mixer.getRoot());
+            } catch (error) {
+                console.warn('清理动画混合器时出错:', error);
+            }
+            this.mixers.delete(modelId);
+            this._mixerBoundSet.delete(mixer);
+        }
+
+        this._meshAnimationBindings.forEach((binding, bindingKey) => {
+            if (binding.modelId !== modelId) return;
+            this._meshAnimationBindings.delete(bindingKey);
+            this._boundMeshes.delete(binding.mesh);
+            if (binding.mesh?.userData) {
+                delete binding.mesh.userData.__hasAnimationBinding;
+                delete binding.mesh.userData.__bindingKey;
+            }
+        });
+
+        this._skinnedMeshCache.delete(modelId);
+        this._modelActiveCount.delete(modelId);
+        this._scrubbing.delete(modelId);
+        this._layers.delete(modelId);
+        this._authoredClips.forEach((def, animationId) => {
+            if (def.modelId === modelId) this._authoredClips.delete(animationId);
+        });
+        this._clipDrafts.forEach((draft, draftId) => {
+            if (draft.modelId !== modelId) return;
+            draft.preview?.mixer.stopAllAction();
+            this._clipDrafts.delete(draftId);
+        });
+        this.clearAnimationMeshHighlights();
+        this._hoveredMesh = null;
+
+        this.events.emit('animations:removed', { modelId });
+        return true;
+    }
+
     /**
      * 获取模型的所有动画
      * @param {string} modelId 模型ID
@@ -1824,6 +1937,9 @@ export class AnimationController {
             return;
         }
         
+        // 由状态机 mesh 转换处理的点击不再走点击绑定，避免同一动画被两条路径同时播放
+        if (this.engine?.stateMachineController?.handlesMesh(originalMesh, modelId)) return;
+
         if (logicalMesh.userData?.__hasAnimationBinding) {
             this._handleMeshAnimationClick(logicalMesh, modelId);
         } else if (originalMesh.userData?.__hasAnimationBinding) {
@@ -2290,6 +2406,13 @@ export class AnimationController {
                 this._actionToInfo.set(action, { modelId, animationId: internalId, name });
                 this._splitAnimationIds.add(internalId);
                 this._splitCreationTime.set(internalId, Date.now());
+                this._splitDefinitions.set(internalId, {
+                    modelId,
+                    sourceName: sourceClip.name,
+                    startTime: startSec,
+                    endTime: endSec,
+                    name
+                });
                 
                 // 返回动画ID，避免同名冲突
                 splitIds.push(internalId);
@@ -2300,177 +2423,1548 @@ export class AnimationController {
     }
 
     /**
-     * 检查track的值是否有实际变化（过滤静止轨道）
-     * @private
-     * @param {KeyframeTrack} track 动画track
-     * @returns {boolean} 是否有变化
+     * 获取分割动画的定义（用于保存后按相同参数重新分割）
+     * @param {string} [modelId] 模型ID，不传则返回全部
+     * @returns {Array<{id:string, modelId:string, sourceName:string, startTime:number, endTime:number, name:string}>}
      */
-    _isTrackEffective(track) {
-        if (!track || !track.values || track.values.length === 0) {
-            return false;
-        }
-        
-        if (track.times && track.times.length < 2) {
-            return false;
-        }
-        
-        const values = track.values;
-        const valueSize = track.getValueSize();
-        
-        // 如果只有一个关键帧，认为没有变化
-        if (values.length <= valueSize) {
-            return false;
-        }
-        
-        // 简单采样检查：允许小的浮点误差
-        const epsilon = CONSTANTS.TIME_EPSILON_RATIO || 0.0001;
-        for (let i = valueSize; i < values.length; i += valueSize) {
-            for (let j = 0; j < valueSize; j++) {
-                if (Math.abs(values[i + j] - values[j]) > epsilon) {
-                    return true; // 发现变化
-                }
+    getSplitDefinitions(modelId = null) {
+        const result = [];
+        this._splitDefinitions.forEach((def, id) => {
+            if (!modelId || def.modelId === modelId) {
+                result.push({ id, ...def });
             }
-        }
-        
-        return false; // 所有值都相同，没有变化
+        });
+        return result;
     }
-    
+
     /**
-     * 通用辅助：向上冒泡查找逻辑ID节点
-     * @private
-     * @param {THREE.Object3D} object 起始节点
-     * @param {THREE.Object3D} [rootModel] 模型根节点(可选)
-     * @returns {Object|null} { id, node, hasBinding } 或 null
+     * 获取分割出的动画Clip
+     * @param {string} [modelId] 模型ID，不传则返回全部
+     * @returns {Array<AnimationClip>} 动画Clip列表
      */
-    _findLogicalId(object, rootModel = null) {
-        let current = object;
-        while (current) {
-            // 1. 优先检查绑定标记 (Mesh级别)
-            if (current.userData?.__hasAnimationBinding) {
-                return { 
-                    id: current.userData?.id || null, 
-                    node: current, 
-                    hasBinding: true 
-                };
-            }
-            
-            // 2. 检查 ID 
-            if (current.userData?.id) {
-                return { 
-                    id: current.userData.id, 
-                    node: current, 
-                    hasBinding: !!current.userData.__hasAnimationBinding 
-                };
-            }
-            
-            // 到达根节点或模型根节点时停止
-            if ((rootModel && current === rootModel) || !current.parent) {
-                break;
-            }
-            current = current.parent;
-        }
+    getSplitClips(modelId = null) {
+        const clips = [];
+        this._splitDefinitions.forEach((def, id) => {
+            if (modelId && def.modelId !== modelId) return;
+            const clip = this.actions.get(id)?.getClip();
+            if (clip) clips.push(clip);
+        });
+        return clips;
+    }
 
-        return null;
+    /**
+     * 获取动画对应的 AnimationAction（供时间轴等外部逐帧驱动）
+     * 查找顺序：动画ID（含分割动画的 clip.uuid）-> 名称（同名时优先最新的分割动画）
+     * @param {string} modelId 模型ID
+     * @param {string} animationIdOrName 动画ID或名称
+     * @returns {AnimationAction|null}
+     */
+    getAction(modelId, animationIdOrName) {
+        const direct = this.actions.get(animationIdOrName);
+        if (direct && this._actionToInfo.get(direct)?.modelId === modelId) return direct;
+        return this._findAnimationByName(modelId, animationIdOrName)?.action || null;
     }
 
     /**
-     * @param {Object3D} model 模型根节点
-     * @returns {Map<Object3D, Object>} 节点到逻辑信息的映射
+     * 将动画定位到指定时间并立即渲染该姿态（原始动画与分割动画均可）
+     * @param {string} modelId 模型ID
+     * @param {string} animationIdOrName 动画ID或名称
+     * @param {number|{normalized: number}|{time: number}} time 时间（秒），或 { normalized: 0~1 } 按时长比例
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.cycle=false] 往返动画：时间覆盖完整往返周期（秒数范围 0~2×时长，比例 0~1 对应 去→回）
+     * @param {number} [options.direction] 播放方向 1/-1：往返动画表示处于去程/回程，其他动画设置 timeScale 正负；不传保持当前方向
+     * @param {boolean} [options.pause=true] 定位后保持暂停，false 时从该位置继续播放
+     * @returns {boolean} 是否成功
      */
-    _buildLogicalIdMap(model) {
-        const map = new Map();
-        if (!model) return map;
+    seekAnimation(modelId, animationIdOrName, time, options = {}) {
+        const action = this.getAction(modelId, animationIdOrName);
+        if (!action) {
+            console.warn(`seekAnimation: 找不到动画 ${animationIdOrName} (模型: ${modelId})`);
+            return false;
+        }
+        const duration = action.getClip().duration;
+        const pingPong = action.loop === LoopPingPong;
+        const span = pingPong && options.cycle ? duration * 2 : duration;
 
-        // 递归遍历，向下传递当前的逻辑上下文
-        const traverse = (node, currentLogicalInfo) => {
-            let nextLogicalInfo = currentLogicalInfo;
+        let target = typeof time === 'object' && time !== null
+            ? (typeof time.normalized === 'number' ? time.normalized * span : time.time)
+            : time;
+        if (typeof target !== 'number' || Number.isNaN(target)) {
+            console.warn('seekAnimation: 无效的时间参数', time);
+            return false;
+        }
+        target = Math.max(0, Math.min(span, target));
 
-            if (node.userData?.__hasAnimationBinding) {
-                nextLogicalInfo = {
-                    id: node.userData?.id || null,
-                    node: node,
-                    hasBinding: true
-                };
-            } else if (node.userData?.id) {
-                nextLogicalInfo = {
-                    id: node.userData.id,
-                    node: node,
-                    hasBinding: !!node.userData.__hasAnimationBinding
-                };
-            }
+        // 往返周期的后半段为回程
+        let direction = options.direction ?? this._getActionDirection(action);
+        let poseTime = target;
+        if (target > duration) {
+            poseTime = span - target;
+            direction = -1;
+        } else if (pingPong && options.cycle) {
+            direction = 1;
+        }
 
-            // 记录当前节点的逻辑信息
-            if (nextLogicalInfo) {
-                map.set(node, nextLogicalInfo);
+        if (pingPong) {
+            // Three.js 在奇数轮时按 duration - time 采样（回程），通过轮次奇偶表达方向
+            action._loopCount = direction === -1 ? 1 : 0;
+            action.time = direction === -1 ? duration - poseTime : poseTime;
+        } else {
+            if (options.direction) action.timeScale = Math.abs(action.timeScale || 1) * (direction === -1 ? -1 : 1);
+            // 单次播放停在播放方向的终点时，恢复播放的第一帧就会派发 finished 并改变启用状态与活跃计数，
+            // 因此与终点保留极小间距，由恢复后的正常播放自然结束
+            if (action.loop === LoopOnce && duration > CONSTANTS.SEEK_END_MARGIN * 2) {
+                poseTime = this._getActionDirection(action) === -1
+                    ? Math.max(poseTime, CONSTANTS.SEEK_END_MARGIN)
+                    : Math.min(poseTime, duration - CONSTANTS.SEEK_END_MARGIN);
             }
+            action.time = poseTime;
+        }
 
-            // 继续遍历子节点
-            if (node.children) {
-                for (let i = 0; i < node.children.length; i++) {
-                    traverse(node.children[i], nextLogicalInfo);
-                }
-            }
-        };
+        // 定位后不再执行排队中的延迟播放
+        const config = this.animations.get(this._actionToInfo.get(action)?.animationId);
+        if (config?.startDelayTimerId) {
+            this._clearTimer(config.startDelayTimerId);
+            config.startDelayTimerId = null;
+        }
 
-        traverse(model, null);
-        return map;
+        action.enabled = true;
+        action.paused = options.pause !== false;
+        action.play();
+        this._refreshPose(modelId);
+
+        const info = this._actionToInfo.get(action);
+        this.events.emit('animation:seeked', {
+            modelId,
+            animationId: info?.animationId,
+            name: info?.name,
+            time: poseTime,
+            normalized: duration > 0 ? poseTime / duration : 0,
+            direction
+        });
+        return true;
     }
 
     /**
-     * 纯净路径 ID 生成器
-     * ID 格式：父ID-节点名
-     * @param {THREE.Object3D} model 模型根节点
+     * 获取动画当前时间（用于同步进度条）
+     * @param {string} modelId 模型ID
+     * @param {string} animationIdOrName 动画ID或名称
+     * @returns {{time: number, duration: number, normalized: number, direction: number, paused: boolean, running: boolean}|null}
+     * time 为当前姿态对应的片段时间，往返动画回程时 direction 为 -1
      */
-    _initModelStableIds(model) {
-        if (!model) return;
+    getAnimationTime(modelId, animationIdOrName) {
+        const action = this.getAction(modelId, animationIdOrName);
+        if (!action) return null;
+        const duration = action.getClip().duration;
+        const inPong = action.loop === LoopPingPong && action._loopCount > 0 && (action._loopCount & 1) === 1;
+        const time = inPong ? duration - action.time : action.time;
+        return {
+            time,
+            duration,
+            normalized: duration > 0 ? time / duration : 0,
+            direction: this._getActionDirection(action),
+            paused: action.paused,
+            running: action.isRunning()
+        };
+    }
 
-        const idRegistry = new Map();
+    /**
+     * 开始拖动：暂停模型上正在播放的动画并冻结其 mixer（淡入淡出也随之暂停），之后用 seekAnimation 驱动时间
+     * @param {string} modelId 模型ID
+     * @returns {boolean} 是否进入拖动模式
+     */
+    beginScrub(modelId) {
+        const mixer = this.mixers.get(modelId);
+        if (!mixer || this._scrubbing.has(modelId)) return false;
 
-        const traverseAndGenerate = (node, parentPathId) => {
-            if (!node) return;
+        const playing = [];
+        this._actionToInfo.forEach((info, action) => {
+            if (info.modelId !== modelId || !action.isRunning()) return;
+            action.paused = true;
+            playing.push(action);
+        });
+        this._scrubbing.set(modelId, { playing });
+        this.events.emit('animation:scrub:start', { modelId });
+        return true;
+    }
 
-            let currentId = null;
+    /**
+     * 拖动到指定时间（等同于暂停状态下的 seekAnimation）
+     * @param {string} modelId 模型ID
+     * @param {string} animationIdOrName 动画ID或名称
+     * @param {number|{normalized: number}} time 时间（秒）或 { normalized }
+     * @param {Object} [options={}] 同 seekAnimation，pause 固定为 true
+     * @returns {boolean}
+     */
+    scrubAnimation(modelId, animationIdOrName, time, options = {}) {
+        return this.seekAnimation(modelId, animationIdOrName, time, { ...options, pause: true });
+    }
 
-            if (node.userData && node.userData.id && !node.userData.__generated) {
-                currentId = node.userData.id;
-            } 
-            else {
-                const safeName = this._slugifyName(node.name || node.type || 'node');
-                
-                let baseId = parentPathId ? `${parentPathId}-${safeName}` : safeName;
-                
-                let count = idRegistry.get(baseId) || 0;
-                count++;
-                idRegistry.set(baseId, count);
+    /**
+     * 结束拖动
+     * @param {string} modelId 模型ID
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.resume=true] 是否让拖动前正在播放的动画从新位置继续播放
+     * @returns {boolean}
+     */
+    endScrub(modelId, options = {}) {
+        const scrub = this._scrubbing.get(modelId);
+        if (!scrub) return false;
+        this._scrubbing.delete(modelId);
+        if (options.resume !== false) {
+            scrub.playing.forEach(action => {
+                action.paused = false;
+                action.play();
+            });
+        }
+        this.events.emit('animation:scrub:end', { modelId });
+        return true;
+    }
 
-                if (count === 1) {
-                    currentId = baseId;
-                } else {
-                    currentId = `${baseId}_#${count}`; 
-                    console.warn(`检测到重名路径，已自动添加后缀: ${currentId}`);
-                }
+    /**
+     * 是否处于拖动模式
+     * @param {string} modelId 模型ID
+     * @returns {boolean}
+     */
+    isScrubbing(modelId) {
+        return this._scrubbing.has(modelId);
+    }
 
-                if (!node.userData) node.userData = {};
-                if (!node.userData.id) {
-                    node.userData.id = currentId;
-                    node.userData.__generated = true;
-                } else {
-                    currentId = node.userData.id;
-                }
-            }
+    /**
+     * 获取动作当前播放方向
+     * @private
+     */
+    _getActionDirection(action) {
+        if (action.loop === LoopPingPong) {
+            return action._loopCount > 0 && (action._loopCount & 1) === 1 ? -1 : 1;
+        }
+        return action.timeScale < 0 ? -1 : 1;
+    }
 
-            if (node.children && node.children.length > 0) {
-                node.children.forEach(child => traverseAndGenerate(child, currentId));
-            }
-        };
+    /**
+     * 不推进时间刷新模型姿态，并同步蒙皮包围盒与悬停高亮
+     * @private
+     */
+    _refreshPose(modelId) {
+        this.mixers.get(modelId)?.update(0);
+        this._updateSkinnedBounds(modelId);
+        this._refreshHoverIfNeeded(true);
+    }
 
-        traverseAndGenerate(model, null);
+    /**
+     * 创建动画层（同名会替换）
+     * 层内动画使用独立的 action：normal 层与其他动画按权重混合，additive 层在现有姿态上叠加相对参考帧的变化
+     * @param {string} modelId 模型ID
+     * @param {string} name 层名称
+     * @param {Object} [options={}] 选项
+     * @param {'normal'|'additive'} [options.blendMode='normal'] 混合方式
+     * @param {number} [options.weight=1] 层权重（0~1）
+     * @param {Array<string>} [options.mask] 遮罩：逻辑ID（userData.id）或节点名称，层内动画只作用于这些节点及其子节点
+     * @returns {boolean} 是否创建成功
+     */
+    createLayer(modelId, name, options = {}) {
+        if (!this.mixers.has(modelId) || !name) {
+            console.warn(`createLayer: 模型没有动画或层名称为空 (模型: ${modelId})`);
+            return false;
+        }
+        const blendMode = options.blendMode ?? 'normal';
+        if (blendMode !== 'normal' && blendMode !== 'additive') {
+            console.warn(`createLayer: 未知的混合方式 ${blendMode}`);
+            return false;
+        }
+        this.removeLayer(modelId, name);
+
+        if (!this._layers.has(modelId)) this._layers.set(modelId, new Map());
+        const layer = {
+            name,
+            modelId,
+            blendMode,
+            weight: Math.max(0, Math.min(1, options.weight ?? 1)),
+            fade: null,
+            mask: Array.isArray(options.mask) && options.mask.length > 0 ? options.mask.slice() : null,
+            maskNodes: null,
+            entries: new Map()  // 源clip uuid -> { source, clip, action, weight }
+        };
+        layer.maskNodes = this._resolveLayerMask(modelId, layer.mask);
+        this._layers.get(modelId).set(name, layer);
+        this.events.emit('animation:layer:updated', this._getLayerInfo(layer));
+        return true;
     }
 
     /**
-     * 名称清洗，适合作为路径片段
-     * 中文通过哈希算法转换为字母数字组合
-     * @private
+     * 删除动画层（停止并释放层内动画）
+     * @param {string} modelId 模型ID
+     * @param {string} name 层名称
+     * @returns {boolean}
+     */
+    removeLayer(modelId, name) {
+        const layer = this._layers.get(modelId)?.get(name);
+        if (!layer) return false;
+        layer.entries.forEach(entry => this._disposeLayerEntry(entry));
+        this._layers.get(modelId).delete(name);
+        this.mixers.get(modelId)?.update(0);
+        this.events.emit('animation:layer:removed', { modelId, name });
+        return true;
+    }
+
+    /**
+     * 在层上播放动画（原始动画或分割动画）
+     * @param {string} modelId 模型ID
+     * @param {string} layerName 层名称
+     * @param {string} animationIdOrName 动画ID或名称
+     * @param {Object} [options={}] 选项
+     * @param {'once'|'repeat'|'pingpong'} [options.loop='repeat'] 循环方式
+     * @param {number} [options.speed=1] 播放速度
+     * @param {number} [options.weight=1] 动画在层内的权重（实际权重 = 动画权重 × 层权重）
+     * @param {number} [options.fadeIn=0] 淡入时长（秒）
+     * @param {boolean} [options.clampWhenFinished=true] once 模式结束后是否停在末帧
+     * @param {number} [options.referenceTime=0] additive 层的参考时间（秒），叠加量相对于该帧计算
+     * @param {boolean} [options.replace=false] 是否淡出层内其他动画
+     * @returns {boolean} 是否开始播放
+     */
+    playOnLayer(modelId, layerName, animationIdOrName, options = {}) {
+        const layer = this._layers.get(modelId)?.get(layerName);
+        if (!layer) {
+            console.warn(`playOnLayer: 动画层不存在 ${layerName} (模型: ${modelId})`);
+            return false;
+        }
+        const source = this.getAction(modelId, animationIdOrName)?.getClip();
+        if (!source) {
+            console.warn(`playOnLayer: 找不到动画 ${animationIdOrName} (模型: ${modelId})`);
+            return false;
+        }
+
+        let entry = layer.entries.get(source.uuid);
+        const referenceTime = options.referenceTime ?? 0;
+        if (entry && layer.blendMode === 'additive' && entry.referenceTime !== referenceTime) {
+            this._disposeLayerEntry(entry);
+            layer.entries.delete(source.uuid);
+            entry = null;
+        }
+        if (!entry) {
+            entry = this._createLayerEntry(layer, source, referenceTime);
+            if (!entry) return false;
+            layer.entries.set(source.uuid, entry);
+        }
+
+        const fadeIn = Math.max(0, options.fadeIn ?? 0);
+        if (options.replace) {
+            layer.entries.forEach(other => {
+                if (other !== entry && other.action.isRunning()) other.action.fadeOut(fadeIn);
+            });
+        }
+
+        const { action } = entry;
+        const loop = options.loop === 'once' ? LoopOnce : options.loop === 'pingpong' ? LoopPingPong : LoopRepeat;
+        entry.weight = Math.max(0, options.weight ?? 1);
+        action.reset();
+        action.setLoop(loop, Infinity);
+        action.clampWhenFinished = options.clampWhenFinished !== false;
+        action.timeScale = options.speed ?? 1;
+        action.weight = entry.weight * layer.weight;
+        if (fadeIn > 0) action.fadeIn(fadeIn);
+        action.play();
+        return true;
+    }
+
+    /**
+     * 停止层内动画
+     * @param {string} modelId 模型ID
+     * @param {string} layerName 层名称
+     * @param {string} [animationIdOrName] 动画ID或名称，不传停止层内全部动画
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.fadeOut=0] 淡出时长（秒）
+     * @returns {boolean}
+     */
+    stopOnLayer(modelId, layerName, animationIdOrName, options = {}) {
+        const layer = this._layers.get(modelId)?.get(layerName);
+        if (!layer) return false;
+        const sourceUuid = animationIdOrName != null ? this.getAction(modelId, animationIdOrName)?.getClip().uuid : null;
+        if (animationIdOrName != null && !layer.entries.has(sourceUuid)) return false;
+
+        const fadeOut = Math.max(0, options.fadeOut ?? 0);
+        layer.entries.forEach((entry, uuid) => {
+            if (sourceUuid && uuid !== sourceUuid) return;
+            if (fadeOut > 0 && entry.action.isRunning()) {
+                entry.action.fadeOut(fadeOut);
+            } else {
+                entry.action.stop();
+            }
+        });
+        this.mixers.get(modelId)?.update(0);
+        return true;
+    }
+
+    /**
+     * 设置层权重
+     * @param {string} modelId 模型ID
+     * @param {string} name 层名称
+     * @param {number} weight 权重（0~1）
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.duration=0] 过渡时长（秒）
+     * @returns {boolean}
+     */
+    setLayerWeight(modelId, name, weight, options = {}) {
+        const layer = this._layers.get(modelId)?.get(name);
+        if (!layer || typeof weight !== 'number') return false;
+        const target = Math.max(0, Math.min(1, weight));
+        const duration = Math.max(0, options.duration ?? 0);
+        if (duration > 0) {
+            layer.fade = { from: layer.weight, to: target, elapsed: 0, duration };
+        } else {
+            layer.fade = null;
+            this._applyLayerWeight(layer, target);
+            this.mixers.get(modelId)?.update(0);
+        }
+        this.events.emit('animation:layer:updated', { ...this._getLayerInfo(layer), weight: target });
+        return true;
+    }
+
+    /**
+     * 设置层遮罩（正在播放的层内动画保持当前时间）
+     * @param {string} modelId 模型ID
+     * @param {string} name 层名称
+     * @param {Array<string>|null} mask 逻辑ID或节点名称，null 表示不限制
+     * @returns {boolean}
+     */
+    setLayerMask(modelId, name, mask) {
+        const layer = this._layers.get(modelId)?.get(name);
+        if (!layer) return false;
+        layer.mask = Array.isArray(mask) && mask.length > 0 ? mask.slice() : null;
+        layer.maskNodes = this._resolveLayerMask(modelId, layer.mask);
+
+        // 遮罩改变需要重新生成过滤后的clip
+        layer.entries.forEach((entry, uuid) => {
+            const { action } = entry;
+            const state = {
+                running: action.isRunning(),
+                scheduled: action.isScheduled(),
+                time: action.time,
+                paused: action.paused,
+                loop: action.loop,
+                clampWhenFinished: action.clampWhenFinished,
+                timeScale: action.timeScale
+            };
+            this._disposeLayerEntry(entry);
+            const rebuilt = this._createLayerEntry(layer, entry.source, entry.referenceTime);
+            if (!rebuilt) {
+                layer.entries.delete(uuid);
+                return;
+            }
+            rebuilt.weight = entry.weight;
+            layer.entries.set(uuid, rebuilt);
+            if (!state.scheduled) return;
+            const next = rebuilt.action;
+            next.setLoop(state.loop, Infinity);
+            next.clampWhenFinished = state.clampWhenFinished;
+            next.timeScale = state.timeScale;
+            next.weight = rebuilt.weight * layer.weight;
+            next.time = state.time;
+            next.paused = state.paused;
+            next.play();
+        });
+        this.mixers.get(modelId)?.update(0);
+        this.events.emit('animation:layer:updated', this._getLayerInfo(layer));
+        return true;
+    }
+
+    /**
+     * 获取模型的动画层
+     * @param {string} modelId 模型ID
+     * @returns {Array<{modelId: string, name: string, blendMode: string, weight: number, mask: Array<string>|null, animations: Array<{name: string, playing: boolean, weight: number}>}>}
+     */
+    getLayers(modelId) {
+        return Array.from(this._layers.get(modelId)?.values() || [], layer => this._getLayerInfo(layer));
+    }
+
+    /**
+     * 为层生成过滤/叠加后的clip与独立action
+     * @private
+     */
+    _createLayerEntry(layer, source, referenceTime = 0) {
+        const mixer = this.mixers.get(layer.modelId);
+        const model = mixer?.getRoot();
+        if (!mixer || !model) return null;
+
+        const clip = source.clone();
+        clip.name = `${source.name}@${layer.name}`;
+        if (layer.maskNodes) {
+            clip.tracks = clip.tracks.filter(track => {
+                const { nodeName } = PropertyBinding.parseTrackName(track.name);
+                const node = PropertyBinding.findNode(model, nodeName);
+                return !!node && layer.maskNodes.has(node);
+            });
+            if (clip.tracks.length === 0) {
+                console.warn(`动画 ${source.name} 没有作用于层 ${layer.name} 遮罩范围内的轨道`);
+            }
+        }
+        const additive = layer.blendMode === 'additive';
+        if (additive && clip.tracks.length > 0) {
+            // makeClipAdditive 按帧号取参考帧
+            const fps = 30;
+            AnimationUtils.makeClipAdditive(clip, Math.round(Math.max(0, referenceTime) * fps), clip, fps);
+        }
+
+        const action = mixer.clipAction(clip, undefined, additive ? AdditiveAnimationBlendMode : NormalAnimationBlendMode);
+        const animationId = `layer:${layer.name}:${source.uuid}`;
+        this._actionToInfo.set(action, { modelId: layer.modelId, animationId, name: source.name, layer: layer.name });
+        return { source, clip, action, weight: 1, referenceTime };
+    }
+
+    /**
+     * @private
+     */
+    _disposeLayerEntry(entry) {
+        const mixer = entry.action.getMixer();
+        entry.action.stop();
+        this._actionToInfo.delete(entry.action);
+        mixer.uncacheClip(entry.clip);
+    }
+
+    /**
+     * 遮罩：逻辑ID（_buildLogicalIdMap）或节点名称命中的节点及其全部子节点
+     * @private
+     */
+    _resolveLayerMask(modelId, mask) {
+        if (!mask) return null;
+        const model = this.mixers.get(modelId)?.getRoot() || this.engine?.assetsManager?.getModel(modelId);
+        const nodes = new Set();
+        if (!model) return nodes;
+
+        const keys = new Set(mask);
+        const roots = [];
+        this._buildLogicalIdMap(model).forEach((info, node) => {
+            if (info.node === node && keys.has(info.id)) roots.push(node);
+        });
+        model.traverse(node => {
+            if (node.name && keys.has(node.name) && !roots.includes(node)) roots.push(node);
+        });
+        if (roots.length === 0) {
+            console.warn(`动画层遮罩未匹配到任何节点: ${mask.join(', ')}`);
+        }
+        roots.forEach(root => root.traverse(node => nodes.add(node)));
+        return nodes;
+    }
+
+    /**
+     * @private
+     */
+    _applyLayerWeight(layer, weight) {
+        layer.weight = weight;
+        layer.entries.forEach(entry => { entry.action.weight = entry.weight * weight; });
+    }
+
+    /**
+     * 推进层权重过渡
+     * @private
+     */
+    _updateLayerFades(deltaTime) {
+        this._layers.forEach(layers => layers.forEach(layer => {
+            const fade = layer.fade;
+            if (!fade) return;
+            fade.elapsed += deltaTime;
+            const progress = Math.min(fade.elapsed / fade.duration, 1);
+            this._applyLayerWeight(layer, progress >= 1 ? fade.to : fade.from + (fade.to - fade.from) * progress);
+            if (progress >= 1) layer.fade = null;
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _getLayerInfo(layer) {
+        return {
+            modelId: layer.modelId,
+            name: layer.name,
+            blendMode: layer.blendMode,
+            weight: layer.weight,
+            mask: layer.mask ? layer.mask.slice() : null,
+            animations: Array.from(layer.entries.values(), entry => ({
+                name: entry.source.name,
+                playing: entry.action.isRunning(),
+                weight: entry.weight
+            }))
+        };
+    }
+
+    /**
+     * 创建程序化动画草稿，从空白开始录制关键帧
+     * 草稿注册前不进入模型的动画列表，可反复编辑与预览
+     * @param {string} modelId 模型ID
+     * @param {string} name 动画名称（注册后用于按名称播放与绑定）
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.duration] 时长（秒），不传则取最后一个关键帧的时间；只能延长不能截断关键帧
+     * @returns {string|null} 草稿ID
+     */
+    createClipDraft(modelId, name, options = {}) {
+        const model = this.engine?.assetsManager?.getModel(modelId);
+        if (!model || !name) {
+            console.warn(`createClipDraft: 模型不存在或动画名称为空 (模型: ${modelId})`);
+            return null;
+        }
+        // 轨道按逻辑ID记录节点，保存后重新加载模型仍能对应
+        this._initModelStableIds(model);
+
+        const draft = {
+            id: `draft_${MathUtils.generateUUID()}`,
+            modelId,
+            name,
+            duration: options.duration > 0 ? options.duration : null,
+            tracks: new Map(),   // `${节点ID}|${属性}` -> { node, property, interpolation, keys: [{ time, value }] }
+            animationId: null,   // 编辑已注册的动画时为其动画ID
+            preview: null,
+            dirty: false
+        };
+        this._clipDrafts.set(draft.id, draft);
+        this.events.emit('animation:draft:updated', this._getClipDraftInfo(draft));
+        return draft.id;
+    }
+
+    /**
+     * 将已注册的程序化动画载入草稿重新编辑，注册时原地替换（动画ID、mesh 绑定与播放参数保持不变）
+     * @param {string} animationId 动画ID
+     * @returns {string|null} 草稿ID
+     */
+    editAuthoredClip(animationId) {
+        const definition = this._authoredClips.get(animationId);
+        if (!definition) {
+            console.warn(`editAuthoredClip: ${animationId} 不是程序化动画`);
+            return null;
+        }
+        const draftId = this.createClipDraft(definition.modelId, definition.name, { duration: definition.duration });
+        if (!draftId) return null;
+
+        const draft = this._clipDrafts.get(draftId);
+        draft.animationId = animationId;
+        this._loadClipDraftTracks(draft, definition.tracks);
+        this.events.emit('animation:draft:updated', this._getClipDraftInfo(draft));
+        return draftId;
+    }
+
+    /**
+     * 录制关键帧：读取节点当前的变换、可见性与材质值写入草稿，同一时间已有的关键帧被覆盖
+     * 通常先用变换Gizmo调整选中的mesh，再在时间轴当前时间录制
+     * @param {string} draftId 草稿ID
+     * @param {Array<string|Object3D>|string|Object3D} targets 节点：userData.id、uuid、名称或 Object3D
+     * @param {number} time 时间（秒）
+     * @param {Object} [options={}] 选项
+     * @param {Array<string>} [options.properties] 录制的属性 position/rotation/scale/visible/opacity/color，默认变换与可见性，带单一材质的 mesh 另外录制透明度与颜色
+     * @param {'linear'|'step'|'smooth'} [options.interpolation] 同时设置这些轨道的插值方式
+     * @returns {number} 写入的关键帧数量
+     */
+    recordKeyframe(draftId, targets, time, options = {}) {
+        const draft = this._clipDrafts.get(draftId);
+        if (!draft || !(time >= 0)) {
+            console.warn(`recordKeyframe: 草稿不存在或时间无效 (${draftId}, ${time})`);
+            return 0;
+        }
+
+        let count = 0;
+        const list = Array.isArray(targets) ? targets : [targets];
+        list.forEach(target => {
+            const node = this._resolveAuthoringNode(draft.modelId, target);
+            if (!node) {
+                console.warn(`recordKeyframe: 找不到节点 ${target?.uuid ?? target}`);
+                return;
+            }
+            const properties = options.properties || this._getDefaultAuthoringProperties(node);
+            properties.forEach(property => {
+                const value = this._sampleAuthoringValue(node, property);
+                if (value && this._writeKeyframe(draft, node, property, time, value, options.interpolation)) count++;
+            });
+        });
+
+        if (count > 0) this._touchClipDraft(draft);
+        return count;
+    }
+
+    /**
+     * 直接写入关键帧值
+     * @param {string} draftId 草稿ID
+     * @param {string|Object3D} target 节点：userData.id、uuid、名称或 Object3D
+     * @param {'position'|'rotation'|'scale'|'visible'|'opacity'|'color'} property 属性
+     * @param {number} time 时间（秒）
+     * @param {*} value 值：position/scale 为 [x,y,z] 或 Vector3；rotation 为欧拉角弧度 [x,y,z]、四元数 [x,y,z,w]、Euler 或 Quaternion；
+     *                  visible 为布尔；opacity 为 0~1；color 为 '#rrggbb'、十六进制数字、Color 或 [r,g,b]
+     * @param {Object} [options={}] 选项
+     * @param {'linear'|'step'|'smooth'} [options.interpolation] 同时设置该轨道的插值方式
+     * @returns {boolean} 是否成功
+     */
+    setKeyframe(draftId, target, property, time, value, options = {}) {
+        const draft = this._clipDrafts.get(draftId);
+        const node = draft ? this._resolveAuthoringNode(draft.modelId, target) : null;
+        if (!node || !(time >= 0)) {
+            console.warn(`setKeyframe: 草稿或节点不存在，或时间无效 (${draftId}, ${target?.uuid ?? target}, ${time})`);
+            return false;
+        }
+        const normalized = this._normalizeAuthoringValue(property, value);
+        if (!normalized) {
+            console.warn(`setKeyframe: 无效的 ${property} 值`, value);
+            return false;
+        }
+        if (!this._writeKeyframe(draft, node, property, time, normalized, options.interpolation)) return false;
+        this._touchClipDraft(draft);
+        return true;
+    }
+
+    /**
+     * 移动关键帧时间，目标时间已有的关键帧被覆盖
+     * @param {string} draftId 草稿ID
+     * @param {string|Object3D|null} target 节点，null 表示全部节点（整列移动）
+     * @param {string|null} property 属性，null 表示该节点的全部属性
+     * @param {number} fromTime 原时间（秒）
+     * @param {number} toTime 新时间（秒）
+     * @returns {boolean} 是否有关键帧被移动
+     */
+    moveKeyframe(draftId, target, property, fromTime, toTime) {
+        const draft = this._clipDrafts.get(draftId);
+        if (!draft || !(toTime >= 0)) return false;
+
+        let moved = 0;
+        this._findDraftTracks(draft, target, property).forEach(track => {
+            const key = track.keys.find(k => Math.abs(k.time - fromTime) < KEY_TIME_EPSILON);
+            if (!key) return;
+            track.keys = track.keys.filter(k => k === key || Math.abs(k.time - toTime) >= KEY_TIME_EPSILON);
+            key.time = toTime;
+            track.keys.sort((a, b) => a.time - b.time);
+            moved++;
+        });
+
+        if (moved > 0) this._touchClipDraft(draft);
+        return moved > 0;
+    }
+
+    /**
+     * 删除关键帧，轨道没有关键帧后一并删除
+     * @param {string} draftId 草稿ID
+     * @param {string|Object3D|null} target 节点，null 表示全部节点
+     * @param {string|null} property 属性，null 表示该节点的全部属性
+     * @param {number} time 时间（秒）
+     * @returns {boolean} 是否有关键帧被删除
+     */
+    removeKeyframe(draftId, target, property, time) {
+        const draft = this._clipDrafts.get(draftId);
+        if (!draft) return false;
+
+        let removed = 0;
+        this._findDraftTracks(draft, target, property).forEach(track => {
+            const count = track.keys.length;
+            track.keys = track.keys.filter(k => Math.abs(k.time - time) >= KEY_TIME_EPSILON);
+            removed += count - track.keys.length;
+            if (track.keys.length === 0) draft.tracks.delete(`${track.node}|${track.property}`);
+        });
+
+        if (removed > 0) this._touchClipDraft(draft);
+        return removed > 0;
+    }
+
+    /**
+     * 设置轨道插值方式（作用于轨道的全部关键帧）
+     * visible 固定为 step；rotation 不支持 smooth，按 linear（球面插值）处理
+     * @param {string} draftId 草稿ID
+     * @param {string|Object3D|null} target 节点，null 表示全部节点
+     * @param {string|null} property 属性，null 表示该节点的全部属性
+     * @param {'linear'|'step'|'smooth'} interpolation 插值方式
+     * @returns {boolean} 是否成功
+     */
+    setTrackInterpolation(draftId, target, property, interpolation) {
+        const draft = this._clipDrafts.get(draftId);
+        const tracks = draft ? this._findDraftTracks(draft, target, property) : [];
+        if (tracks.length === 0 || !AuthoringInterpolation[interpolation]) {
+            console.warn(`setTrackInterpolation: 没有匹配的轨道或插值方式无效 ${interpolation}，可选值 ${Object.keys(AuthoringInterpolation).join('/')}`);
+            return false;
+        }
+        tracks.forEach(track => {
+            track.interpolation = this._resolveAuthoringInterpolation(track.property, interpolation);
+        });
+        this._touchClipDraft(draft);
+        return true;
+    }
+
+    /**
+     * 设置草稿时长
+     * @param {string} draftId 草稿ID
+     * @param {number|null} duration 时长（秒），短于最后一个关键帧时以关键帧为准；null 恢复为自动
+     * @returns {boolean}
+     */
+    setClipDraftDuration(draftId, duration) {
+        const draft = this._clipDrafts.get(draftId);
+        if (!draft) return false;
+        draft.duration = duration > 0 ? duration : null;
+        this._touchClipDraft(draft);
+        return true;
+    }
+
+    /**
+     * 获取草稿内容（轨道与关键帧），供编辑器绘制时间轴
+     * @param {string} draftId 草稿ID
+     * @returns {{id: string, modelId: string, name: string, animationId: string|null, duration: number, previewing: boolean,
+     *           tracks: Array<{node: string, property: string, interpolation: string, keys: Array<{time: number, value: Array}>}>}|null}
+     */
+    getClipDraft(draftId) {
+        const draft = this._clipDrafts.get(draftId);
+        return draft ? this._getClipDraftInfo(draft) : null;
+    }
+
+    /**
+     * 预览草稿：传入 time 时定格到该时间的姿态（可继续用Gizmo调整并录制），否则从当前位置播放
+     * 预览使用独立的 mixer，不影响模型已有动画的状态；停止预览后恢复节点原值
+     * @param {string} draftId 草稿ID
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.time] 定格时间（秒）
+     * @param {boolean} [options.loop=true] 播放时是否循环
+     * @param {number} [options.speed=1] 播放速度
+     * @returns {boolean} 是否成功
+     */
+    previewClipDraft(draftId, options = {}) {
+        const draft = this._clipDrafts.get(draftId);
+        if (!draft || draft.tracks.size === 0) {
+            console.warn(`previewClipDraft: 草稿不存在或没有关键帧 (${draftId})`);
+            return false;
+        }
+        if (!draft.preview) {
+            const model = this.engine?.assetsManager?.getModel(draft.modelId);
+            if (!model) return false;
+            draft.preview = {
+                mixer: new AnimationMixer(model), clip: null, action: null,
+                baseline: this._captureAuthoringBaseline(model), snapshot: new Map(), playing: false, loop: true
+            };
+        }
+
+        const preview = draft.preview;
+        if (draft.dirty || !preview.action) this._rebuildClipDraftPreview(draft);
+        preview.loop = options.loop ?? preview.loop;
+        preview.action.setLoop(preview.loop ? LoopRepeat : LoopOnce, Infinity);
+        preview.action.timeScale = options.speed ?? 1;
+
+        const duration = preview.clip.duration;
+        if (typeof options.time === 'number') {
+            preview.playing = false;
+            preview.action.time = Math.max(0, Math.min(duration, options.time));
+        } else {
+            preview.playing = true;
+            if (!preview.loop && preview.action.time >= duration) preview.action.time = 0;
+        }
+        preview.action.enabled = true;
+        preview.action.paused = false;
+        preview.mixer.update(0);
+
+        this.events.emit('animation:draft:preview', { draftId, playing: preview.playing, time: preview.action.time });
+        return true;
+    }
+
+    /**
+     * 停止预览并恢复节点在预览前的值
+     * @param {string} draftId 草稿ID
+     * @returns {boolean}
+     */
+    stopClipDraftPreview(draftId) {
+        const draft = this._clipDrafts.get(draftId);
+        const preview = draft?.preview;
+        if (!preview) return false;
+
+        preview.action?.stop();
+        preview.mixer.uncacheRoot(preview.mixer.getRoot());
+        preview.snapshot.forEach(entry => {
+            this._applyAuthoringValue(entry.node, entry.property, entry.value);
+            if (entry.transparent !== undefined) {
+                const material = this._getAuthoringMaterial(entry.node);
+                if (material && material.transparent !== entry.transparent) {
+                    material.transparent = entry.transparent;
+                    material.needsUpdate = true;
+                }
+            }
+        });
+        draft.preview = null;
+
+        this.events.emit('animation:draft:preview', { draftId, playing: false, time: null });
+        return true;
+    }
+
+    /**
+     * 将草稿注册为模型的普通动画：加入 model.animations，可按名称播放、绑定到 mesh、设置循环方式，并随 glTF 一同导出
+     * 编辑已注册的动画时原地替换；动画名称在模型内需唯一
+     * glTF 只支持变换轨道，可见性与材质轨道导出时被忽略，完整定义通过 getAuthoredDefinitions 随场景状态保存
+     * @param {string} draftId 草稿ID
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.keepDraft=false] 注册后保留草稿继续编辑（再次注册即更新该动画）
+     * @returns {string|null} 动画ID
+     */
+    registerClipDraft(draftId, options = {}) {
+        const draft = this._clipDrafts.get(draftId);
+        const model = draft ? this.engine?.assetsManager?.getModel(draft.modelId) : null;
+        if (!model || draft.tracks.size === 0) {
+            console.warn(`registerClipDraft: 草稿不存在、模型已移除或没有关键帧 (${draftId})`);
+            return null;
+        }
+        const replacing = draft.animationId && this.animations.has(draft.animationId) ? draft.animationId : null;
+        const duplicate = this.getModelAnimations(draft.modelId).some(a => a.name === draft.name && a.id !== replacing);
+        if (duplicate) {
+            console.warn(`registerClipDraft: 模型 ${draft.modelId} 已存在名为 ${draft.name} 的动画`);
+            return null;
+        }
+
+        this.stopClipDraftPreview(draftId);
+        const clip = this._buildAuthoredClip(draft, model);
+        clip.userData.authored = true;
+
+        const animationId = replacing
+            ? this._replaceAuthoredClip(replacing, clip, model)
+            : this._addAuthoredClip(draft.modelId, clip, model);
+        if (!animationId) return null;
+
+        const { modelId, name, duration, tracks } = this._getClipDraftInfo(draft);
+        this._authoredClips.set(animationId, { modelId, name, duration: draft.duration, tracks });
+        if (options.keepDraft) {
+            draft.animationId = animationId;
+        } else {
+            this._clipDrafts.delete(draftId);
+            this.events.emit('animation:draft:removed', { draftId });
+        }
+
+        this.events.emit('animation:authored', { modelId, animationId, name, duration });
+        return animationId;
+    }
+
+    /**
+     * 丢弃草稿（已注册的动画不受影响）
+     * @param {string} draftId 草稿ID
+     * @returns {boolean}
+     */
+    discardClipDraft(draftId) {
+        if (!this._clipDrafts.has(draftId)) return false;
+        this.stopClipDraftPreview(draftId);
+        this._clipDrafts.delete(draftId);
+        this.events.emit('animation:draft:removed', { draftId });
+        return true;
+    }
+
+    /**
+     * 按定义注册程序化动画（导入场景状态时使用）
+     * @param {{modelId: string, name: string, duration?: number|null, tracks: Array}} definition getAuthoredDefinitions 返回的定义
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.replace=false] 模型已有同名动画时用完整定义替换它
+     *        （从导出的 glTF 重新加载的模型只带变换轨道，可见性与材质轨道需由定义补回）
+     * @returns {string|null} 动画ID
+     */
+    registerAuthoredClip(definition, options = {}) {
+        const draftId = this.createClipDraft(definition?.modelId, definition?.name, { duration: definition?.duration });
+        if (!draftId) return null;
+        const draft = this._clipDrafts.get(draftId);
+        this._loadClipDraftTracks(draft, definition.tracks);
+        if (options.replace) {
+            const existing = this.getModelAnimations(definition.modelId).find(a => a.name === definition.name);
+            if (existing) draft.animationId = existing.id;
+        }
+        const animationId = this.registerClipDraft(draftId);
+        if (!animationId) this.discardClipDraft(draftId);
+        return animationId;
+    }
+
+    /**
+     * 获取已注册程序化动画的定义（用于保存后重新注册）
+     * @param {string} [modelId] 模型ID，不传则返回全部
+     * @returns {Array<{animationId: string, modelId: string, name: string, duration: number|null, tracks: Array}>}
+     */
+    getAuthoredDefinitions(modelId = null) {
+        const result = [];
+        this._authoredClips.forEach((def, animationId) => {
+            if (!modelId || def.modelId === modelId) {
+                result.push({ animationId, ...JSON.parse(JSON.stringify(def)) });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 在模型中查找录制目标节点：Object3D、userData.id、uuid、名称（依次优先）
+     * @private
+     */
+    _resolveAuthoringNode(modelId, target) {
+        const model = this.engine?.assetsManager?.getModel(modelId);
+        if (!model || target == null) return null;
+
+        let byId = null, byUuid = null, byName = null;
+        model.traverse(obj => {
+            if (obj.userData?.__isHotspot) return;
+            if (obj === target || obj.userData?.id === target) byId = byId || obj;
+            else if (obj.uuid === target) byUuid = obj;
+            else if (obj.name && obj.name === target) byName = byName || obj;
+        });
+        return byId || byUuid || byName;
+    }
+
+    /**
+     * @private
+     */
+    _getAuthoringNodeId(node) {
+        return node.userData?.id ?? node.uuid;
+    }
+
+    /**
+     * 材质轨道只支持单一材质（多材质 mesh 无法用一条轨道描述）
+     * @private
+     */
+    _getAuthoringMaterial(node) {
+        const material = node?.material;
+        return material && !Array.isArray(material) ? material : null;
+    }
+
+    /**
+     * @private
+     */
+    _getDefaultAuthoringProperties(node) {
+        const properties = ['position', 'rotation', 'scale', 'visible'];
+        const material = node.isMesh ? this._getAuthoringMaterial(node) : null;
+        if (material) {
+            properties.push('opacity');
+            if (material.color) properties.push('color');
+        }
+        return properties;
+    }
+
+    /**
+     * 读取节点当前值（轨道值格式）
+     * @private
+     */
+    _sampleAuthoringValue(node, property) {
+        const material = this._getAuthoringMaterial(node);
+        switch (property) {
+            case 'position': return node.position.toArray();
+            case 'rotation': return node.quaternion.toArray();
+            case 'scale': return node.scale.toArray();
+            case 'visible': return [node.visible];
+            case 'opacity': return material ? [material.opacity] : null;
+            case 'color': return material?.color ? material.color.toArray() : null;
+            default:
+                console.warn(`未知的动画属性 ${property}，可选值 ${Object.keys(AuthoringProperty).join('/')}`);
+                return null;
+        }
+    }
+
+    /**
+     * 将值写回节点（停止预览时恢复）
+     * @private
+     */
+    _applyAuthoringValue(node, property, value) {
+        const material = this._getAuthoringMaterial(node);
+        switch (property) {
+            case 'position': node.position.fromArray(value); break;
+            case 'rotation': node.quaternion.fromArray(value); break;
+            case 'scale': node.scale.fromArray(value); break;
+            case 'visible': node.visible = value[0]; break;
+            case 'opacity': if (material) material.opacity = value[0]; break;
+            case 'color': material?.color?.fromArray(value); break;
+        }
+    }
+
+    /**
+     * 将外部传入的关键帧值转换为轨道值格式，无效时返回 null
+     * @private
+     */
+    _normalizeAuthoringValue(property, value) {
+        const isNumbers = (arr, size) => Array.isArray(arr) && arr.length === size && arr.every(Number.isFinite);
+        const toArray = (v) => (v && typeof v === 'object' && !Array.isArray(v) && 'x' in v) ? [v.x, v.y, v.z] : v;
+
+        switch (property) {
+            case 'position':
+            case 'scale': {
+                const arr = toArray(value);
+                return isNumbers(arr, 3) ? arr.slice() : null;
+            }
+            case 'rotation': {
+                if (value?.isQuaternion) return value.clone().normalize().toArray();
+                if (isNumbers(value, 4)) return new Quaternion().fromArray(value).normalize().toArray();
+                const arr = value?.isEuler ? [value.x, value.y, value.z] : toArray(value);
+                if (!isNumbers(arr, 3)) return null;
+                return new Quaternion().setFromEuler(new Euler(arr[0], arr[1], arr[2], value?.order)).toArray();
+            }
+            case 'visible':
+                return typeof value === 'boolean' ? [value] : null;
+            case 'opacity':
+                return Number.isFinite(value) ? [Math.max(0, Math.min(1, value))] : null;
+            case 'color':
+                if (isNumbers(value, 3)) return value.slice();
+                if (value?.isColor || typeof value === 'number' || typeof value === 'string') return new Color(value).toArray();
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _resolveAuthoringInterpolation(property, interpolation) {
+        if (property === 'visible') return 'step';
+        // 四元数轨道只有线性（球面）与阶跃插值
+        if (property === 'rotation' && interpolation === 'smooth') return 'linear';
+        return interpolation;
+    }
+
+    /**
+     * 写入单个关键帧（同一时间已有则覆盖）
+     * @private
+     */
+    _writeKeyframe(draft, node, property, time, value, interpolation) {
+        const spec = AuthoringProperty[property];
+        if (!spec) {
+            console.warn(`未知的动画属性 ${property}，可选值 ${Object.keys(AuthoringProperty).join('/')}`);
+            return false;
+        }
+        if (spec.material && !this._getAuthoringMaterial(node)) {
+            console.warn(`节点 ${node.name || node.uuid} 没有单一材质，无法录制 ${property}`);
+            return false;
+        }
+        if (interpolation && !AuthoringInterpolation[interpolation]) {
+            console.warn(`无效的插值方式 ${interpolation}，可选值 ${Object.keys(AuthoringInterpolation).join('/')}`);
+            return false;
+        }
+
+        const nodeId = this._getAuthoringNodeId(node);
+        const trackKey = `${nodeId}|${property}`;
+        let track = draft.tracks.get(trackKey);
+        if (!track) {
+            track = { node: nodeId, property, interpolation: this._resolveAuthoringInterpolation(property, 'linear'), keys: [] };
+            draft.tracks.set(trackKey, track);
+        }
+        if (interpolation) track.interpolation = this._resolveAuthoringInterpolation(property, interpolation);
+
+        const existing = track.keys.find(k => Math.abs(k.time - time) < KEY_TIME_EPSILON);
+        if (existing) {
+            existing.value = value;
+        } else {
+            track.keys.push({ time, value });
+            track.keys.sort((a, b) => a.time - b.time);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _findDraftTracks(draft, target, property) {
+        let nodeId = null;
+        if (target != null) {
+            const node = this._resolveAuthoringNode(draft.modelId, target);
+            if (!node) return [];
+            nodeId = this._getAuthoringNodeId(node);
+        }
+        return Array.from(draft.tracks.values()).filter(track =>
+            (nodeId === null || track.node === nodeId) && (!property || track.property === property));
+    }
+
+    /**
+     * @private
+     */
+    _loadClipDraftTracks(draft, tracks = []) {
+        tracks.forEach(track => {
+            if (!AuthoringProperty[track?.property] || !Array.isArray(track.keys) || track.keys.length === 0) return;
+            const interpolation = AuthoringInterpolation[track.interpolation] ? track.interpolation : 'linear';
+            draft.tracks.set(`${track.node}|${track.property}`, {
+                node: track.node,
+                property: track.property,
+                interpolation: this._resolveAuthoringInterpolation(track.property, interpolation),
+                keys: track.keys
+                    .map(k => ({ time: k.time, value: k.value.slice() }))
+                    .sort((a, b) => a.time - b.time)
+            });
+        });
+    }
+
+    /**
+     * 草稿变更：正在播放的预览在下一帧按新关键帧重建
+     * @private
+     */
+    _touchClipDraft(draft) {
+        draft.dirty = true;
+        this.events.emit('animation:draft:updated', this._getClipDraftInfo(draft));
+    }
+
+    /**
+     * @private
+     */
+    _getClipDraftDuration(draft) {
+        let last = 0;
+        draft.tracks.forEach(track => { last = Math.max(last, track.keys[track.keys.length - 1]?.time ?? 0); });
+        return Math.max(draft.duration ?? 0, last, CONSTANTS.MINIMAL_DURATION);
+    }
+
+    /**
+     * @private
+     */
+    _getClipDraftInfo(draft) {
+        return {
+            id: draft.id,
+            modelId: draft.modelId,
+            name: draft.name,
+            animationId: draft.animationId,
+            duration: this._getClipDraftDuration(draft),
+            previewing: !!draft.preview,
+            tracks: Array.from(draft.tracks.values(), track => ({
+                node: track.node,
+                property: track.property,
+                interpolation: track.interpolation,
+                keys: track.keys.map(k => ({ time: k.time, value: k.value.slice() }))
+            }))
+        };
+    }
+
+    /**
+     * 轨道绑定名：模型内唯一且不含保留字符的节点名，否则用 uuid
+     * uuid 轨道在当前会话内可正常播放和导出（导出的 glTF 按节点索引引用），但 uuid 不能跨会话保存，
+     * 导出文件重新加载后按节点名绑定，重名节点可能绑定到错误的节点
+     * @private
+     */
+    _getAuthoringBindingName(model, node) {
+        const name = node.name;
+        if (name && PropertyBinding.sanitizeNodeName(name) === name) {
+            let count = 0;
+            model.traverse(obj => { if (obj.name === name) count++; });
+            if (count === 1) return name;
+        }
+        if (node !== model) {
+            console.warn(`节点 ${name || node.uuid} 名称为空、重名或含保留字符，动画轨道按 uuid 绑定，导出后重新加载时可能绑定到错误的节点`);
+        }
+        return node === model ? '' : node.uuid;
+    }
+
+    /**
+     * 由草稿生成 AnimationClip
+     * @private
+     */
+    _buildAuthoredClip(draft, model) {
+        const nodes = new Map();
+        model.traverse(obj => nodes.set(this._getAuthoringNodeId(obj), obj));
+
+        const tracks = [];
+        draft.tracks.forEach(track => {
+            const node = nodes.get(track.node);
+            if (!node) {
+                console.warn(`程序化动画 ${draft.name}: 找不到节点 ${track.node}，已跳过该轨道`);
+                return;
+            }
+            const spec = AuthoringProperty[track.property];
+            const name = `${this._getAuthoringBindingName(model, node)}.${spec.path}`;
+            const times = track.keys.map(k => k.time);
+            const values = track.keys.flatMap(k => k.value);
+            const keyframeTrack = new spec.Track(name, times, values);
+            if (spec.Track !== BooleanKeyframeTrack) {
+                keyframeTrack.setInterpolation(AuthoringInterpolation[track.interpolation]);
+            }
+            tracks.push(keyframeTrack);
+
+            // 透明度动画需要材质开启透明
+            const material = this._getAuthoringMaterial(node);
+            if (track.property === 'opacity' && material && !material.transparent && values.some(v => v < 1)) {
+                material.transparent = true;
+                material.needsUpdate = true;
+            }
+        });
+        return new AnimationClip(draft.name, this._getClipDraftDuration(draft), tracks);
+    }
+
+    /**
+     * 新增程序化动画；模型原本没有动画时按加载流程创建 mixer
+     * @private
+     */
+    _addAuthoredClip(modelId, clip, model) {
+        if (!Array.isArray(model.animations)) model.animations = [];
+        const index = model.animations.push(clip) - 1;
+        const animationId = `${modelId}_animation_${index}`;
+
+        const mixer = this.mixers.get(modelId);
+        if (!mixer) {
+            this._setupModelAnimations(model, modelId);
+            return animationId;
+        }
+
+        this._createAnimationAction(clip, modelId, index, mixer);
+        this._modelStates?.set(animationId, {
+            position: model.position.clone(),
+            rotation: model.rotation.clone(),
+            scale: model.scale.clone()
+        });
+        this._emitAnimationsLoadedEvent(modelId);
+        return animationId;
+    }
+
+    /**
+     * 原地替换已注册的程序化动画，保留动画ID与播放参数
+     * @private
+     */
+    _replaceAuthoredClip(animationId, clip, model) {
+        const config = this.animations.get(animationId);
+        const mixer = this.mixers.get(config.modelId);
+        const index = model.animations?.indexOf(config.clip) ?? -1;
+        if (!mixer || index < 0) {
+            console.warn(`registerClipDraft: 动画 ${animationId} 已不在模型中`);
+            return null;
+        }
+
+        const { action: oldAction, clip: oldClip, enabled } = config;
+        this._clearTimer(config.startDelayTimerId);
+        if (oldAction._onceFinishHandler) oldAction.removeEventListener?.('finished', oldAction._onceFinishHandler);
+        if (oldAction._loopHandler) oldAction.removeEventListener?.('loop', oldAction._loopHandler);
+        oldAction.stop();
+        this._actionToInfo.delete(oldAction);
+        mixer.uncacheClip(oldClip);
+
+        model.animations[index] = clip;
+        this._createAnimationAction(clip, config.modelId, index, mixer);
+        const next = this.animations.get(animationId);
+        ['speed', 'playDirection', 'loopMode', 'loopCount', 'startDelay', 'fadeInTime', 'fadeOutTime', 'weight'].forEach(key => {
+            next[key] = config[key];
+        });
+        if (enabled) this.playAnimation(animationId);
+        mixer.update(0);
+
+        this._emitAnimationsLoadedEvent(config.modelId);
+        return animationId;
+    }
+
+    /**
+     * 预览开始时记录模型各节点的原值：预览期间首次录制的节点可能已被 Gizmo 改动，原值只能取自这里
+     * @private
+     */
+    _captureAuthoringBaseline(model) {
+        const baseline = new Map();
+        model.traverse(node => {
+            const material = this._getAuthoringMaterial(node);
+            const values = {
+                position: node.position.toArray(),
+                rotation: node.quaternion.toArray(),
+                scale: node.scale.toArray(),
+                visible: [node.visible]
+            };
+            if (material) {
+                values.opacity = [material.opacity];
+                values.transparent = material.transparent;
+                if (material.color) values.color = material.color.toArray();
+            }
+            baseline.set(node, values);
+        });
+        return baseline;
+    }
+
+    /**
+     * 按当前关键帧重建预览 action，保持播放位置；首次涉及的节点属性从预览前的原值记录快照，用于停止时恢复
+     * @private
+     */
+    _rebuildClipDraftPreview(draft) {
+        const preview = draft.preview;
+        const model = preview.mixer.getRoot();
+        const time = preview.action?.time ?? 0;
+        if (preview.action) {
+            preview.action.stop();
+            preview.mixer.uncacheClip(preview.clip);
+        }
+
+        draft.tracks.forEach((track, trackKey) => {
+            if (preview.snapshot.has(trackKey)) return;
+            const node = this._resolveAuthoringNode(draft.modelId, track.node);
+            const values = node ? preview.baseline.get(node) : null;
+            const value = values?.[track.property];
+            if (!value) return;
+            const entry = { node, property: track.property, value };
+            if (track.property === 'opacity') entry.transparent = values.transparent;
+            preview.snapshot.set(trackKey, entry);
+        });
+
+        preview.clip = this._buildAuthoredClip(draft, model);
+        preview.action = preview.mixer.clipAction(preview.clip);
+        preview.action.clampWhenFinished = true;
+        preview.action.setLoop(preview.loop ? LoopRepeat : LoopOnce, Infinity);
+        preview.action.play();
+        preview.action.time = Math.min(time, preview.clip.duration);
+        draft.dirty = false;
+    }
+
+    /**
+     * 推进正在播放的草稿预览（在模型动画之后，预览姿态优先）
+     * @private
+     */
+    _updateClipDraftPreviews(deltaTime) {
+        this._clipDrafts.forEach(draft => {
+            const preview = draft.preview;
+            if (!preview?.playing) return;
+            if (draft.dirty) this._rebuildClipDraftPreview(draft);
+            preview.mixer.update(deltaTime);
+        });
+    }
+
+    /**
+     * 检查track的值是否有实际变化（过滤静止轨道）
+     * @private
+     * @param {KeyframeTrack} track 动画track
+     * @returns {boolean} 是否有变化
+     */
+    _isTrackEffective(track) {
+        if (!track || !track.values || track.values.length === 0) {
+            return false;
+        }
+        
+        if (track.times && track.times.length < 2) {
+            return false;
+        }
+        
+        const values = track.values;
+        const valueSize = track.getValueSize();
+        
+        // 如果只有一个关键帧，认为没有变化
+        if (values.length <= valueSize) {
+            return false;
+        }
+        
+        // 简单采样检查：允许小的浮点误差
+        const epsilon = CONSTANTS.TIME_EPSILON_RATIO || 0.0001;
+        for (let i = valueSize; i < values.length; i += valueSize) {
+            for (let j = 0; j < valueSize; j++) {
+                if (Math.abs(values[i + j] - values[j]) > epsilon) {
+                    return true; // 发现变化
+                }
+            }
+        }
+        
+        return false; // 所有值都相同，没有变化
+    }
+    
+    /**
+     * 通用辅助：向上冒泡查找逻辑ID节点
+     * @private
+     * @param {THREE.Object3D} object 起始节点
+     * @param {THREE.Object3D} [rootModel] 模型根节点(可选)
+     * @returns {Object|null} { id, node, hasBinding } 或 null
+     */
+    _findLogicalId(object, rootModel = null) {
+        let current = object;
+        while (current) {
+            // 1. 优先检查绑定标记 (Mesh级别)
+            if (current.userData?.__hasAnimationBinding) {
+                return { 
+                    id: current.userData?.id || null, 
+                    node: current, 
+                    hasBinding: true 
+                };
+            }
+            
+            // 2. 检查 ID 
+            if (current.userData?.id) {
+                return { 
+                    id: current.userData.id, 
+                    node: current, 
+                    hasBinding: !!current.userData.__hasAnimationBinding 
+                };
+            }
+            
+            // 到达根节点或模型根节点时停止
+            if ((rootModel && current === rootModel) || !current.parent) {
+                break;
+            }
+            current = current.parent;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {Object3D} model 模型根节点
+     * @returns {Map<Object3D, Object>} 节点到逻辑信息的映射
+     */
+    _buildLogicalIdMap(model) {
+        const map = new Map();
+        if (!model) return map;
+
+        // 递归遍历，向下传递当前的逻辑上下文
+        const traverse = (node, currentLogicalInfo) => {
+            let nextLogicalInfo = currentLogicalInfo;
+
+            if (node.userData?.__hasAnimationBinding) {
+                nextLogicalInfo = {
+                    id: node.userData?.id || null,
+                    node: node,
+                    hasBinding: true
+                };
+            } else if (node.userData?.id) {
+                nextLogicalInfo = {
+                    id: node.userData.id,
+                    node: node,
+                    hasBinding: !!node.userData.__hasAnimationBinding
+                };
+            }
+
+            // 记录当前节点的逻辑信息
+            if (nextLogicalInfo) {
+                map.set(node, nextLogicalInfo);
+            }
+
+            // 继续遍历子节点
+            if (node.children) {
+                for (let i = 0; i < node.children.length; i++) {
+                    traverse(node.children[i], nextLogicalInfo);
+                }
+            }
+        };
+
+        traverse(model, null);
+        return map;
+    }
+
+    /**
+     * 纯净路径 ID 生成器
+     * ID 格式：父ID-节点名
+     * @param {THREE.Object3D} model 模型根节点
+     */
+    _initModelStableIds(model) {
+        if (!model) return;
+
+        const idRegistry = new Map();
+
+        const traverseAndGenerate = (node, parentPathId) => {
+            if (!node) return;
+
+            let currentId = null;
+
+            if (node.userData && node.userData.id && !node.userData.__generated) {
+                currentId = node.userData.id;
+            } 
+            else {
+                const safeName = this._slugifyName(node.name || node.type || 'node');
+                
+                let baseId = parentPathId ? `${parentPathId}-${safeName}` : safeName;
+                
+                let count = idRegistry.get(baseId) || 0;
+                count++;
+                idRegistry.set(baseId, count);
+
+                if (count === 1) {
+                    currentId = baseId;
+                } else {
+                    currentId = `${baseId}_#${count}`; 
+                    console.warn(`检测到重名路径，已自动添加后缀: ${currentId}`);
+                }
+
+                if (!node.userData) node.userData = {};
+                if (!node.userData.id) {
+                    node.userData.id = currentId;
+                    node.userData.__generated = true;
+                } else {
+                    currentId = node.userData.id;
+                }
+            }
+
+            if (node.children && node.children.length > 0) {
+                node.children.forEach(child => traverseAndGenerate(child, currentId));
+            }
+        };
+
+        traverseAndGenerate(model, null);
+    }
+
+    /**
+     * 名称清洗，适合作为路径片段
+     * 中文通过哈希算法转换为字母数字组合
+     * @private
      */
     _slugifyName(name) {
         if (!name) return 'node';
@@ -3952,6 +5446,19 @@ export class AnimationController {
         return duration * 0.25;
     }
 
+    /**
+     * 以模型根节点的当前变换更新保存的初始状态
+     * 布局等外部逻辑移动模型后调用，避免动画结束恢复状态时把模型移回原位置
+     * @param {string} modelId 模型ID
+     * @param {THREE.Object3D} [model] 模型根节点，不传则从资源管理器获取
+     * @returns {boolean} 模型有动画且已更新时为 true
+     */
+    updateModelInitialState(modelId, model = this.engine?.assetsManager?.getModel(modelId)) {
+        if (!model || this.mixers.get(modelId)?.getRoot() !== model) return false;
+        this._saveModelInitialState(model, modelId);
+        return true;
+    }
+
     /**
      * 保存模型初始状态
      * @private
@@ -4240,6 +5747,17 @@ export class AnimationController {
             }
         }
         
+        // 检查动画层
+        for (const layer of this._layers.get(modelId)?.values() || []) {
+            for (const { action } of layer.entries.values()) {
+                // 停止后的 action 仍保留最后的有效权重，只按调度状态判断；
+                // 停在末帧（暂停）的 action 仍需更新，层权重变化才能生效
+                if (action.enabled && action.isScheduled()) {
+                    return true;
+                }
+            }
+        }
+        
         return false;
     }
     
@@ -4290,26 +5808,36 @@ export class AnimationController {
     update(deltaTime) {
         this._frameCount++;
         const shouldUpdateBounds = this._frameCount % 10 === 0;
+        this._updateLayerFades(deltaTime);
         
         this.mixers.forEach((mixer, modelId) => {
             if (!mixer?.update) return;
             
+            // 拖动模式下由 seekAnimation 驱动，mixer 不随帧推进
+            if (this._scrubbing.has(modelId)) return;
+            
             if (!this._checkActiveAnimations(modelId)) return;
             
             this._updateMixerAnimations(modelId, mixer, deltaTime, shouldUpdateBounds);
         });
+        this._updateClipDraftPreviews(deltaTime);
         this._refreshHoverIfNeeded();
     }
 
     /**
      * 在必要时用当前鼠标位置刷新一次hover命中。
      * @private
+     * @param {boolean} [force=false] 不检查是否有悬停或活跃动画，直接刷新（定位动画后姿态已变化）
      */
-    _refreshHoverIfNeeded() {
+    _refreshHoverIfNeeded(force = false) {
         const im = this.engine?.inputManager;
         const pos = im?.mouse?.position;
         if (!pos) return;
         if (im?.mouse?.isDragging) return;
+        if (force) {
+            this._onMouseMoveHover({ position: pos });
+            return;
+        }
 
         const hasHovered = !!this._hoveredMesh;
         let hasActive = false;
@@ -4408,6 +5936,10 @@ export class AnimationController {
             this._modelActiveCount.clear();
             this._splitAnimationIds.clear();
             this._splitCreationTime.clear();
+            this._splitDefinitions.clear();
+            this._clipDrafts.forEach(draft => draft.preview?.mixer.stopAllAction());
+            this._clipDrafts.clear();
+            this._authoredClips.clear();
             this._highlightedMeshesSet.clear();
             
             // 清理模型状态
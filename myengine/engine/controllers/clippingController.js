@@ -0,0 +1,723 @@
+/**
+ * 剖切控制器 - 剖切平面/剖切盒，并用模板缓冲在剖面上绘制实心封盖
+ */
+import {
+    Group,
+    Object3D,
+    Plane,
+    Vector3,
+    Quaternion,
+    Box3,
+    Mesh,
+    SkinnedMesh,
+    PlaneGeometry,
+    BoxGeometry,
+    EdgesGeometry,
+    LineSegments,
+    LineBasicMaterial,
+    MeshBasicMaterial,
+    MeshStandardMaterial,
+    FrontSide,
+    BackSide,
+    DoubleSide,
+    AlwaysStencilFunc,
+    NotEqualStencilFunc,
+    IncrementWrapStencilOp,
+    DecrementWrapStencilOp,
+    ReplaceStencilOp
+} from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 剖切事件名称常量
+ * @type {Object.<string, string>}
+ */
+const CLIPPING_EVENTS = {
+    CHANGED: 'clipping:changed',
+    ADDED: 'clipping:added',
+    REMOVED: 'clipping:removed'
+};
+
+const DEFAULT_CAP_COLOR = 0xd9534f;
+const BOX_ID = 'box';
+const CLIP_EPSILON = 1e-4;
+
+// 单位立方体的6个内向平面（局部坐标），变换到剖切盒后保留盒内部分
+const UNIT_BOX_PLANES = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+].map(n => new Plane(new Vector3(...n), 0.5));
+
+export class ClippingController {
+    events = new EventBus();
+
+    enabled = true;
+    capsEnabled = true;
+
+    // 剖切项 id -> { id, type: 'plane'|'box', helper, planes: Plane[], capColor }
+    entries = new Map();
+
+    _activePlanes = [];          // 赋给模型材质的共享平面数组（原地修改）
+    _materials = new Map();      // 被接管的材质 -> 原始 clippingPlanes
+    _root = null;                // 辅助对象根节点（平面可视化、封盖、模板网格）
+    _capGroup = null;
+    _capItems = [];              // [{ plane, stencilGroup, cap, pairs: [[source, copy]] }]
+    _capSize = 10;
+    _capsDirty = false;
+    _nextId = 1;
+    _unsubscribers = [];
+
+    /**
+     * 创建剖切控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.scene = engine?.mainScene;
+        this.renderer = engine?.renderer;
+        this._temp = {
+            normal: new Vector3(),
+            point: new Vector3(),
+            quat: new Quaternion(),
+            plane: new Plane(),
+            box: new Box3()
+        };
+
+        // 注册更新回调
+        engine?.addUpdateCallback('clippingController', this.update.bind(this));
+
+        // 模型或材质变化后重新接管材质、重建封盖
+        const bus = engine?.events;
+        if (bus) {
+            ['model:loaded', 'model:swapped', 'model:replaced', 'model:removed', 'lod:changed', 'scene:model', 'scene:loaded', 'material:textureReplaced'].forEach(event => {
+                this._unsubscribers.push(bus.on(event, () => this.refresh()));
+            });
+        }
+    }
+
+    /**
+     * 添加剖切平面（保留法线指向的一侧）
+     * @param {Object} [options={}] 平面选项
+     * @param {string} [options.id] 平面ID
+     * @param {Array<number>|Object} [options.normal=[0,-1,0]] 法线
+     * @param {Array<number>|Object} [options.point=[0,0,0]] 平面上一点
+     * @param {number} [options.constant] 平面常量（提供时忽略 point）
+     * @param {number|string} [options.capColor] 封盖颜色
+     * @param {boolean} [options.showHelper=false] 是否显示平面辅助框
+     * @returns {string|null} 平面ID
+     */
+    addPlane(options = {}) {
+        if (!this.scene) {
+            console.warn('ClippingController: 场景未初始化');
+            return null;
+        }
+        const id = options.id ?? `plane_${this._nextId++}`;
+        if (this.entries.has(id)) {
+            console.warn(`ClippingController.addPlane: 平面ID已存在 ${id}`);
+            return null;
+        }
+        this._ensureRoot();
+
+        const helper = this._createPlaneHelper(options.capColor);
+        helper.visible = !!options.showHelper;
+        this._root.add(helper);
+
+        const entry = { id, type: 'plane', helper, planes: [new Plane(new Vector3(0, -1, 0), 0)], capColor: options.capColor ?? DEFAULT_CAP_COLOR };
+        this.entries.set(id, entry);
+        this._applyPlaneOptions(entry, options);
+
+        this._onEntriesChanged();
+        this.events.emit(CLIPPING_EVENTS.ADDED, { id, type: 'plane' });
+        return id;
+    }
+
+    /**
+     * 更新剖切平面
+     * @param {string} id 平面ID
+     * @param {Object} options { normal, point, constant, capColor, showHelper }
+     * @returns {boolean} 是否更新
+     */
+    updatePlane(id, options = {}) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.type !== 'plane') {
+            console.warn(`ClippingController.updatePlane: 平面不存在 ${id}`);
+            return false;
+        }
+        this._applyPlaneOptions(entry, options);
+        if (options.capColor !== undefined) this.setCapColor(options.capColor, id);
+        if (options.showHelper !== undefined) entry.helper.visible = !!options.showHelper;
+        this._syncEntry(entry);
+        this._emitChanged();
+        return true;
+    }
+
+    /**
+     * 设置剖切盒（只保留盒内部分）
+     * @param {Box3|Object} box 包围盒 { min, max }
+     * @param {Object} [options={}] { capColor, showHelper }
+     * @returns {boolean} 是否设置成功
+     */
+    setBox(box, options = {}) {
+        const min = this._toVector3(box?.min);
+        const max = this._toVector3(box?.max);
+        if (!min || !max || min.x > max.x || min.y > max.y || min.z > max.z) {
+            console.warn('ClippingController.setBox: 无效的包围盒');
+            return false;
+        }
+        this._ensureRoot();
+
+        let entry = this.entries.get(BOX_ID);
+        if (!entry) {
+            const helper = this._createBoxHelper();
+            this._root.add(helper);
+            entry = { id: BOX_ID, type: 'box', helper, planes: UNIT_BOX_PLANES.map(() => new Plane()), capColor: DEFAULT_CAP_COLOR };
+            this.entries.set(BOX_ID, entry);
+            this.events.emit(CLIPPING_EVENTS.ADDED, { id: BOX_ID, type: 'box' });
+        }
+
+        entry.helper.position.addVectors(min, max).multiplyScalar(0.5);
+        entry.helper.quaternion.identity();
+        entry.helper.scale.subVectors(max, min).max(new Vector3(CLIP_EPSILON, CLIP_EPSILON, CLIP_EPSILON));
+        entry.helper.visible = options.showHelper !== undefined ? !!options.showHelper : entry.helper.visible;
+        if (options.capColor !== undefined) entry.capColor = options.capColor;
+
+        this._onEntriesChanged();
+        return true;
+    }
+
+    /**
+     * 按模型包围盒设置剖切盒
+     * @param {string} [modelId] 模型ID，不传则使用全部模型
+     * @param {Object} [options={}] { padding: 外扩比例, capColor, showHelper }
+     * @returns {boolean}
+     */
+    setBoxFromModel(modelId = null, options = {}) {
+        const box = this._computeModelsBox(modelId);
+        if (box.isEmpty()) {
+            console.warn('ClippingController.setBoxFromModel: 未找到模型');
+            return false;
+        }
+        const padding = options.padding ?? 0.01;
+        box.expandByVector(box.getSize(new Vector3()).multiplyScalar(padding));
+        return this.setBox(box, options);
+    }
+
+    /**
+     * 移除剖切盒
+     * @returns {boolean}
+     */
+    removeBox() {
+        return this.removePlane(BOX_ID);
+    }
+
+    /**
+     * 移除剖切平面或剖切盒
+     * @param {string} id 平面ID（剖切盒为 'box'）
+     * @returns {boolean} 是否移除
+     */
+    removePlane(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+        if (this.engine?.transformController?.target?.object === entry.helper) {
+            this.engine.transformController.detach();
+        }
+        this._disposeObject(entry.helper);
+        this.entries.delete(id);
+        this._onEntriesChanged();
+        this.events.emit(CLIPPING_EVENTS.REMOVED, { id });
+        return true;
+    }
+
+    /**
+     * 清空所有剖切
+     * @returns {void}
+     */
+    clear() {
+        Array.from(this.entries.keys()).forEach(id => this.removePlane(id));
+    }
+
+    /**
+     * 在视口中拖拽编辑剖切平面/剖切盒（使用变换Gizmo）
+     * @param {string} id 平面ID（剖切盒为 'box'）
+     * @param {'translate'|'rotate'|'scale'} [mode='translate'] 变换模式
+     * @returns {boolean} 是否开始编辑
+     */
+    editPlane(id, mode = 'translate') {
+        const entry = this.entries.get(id);
+        const gizmo = this.engine?.transformController;
+        if (!entry || !gizmo) {
+            console.warn(`ClippingController.editPlane: 平面不存在或变换控制器未初始化 ${id}`);
+            return false;
+        }
+        entry.helper.visible = true;
+        gizmo.setMode(mode);
+        return gizmo.attach(entry.helper);
+    }
+
+    /**
+     * 结束拖拽编辑
+     * @returns {void}
+     */
+    stopEditing() {
+        const gizmo = this.engine?.transformController;
+        const object = gizmo?.target?.object;
+        if (!object) return;
+        for (const entry of this.entries.values()) {
+            if (entry.helper === object) {
+                gizmo.detach();
+                return;
+            }
+        }
+    }
+
+    /**
+     * 启用/禁用剖切（保留平面配置）
+     * @param {boolean} enabled 是否启用
+     * @returns {void}
+     */
+    setEnabled(enabled = true) {
+        this.enabled = !!enabled;
+        this._onEntriesChanged();
+    }
+
+    /**
+     * 启用/禁用剖面封盖
+     * @param {boolean} enabled 是否启用
+     * @returns {void}
+     */
+    setCapsEnabled(enabled = true) {
+        this.capsEnabled = !!enabled;
+        this._capsDirty = true;
+    }
+
+    /**
+     * 设置封盖颜色
+     * @param {number|string} color 颜色
+     * @param {string} [id] 平面ID，不传则设置全部
+     * @returns {void}
+     */
+    setCapColor(color, id = null) {
+        this.entries.forEach(entry => {
+            if (id && entry.id !== id) return;
+            entry.capColor = color;
+            entry.helper.traverse(obj => {
+                if (obj.userData?.__clippingTint) obj.material.color.set(color);
+            });
+        });
+        this._capItems.forEach(item => {
+            if (!id || item.entryId === id) item.cap.material.color.set(color);
+        });
+    }
+
+    /**
+     * 显示/隐藏平面辅助框
+     * @param {boolean} visible 是否可见
+     * @param {string} [id] 平面ID，不传则设置全部
+     * @returns {void}
+     */
+    setHelpersVisible(visible = true, id = null) {
+        this.entries.forEach(entry => {
+            if (!id || entry.id === id) entry.helper.visible = !!visible;
+        });
+    }
+
+    /**
+     * 获取剖切配置
+     * @returns {Array<Object>}
+     */
+    getPlanes() {
+        return Array.from(this.entries.values(), entry => {
+            if (entry.type === 'box') {
+                const h = entry.helper;
+                const half = h.scale.clone().multiplyScalar(0.5);
+                return {
+                    id: entry.id,
+                    type: 'box',
+                    min: h.position.clone().sub(half).toArray(),
+                    max: h.position.clone().add(half).toArray(),
+                    capColor: entry.capColor
+                };
+            }
+            const plane = entry.planes[0];
+            return {
+                id: entry.id,
+                type: 'plane',
+                normal: plane.normal.toArray(),
+                constant: plane.constant,
+                point: plane.coplanarPoint(new Vector3()).toArray(),
+                capColor: entry.capColor
+            };
+        });
+    }
+
+    /**
+     * 点是否在被剖切掉的区域
+     * @param {Vector3} point 世界坐标点
+     * @param {Object3D} [object] 命中的对象，非模型对象（未被剖切）时返回 false
+     * @returns {boolean}
+     */
+    isPointClipped(point, object = null) {
+        if (!this._activePlanes.length || !point) return false;
+        if (object && !this._isClippedObject(object)) return false;
+        return this._activePlanes.some(plane => plane.distanceToPoint(point) < -CLIP_EPSILON);
+    }
+
+    /**
+     * 过滤掉命中点位于被剖切区域的射线结果
+     * @param {Array<Object>} intersects 射线检测结果
+     * @returns {Array<Object>}
+     */
+    filterIntersections(intersects) {
+        if (!this._activePlanes.length || !Array.isArray(intersects)) return intersects;
+        return intersects.filter(item => !this.isPointClipped(item.point, item.object));
+    }
+
+    /**
+     * 重新接管模型材质并重建封盖（模型或材质变化后调用）
+     * @returns {void}
+     */
+    refresh() {
+        if (this.entries.size === 0) return;
+        this._applyMaterials();
+        this._capsDirty = true;
+    }
+
+    /**
+     * 每帧同步平面、封盖与模板网格
+     * @returns {void}
+     */
+    update() {
+        if (this.entries.size === 0) return;
+
+        let changed = false;
+        this.entries.forEach(entry => {
+            if (this._syncEntry(entry)) changed = true;
+        });
+        if (changed) this._emitChanged();
+
+        if (this._capsDirty) {
+            this._capsDirty = false;
+            this._rebuildCaps();
+        }
+        this._updateCaps();
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('clippingController');
+        this._unsubscribers.forEach(off => off?.());
+        this._unsubscribers = [];
+        this.clear();
+        this._disposeCaps();
+        this._restoreMaterials();
+        if (this._root?.parent) this._root.parent.remove(this._root);
+        this._root = null;
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 平面同步 ====================
+
+    _applyPlaneOptions(entry, options) {
+        const helper = entry.helper;
+        const normal = this._toVector3(options.normal) || (options.normal === undefined && entry.planes[0].normal.lengthSq() > 0
+            ? entry.planes[0].normal.clone()
+            : new Vector3(0, -1, 0));
+        if (normal.lengthSq() === 0) normal.set(0, -1, 0);
+        normal.normalize();
+
+        let point = this._toVector3(options.point);
+        if (typeof options.constant === 'number') {
+            point = normal.clone().multiplyScalar(-options.constant);
+        }
+        if (!point) point = helper.position.clone();
+
+        helper.position.copy(point);
+        helper.quaternion.setFromUnitVectors(new Vector3(0, 0, 1), normal);
+        helper.updateMatrixWorld(true);
+        this._syncEntry(entry);
+    }
+
+    // 由辅助对象（Gizmo 可拖拽）推导剖切平面，返回是否有变化
+    _syncEntry(entry) {
+        const helper = entry.helper;
+        helper.updateMatrixWorld(true);
+        let changed = false;
+
+        if (entry.type === 'plane') {
+            const normal = this._temp.normal.set(0, 0, 1).applyQuaternion(helper.getWorldQuaternion(this._temp.quat)).normalize();
+            const point = helper.getWorldPosition(this._temp.point);
+            const plane = entry.planes[0];
+            const constant = -normal.dot(point);
+            if (!plane.normal.equals(normal) || plane.constant !== constant) {
+                plane.normal.copy(normal);
+                plane.constant = constant;
+                changed = true;
+            }
+        } else {
+            entry.planes.forEach((plane, i) => {
+                const next = this._temp.plane.copy(UNIT_BOX_PLANES[i]).applyMatrix4(helper.matrixWorld);
+                if (!next.equals(plane)) {
+                    plane.copy(next);
+                    changed = true;
+                }
+            });
+        }
+        return changed;
+    }
+
+    _onEntriesChanged() {
+        this._activePlanes.length = 0;
+        if (this.enabled) {
+            this.entries.forEach(entry => this._activePlanes.push(...entry.planes));
+        }
+        if (this.renderer) this.renderer.localClippingEnabled = this._activePlanes.length > 0;
+
+        if (this._activePlanes.length > 0) {
+            this._applyMaterials();
+            this._capsDirty = true;
+        } else {
+            this._restoreMaterials();
+            this._disposeCaps();
+        }
+        this.engine?.hotspotController?._invalidateMeshCache?.();
+        this._emitChanged();
+    }
+
+    _emitChanged() {
+        this.events.emit(CLIPPING_EVENTS.CHANGED, { planes: this.getPlanes(), enabled: this.enabled });
+    }
+
+    // ==================== 材质接管 ====================
+
+    _applyMaterials() {
+        if (this._activePlanes.length === 0) return;
+        this._forEachModelMesh(mesh => {
+            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            materials.forEach(material => {
+                if (!material) return;
+                if (!this._materials.has(material)) {
+                    this._materials.set(material, { clippingPlanes: material.clippingPlanes, clipShadows: material.clipShadows });
+                }
+                if (material.clippingPlanes !== this._activePlanes) {
+                    material.clippingPlanes = this._activePlanes;
+                    material.clipShadows = true;
+                    material.needsUpdate = true;
+                }
+            });
+        });
+    }
+
+    _restoreMaterials() {
+        this._materials.forEach((original, material) => {
+            material.clippingPlanes = original.clippingPlanes;
+            material.clipShadows = original.clipShadows;
+            material.needsUpdate = true;
+        });
+        this._materials.clear();
+    }
+
+    _isClippedObject(object) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        return materials.some(material => material?.clippingPlanes === this._activePlanes);
+    }
+
+    _forEachModelMesh(callback) {
+        const models = this.engine?.assetsManager?.assets?.models;
+        if (!models) return;
+        models.forEach(model => {
+            model?.traverse?.(obj => {
+                if (obj.isMesh && !obj.userData?.__isHotspot && !obj.userData?.__isClipping) callback(obj);
+            });
+        });
+    }
+
+    _computeModelsBox(modelId = null) {
+        const box = new Box3();
+        const models = this.engine?.assetsManager?.assets?.models;
+        models?.forEach((model, id) => {
+            if (!model || (modelId && id !== modelId)) return;
+            box.union(this._temp.box.setFromObject(model));
+        });
+        return box;
+    }
+
+    // ==================== 封盖 ====================
+
+    // 每个平面：背面+1、正面-1 写入模板，剖面处模板值非0，再用平面网格在该处绘制封盖
+    _rebuildCaps() {
+        this._disposeCaps();
+        if (!this.capsEnabled || this._activePlanes.length === 0) return;
+
+        const sources = [];
+        this._forEachModelMesh(mesh => sources.push(mesh));
+        if (sources.length === 0) return;
+
+        const box = this._computeModelsBox();
+        this._capSize = box.isEmpty() ? 10 : box.getSize(new Vector3()).length() * 2;
+
+        this._capGroup = new Group();
+        this._capGroup.name = '__clippingCaps';
+        this._markHelper(this._capGroup);
+        this._root.add(this._capGroup);
+
+        let order = 1;
+        this.entries.forEach(entry => {
+            entry.planes.forEach(plane => {
+                const others = this._activePlanes.filter(p => p !== plane);
+                const stencilGroup = new Group();
+                stencilGroup.matrixAutoUpdate = false;
+                const pairs = [];
+                sources.forEach(source => {
+                    const back = this._createStencilMesh(source, plane, BackSide, IncrementWrapStencilOp, order);
+                    const front = this._createStencilMesh(source, plane, FrontSide, DecrementWrapStencilOp, order);
+                    stencilGroup.add(back, front);
+                    pairs.push([source, back], [source, front]);
+                });
+
+                const cap = new Mesh(new PlaneGeometry(1, 1), new MeshStandardMaterial({
+                    color: entry.capColor,
+                    metalness: 0.1,
+                    roughness: 0.75,
+                    side: DoubleSide,
+                    clippingPlanes: others,
+                    stencilWrite: true,
+                    stencilRef: 0,
+                    stencilFunc: NotEqualStencilFunc,
+                    stencilFail: ReplaceStencilOp,
+                    stencilZFail: ReplaceStencilOp,
+                    stencilZPass: ReplaceStencilOp
+                }));
+                cap.renderOrder = order + 0.1;
+                cap.onAfterRender = renderer => renderer.clearStencil();
+                cap.frustumCulled = false;
+                this._markHelper(cap);
+
+                this._capGroup.add(stencilGroup, cap);
+                this._capItems.push({ entryId: entry.id, plane, stencilGroup, cap, pairs });
+                order++;
+            });
+        });
+        this._updateCaps();
+    }
+
+    _createStencilMesh(source, plane, side, op, renderOrder) {
+        const material = new MeshBasicMaterial({
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: AlwaysStencilFunc,
+            side,
+            clippingPlanes: [plane],
+            stencilFail: op,
+            stencilZFail: op,
+            stencilZPass: op
+        });
+        let copy;
+        if (source.isSkinnedMesh && source.skeleton) {
+            copy = new SkinnedMesh(source.geometry, material);
+            copy.bind(source.skeleton, source.bindMatrix);
+        } else {
+            copy = new Mesh(source.geometry, material);
+        }
+        copy.matrixAutoUpdate = false;
+        copy.frustumCulled = false;
+        copy.renderOrder = renderOrder;
+        return this._markHelper(copy);
+    }
+
+    _updateCaps() {
+        if (this._capItems.length === 0) return;
+        this._capItems.forEach(({ plane, cap, pairs }) => {
+            // 封盖平面贴合剖切平面，朝向剖切掉的一侧
+            plane.coplanarPoint(cap.position);
+            cap.quaternion.setFromUnitVectors(new Vector3(0, 0, 1), this._temp.normal.copy(plane.normal).negate());
+            cap.scale.setScalar(this._capSize);
+
+            pairs.forEach(([source, copy]) => {
+                copy.matrix.copy(source.matrixWorld);
+                copy.visible = this._isVisibleInScene(source);
+            });
+        });
+    }
+
+    _isVisibleInScene(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            current = current.parent;
+        }
+        return true;
+    }
+
+    _disposeCaps() {
+        this._capItems.forEach(({ stencilGroup, cap }) => {
+            stencilGroup.children.forEach(copy => copy.material.dispose());
+            cap.geometry.dispose();
+            cap.material.dispose();
+        });
+        this._capItems = [];
+        if (this._capGroup?.parent) this._capGroup.parent.remove(this._capGroup);
+        this._capGroup = null;
+    }
+
+    // ==================== 辅助对象 ====================
+
+    _ensureRoot() {
+        if (this._root || !this.scene) return;
+        this._root = new Group();
+        this._root.name = '__clipping';
+        this._markHelper(this._root);
+        this.scene.add(this._root);
+    }
+
+    _createPlaneHelper(color = DEFAULT_CAP_COLOR) {
+        const helper = new Object3D();
+        helper.name = '__clippingPlane';
+        const size = Math.max(this._computeModelsBox().getSize(new Vector3()).length(), 1);
+        const face = new Mesh(new PlaneGeometry(size, size), new MeshBasicMaterial({
+            color, transparent: true, opacity: 0.12, side: DoubleSide, depthWrite: false
+        }));
+        face.userData.__clippingTint = true;
+        const border = new LineSegments(new EdgesGeometry(face.geometry), new LineBasicMaterial({ color }));
+        border.userData.__clippingTint = true;
+        helper.add(face, border);
+        helper.traverse(obj => this._markHelper(obj));
+        return helper;
+    }
+
+    _createBoxHelper() {
+        const helper = new Object3D();
+        helper.name = '__clippingBox';
+        const border = new LineSegments(new EdgesGeometry(new BoxGeometry(1, 1, 1)), new LineBasicMaterial({ color: 0x66ccff }));
+        helper.add(border);
+        helper.traverse(obj => this._markHelper(obj));
+        return helper;
+    }
+
+    _markHelper(object) {
+        object.userData.__isClipping = true;
+        return object;
+    }
+
+    _disposeObject(object) {
+        if (!object) return;
+        object.traverse(obj => {
+            obj.geometry?.dispose();
+            obj.material?.dispose?.();
+        });
+        object.parent?.remove(object);
+    }
+
+    _toVector3(v) {
+        if (!v) return null;
+        if (v.isVector3) return v.clone();
+        if (Array.isArray(v) && v.length >= 3) return new Vector3(v[0], v[1], v[2]);
+        if (typeof v === 'object' && 'x' in v) return new Vector3(v.x, v.y, v.z);
+        return null;
+    }
+}
@@ -0,0 +1,450 @@
+/**
+ * 配置器控制器 - 按选项组切换材质属性、贴图、部件显隐和 glTF 材质变体
+ * 选项切换时先预加载全部资源，再在同一帧内一次性应用，避免逐项生效造成闪烁
+ */
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 配置器事件名称常量
+ * @type {Object.<string, string>}
+ */
+const CONFIGURATOR_EVENTS = {
+    CHANGED: 'configurator:changed',
+    ERROR: 'configurator:error'
+};
+
+const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+export class ConfiguratorController {
+    events = new EventBus();
+
+    // 选项组名称 -> { name, modelId, options: Map<value, spec>, value }
+    groups = new Map();
+
+    _originalMaterials = new WeakMap();   // mesh -> glTF 原始材质（切换变体前）
+    _hiddenMeshes = new Set();            // 被配置器隐藏的 mesh
+    _variantMaterials = new Set();        // 配置器克隆的变体材质（覆盖项只改克隆，不污染解析器缓存）
+    _queue = Promise.resolve();           // 串行执行切换，保证按调用顺序生效
+
+    /**
+     * 创建配置器控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    /**
+     * 定义选项组
+     * @param {string} name 选项组名称（如 "Color"）
+     * @param {Object} definition 选项组定义
+     * @param {string} [definition.modelId] 默认作用的模型ID，不传则作用于全部模型
+     * @param {Object.<string, Object>} definition.options 选项值 -> 选项内容
+     * @param {Array<Object>} [definition.options[].materials] 材质覆盖项 { material, color, number, boolean, texture }（格式同 exportMaterialOverrides）
+     * @param {Array<string>} [definition.options[].show] 显示的 mesh（userData.id / 稳定网格ID / uuid / name）
+     * @param {Array<string>} [definition.options[].hide] 隐藏的 mesh
+     * @param {string} [definition.options[].variant] glTF KHR_materials_variants 变体名称
+     * @param {string} [definition.options[].modelId] 覆盖选项组的模型ID
+     * @param {string} [definition.default] 默认选项（仅记录，不自动应用）
+     * @returns {boolean} 是否定义成功
+     */
+    defineGroup(name, definition = {}) {
+        if (!name || !definition.options || typeof definition.options !== 'object') {
+            console.warn('ConfiguratorController.defineGroup: 选项组定义无效', name);
+            return false;
+        }
+        const options = new Map(Object.entries(definition.options));
+        if (options.size === 0) {
+            console.warn(`ConfiguratorController.defineGroup: 选项组 ${name} 没有选项`);
+            return false;
+        }
+        this.groups.set(name, {
+            name,
+            modelId: definition.modelId ?? null,
+            options,
+            defaultValue: definition.default ?? null,
+            value: this.groups.get(name)?.value ?? null
+        });
+        return true;
+    }
+
+    /**
+     * 批量定义选项组
+     * @param {Object.<string, Object>} config 选项组名称 -> 定义
+     * @returns {number} 成功定义的数量
+     */
+    defineGroups(config = {}) {
+        return Object.entries(config).filter(([name, definition]) => this.defineGroup(name, definition)).length;
+    }
+
+    /**
+     * 删除选项组（不还原已应用的选项）
+     * @param {string} name 选项组名称
+     * @returns {boolean}
+     */
+    removeGroup(name) {
+        return this.groups.delete(name);
+    }
+
+    /**
+     * 获取全部选项组
+     * @returns {Array<{name: string, modelId: string|null, options: Array<string>, value: string|null, default: string|null}>}
+     */
+    getGroups() {
+        return Array.from(this.groups.values(), group => ({
+            name: group.name,
+            modelId: group.modelId,
+            options: Array.from(group.options.keys()),
+            value: group.value,
+            default: group.defaultValue
+        }));
+    }
+
+    /**
+     * 获取选项组当前值
+     * @param {string} name 选项组名称
+     * @returns {string|null}
+     */
+    getOption(name) {
+        return this.groups.get(name)?.value ?? null;
+    }
+
+    /**
+     * 获取全部选项组的当前值
+     * @returns {Object.<string, string|null>}
+     */
+    getSelection() {
+        const selection = {};
+        this.groups.forEach((group, name) => { selection[name] = group.value; });
+        return selection;
+    }
+
+    /**
+     * 切换单个选项
+     * @param {string} group 选项组名称
+     * @param {string} value 选项值
+     * @param {Object} [options={}] { crossFade: 交叉淡入时长（毫秒） }
+     * @returns {Promise<boolean>} 是否应用成功
+     */
+    setOption(group, value, options = {}) {
+        return this.setOptions({ [group]: value }, options);
+    }
+
+    /**
+     * 同时切换多个选项组（全部资源加载完成后在同一帧内应用，任一失败则都不应用）
+     * @param {Object.<string, string>} selection 选项组名称 -> 选项值
+     * @param {Object} [options={}] { crossFade: 交叉淡入时长（毫秒） }
+     * @returns {Promise<boolean>} 是否应用成功
+     */
+    setOptions(selection = {}, options = {}) {
+        const task = this._queue.then(() => this._applySelection(selection, options));
+        this._queue = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * 应用各选项组的默认选项
+     * @param {Object} [options={}] { crossFade }
+     * @returns {Promise<boolean>}
+     */
+    applyDefaults(options = {}) {
+        const selection = {};
+        this.groups.forEach((group, name) => {
+            if (group.defaultValue != null) selection[name] = group.defaultValue;
+        });
+        return this.setOptions(selection, options);
+    }
+
+    /**
+     * 获取模型中的 glTF 材质变体名称（KHR_materials_variants）
+     * @param {string} modelId 模型ID
+     * @returns {Array<string>}
+     */
+    getGLTFVariants(modelId) {
+        const model = this.engine?.assetsManager?.getModel?.(modelId);
+        return Array.isArray(model?.userData?.gltfVariants) ? [...model.userData.gltfVariants] : [];
+    }
+
+    /**
+     * 由 glTF 材质变体生成选项组（每个变体一个选项）
+     * @param {string} modelId 模型ID
+     * @param {string} [groupName='Variants'] 选项组名称
+     * @returns {boolean} 模型不含变体时返回 false
+     */
+    importGLTFVariants(modelId, groupName = 'Variants') {
+        const variants = this.getGLTFVariants(modelId);
+        if (variants.length === 0) {
+            console.warn(`ConfiguratorController.importGLTFVariants: 模型 ${modelId} 不包含 ${VARIANTS_EXTENSION}`);
+            return false;
+        }
+        const options = {};
+        variants.forEach(variant => { options[variant] = { variant }; });
+        return this.defineGroup(groupName, { modelId, options, default: variants[0] });
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this._removeFadeOverlay();
+        this.groups.clear();
+        this._hiddenMeshes.clear();
+        this._variantMaterials.clear();
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 切换流程 ====================
+
+    async _applySelection(selection, options) {
+        const entries = Object.entries(selection);
+        if (entries.length === 0) return false;
+
+        // 1. 校验
+        const changes = [];
+        for (const [name, value] of entries) {
+            const group = this.groups.get(name);
+            const spec = group?.options.get(value);
+            if (!spec) {
+                console.warn(`ConfiguratorController.setOption: 选项不存在 ${name}=${value}`);
+                return false;
+            }
+            const models = this._getModels(spec.modelId ?? group.modelId);
+            if (models.length === 0) {
+                console.warn(`ConfiguratorController.setOption: 未找到模型 ${spec.modelId ?? group.modelId}`);
+                return false;
+            }
+            changes.push({ group, value, spec, models });
+        }
+
+        // 2. 预加载（贴图、变体材质），任一失败则整体放弃
+        const prepared = [];
+        try {
+            for (const change of changes) {
+                prepared.push(await this._prepareChange(change));
+            }
+        } catch (error) {
+            prepared.forEach(item => item.dispose());
+            console.error('ConfiguratorController: 选项资源加载失败', error);
+            this.events.emit(CONFIGURATOR_EVENTS.ERROR, { selection, error });
+            return false;
+        }
+
+        // 3. 同一帧内一次性应用
+        const overlay = options.crossFade > 0 ? this._captureFadeOverlay() : null;
+        prepared.forEach(item => item.apply());
+        this.engine?.clippingController?.refresh();
+        if (overlay) this._fadeOutOverlay(overlay, options.crossFade);
+
+        changes.forEach(({ group, value }) => {
+            const previous = group.value;
+            group.value = value;
+            this.events.emit(CONFIGURATOR_EVENTS.CHANGED, { group: group.name, value, previous });
+        });
+        return true;
+    }
+
+    async _prepareChange({ spec, models }) {
+        const materialLoader = this.engine?.assetsManager?.materialLoader;
+        const materialSets = [];
+        const variantSwaps = [];
+        try {
+            for (const model of models) {
+                // 先解析变体，材质覆盖项按切换后的材质查找
+                const swaps = spec.variant != null ? await this._prepareVariant(model, spec.variant) : [];
+                variantSwaps.push(...swaps);
+                if (Array.isArray(spec.materials) && spec.materials.length > 0) {
+                    const set = await materialLoader?.prepareMaterialOverrides(model, spec.materials, { materialSwaps: swaps });
+                    if (!set) throw new Error('材质预加载失败');
+                    materialSets.push(set);
+                }
+            }
+        } catch (error) {
+            materialSets.forEach(set => set.dispose());
+            throw error;
+        }
+
+        const show = this._findMeshes(models, spec.show);
+        const hide = this._findMeshes(models, spec.hide);
+
+        return {
+            dispose: () => {
+                materialSets.forEach(set => set.dispose());
+                variantSwaps.forEach(({ material, cloned }) => { if (cloned) material.dispose(); });
+            },
+            apply: () => {
+                // 变体先于材质覆盖，使覆盖项作用在切换后的材质上
+                this._applyVariantSwaps(variantSwaps, models);
+                materialSets.forEach(set => set.apply());
+                show.forEach(mesh => this._setMeshVisible(mesh, true));
+                hide.forEach(mesh => this._setMeshVisible(mesh, false));
+            }
+        };
+    }
+
+    // 按 KHR_materials_variants 的 mappings 加载每个 mesh 的目标材质，未映射的 mesh 恢复原始材质
+    async _prepareVariant(model, variantName) {
+        const variants = model.userData?.gltfVariants;
+        const variantIndex = Array.isArray(variants) ? variants.indexOf(variantName) : -1;
+        if (variantIndex < 0) {
+            throw new Error(`模型不包含材质变体 ${variantName}`);
+        }
+        const parser = this.engine?.assetsManager?.modelLoader?.getGLTFParser?.(model);
+        if (!parser) {
+            throw new Error('glTF 解析器不可用，无法加载材质变体');
+        }
+
+        const jobs = [];
+        const clones = new Map();
+        model.traverse(mesh => {
+            const mappings = mesh.isMesh ? mesh.userData?.gltfExtensions?.[VARIANTS_EXTENSION]?.mappings : null;
+            if (!Array.isArray(mappings)) return;
+
+            if (!this._originalMaterials.has(mesh)) this._originalMaterials.set(mesh, mesh.material);
+            const mapping = mappings.find(m => Array.isArray(m.variants) && m.variants.includes(variantIndex));
+            jobs.push(mapping
+                ? parser.getDependency('material', mapping.material).then(material => {
+                    // 解析器返回的是缓存实例，克隆后再应用覆盖项；同一材质在本模型内共用一个克隆
+                    const final = this._finalizeVariantMaterial(parser, mesh, material);
+                    const isNew = !clones.has(final);
+                    if (isNew) clones.set(final, final.clone());
+                    return { mesh, material: clones.get(final), cloned: isNew };
+                })
+                : Promise.resolve({ mesh, material: this._originalMaterials.get(mesh) }));
+        });
+        return Promise.all(jobs);
+    }
+
+    // 切换变体材质，并释放不再被使用的旧克隆
+    _applyVariantSwaps(swaps, models) {
+        const replaced = new Set();
+        swaps.forEach(({ mesh, material, cloned }) => {
+            if (mesh.material !== material && this._variantMaterials.has(mesh.material)) replaced.add(mesh.material);
+            mesh.material = material;
+            if (cloned) this._variantMaterials.add(material);
+        });
+        if (replaced.size === 0) return;
+
+        models.forEach(model => model.traverse(obj => {
+            if (!obj.isMesh) return;
+            (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(material => replaced.delete(material));
+        }));
+        replaced.forEach(material => {
+            this._variantMaterials.delete(material);
+            material.dispose();
+        });
+    }
+
+    // 与 three 的变体插件一致，经 assignFinalMaterial 按 mesh 的顶点色、蒙皮等派生最终材质
+    // 同步临时赋值后立即还原，切换在 apply 时才生效
+    _finalizeVariantMaterial(parser, mesh, material) {
+        const current = mesh.material;
+        mesh.material = material;
+        try {
+            parser.assignFinalMaterial(mesh);
+            return mesh.material;
+        } finally {
+            mesh.material = current;
+        }
+    }
+
+    // ==================== 显隐 ====================
+
+    // 使用独立的 __configuratorHidden 标记（视锥体剔除、射线检测和导出都会遵循），与动画隔离互不干扰
+    _setMeshVisible(mesh, visible) {
+        if (visible) {
+            if (this._hiddenMeshes.delete(mesh)) {
+                delete mesh.userData.__configuratorHidden;
+            }
+            mesh.visible = true;
+        } else {
+            mesh.userData.__configuratorHidden = true;
+            mesh.visible = false;
+            this._hiddenMeshes.add(mesh);
+        }
+    }
+
+    _findMeshes(models, identifiers) {
+        if (!Array.isArray(identifiers) || identifiers.length === 0) return [];
+        const wanted = new Set(identifiers);
+        const materialLoader = this.engine?.assetsManager?.materialLoader;
+        const found = [];
+        models.forEach(model => {
+            model.traverse(obj => {
+                if (!obj.isMesh || obj.userData?.__isHotspot) return;
+                if (wanted.has(obj.userData?.id) || wanted.has(obj.uuid) || wanted.has(obj.name)
+                    || (materialLoader && wanted.has(materialLoader._generateStableMeshId(obj)))) {
+                    found.push(obj);
+                }
+            });
+        });
+        if (found.length === 0) {
+            console.warn('ConfiguratorController: 未找到 mesh', identifiers);
+        }
+        return found;
+    }
+
+    _getModels(modelId) {
+        const assetsManager = this.engine?.assetsManager;
+        if (modelId != null) {
+            const model = assetsManager?.getModel?.(modelId);
+            return model ? [model] : [];
+        }
+        return Array.from(assetsManager?.assets?.models?.values() || []).filter(Boolean);
+    }
+
+    // ==================== 交叉淡入 ====================
+
+    // 立即渲染一帧并复制到覆盖层画布（WebGL 画布未开启 preserveDrawingBuffer，需在同一任务内读取）
+    _captureFadeOverlay() {
+        const engine = this.engine;
+        const source = engine?.renderer?.domElement;
+        const container = engine?.containerElement;
+        if (!source || !container || typeof document === 'undefined') return null;
+
+        this._removeFadeOverlay();
+        try {
+            const composer = engine.highlightController?.getComposer?.();
+            if (composer) {
+                composer.render();
+            } else {
+                engine.renderer.render(engine.mainScene, engine.camera);
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.getContext('2d').drawImage(source, 0, 0);
+            Object.assign(canvas.style, {
+                position: 'absolute',
+                left: `${source.offsetLeft}px`,
+                top: `${source.offsetTop}px`,
+                width: `${source.clientWidth}px`,
+                height: `${source.clientHeight}px`,
+                pointerEvents: 'none',
+                opacity: '1'
+            });
+            const labels = engine.labelRenderer?.domElement;
+            container.insertBefore(canvas, labels?.parentNode === container ? labels : null);
+            this._fadeOverlay = canvas;
+            return canvas;
+        } catch (error) {
+            console.warn('ConfiguratorController: 交叉淡入截图失败', error);
+            return null;
+        }
+    }
+
+    _fadeOutOverlay(canvas, duration) {
+        requestAnimationFrame(() => {
+            canvas.style.transition = `opacity ${duration}ms ease`;
+            canvas.style.opacity = '0';
+        });
+        this._fadeTimer = setTimeout(() => this._removeFadeOverlay(), duration + 50);
+    }
+
+    _removeFadeOverlay() {
+        clearTimeout(this._fadeTimer);
+        this._fadeOverlay?.remove();
+        this._fadeOverlay = null;
+    }
+}
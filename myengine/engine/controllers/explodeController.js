@@ -0,0 +1,431 @@
+/**
+ * 爆炸图控制器 - 按包围盒计算部件偏移，动画展开/收拢多部件模型
+ * 只移动模型内部节点、不改动模型根节点，AnimationController 保存/恢复的根节点状态不受影响；
+ * 烘焙动画写入的节点位置会被当作新的基础姿态，偏移每帧重新叠加。
+ */
+import { Box3, Vector3, Matrix3, Matrix4 } from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+import { cameraApi } from "../../editor/apis/cameraApi.js";
+import { isHelperObject } from "../core/sceneHelpers.js";
+
+/**
+ * 爆炸图事件名称常量
+ * @type {Object.<string, string>}
+ */
+const EXPLODE_EVENTS = {
+    START: 'explode:start',
+    UPDATE: 'explode:update',
+    COMPLETE: 'explode:complete'
+};
+
+const DEFAULT_DURATION = 800;  // 默认动画时长（毫秒）
+const AXIS_VECTORS = {
+    x: new Vector3(1, 0, 0),
+    y: new Vector3(0, 1, 0),
+    z: new Vector3(0, 0, 1)
+};
+
+export class ExplodeController {
+    events = new EventBus();
+
+    // 模型ID -> { modelId, mode, axis, parts, factor, hotspots, animation }
+    states = new Map();
+
+    /**
+     * 创建爆炸图控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this._temp = {
+            box: new Box3(),
+            vec1: new Vector3(),
+            vec2: new Vector3(),
+            mat3: new Matrix3(),
+            mat4: new Matrix4()
+        };
+
+        // 注册更新回调（在动画控制器之后执行，偏移叠加在 mixer 写入的姿态之上）
+        engine?.addUpdateCallback('explodeController', this.update.bind(this));
+    }
+
+    /**
+     * 展开爆炸图
+     * @param {string} modelId 模型ID
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.factor=1] 爆炸系数（0 为收拢，1 为偏移量等于部件到中心的距离）
+     * @param {'x'|'y'|'z'|Array<number>|Object} [options.axis] 限定爆炸方向，不传则沿径向
+     * @param {'radial'|'hierarchy'} [options.mode='radial'] radial：所有部件相对模型中心；hierarchy：逐层相对父级中心
+     * @param {number} [options.duration=800] 动画时长（毫秒），0 为立即
+     * @param {string|Function|Array<number>} [options.easing] 缓动（同 cameraApi）
+     * @returns {Promise<boolean>} 动画完成时 resolve(true)，被打断时 resolve(false)
+     */
+    explode(modelId, options = {}) {
+        const model = this.engine?.assetsManager?.getModel?.(modelId);
+        if (!model) {
+            console.warn(`ExplodeController.explode: 模型不存在 ${modelId}`);
+            return Promise.resolve(false);
+        }
+
+        const mode = options.mode === 'hierarchy' ? 'hierarchy' : 'radial';
+        const axis = this._resolveAxis(options.axis);
+        if (options.axis != null && !axis) {
+            console.warn(`ExplodeController.explode: 无效的爆炸方向 ${options.axis}`);
+            return Promise.resolve(false);
+        }
+
+        let state = this.states.get(modelId);
+        if (!state || state.model !== model) {
+            state = { modelId, model, mode, axis, parts: [], factor: 0, hotspots: new Map(), animation: null };
+            this.states.set(modelId, state);
+            this._computeParts(state);
+        } else if (state.mode !== mode || !this._sameAxis(state.axis, axis)) {
+            state.mode = mode;
+            state.axis = axis;
+            this._computeParts(state);
+        }
+
+        return this._animateTo(state, Math.max(0, options.factor ?? 1), options);
+    }
+
+    /**
+     * 收拢爆炸图
+     * @param {string} modelId 模型ID
+     * @param {Object} [options={}] { duration, easing }
+     * @returns {Promise<boolean>}
+     */
+    collapse(modelId, options = {}) {
+        const state = this.states.get(modelId);
+        if (!state) return Promise.resolve(true);
+        return this._animateTo(state, 0, options);
+    }
+
+    /**
+     * 立即设置爆炸系数（用于滑块拖动）
+     * @param {string} modelId 模型ID
+     * @param {number} factor 爆炸系数
+     * @param {Object} [options={}] { axis, mode }
+     * @returns {boolean}
+     */
+    setExplodeFactor(modelId, factor, options = {}) {
+        if (!this.engine?.assetsManager?.getModel?.(modelId)) return false;
+        this.explode(modelId, { ...options, factor, duration: 0 });
+        return true;
+    }
+
+    /**
+     * 获取当前爆炸系数
+     * @param {string} modelId 模型ID
+     * @returns {number}
+     */
+    getExplodeFactor(modelId) {
+        return this.states.get(modelId)?.factor ?? 0;
+    }
+
+    /**
+     * 模型是否处于爆炸状态
+     * @param {string} modelId 模型ID
+     * @returns {boolean}
+     */
+    isExploded(modelId) {
+        return this.getExplodeFactor(modelId) > 0;
+    }
+
+    /**
+     * 获取热点随部件爆炸产生的位移（世界空间），保存热点时减去该位移得到收拢状态下的位置
+     * @param {string} id 热点ID
+     * @returns {Vector3|null} 热点未受爆炸影响时为 null
+     */
+    getHotspotOffset(id) {
+        const hotspotController = this.engine?.hotspotController;
+        const hs = hotspotController?.hotspots?.get(id);
+        const bindMeshId = hs?.state?.bindMeshId;
+        if (!bindMeshId) return null;
+        const mesh = hs.state.targetObject?.parent ? hs.state.targetObject : hotspotController._findMeshById?.(bindMeshId);
+        if (!mesh) return null;
+
+        for (const state of this.states.values()) {
+            if (!this._isDescendant(mesh, state.model)) continue;
+            const partMap = new Map(state.parts.map(part => [part.object, part]));
+            const offset = this._computePartOffset(state, mesh, partMap, new Vector3());
+            return offset.lengthSq() > 0 ? offset : null;
+        }
+        return null;
+    }
+
+    /**
+     * 立即收拢全部模型
+     * @returns {void}
+     */
+    reset() {
+        Array.from(this.states.values()).forEach(state => {
+            this._cancelAnimation(state);
+            this._applyFactor(state, 0);
+            this._release(state);
+        });
+    }
+
+    /**
+     * 每帧推进动画并重新叠加偏移
+     * @param {number} deltaTime 帧间隔（秒）
+     * @returns {void}
+     */
+    update(deltaTime) {
+        if (this.states.size === 0) return;
+
+        this.states.forEach(state => {
+            // 模型被移除或替换
+            if (!state.model.parent || this.engine?.assetsManager?.getModel?.(state.modelId) !== state.model) {
+                this._cancelAnimation(state);
+                this.states.delete(state.modelId);
+                return;
+            }
+
+            const anim = state.animation;
+            let factor = state.factor;
+            if (anim) {
+                anim.elapsed += deltaTime * 1000;
+                const t = anim.duration > 0 ? Math.min(anim.elapsed / anim.duration, 1) : 1;
+                factor = anim.from + (anim.to - anim.from) * anim.easing(t);
+                if (t >= 1) factor = anim.to;
+            }
+
+            this._applyFactor(state, factor);
+
+            if (anim) {
+                this.events.emit(EXPLODE_EVENTS.UPDATE, { modelId: state.modelId, factor });
+                if (factor === anim.to) {
+                    state.animation = null;
+                    this.events.emit(EXPLODE_EVENTS.COMPLETE, { modelId: state.modelId, factor });
+                    anim.resolve(true);
+                    if (factor === 0) this._release(state);
+                }
+            }
+        });
+    }
+
+    /**
+     * 释放资源（收拢所有模型）
+     * @returns {void}
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('explodeController');
+        this.reset();
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 动画 ====================
+
+    _animateTo(state, factor, options) {
+        this._cancelAnimation(state);
+        const duration = Math.max(0, options.duration ?? DEFAULT_DURATION);
+
+        this.events.emit(EXPLODE_EVENTS.START, { modelId: state.modelId, from: state.factor, to: factor, mode: state.mode });
+
+        if (duration === 0 || factor === state.factor) {
+            this._applyFactor(state, factor);
+            this.events.emit(EXPLODE_EVENTS.COMPLETE, { modelId: state.modelId, factor });
+            if (factor === 0) this._release(state);
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            state.animation = {
+                from: state.factor,
+                to: factor,
+                duration,
+                elapsed: 0,
+                easing: cameraApi.resolveEasing(options.easing),
+                resolve
+            };
+        });
+    }
+
+    _cancelAnimation(state) {
+        const anim = state.animation;
+        if (!anim) return;
+        state.animation = null;
+        anim.resolve(false);
+    }
+
+    // 完全收拢后不再逐帧处理
+    _release(state) {
+        if (state.factor !== 0 || state.animation) return;
+        this.states.delete(state.modelId);
+    }
+
+    // ==================== 偏移计算 ====================
+
+    // 以部件“基础姿态”（去掉爆炸偏移）重新计算各部件的偏移向量
+    _computeParts(state) {
+        const factor = state.factor;
+        this._applyFactor(state, 0);
+
+        const model = state.model;
+        model.updateMatrixWorld(true);
+        state.parts = [];
+
+        if (state.mode === 'hierarchy') {
+            this._collectHierarchyParts(state, model);
+        } else {
+            const center = this._getCenter(model, new Vector3());
+            this._collectLeafParts(model).forEach(object => this._addPart(state, object, center));
+        }
+
+        this._applyFactor(state, factor);
+    }
+
+    // radial：取最外层网格（网格下的子网格随父级移动）
+    _collectLeafParts(model) {
+        const parts = [];
+        const visit = object => {
+            object.children.forEach(child => {
+                if (isHelperObject(child)) return;
+                if (child.isMesh && !child.isSkinnedMesh) {
+                    parts.push(child);
+                } else {
+                    visit(child);
+                }
+            });
+        };
+        visit(model);
+        return parts;
+    }
+
+    // hierarchy：每一层的子节点相对父节点中心展开，子装配整体移动后再展开内部零件
+    _collectHierarchyParts(state, node) {
+        const children = node.children.filter(child => !isHelperObject(child) && this._containsMesh(child));
+        if (children.length === 0) return;
+
+        if (children.length > 1) {
+            const center = this._getCenter(node, new Vector3());
+            children.forEach(child => this._addPart(state, child, center));
+        }
+        children.forEach(child => this._collectHierarchyParts(state, child));
+    }
+
+    _addPart(state, object, center) {
+        const partCenter = this._getCenter(object, this._temp.vec1);
+        if (!partCenter) return;
+
+        const world = partCenter.sub(center);
+        if (state.axis) {
+            world.copy(state.axis).multiplyScalar(world.dot(state.axis));
+        }
+        if (world.lengthSq() < 1e-12) return;
+
+        // 世界偏移转换到父级局部空间（考虑父级旋转与缩放）
+        const parentInverse = this._temp.mat4.copy(object.parent.matrixWorld).invert();
+        const local = world.clone().applyMatrix3(this._temp.mat3.setFromMatrix4(parentInverse));
+
+        state.parts.push({
+            object,
+            vector: local,
+            applied: new Vector3(),
+            written: object.position.clone()
+        });
+    }
+
+    _getCenter(object, target) {
+        const box = this._temp.box.makeEmpty();
+        const meshBox = new Box3();
+        object.traverse(child => {
+            if (!child.isMesh || isHelperObject(child) || !child.geometry) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            box.union(meshBox.copy(child.geometry.boundingBox).applyMatrix4(child.matrixWorld));
+        });
+        return box.isEmpty() ? null : box.getCenter(target);
+    }
+
+    _containsMesh(object) {
+        let found = false;
+        object.traverse(child => {
+            if (!found && child.isMesh && !isHelperObject(child)) found = true;
+        });
+        return found;
+    }
+
+    // ==================== 偏移叠加 ====================
+
+    // 偏移叠加在当前姿态上：若位置被 mixer/动画恢复改写，则以改写后的位置作为新的基础姿态
+    _applyFactor(state, factor) {
+        state.factor = factor;
+        state.parts.forEach(part => {
+            const { object, vector, applied, written } = part;
+            const base = this._temp.vec1.copy(object.position);
+            if (object.position.equals(written)) base.sub(applied);
+
+            applied.copy(vector).multiplyScalar(factor);
+            object.position.copy(base).add(applied);
+            written.copy(object.position);
+        });
+        state.model.updateMatrixWorld(true);
+        this._syncHotspots(state);
+    }
+
+    // 绑定到部件的热点随部件移动（bindMeshId）
+    _syncHotspots(state) {
+        const hotspotController = this.engine?.hotspotController;
+        if (!hotspotController?.hotspots?.size) return;
+
+        const partMap = new Map(state.parts.map(part => [part.object, part]));
+
+        hotspotController.hotspots.forEach((hs, id) => {
+            const bindMeshId = hs.state?.bindMeshId;
+            const sprite = hs.sprite;
+            if (!bindMeshId || !sprite) return;
+
+            // 表面附着的热点由热点控制器按 mesh 矩阵跟随，这里立即同步避免滞后一帧
+            if (hs.state.isSurfaceAttached) {
+                hotspotController._updateAttachedHotspotPosition?.(hs);
+                return;
+            }
+
+            const mesh = hs.state.targetObject?.parent ? hs.state.targetObject : hotspotController._findMeshById?.(bindMeshId);
+            if (!mesh || !this._isDescendant(mesh, state.model)) return;
+
+            const delta = this._computePartOffset(state, mesh, partMap, this._temp.vec2);
+            const last = state.hotspots.get(id) || new Vector3();
+            if (!delta.equals(last)) {
+                sprite.position.add(this._temp.vec1.subVectors(delta, last));
+                sprite.updateMatrixWorld(true);
+            }
+            if (delta.lengthSq() === 0) {
+                state.hotspots.delete(id);
+            } else {
+                state.hotspots.set(id, last.copy(delta));
+            }
+        });
+    }
+
+    // 累加所有祖先部件的偏移（世界空间）
+    _computePartOffset(state, mesh, partMap, target) {
+        target.set(0, 0, 0);
+        for (let node = mesh; node && node !== state.model; node = node.parent) {
+            const part = partMap.get(node);
+            if (part) {
+                target.add(this._temp.vec1.copy(part.applied).applyMatrix3(this._temp.mat3.setFromMatrix4(node.parent.matrixWorld)));
+            }
+        }
+        return target;
+    }
+
+    _isDescendant(object, ancestor) {
+        for (let node = object; node; node = node.parent) {
+            if (node === ancestor) return true;
+        }
+        return false;
+    }
+
+    _resolveAxis(axis) {
+        if (axis == null) return null;
+        if (typeof axis === 'string') return AXIS_VECTORS[axis.toLowerCase()]?.clone() || null;
+        const v = Array.isArray(axis) ? new Vector3(axis[0], axis[1], axis[2]) : axis.isVector3 ? axis.clone() : new Vector3(axis.x, axis.y, axis.z);
+        return v.lengthSq() > 0 ? v.normalize() : null;
+    }
+
+    _sameAxis(a, b) {
+        if (!a || !b) return a === b;
+        return a.equals(b);
+    }
+}
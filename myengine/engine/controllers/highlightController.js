@@ -50,13 +50,15 @@ export class HighlightController {
         if (isWebGL2) {
             const target = new WebGLRenderTarget(size.width * pixelRatio, size.height * pixelRatio, { 
                 samples: 4,
-                type: HalfFloatType
+                type: HalfFloatType,
+                stencilBuffer: true     // 剖切封盖依赖模板缓冲
             });
             this._composer = new EffectComposer(this.engine.renderer, target);
             useMSAA = true;
         } else {
             const target = new WebGLRenderTarget(size.width * pixelRatio, size.height * pixelRatio, { 
-                type: HalfFloatType
+                type: HalfFloatType,
+                stencilBuffer: true
             });
             this._composer = new EffectComposer(this.engine.renderer, target);
         }
@@ -215,6 +217,23 @@ export class HighlightController {
     }
 
 
+    /**
+     * 清除某个对象及其子节点在所有高亮通道中的选中状态（模型移除前调用）
+     * @param {Object3D} root 根节点
+     */
+    clearObject(root) {
+        if (!root) return;
+        const inside = object => {
+            for (let node = object; node; node = node.parent) {
+                if (node === root) return true;
+            }
+            return false;
+        };
+        [this._outlinePassHotspot, this._outlinePassWhite, this._outlinePassRed, this._outlinePassHover].forEach(pass => {
+            if (pass) pass.selectedObjects = pass.selectedObjects.filter(o => !inside(o));
+        });
+    }
+
     /**
      * 清除所有高亮通道的所有对象
      */
@@ -25,6 +25,7 @@ import {
 } from "three";
 import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
 import { EventBus } from "../core/events/eventEmitter.js";
+import { isHelperObject } from "../core/sceneHelpers.js";
 
 export class HotspotController {
     constructor(engine) {
@@ -137,6 +138,24 @@ export class HotspotController {
                 this._restoreAllHotspotBindings();
             };
             engineBus.on('scene:model', this._boundOnSceneModelLoaded);
+
+            // 代理模型被完整模型替换：释放指向旧模型的绑定，按 bindMeshId 重新解析到新模型
+            this._boundOnModelSwapped = ({ proxy } = {}) => {
+                if (proxy) {
+                    this.hotspots.forEach(hs => {
+                        let node = hs.state?.targetObject;
+                        while (node && node !== proxy) node = node.parent;
+                        if (!node) return;
+                        hs.state.targetObject = null;
+                        hs.state.localOffset = null;
+                        hs.state.localNormal = null;
+                    });
+                }
+                this._boundOnSceneModelLoaded();
+            };
+            engineBus.on('model:swapped', this._boundOnModelSwapped);
+            // replaceModel 已解除旧模型上的绑定，新模型就位后重新解析
+            engineBus.on('model:replaced', this._boundOnSceneModelLoaded);
         }
     }
     
@@ -510,6 +529,46 @@ export class HotspotController {
         return true;
     }
 
+    /**
+     * 处理绑定在某个模型上的热点（模型移除或替换前调用）
+     * @param {Object3D} model 模型根节点
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.keep=false] 保留热点，只解除与旧模型的绑定，新模型进入场景后按 bindMeshId 重新绑定
+     * @returns {string[]} 受影响的热点ID
+     */
+    removeByModel(model, options = {}) {
+        if (!model) return [];
+
+        // 尚未解析到对象的热点按 bindMeshId 判断归属
+        const meshIds = new Set();
+        model.traverse(obj => {
+            if (obj.userData?.id != null) meshIds.add(obj.userData.id);
+        });
+
+        const affected = [];
+        this.hotspots.forEach((hs, id) => {
+            const state = hs.state;
+            let node = state?.targetObject;
+            while (node && node !== model) node = node.parent;
+            if (node || (!state?.targetObject && state?.bindMeshId && meshIds.has(state.bindMeshId))) {
+                affected.push(id);
+            }
+        });
+
+        affected.forEach(id => {
+            if (!options.keep) {
+                this.remove(id);
+                return;
+            }
+            const state = this.hotspots.get(id).state;
+            state.targetObject = null;
+            state.localOffset = null;
+            state.localNormal = null;
+        });
+        this._invalidateMeshCache();
+        return affected;
+    }
+
     // 选择热点：选中指定热点并高亮显示
     select(id) {
         if (!id || !this.hotspots.has(id)) return;
@@ -596,6 +655,7 @@ export class HotspotController {
             };
         }
         
+        this.events.emit('hotspot:type:switching', { id, oldType: currentType, newType });
         this.remove(id);
         const newHotspot = this.add(savedState);
         
@@ -610,52 +670,71 @@ export class HotspotController {
     // 设置所有热点可见性：批量控制所有热点的显示/隐藏状态
     setAllVisible(visible = true) {
         const flag = !!visible;
-        this.hotspots.forEach(hs => {
-            if (!hs.state) hs.state = {};
-            hs.state._userVisible = flag;
-            
-            if (hs.sprite && hs.material) {
-                const ht = hs.sprite.userData.__hotspotType;
-                const isMesh = ht === 'mesh' || ht === 'billboard';
-                if (isMesh) {
-                    if (!flag) {
-                        hs.material.opacity = 0;
-                        hs.material.transparent = true;
-                        hs.material.needsUpdate = true;
-                        hs.sprite.visible = false;
-                    } else {
-                        hs.material.opacity = this.CONFIG.DEFAULT_OPACITY;
-                        hs.material.needsUpdate = true;
-                        hs.sprite.visible = true;
-                    }
-                    hs.material.depthTest = true;
-                    hs.material.depthWrite = true;
+        this.hotspots.forEach(hs => this._applyVisibility(hs, flag));
+        this.events.emit('hotspots:visibility:changed', { visible: flag });
+    }
+
+    // 设置单个热点可见性：与 setAllVisible 相同的显示/隐藏逻辑，只作用于指定热点
+    setVisible(id, visible = true) {
+        const hs = this.hotspots.get(id);
+        if (!hs) return false;
+        const flag = !!visible;
+        this._applyVisibility(hs, flag);
+        this.events.emit('hotspot:visibility:changed', { id, visible: flag });
+        return true;
+    }
+
+    // 获取热点可见性：返回用户设置的显示状态（不受遮挡影响）
+    isVisible(id) {
+        const hs = this.hotspots.get(id);
+        if (!hs) return false;
+        return hs.state?._userVisible !== false;
+    }
+
+    _applyVisibility(hs, flag) {
+        if (!hs.state) hs.state = {};
+        hs.state._userVisible = flag;
+        
+        if (hs.sprite && hs.material) {
+            const ht = hs.sprite.userData.__hotspotType;
+            const isMesh = ht === 'mesh' || ht === 'billboard';
+            if (isMesh) {
+                if (!flag) {
+                    hs.material.opacity = 0;
+                    hs.material.transparent = true;
+                    hs.material.needsUpdate = true;
+                    hs.sprite.visible = false;
                 } else {
-                    hs.sprite.visible = flag;
+                    hs.material.opacity = this.CONFIG.DEFAULT_OPACITY;
+                    hs.material.needsUpdate = true;
+                    hs.sprite.visible = true;
                 }
+                hs.material.depthTest = true;
+                hs.material.depthWrite = true;
+            } else {
+                hs.sprite.visible = flag;
             }
-            
-            // 隐藏时标记为遮挡
+        }
+        
+        // 隐藏时标记为遮挡
+        if (!flag) {
+            hs.state._isOccluded = true;
+        }
+        const label = this.labels.get(hs.id);
+        if (label?.object) {
+            label.visible = flag;
             if (!flag) {
-                hs.state._isOccluded = true;
-            }
-            const label = this.labels.get(hs.id);
-            if (label?.object) {
-                label.visible = flag;
-                if (!flag) {
-                    // 隐藏时立即隐藏
-                    label.object.visible = false;
-                    const el = this._getLabelElement(label);
-                    if (el) el.classList.add('is-hidden');
-                } else {
-                    // 显示时先隐藏，由update循环的遮挡检测决定是否真正显示
-                    label.object.visible = false;
-                    const el = this._getLabelElement(label);
-                    if (el) el.classList.add('is-hidden');
-                }
+                // 隐藏时立即隐藏
+                label.object.visible = false;
+                const el = this._getLabelElement(label);
+                if (el) el.classList.add('is-hidden');
+            } else {
+                // 显示时先隐藏，由update循环的遮挡检测决定是否真正显示
+                label.object.visible = false;
+                const el = this._getLabelElement(label);
+                if (el) el.classList.add('is-hidden');
             }
-        });
-        this.events.emit('hotspots:visibility:changed', { visible: flag });
+        }
     }
 
     // 高亮热点：设置指定热点的选中/高亮状态
@@ -1187,6 +1266,52 @@ export class HotspotController {
         return hotspot ? { id: this.selectedId, hotspot } : null;
     }
 
+    // 导出热点数据：返回可直接传给 add() 的纯数据（用于场景状态保存）
+    exportHotspot(id) {
+        const hs = this.hotspots.get(id);
+        if (!hs?.sprite) return null;
+
+        const p = hs.sprite.position;
+        const data = {
+            id,
+            type: hs.opts.type || 1,
+            position: { x: p.x, y: p.y, z: p.z },
+            size: hs.opts.size / this.CONFIG.SIZE_SCALE_FACTOR,
+            scaleMode: hs.opts.scaleMode,
+            enableCameraFocus: hs.opts.enableCameraFocus,
+            iconUrl: hs.state?.iconUrl || null,
+            videoUrl: hs.state?.videoUrl || null,
+            frameCount: hs.opts.frameCount,
+            frameDuration: hs.opts.frameDuration ? hs.opts.frameDuration / 1000 : null,
+            totalDuration: hs.opts.totalDuration ? hs.opts.totalDuration / 1000 : null,
+            userData: hs.userData ? JSON.parse(JSON.stringify(hs.userData)) : {},
+            quaternion: this.getHotspotQuaternion(id),
+            worldNormal: this.getHotspotWorldNormal(id),
+            bindMeshId: hs.state?.bindMeshId || null
+        };
+
+        const labelData = this.labels.get(id);
+        if (labelData) {
+            data.label = {
+                text: labelData.options.text,
+                align: labelData.options.align,
+                offset: labelData.options.offset,
+                visible: labelData.visible
+            };
+        }
+        return data;
+    }
+
+    // 导出全部热点数据
+    exportHotspots() {
+        const list = [];
+        this.hotspots.forEach((_, id) => {
+            const data = this.exportHotspot(id);
+            if (data) list.push(data);
+        });
+        return list;
+    }
+
     // 设置模式：切换编辑器模式或预览模式
     setMode(mode = 'editor') {
         if (mode !== 'editor' && mode !== 'preview') return;
@@ -1212,6 +1337,10 @@ export class HotspotController {
             if (this._boundOnMouseMoveHover) bus.off('input.mousemove', this._boundOnMouseMoveHover);
             if (this._boundOnSceneModelLoaded) {
                 bus.off('scene:model', this._boundOnSceneModelLoaded);
+                bus.off('model:replaced', this._boundOnSceneModelLoaded);
+            }
+            if (this._boundOnModelSwapped) {
+                bus.off('model:swapped', this._boundOnModelSwapped);
             }
         }
         
@@ -1298,6 +1427,7 @@ export class HotspotController {
         const finalAlign = labelData.options.align || 'top';
         const finalOffset = labelData.options.offset ?? 0;
         this._applyLabelOffset(labelData.object, hs, finalAlign, finalOffset);
+        this.events.emit('hotspot:label:updated', { id });
         return true;
     }
     
@@ -1420,6 +1550,12 @@ export class HotspotController {
         return { hotspotObject, material };
     }
 
+    // 场景网格射线检测，剔除位于剖切区域内的命中点
+    _intersectSceneMeshCache() {
+        const intersects = this._raycaster.intersectObjects(this._sceneMeshCache, false);
+        return this.engine?.clippingController?.filterIntersections(intersects) ?? intersects;
+    }
+
     _invalidateMeshCache() {
         this._sceneMeshCache = null;
         this._sceneMeshCacheTime = 0;
@@ -1517,6 +1653,9 @@ export class HotspotController {
     // 单点遮挡检测：从相机向目标点发射射线
     _performOcclusionCheck(targetPos, camera, skipCacheUpdate = false) {
         if (!targetPos || !camera) return false;
+
+        // 热点所在位置已被剖切掉，视为被遮挡
+        if (this.engine?.clippingController?.isPointClipped(targetPos)) return true;
         
         const dir = this._temp.vec1.subVectors(targetPos, camera.position);
         const dist = dir.length();
@@ -1533,7 +1672,7 @@ export class HotspotController {
         }
         
         this._raycaster.set(camera.position, dir);
-        const intersects = this._raycaster.intersectObjects(this._sceneMeshCache, false);
+        const intersects = this._intersectSceneMeshCache();
         
         if (intersects.length === 0) return false;
         
@@ -1661,6 +1800,7 @@ export class HotspotController {
      */
     _calculateVisibilityFactor(targetPos, camera) {
         if (!targetPos || !camera) return 0;
+        if (this.engine?.clippingController?.isPointClipped(targetPos)) return 0;
 
         const dir = this._temp.vec1.subVectors(targetPos, camera.position);
         const dist = dir.length();
@@ -1675,7 +1815,7 @@ export class HotspotController {
         }
         
         this._raycaster.set(camera.position, dir);
-        const intersects = this._raycaster.intersectObjects(this._sceneMeshCache, false);
+        const intersects = this._intersectSceneMeshCache();
         
         // 没有相交，完全可见
         if (intersects.length === 0) return 1.0;
@@ -2781,6 +2921,8 @@ export class HotspotController {
     _onMouseDown({ position, button }) {
         if (this.mode !== 'editor') return;
         if (!position || button !== 'left') return;
+        // 指针在变换Gizmo上时交给Gizmo处理
+        if (this.engine?.transformController?.isPointerOverGizmo()) return;
         const result = this._intersectHotspotAt(position);
         if (!result?.hotspot) return;
         const hs = result.hotspot;
@@ -2897,8 +3039,8 @@ export class HotspotController {
             this._sceneObjectIdMap = new Map();
             
             this.engine.mainScene.traverse(obj => {
-                // 跳过热点对象
-                if (obj.userData?.__isHotspot) {
+                // 跳过热点对象、变换Gizmo、测量标注和剖切辅助对象
+                if (isHelperObject(obj)) {
                     return;
                 }
                 
@@ -2955,6 +3097,12 @@ export class HotspotController {
         // 所有材质都完全透明，不参与遮挡检测
         return false;
     }
+    _isHotspotClipped(hs) {
+        const clipping = this.engine?.clippingController;
+        if (!clipping?.entries?.size) return false;
+        return clipping.isPointClipped(hs.sprite.getWorldPosition(this._temp.vec2));
+    }
+
     // 射线检测热点：从屏幕坐标检测命中的热点，考虑遮挡
     _intersectHotspotAt(ndc) {
         if (!this.engine?.camera || this.hotspots.size === 0) return null;
@@ -2964,7 +3112,7 @@ export class HotspotController {
         
         this._updateSceneMeshCache();
         
-        const meshIntersects = this._raycaster.intersectObjects(this._sceneMeshCache, false);
+        const meshIntersects = this._intersectSceneMeshCache();
         const closestMeshDistance = meshIntersects.length > 0 ? meshIntersects[0].distance : Infinity;
         
         // 使用缓存列表，避免 Map.values 产生垃圾
@@ -2978,7 +3126,7 @@ export class HotspotController {
         const cacheLen = this._cachedHotspotList.length;
         for(let i = 0; i < cacheLen; i++) {
             const hs = this._cachedHotspotList[i];
-            if (hs.sprite && hs.sprite.visible) {
+            if (hs.sprite && hs.sprite.visible && !this._isHotspotClipped(hs)) {
                 sprites.push(hs.sprite);
             }
         }
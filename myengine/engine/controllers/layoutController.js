@@ -0,0 +1,495 @@
+/**
+ * 多模型布局控制器 - 按行、网格、圆周或自定义槽位排列场景中的多个模型
+ * 所有模型以同一 targetSize 为基准统一缩放（保留相对大小），按包围盒计算占位，避免在原点重叠；
+ * 模型加入、移除或替换后自动重新布局，已就位的模型以动画移动到新槽位。
+ */
+import { Box3, Euler, Matrix4, Quaternion, Vector3 } from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+import { cameraApi } from "../../editor/apis/cameraApi.js";
+
+/**
+ * 布局事件名称常量
+ * @type {Object.<string, string>}
+ */
+const LAYOUT_EVENTS = {
+    CHANGED: 'layout:changed',
+    COMPLETE: 'layout:complete'
+};
+
+const LAYOUT_TYPES = ['row', 'grid', 'circle', 'slots'];
+const DEFAULT_DURATION = 800;   // 默认动画时长（毫秒）
+const DEFAULT_TARGET_SIZE = 5;  // 与 ModelLoader.processModel 默认一致
+const DEFAULT_SPACING = 1;      // 相邻模型包围盒之间的间隔
+
+const IDENTITY = new Quaternion();
+
+export class LayoutController {
+    events = new EventBus();
+
+    // 当前布局：null 表示未启用
+    layout = null;
+
+    // 参与布局的模型ID（顺序即槽位顺序）
+    members = [];
+
+    /**
+     * 创建布局控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this._dirty = false;
+        this._placed = new WeakSet();  // 已布局过的模型对象，首次布局直接就位不做动画
+        this._animations = new Map();  // 模型ID -> { model, from, to, elapsed, duration, easing }
+        this._pending = [];            // 等待本轮动画结束的 resolve
+        this._unsubscribers = [];
+        this._temp = {
+            box: new Box3(),
+            mat4: new Matrix4()
+        };
+
+        // 注册更新回调
+        engine?.addUpdateCallback('layoutController', this.update.bind(this));
+
+        // 模型加入、移除或替换后重新布局（合并到下一帧执行）
+        const bus = engine?.events;
+        if (bus) {
+            this._unsubscribers.push(
+                bus.on('asset:loaded', ({ type, id } = {}) => { if (type === 'models') this._onModelAdded(id); }),
+                bus.on('model:proxy', ({ id } = {}) => this._onModelAdded(id)),
+                bus.on('scene:model', ({ id } = {}) => this._onModelAdded(id)),
+                bus.on('model:swapped', () => this._markDirty()),
+                bus.on('model:replaced', () => this._markDirty()),
+                bus.on('model:removed', ({ id } = {}) => this.removeFromLayout(id))
+            );
+        }
+    }
+
+    /**
+     * 设置布局并立即排列
+     * @param {'row'|'grid'|'circle'|'slots'|'none'} type 布局方式，none 停止管理（模型保持当前位置）
+     * @param {Object} [options={}] 选项
+     * @param {Array<string>} [options.models] 参与布局的模型ID（按槽位顺序），默认为场景中全部模型
+     * @param {boolean} [options.auto] 之后加载的模型是否自动加入布局，未指定 models 时默认 true
+     * @param {'uniform'|'individual'|'none'} [options.normalize='uniform'] 缩放方式：
+     *        uniform 按最大的模型缩放到 targetSize、其余等比例（保留相对大小）；individual 每个模型各自缩放到 targetSize；none 保持当前缩放
+     * @param {number} [options.targetSize=5] 缩放基准尺寸
+     * @param {number} [options.spacing=1] 相邻模型包围盒之间的间隔
+     * @param {Array<number>|Object} [options.center=[0,0,0]] 布局中心
+     * @param {boolean} [options.alignToGround=true] 模型底面对齐到槽位高度，否则包围盒中心对齐
+     * @param {'x'|'z'} [options.axis='x'] row：排列方向
+     * @param {number} [options.columns] grid：列数，默认接近正方形
+     * @param {number} [options.radius] circle：半径，默认按模型尺寸计算保证不重叠
+     * @param {boolean} [options.faceOutward=false] circle：模型正面（+Z）朝向圆外
+     * @param {Array<Object>} [options.slots] slots：槽位 { position, rotation（弧度）, scale }，超出槽位数的模型不参与排列
+     * @param {number} [options.duration=800] 已就位模型移动到新槽位的动画时长（毫秒），0 为立即
+     * @param {string|Function|Array<number>} [options.easing] 缓动（同 cameraApi）
+     * @returns {Promise<boolean>} 排列动画完成时 resolve(true)，被新布局打断时 resolve(false)
+     */
+    setLayout(type, options = {}) {
+        if (type === 'none' || type == null) {
+            this.clear();
+            return Promise.resolve(true);
+        }
+        if (!LAYOUT_TYPES.includes(type)) {
+            console.warn(`LayoutController.setLayout: 不支持的布局方式 ${type}`);
+            return Promise.resolve(false);
+        }
+        if (type === 'slots' && !Array.isArray(options.slots)) {
+            console.warn('LayoutController.setLayout: slots 布局需要提供 slots 数组');
+            return Promise.resolve(false);
+        }
+
+        const { models, ...rest } = options;
+        this.layout = { type, auto: rest.auto ?? !models, ...rest };
+        this.members = Array.isArray(models) ? [...new Set(models)] : this._getSceneModelIds();
+        return this.relayout();
+    }
+
+    /**
+     * 按当前布局重新排列
+     * @param {Object} [options={}] { duration, easing }，覆盖布局中的动画设置
+     * @returns {Promise<boolean>}
+     */
+    relayout(options = {}) {
+        if (!this.layout) return Promise.resolve(false);
+        this._dirty = false;
+
+        const items = this._collectItems();
+        const targets = this._computeTargets(items);
+        const duration = Math.max(0, options.duration ?? this.layout.duration ?? DEFAULT_DURATION);
+        const easing = cameraApi.resolveEasing(options.easing ?? this.layout.easing);
+
+        // 打断上一轮动画
+        this._resolvePending(false);
+        this._animations.clear();
+
+        targets.forEach(({ item, target }) => {
+            const { id, model } = item;
+            if (duration === 0 || !this._placed.has(model)) {
+                this._applyTransform(model, target);
+                this._placed.add(model);
+                this._onModelPlaced(id, model);
+                return;
+            }
+            this._animations.set(id, {
+                model,
+                from: {
+                    position: model.position.clone(),
+                    quaternion: model.quaternion.clone(),
+                    scale: model.scale.clone()
+                },
+                to: target,
+                elapsed: 0,
+                duration,
+                easing
+            });
+        });
+
+        this.events.emit(LAYOUT_EVENTS.CHANGED, { type: this.layout.type, models: targets.map(({ item }) => item.id) });
+
+        if (this._animations.size === 0) {
+            this.events.emit(LAYOUT_EVENTS.COMPLETE, { type: this.layout.type });
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => this._pending.push(resolve));
+    }
+
+    /**
+     * 把模型加入布局
+     * @param {string} modelId 模型ID
+     * @param {number} [index] 插入位置，默认追加到末尾
+     * @returns {boolean} 是否加入（布局未启用或已在布局中时返回 false）
+     */
+    addToLayout(modelId, index) {
+        if (!this.layout || modelId == null || this.members.includes(modelId)) return false;
+        if (Number.isInteger(index) && index >= 0 && index < this.members.length) {
+            this.members.splice(index, 0, modelId);
+        } else {
+            this.members.push(modelId);
+        }
+        this._markDirty();
+        return true;
+    }
+
+    /**
+     * 把模型移出布局（模型保持当前位置），其余模型重新排列
+     * @param {string} modelId 模型ID
+     * @returns {boolean} 是否移出
+     */
+    removeFromLayout(modelId) {
+        const index = this.members.indexOf(modelId);
+        if (index === -1) return false;
+        this.members.splice(index, 1);
+        this._animations.delete(modelId);
+        this._markDirty();
+        return true;
+    }
+
+    /**
+     * 获取当前布局
+     * @returns {{type: string, models: string[], options: Object}|null}
+     */
+    getLayout() {
+        if (!this.layout) return null;
+        const { type, ...options } = this.layout;
+        return { type, models: [...this.members], options };
+    }
+
+    /**
+     * 停止布局管理，进行中的动画停在当前位置
+     */
+    clear() {
+        this._resolvePending(false);
+        this._animations.clear();
+        this.layout = null;
+        this.members = [];
+        this._dirty = false;
+    }
+
+    /**
+     * 每帧推进排列动画，并处理待执行的重新布局
+     * @param {number} deltaTime 帧间隔（秒）
+     */
+    update(deltaTime) {
+        if (this._dirty) this.relayout();
+        if (this._animations.size === 0) return;
+
+        this._animations.forEach((anim, id) => {
+            anim.elapsed += deltaTime * 1000;
+            const t = Math.min(anim.elapsed / anim.duration, 1);
+            const k = anim.easing(t);
+            const { model, from, to } = anim;
+
+            model.position.lerpVectors(from.position, to.position, k);
+            model.quaternion.slerpQuaternions(from.quaternion, to.quaternion, k);
+            model.scale.lerpVectors(from.scale, to.scale, k);
+
+            if (t >= 1) {
+                this._animations.delete(id);
+                this._onModelPlaced(id, model);
+            }
+        });
+
+        if (this._animations.size === 0) {
+            this._resolvePending(true);
+            this.events.emit(LAYOUT_EVENTS.COMPLETE, { type: this.layout?.type });
+        }
+    }
+
+    /**
+     * 释放资源
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('layoutController');
+        this._unsubscribers.forEach(off => off?.());
+        this._unsubscribers = [];
+        this.clear();
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 槽位计算 ====================
+
+    /**
+     * 收集参与本轮布局的模型及其目标朝向下的本地尺寸
+     * @private
+     */
+    _collectItems() {
+        const items = [];
+        this.members.forEach(id => {
+            const model = this.engine?.assetsManager?.getModel?.(id);
+            if (!model || !this._isInScene(id, model)) return;
+            items.push({ id, model });
+        });
+
+        const { type, slots } = this.layout;
+        const limit = type === 'slots' ? Math.min(items.length, slots.length) : items.length;
+        return items.slice(0, limit).map((item, index) => {
+            const slot = type === 'slots' ? this._parseSlot(slots[index]) : null;
+            let quaternion = slot?.quaternion || item.model.quaternion.clone();
+            if (type === 'circle' && this.layout.faceOutward) {
+                quaternion = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), this._circleAngle(index, limit));
+            }
+            return {
+                ...item,
+                slot,
+                quaternion,
+                // 占位按目标朝向计算，缩放按模型自身尺寸计算（不随朝向变化）
+                bounds: this._measure(item.model, quaternion),
+                native: this._measure(item.model, IDENTITY)
+            };
+        });
+    }
+
+    /**
+     * 计算每个模型的目标变换
+     * @private
+     */
+    _computeTargets(items) {
+        if (items.length === 0) return [];
+        const layout = this.layout;
+        const normalize = layout.normalize || 'uniform';
+        const targetSize = layout.targetSize > 0 ? layout.targetSize : DEFAULT_TARGET_SIZE;
+
+        // 统一缩放：以最大模型为基准，所有模型使用同一个比例
+        let uniformScale = 1;
+        if (normalize === 'uniform') {
+            const maxDim = Math.max(...items.map(item => this._maxDim(item.native.size)));
+            uniformScale = maxDim > 0 ? targetSize / maxDim : 1;
+        }
+
+        items.forEach(item => {
+            let scale;
+            if (normalize === 'uniform') {
+                scale = new Vector3().setScalar(uniformScale);
+            } else if (normalize === 'individual') {
+                const maxDim = this._maxDim(item.native.size);
+                scale = new Vector3().setScalar(maxDim > 0 ? targetSize / maxDim : 1);
+            } else {
+                scale = item.model.scale.clone();
+            }
+            if (item.slot?.scale) scale.multiply(item.slot.scale);
+            item.scale = scale;
+            item.size = item.bounds.size.clone().multiply(scale);
+        });
+
+        const center = this._toVector(layout.center) || new Vector3();
+        const positions = this._computeSlotPositions(items, center);
+
+        return items.map((item, index) => {
+            // 槽位坐标对应包围盒底面中心（或中心），换算成模型根节点位置
+            const offset = item.bounds.center.clone().multiply(item.scale);
+            if (layout.alignToGround !== false) offset.y = item.bounds.min.y * item.scale.y;
+            return {
+                item,
+                target: {
+                    position: positions[index].clone().sub(offset),
+                    quaternion: item.quaternion.clone(),
+                    scale: item.scale
+                }
+            };
+        });
+    }
+
+    _computeSlotPositions(items, center) {
+        const layout = this.layout;
+        const spacing = layout.spacing ?? DEFAULT_SPACING;
+
+        switch (layout.type) {
+            case 'row': {
+                const axis = layout.axis === 'z' ? 'z' : 'x';
+                const total = items.reduce((sum, item) => sum + item.size[axis], 0) + spacing * (items.length - 1);
+                let cursor = -total / 2;
+                return items.map(item => {
+                    const position = center.clone();
+                    position[axis] += cursor + item.size[axis] / 2;
+                    cursor += item.size[axis] + spacing;
+                    return position;
+                });
+            }
+            case 'grid': {
+                const columns = Math.max(1, Math.floor(layout.columns) || Math.ceil(Math.sqrt(items.length)));
+                const rows = Math.ceil(items.length / columns);
+                const cellX = Math.max(...items.map(item => item.size.x)) + spacing;
+                const cellZ = Math.max(...items.map(item => item.size.z)) + spacing;
+                return items.map((item, index) => {
+                    const col = index % columns;
+                    const row = Math.floor(index / columns);
+                    // 最后一行不满时居中
+                    const rowCount = row === rows - 1 ? items.length - row * columns : columns;
+                    return center.clone().add(new Vector3(
+                        (col - (rowCount - 1) / 2) * cellX,
+                        0,
+                        (row - (rows - 1) / 2) * cellZ
+                    ));
+                });
+            }
+            case 'circle': {
+                const count = items.length;
+                let radius = layout.radius;
+                if (!(radius >= 0)) {
+                    // 相邻槽位的弦长不小于最大占位宽度
+                    const footprint = Math.max(...items.map(item => Math.hypot(item.size.x, item.size.z))) + spacing;
+                    radius = count > 1 ? footprint / (2 * Math.sin(Math.PI / count)) : 0;
+                }
+                return items.map((item, index) => {
+                    const angle = this._circleAngle(index, count);
+                    return center.clone().add(new Vector3(Math.sin(angle) * radius, 0, Math.cos(angle) * radius));
+                });
+            }
+            case 'slots':
+            default:
+                return items.map(item => item.slot.position.clone());
+        }
+    }
+
+    // 第一个槽位在 +Z（默认相机一侧），按逆时针排列
+    _circleAngle(index, count) {
+        return count > 0 ? (index / count) * Math.PI * 2 : 0;
+    }
+
+    _parseSlot(slot = {}) {
+        const position = this._toVector(slot.position) || new Vector3();
+        const rotation = this._toVector(slot.rotation);
+        let scale = null;
+        if (typeof slot.scale === 'number') scale = new Vector3().setScalar(slot.scale);
+        else if (slot.scale != null) scale = this._toVector(slot.scale, 1);
+        return {
+            position,
+            quaternion: rotation ? new Quaternion().setFromEuler(new Euler(rotation.x, rotation.y, rotation.z)) : null,
+            scale
+        };
+    }
+
+    // ==================== 工具 ====================
+
+    /**
+     * 测量模型在给定朝向、缩放为 1 时相对根节点的包围盒（父节点空间）
+     * @private
+     */
+    _measure(model, quaternion) {
+        const position = model.position.clone();
+        const rotation = model.quaternion.clone();
+        const scale = model.scale.clone();
+
+        model.position.set(0, 0, 0);
+        model.quaternion.copy(quaternion);
+        model.scale.set(1, 1, 1);
+        model.updateMatrixWorld(true);
+
+        const box = this._temp.box.setFromObject(model);
+        if (model.parent) box.applyMatrix4(this._temp.mat4.copy(model.parent.matrixWorld).invert());
+
+        model.position.copy(position);
+        model.quaternion.copy(rotation);
+        model.scale.copy(scale);
+        model.updateMatrixWorld(true);
+
+        if (box.isEmpty()) {
+            return { size: new Vector3(), center: new Vector3(), min: new Vector3() };
+        }
+        return {
+            size: box.getSize(new Vector3()),
+            center: box.getCenter(new Vector3()),
+            min: box.min.clone()
+        };
+    }
+
+    _maxDim(size) {
+        return Math.max(size.x, size.y, size.z);
+    }
+
+    _applyTransform(model, target) {
+        model.position.copy(target.position);
+        model.quaternion.copy(target.quaternion);
+        model.scale.copy(target.scale);
+        model.updateMatrixWorld(true);
+    }
+
+    /**
+     * 模型到达槽位：更新动画控制器保存的根节点初始状态，避免动画结束后把模型恢复到布局前的位置
+     * @private
+     */
+    _onModelPlaced(id, model) {
+        this.engine?.animationController?.updateModelInitialState(id, model);
+    }
+
+    _isInScene(id, model) {
+        // 显示低级别 LOD 时完整模型暂时不在场景中，但仍参与布局
+        return !!model.parent || (this.engine?.lodController?.getLevel?.(id) ?? 0) > 0;
+    }
+
+    _getSceneModelIds() {
+        const ids = [];
+        this.engine?.assetsManager?.assets?.models?.forEach((model, id) => {
+            if (this._isInScene(id, model)) ids.push(id);
+        });
+        return ids;
+    }
+
+    _onModelAdded(id) {
+        if (!this.layout || id == null) return;
+        if (this.members.includes(id)) {
+            this._markDirty();
+        } else if (this.layout.auto) {
+            this.addToLayout(id);
+        }
+    }
+
+    _markDirty() {
+        if (this.layout) this._dirty = true;
+    }
+
+    _resolvePending(result) {
+        const pending = this._pending;
+        this._pending = [];
+        pending.forEach(resolve => resolve(result));
+    }
+
+    _toVector(value, fallback = 0) {
+        if (value == null) return null;
+        if (Array.isArray(value)) return new Vector3(value[0] ?? fallback, value[1] ?? fallback, value[2] ?? fallback);
+        if (typeof value === 'object') return new Vector3(value.x ?? fallback, value.y ?? fallback, value.z ?? fallback);
+        return null;
+    }
+}
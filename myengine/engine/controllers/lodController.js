@@ -0,0 +1,390 @@
+/**
+ * LOD控制器 - 按模型在屏幕上的投影尺寸切换细节级别
+ * 第 0 级为资源管理器中注册的完整模型，始终是模型的"本体"（动画、热点绑定、配置器都作用于它）；
+ * 低级别模型按需加载，切换时在同一父节点下与当前级别对换，并每帧同步本体的根节点变换。
+ */
+import { Box3, Sphere, Vector3 } from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * LOD事件名称常量
+ * @type {Object.<string, string>}
+ */
+const LOD_EVENTS = {
+    CHANGED: 'lod:changed',
+    ERROR: 'lod:error'
+};
+
+const DEFAULT_INTERVAL = 10;     // 默认每10帧评估一次（与视锥体剔除一致）
+const DEFAULT_HYSTERESIS = 0.1;  // 阈值上下10%的滞回区间，避免在边界来回切换
+
+export class LodController {
+    events = new EventBus();
+
+    // 模型ID -> { modelId, model, bounds, levels, current, forced }
+    entries = new Map();
+
+    enabled = true;
+    interval = DEFAULT_INTERVAL;
+    hysteresis = DEFAULT_HYSTERESIS;
+
+    // 统计信息（与 Engine.cullingStats 同风格）：levels[i] 为当前处于第 i 级的模型数
+    stats = { total: 0, levels: [], loading: 0, switches: 0 };
+
+    /**
+     * 创建LOD控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this._frame = 0;
+        this._temp = {
+            box: new Box3(),
+            vec1: new Vector3(),
+            vec2: new Vector3()
+        };
+
+        // 注册更新回调
+        engine?.addUpdateCallback('lodController', this.update.bind(this));
+    }
+
+    /**
+     * 为模型注册 LOD 级别
+     * @param {string} modelId 模型ID（第 0 级）
+     * @param {Array<{url?: string, object?: Object3D, screenSize: number}>} levels 低细节级别（由高到低），
+     *        screenSize 为切换阈值：模型包围球直径占视口高度的比例低于该值时使用此级别
+     * @param {Object} [options={}] 选项
+     * @param {Object3D} [options.model] 第 0 级模型，默认从资源管理器获取
+     * @param {Object.<string, Object3D>} [options.preloaded] 已加载的级别（url -> 对象），如渐进加载的代理模型
+     * @param {boolean} [options.preload=false] 是否立即加载全部级别，默认在需要时才加载
+     * @returns {boolean} 是否注册成功
+     */
+    register(modelId, levels, options = {}) {
+        const model = options.model || this.engine?.assetsManager?.getModel?.(modelId);
+        if (!model) {
+            console.warn(`LodController.register: 模型不存在 ${modelId}`);
+            return false;
+        }
+        if (!Array.isArray(levels) || levels.length === 0) {
+            console.warn('LodController.register: 至少需要一个 LOD 级别');
+            return false;
+        }
+        const invalid = levels.find(level => !(level?.url || level?.object?.isObject3D) || !(level.screenSize > 0));
+        if (invalid) {
+            console.warn('LodController.register: LOD 级别需要 url 或 object，且 screenSize 大于 0', invalid);
+            return false;
+        }
+
+        if (this.entries.has(modelId)) this.unregister(modelId);
+
+        const entry = {
+            modelId,
+            model,
+            bounds: this._computeLocalBounds(model),
+            levels: levels
+                .map(level => ({
+                    url: level.url || null,
+                    screenSize: level.screenSize,
+                    object: level.object || options.preloaded?.[level.url] || null,
+                    loading: null,
+                    failed: false
+                }))
+                .sort((a, b) => b.screenSize - a.screenSize),
+            current: 0,
+            forced: null
+        };
+        entry.levels.forEach(level => {
+            // 复用的代理模型可能仍在场景中，交由控制器接管
+            level.object?.removeFromParent();
+            if (options.preload) this._loadLevel(entry, level);
+        });
+
+        this.entries.set(modelId, entry);
+        this._evaluate(entry);
+        this._updateStats();
+        return true;
+    }
+
+    /**
+     * 取消模型的 LOD，恢复完整模型并释放已加载的低级别模型
+     * @param {string} modelId 模型ID
+     * @returns {boolean} 是否存在并已取消
+     */
+    unregister(modelId) {
+        const entry = this.entries.get(modelId);
+        if (!entry) return false;
+
+        this._switchTo(entry, 0);
+        this.entries.delete(modelId);
+        entry.levels.forEach(level => {
+            // 中止仍在进行的加载
+            level.loading?.abort();
+            level.loading = null;
+            // 外部传入的对象由调用方管理
+            if (level.object && level.url) this.engine?.assetsManager?.modelLoader?.disposeModel(level.object);
+            level.object = null;
+        });
+        this._updateStats();
+        return true;
+    }
+
+    /**
+     * 启用/禁用运行时 LOD，禁用时所有模型回到完整模型
+     * @param {boolean} enabled 是否启用
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.entries.forEach(entry => this._switchTo(entry, 0));
+            this._updateStats();
+        }
+    }
+
+    /**
+     * 锁定模型的 LOD 级别
+     * @param {string} modelId 模型ID
+     * @param {number|null} level 级别（0 为完整模型），null 恢复自动切换
+     * @returns {boolean} 是否设置成功
+     */
+    setLevel(modelId, level) {
+        const entry = this.entries.get(modelId);
+        if (!entry) {
+            console.warn(`LodController.setLevel: 模型未注册 LOD ${modelId}`);
+            return false;
+        }
+        if (level !== null && !(Number.isInteger(level) && level >= 0 && level <= entry.levels.length)) {
+            console.warn(`LodController.setLevel: 无效的级别 ${level}`);
+            return false;
+        }
+        entry.forced = level;
+        this._evaluate(entry);
+        this._updateStats();
+        return true;
+    }
+
+    /**
+     * 获取模型当前的 LOD 级别
+     * @param {string} modelId 模型ID
+     * @returns {number} 当前级别，未注册时为 -1
+     */
+    getLevel(modelId) {
+        return this.entries.get(modelId)?.current ?? -1;
+    }
+
+    /**
+     * 模型是否正在显示（显示低级别时完整模型暂时脱离场景图，仍视为在用）
+     * @param {Object3D} model 第 0 级模型
+     * @returns {boolean}
+     */
+    isDisplayed(model) {
+        for (const entry of this.entries.values()) {
+            if (entry.model === model) return !!this._getLevelObject(entry, entry.current)?.parent;
+        }
+        return false;
+    }
+
+    /**
+     * 获取 LOD 统计信息
+     * @returns {{total: number, levels: number[], loading: number, switches: number}}
+     */
+    getStats() {
+        return { ...this.stats, levels: [...this.stats.levels] };
+    }
+
+    /**
+     * 每帧同步低级别模型的变换，并按间隔重新评估级别
+     */
+    update() {
+        if (this.entries.size === 0) return;
+
+        this.entries.forEach(entry => this._syncTransform(entry));
+
+        if (++this._frame % this.interval !== 0) return;
+        this.entries.forEach(entry => this._evaluate(entry));
+        this._updateStats();
+    }
+
+    /**
+     * 释放资源
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('lodController');
+        [...this.entries.keys()].forEach(modelId => this.unregister(modelId));
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 级别选择 ====================
+
+    _evaluate(entry) {
+        const target = this._pickLevel(entry);
+        let level = target;
+
+        // 目标级别未就绪：触发加载，期间退回到最近的可用级别
+        while (level > 0 && !entry.levels[level - 1].object) {
+            this._loadLevel(entry, entry.levels[level - 1]);
+            level--;
+        }
+        // 当前级别比可用级别更接近目标时保持不动，避免加载期间先跳回完整模型
+        if (level < target && entry.current > level && entry.current <= target) return;
+
+        this._switchTo(entry, level);
+    }
+
+    _pickLevel(entry) {
+        if (entry.forced !== null) return entry.forced;
+        if (!this.enabled) return 0;
+        // 爆炸图等直接操作部件节点的功能只作用于完整模型
+        if (this.engine?.explodeController?.isExploded?.(entry.modelId)) return 0;
+
+        const size = this._getScreenSize(entry);
+        if (size === null) return entry.current;
+
+        let level = 0;
+        entry.levels.forEach((item, index) => {
+            // 已处于该级别或更低时，需超出阈值上沿才切回更高细节
+            const threshold = item.screenSize * (index + 1 <= entry.current ? 1 + this.hysteresis : 1 - this.hysteresis);
+            if (size < threshold) level = index + 1;
+        });
+        return level;
+    }
+
+    /**
+     * 计算模型包围球直径占视口高度的比例
+     * @private
+     * @returns {number|null} 无法计算时返回 null
+     */
+    _getScreenSize(entry) {
+        const camera = this.engine?.camera;
+        if (!camera || !entry.bounds) return null;
+
+        const matrixWorld = entry.model.matrixWorld;
+        const center = this._temp.vec1.copy(entry.bounds.center).applyMatrix4(matrixWorld);
+        const radius = entry.bounds.radius * matrixWorld.getMaxScaleOnAxis();
+
+        if (camera.isOrthographicCamera) {
+            const height = (camera.top - camera.bottom) / (camera.zoom || 1);
+            return height > 0 ? (2 * radius) / height : null;
+        }
+
+        const distance = center.distanceTo(camera.getWorldPosition(this._temp.vec2));
+        if (distance <= radius) return Infinity;
+        const halfFov = (camera.fov * Math.PI) / 360;
+        return radius / (distance * Math.tan(halfFov));
+    }
+
+    // ==================== 切换与加载 ====================
+
+    _switchTo(entry, level) {
+        if (entry.current === level) return;
+
+        const from = this._getLevelObject(entry, entry.current);
+        const to = this._getLevelObject(entry, level);
+        const parent = from?.parent;
+        if (!to || !parent) return;
+
+        parent.add(to);
+        from.removeFromParent();
+        if (level > 0) this._syncTransform(entry, level);
+
+        const previous = entry.current;
+        entry.current = level;
+        this.stats.switches++;
+        this._emit(LOD_EVENTS.CHANGED, { modelId: entry.modelId, level, previous });
+    }
+
+    _getLevelObject(entry, level) {
+        return level === 0 ? entry.model : entry.levels[level - 1]?.object || null;
+    }
+
+    _syncTransform(entry, level = entry.current) {
+        if (level === 0) return;
+        const object = entry.levels[level - 1]?.object;
+        if (!object) return;
+
+        const { model } = entry;
+        object.position.copy(model.position);
+        object.quaternion.copy(model.quaternion);
+        object.scale.copy(model.scale);
+        // 完整模型脱离场景期间不会随渲染更新矩阵，手动刷新供热点跟随与尺寸评估使用
+        // 此时 model.parent 为空，按当前挂载的代理所在父节点合成世界矩阵
+        model.updateMatrix();
+        const parent = object.parent;
+        if (parent) {
+            parent.updateWorldMatrix(true, false);
+            model.matrixWorld.multiplyMatrices(parent.matrixWorld, model.matrix);
+        } else {
+            model.matrixWorld.copy(model.matrix);
+        }
+        model.matrixWorldNeedsUpdate = false;
+        model.children.forEach(child => child.updateMatrixWorld(true));
+    }
+
+    _loadLevel(entry, level) {
+        if (level.object || level.loading || level.failed || !level.url) return;
+
+        const loader = this.engine?.assetsManager?.modelLoader;
+        if (!loader) return;
+
+        const controller = new AbortController();
+        level.loading = controller;
+        loader.loadAsync(level.url, { signal: controller.signal })
+            .then(object => {
+                if (!object) throw new Error('加载的模型为空');
+                // 已被注销或重新注册
+                if (controller.signal.aborted || this.entries.get(entry.modelId) !== entry) {
+                    loader.disposeModel(object);
+                    return;
+                }
+                loader.enableShadows(object);
+                loader.buildBVH(object);
+                level.object = object;
+            })
+            .catch(error => {
+                if (controller.signal.aborted) return;
+                level.failed = true;
+                console.warn(`LodController: LOD 模型加载失败 ${level.url}`, error);
+                this._emit(LOD_EVENTS.ERROR, { modelId: entry.modelId, url: level.url, error });
+            })
+            .finally(() => {
+                if (level.loading === controller) level.loading = null;
+                this._updateStats();
+            });
+        this._updateStats();
+    }
+
+    // ==================== 工具 ====================
+
+    /**
+     * 计算模型局部空间的包围球（随根节点变换）
+     * @private
+     */
+    _computeLocalBounds(model) {
+        model.updateMatrixWorld(true);
+        const box = this._temp.box.setFromObject(model);
+        if (box.isEmpty()) return null;
+
+        const sphere = box.getBoundingSphere(new Sphere());
+        const scale = model.matrixWorld.getMaxScaleOnAxis() || 1;
+        return {
+            center: model.worldToLocal(sphere.center.clone()),
+            radius: sphere.radius / scale
+        };
+    }
+
+    _updateStats() {
+        const levels = [];
+        let loading = 0;
+        this.entries.forEach(entry => {
+            levels[entry.current] = (levels[entry.current] || 0) + 1;
+            entry.levels.forEach(level => { if (level.loading) loading++; });
+        });
+        this.stats.total = this.entries.size;
+        this.stats.levels = Array.from(levels, count => count || 0);
+        this.stats.loading = loading;
+    }
+
+    _emit(event, data) {
+        this.events.emit(event, data);
+        this.engine?.events?.emit(event, data);
+    }
+}
@@ -0,0 +1,862 @@
+/**
+ * 测量控制器 - 距离、折线长度、三点角度、面区域面积测量
+ */
+import {
+    Group,
+    Vector2,
+    Vector3,
+    Line3,
+    Triangle,
+    BufferGeometry,
+    Float32BufferAttribute,
+    Line,
+    LineBasicMaterial,
+    Points,
+    PointsMaterial,
+    Mesh,
+    MeshBasicMaterial,
+    DoubleSide
+} from "three";
+import { CSS2DObject } from "three/examples/jsm/renderers/CSS2DRenderer.js";
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 测量事件名称常量
+ * @type {Object.<string, string>}
+ */
+const MEASUREMENT_EVENTS = {
+    STARTED: 'measurement:started',
+    STOPPED: 'measurement:stopped',
+    POINT: 'measurement:point',
+    ADDED: 'measurement:added',
+    REMOVED: 'measurement:removed',
+    CANCELLED: 'measurement:cancelled',
+    CLEARED: 'measurement:cleared',
+    UNITS_CHANGED: 'measurement:units:changed'
+};
+
+const MEASUREMENT_TYPES = ['distance', 'polyline', 'angle', 'area'];
+
+/**
+ * 长度单位换算（单位：米）
+ * @type {Object.<string, number>}
+ */
+const UNIT_TO_METER = {
+    km: 1000,
+    m: 1,
+    cm: 0.01,
+    mm: 0.001,
+    ft: 0.3048,
+    in: 0.0254
+};
+
+const EXPORT_VERSION = 1;
+const HOVER_THROTTLE_MS = 30;
+const AREA_MAX_TRIANGLES = 200000;
+
+export class MeasurementController {
+    events = new EventBus();
+
+    // 已完成的测量 id -> measurement
+    measurements = new Map();
+
+    // 当前工具 distance|polyline|angle|area|null
+    activeTool = null;
+
+    units = {
+        sourceUnit: 'm',        // 模型文件的原始单位（glTF 为米）
+        displayUnit: 'm',       // 显示单位
+        precision: 2,           // 小数位数
+        useModelScale: true     // 按模型缩放换算回原始尺寸（ModelLoader.scaleToSize 会缩放模型）
+    };
+
+    snap = {
+        vertex: true,
+        edge: true,
+        threshold: 10           // 屏幕像素
+    };
+
+    area = {
+        angleTolerance: 1       // 共面判断的法线夹角容差（度）
+    };
+
+    visible = true;
+
+    _group = null;
+    _pending = [];              // 当前测量已选点 [{ point, modelId, modelScale }]
+    _preview = null;            // 预览对象 { line, points }
+    _nextId = 1;
+    _lastHoverTime = 0;
+    _adjacencyCache = new WeakMap();
+    _unsubscribers = [];
+    _removeInterceptor = null;
+
+    /**
+     * 创建测量控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.scene = engine?.mainScene;
+        this._temp = {
+            vec1: new Vector3(),
+            vec2: new Vector3(),
+            vec3: new Vector3(),
+            ndc: new Vector2(),
+            line: new Line3(),
+            tri: new Triangle()
+        };
+    }
+
+    /**
+     * 开始测量
+     * @param {'distance'|'polyline'|'angle'|'area'} type 测量类型
+     * @returns {boolean} 是否开始
+     */
+    startMeasurement(type) {
+        if (!MEASUREMENT_TYPES.includes(type)) {
+            console.warn(`MeasurementController.startMeasurement: 无效的测量类型 ${type}，可选值 ${MEASUREMENT_TYPES.join('/')}`);
+            return false;
+        }
+        if (!this.engine?.inputManager || !this.scene) {
+            console.warn('MeasurementController: 输入管理器或场景未初始化');
+            return false;
+        }
+        this._cancelPending(true);
+        this._ensureGroup();
+        this._bindInput();
+        this.activeTool = type;
+        this.events.emit(MEASUREMENT_EVENTS.STARTED, { type });
+        return true;
+    }
+
+    /**
+     * 结束测量工具（折线测量会先完成当前折线）
+     * @returns {void}
+     */
+    stopMeasurement() {
+        if (!this.activeTool) return;
+        if (this.activeTool === 'polyline' && this._pending.length >= 2) {
+            this.finishMeasurement();
+        }
+        this._cancelPending(true);
+        const type = this.activeTool;
+        this.activeTool = null;
+        this._unbindInput();
+        this.events.emit(MEASUREMENT_EVENTS.STOPPED, { type });
+    }
+
+    /**
+     * 完成当前测量（用于折线）
+     * @returns {Object|null} 完成的测量数据
+     */
+    finishMeasurement() {
+        const type = this.activeTool;
+        if (!type) return null;
+        const required = { distance: 2, angle: 3, polyline: 2, area: 1 }[type];
+        if (this._pending.length < required) {
+            this._cancelPending();
+            return null;
+        }
+        return this._commit(type);
+    }
+
+    /**
+     * 取消当前未完成的测量
+     * @returns {void}
+     */
+    cancelMeasurement() {
+        this._cancelPending();
+    }
+
+    /**
+     * 通过代码添加测量（点为世界坐标）
+     * @param {'distance'|'polyline'|'angle'} type 测量类型
+     * @param {Array<Vector3|Array<number>|Object>} points 点列表
+     * @param {Object} [options={}] 选项 { modelId, modelScale }
+     * @returns {Object|null} 测量数据
+     */
+    addMeasurement(type, points, options = {}) {
+        if (!['distance', 'polyline', 'angle'].includes(type) || !Array.isArray(points)) {
+            console.warn('MeasurementController.addMeasurement: 参数无效');
+            return null;
+        }
+        const vectors = points.map(p => this._toVector3(p)).filter(Boolean);
+        const required = { distance: 2, polyline: 2, angle: 3 }[type];
+        if (vectors.length < required) {
+            console.warn(`MeasurementController.addMeasurement: ${type} 至少需要 ${required} 个点`);
+            return null;
+        }
+        const scale = options.modelScale ?? this._getModelScale(options.modelId);
+        return this._createMeasurement(type, {
+            points: type === 'polyline' ? vectors : vectors.slice(0, required),
+            modelId: options.modelId ?? null,
+            modelScale: scale
+        });
+    }
+
+    /**
+     * 删除测量
+     * @param {string} id 测量ID
+     * @returns {boolean} 是否删除
+     */
+    removeMeasurement(id) {
+        const m = this.measurements.get(id);
+        if (!m) return false;
+        this._disposeObjects(m.objects);
+        this.measurements.delete(id);
+        this.events.emit(MEASUREMENT_EVENTS.REMOVED, { id });
+        return true;
+    }
+
+    /**
+     * 清空全部测量
+     * @returns {void}
+     */
+    clearMeasurements() {
+        this.measurements.forEach(m => this._disposeObjects(m.objects));
+        this.measurements.clear();
+        this._cancelPending(true);
+        this.events.emit(MEASUREMENT_EVENTS.CLEARED, {});
+    }
+
+    /**
+     * 获取全部测量数据
+     * @returns {Array<Object>}
+     */
+    getMeasurements() {
+        return Array.from(this.measurements.values(), m => this._serialize(m));
+    }
+
+    /**
+     * 导出测量数据为 JSON
+     * @param {boolean} [stringify=false] 是否返回字符串
+     * @returns {Object|string}
+     */
+    exportMeasurements(stringify = false) {
+        const data = {
+            version: EXPORT_VERSION,
+            exportTime: new Date().toISOString(),
+            units: { ...this.units },
+            measurements: this.getMeasurements()
+        };
+        return stringify ? JSON.stringify(data, null, 2) : data;
+    }
+
+    /**
+     * 设置单位
+     * @param {Object} options 单位选项
+     * @param {string} [options.sourceUnit] 模型原始单位 km|m|cm|mm|ft|in
+     * @param {string} [options.displayUnit] 显示单位 km|m|cm|mm|ft|in
+     * @param {number} [options.precision] 小数位数
+     * @param {boolean} [options.useModelScale] 是否按模型缩放换算
+     * @returns {Object} 当前单位设置
+     */
+    setUnits(options = {}) {
+        ['sourceUnit', 'displayUnit'].forEach(key => {
+            if (options[key] === undefined) return;
+            if (UNIT_TO_METER[options[key]] === undefined) {
+                console.warn(`MeasurementController.setUnits: 不支持的单位 ${options[key]}`);
+                return;
+            }
+            this.units[key] = options[key];
+        });
+        if (Number.isInteger(options.precision) && options.precision >= 0) this.units.precision = options.precision;
+        if (options.useModelScale !== undefined) this.units.useModelScale = !!options.useModelScale;
+
+        // 重新计算所有测量值和标签
+        this.measurements.forEach(m => this._refreshValue(m));
+        this.events.emit(MEASUREMENT_EVENTS.UNITS_CHANGED, { ...this.units });
+        return { ...this.units };
+    }
+
+    /**
+     * 设置吸附
+     * @param {Object} options 吸附选项 { vertex, edge, threshold(像素) }
+     * @returns {Object} 当前吸附设置
+     */
+    setSnap(options = {}) {
+        if (options.vertex !== undefined) this.snap.vertex = !!options.vertex;
+        if (options.edge !== undefined) this.snap.edge = !!options.edge;
+        if (options.threshold > 0) this.snap.threshold = options.threshold;
+        return { ...this.snap };
+    }
+
+    /**
+     * 显示/隐藏全部测量
+     * @param {boolean} visible 是否可见
+     * @returns {void}
+     */
+    setVisible(visible = true) {
+        this.visible = !!visible;
+        if (this._group) this._group.visible = this.visible;
+        this.measurements.forEach(m => {
+            if (m.objects.label) m.objects.label.visible = this.visible;
+        });
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.stopMeasurement();
+        this.measurements.forEach(m => this._disposeObjects(m.objects));
+        this.measurements.clear();
+        if (this._group?.parent) this._group.parent.remove(this._group);
+        this._group = null;
+        this.events.removeAllListeners();
+    }
+
+    // ==================== 输入处理 ====================
+
+    _bindInput() {
+        if (this._removeInterceptor) return;
+        const input = this.engine.inputManager;
+        this._removeInterceptor = input.addClickInterceptor(this._onClick.bind(this));
+        const bus = this.engine.events;
+        this._unsubscribers.push(
+            bus.on('input.mousemove', this._onMouseMove.bind(this)),
+            bus.on('input.keydown', this._onKeyDown.bind(this))
+        );
+    }
+
+    _unbindInput() {
+        this._removeInterceptor?.();
+        this._removeInterceptor = null;
+        this._unsubscribers.forEach(off => off?.());
+        this._unsubscribers = [];
+    }
+
+    _onClick({ position, button }) {
+        if (!this.activeTool) return false;
+        if (button === 'right') {
+            if (this.activeTool === 'polyline') this.finishMeasurement();
+            else this._cancelPending();
+            return true;
+        }
+        if (button !== 'left') return false;
+
+        const pick = this._pick(position);
+        if (!pick) return true;
+
+        if (this.activeTool === 'area') {
+            this._commitArea(pick);
+            return true;
+        }
+
+        this._pending.push(pick);
+        this.events.emit(MEASUREMENT_EVENTS.POINT, {
+            type: this.activeTool,
+            index: this._pending.length - 1,
+            point: pick.point.toArray(),
+            snapped: pick.snapped
+        });
+
+        const required = { distance: 2, angle: 3 }[this.activeTool];
+        if (required && this._pending.length >= required) {
+            this._commit(this.activeTool);
+        } else {
+            this._updatePreview(null);
+        }
+        return true;
+    }
+
+    _onMouseMove({ position, isDragging }) {
+        if (!this.activeTool || isDragging || this._pending.length === 0) return;
+        const now = Date.now();
+        if (now - this._lastHoverTime < HOVER_THROTTLE_MS) return;
+        this._lastHoverTime = now;
+        const pick = this._pick(position);
+        this._updatePreview(pick?.point || null);
+    }
+
+    _onKeyDown({ key }) {
+        if (!this.activeTool) return;
+        if (key === 'escape') {
+            this._cancelPending();
+        } else if (key === 'enter') {
+            this.finishMeasurement();
+        } else if (key === 'backspace' && this._pending.length > 0) {
+            this._pending.pop();
+            this._updatePreview(null);
+        }
+    }
+
+    // ==================== 拾取与吸附 ====================
+
+    _pick(position) {
+        const hit = this.engine.inputManager.intersectModels(position);
+        if (!hit?.hit) return null;
+
+        let point = hit.point.clone();
+        let snapped = null;
+        const triangle = this._getWorldTriangle(hit.object, hit.faceIndex);
+        if (triangle) {
+            const result = this._snapPoint(point, triangle, position);
+            point = result.point;
+            snapped = result.snapped;
+        }
+
+        return {
+            point,
+            snapped,
+            object: hit.object,
+            faceIndex: hit.faceIndex,
+            modelId: hit.modelId ?? null,
+            modelScale: this._getModelScale(hit.modelId, hit.object)
+        };
+    }
+
+    // 吸附：优先顶点，其次边，阈值按屏幕像素计算
+    _snapPoint(point, triangle, cursor) {
+        const threshold = this.snap.threshold;
+        let best = null;
+        let bestDist = Infinity;
+
+        if (this.snap.vertex) {
+            triangle.forEach(v => {
+                const d = this._screenDistance(v, cursor);
+                if (d < threshold && d < bestDist) {
+                    best = v;
+                    bestDist = d;
+                }
+            });
+            if (best) return { point: best.clone(), snapped: 'vertex' };
+        }
+
+        if (this.snap.edge) {
+            const line = this._temp.line;
+            for (let i = 0; i < 3; i++) {
+                line.set(triangle[i], triangle[(i + 1) % 3]);
+                const candidate = line.closestPointToPoint(point, true, new Vector3());
+                const d = this._screenDistance(candidate, cursor);
+                if (d < threshold && d < bestDist) {
+                    best = candidate;
+                    bestDist = d;
+                }
+            }
+            if (best) return { point: best, snapped: 'edge' };
+        }
+
+        return { point, snapped: null };
+    }
+
+    _screenDistance(worldPoint, cursor) {
+        const camera = this.engine?.camera;
+        const canvas = this.engine?.renderer?.domElement;
+        if (!camera || !canvas) return Infinity;
+        const p = this._temp.vec3.copy(worldPoint).project(camera);
+        const dx = (p.x - cursor.x) * canvas.clientWidth / 2;
+        const dy = (p.y - cursor.y) * canvas.clientHeight / 2;
+        return Math.hypot(dx, dy);
+    }
+
+    _getWorldTriangle(object, faceIndex) {
+        const geometry = object?.geometry;
+        const position = geometry?.attributes?.position;
+        if (!position || faceIndex == null) return null;
+        const indices = this._getTriangleIndices(geometry, faceIndex);
+        return indices.map(i => new Vector3().fromBufferAttribute(position, i).applyMatrix4(object.matrixWorld));
+    }
+
+    _getTriangleIndices(geometry, faceIndex) {
+        const index = geometry.index;
+        const base = faceIndex * 3;
+        return index
+            ? [index.getX(base), index.getX(base + 1), index.getX(base + 2)]
+            : [base, base + 1, base + 2];
+    }
+
+    // 模型世界缩放（ModelLoader.scaleToSize 会缩放根节点），用于换算回模型原始单位
+    _getModelScale(modelId, object = null) {
+        const model = modelId != null ? this.engine?.assetsManager?.getModel?.(modelId) : null;
+        const target = model || object;
+        if (!target) return 1;
+        const scale = target.getWorldScale(new Vector3());
+        return (Math.abs(scale.x) + Math.abs(scale.y) + Math.abs(scale.z)) / 3 || 1;
+    }
+
+    // ==================== 测量创建 ====================
+
+    _commit(type) {
+        const pending = this._pending;
+        this._pending = [];
+        this._clearPreview();
+        const first = pending[0];
+        return this._createMeasurement(type, {
+            points: pending.map(p => p.point),
+            modelId: first?.modelId ?? null,
+            modelScale: first?.modelScale ?? 1
+        });
+    }
+
+    _commitArea(pick) {
+        const region = this._collectCoplanarRegion(pick.object, pick.faceIndex);
+        if (!region) return null;
+        return this._createMeasurement('area', {
+            points: [pick.point],
+            modelId: pick.modelId,
+            modelScale: pick.modelScale,
+            meshId: pick.object.userData?.id ?? pick.object.uuid,
+            triangles: region.triangles,
+            rawArea: region.area,
+            faceCount: region.faceCount
+        });
+    }
+
+    _createMeasurement(type, data) {
+        const id = `measurement_${this._nextId++}`;
+        const m = {
+            id,
+            type,
+            points: data.points.map(p => p.clone()),
+            modelId: data.modelId,
+            modelScale: data.modelScale || 1,
+            meshId: data.meshId ?? null,
+            rawArea: data.rawArea ?? null,
+            faceCount: data.faceCount ?? null,
+            rawValue: 0,
+            value: 0,
+            unit: '',
+            objects: {}
+        };
+        this._ensureGroup();
+        m.objects = this._buildObjects(m, data.triangles);
+        this._refreshValue(m);
+        this.measurements.set(id, m);
+        this.events.emit(MEASUREMENT_EVENTS.ADDED, this._serialize(m));
+        return this._serialize(m);
+    }
+
+    // 计算测量值（世界单位）并换算到显示单位
+    _refreshValue(m) {
+        const pts = m.points;
+        const lengthFactor = this._getLengthFactor(m.modelScale);
+
+        if (m.type === 'distance' || m.type === 'polyline') {
+            let length = 0;
+            for (let i = 1; i < pts.length; i++) length += pts[i].distanceTo(pts[i - 1]);
+            m.rawValue = length;
+            m.value = length * lengthFactor;
+            m.unit = this.units.displayUnit;
+        } else if (m.type === 'angle') {
+            const a = this._temp.vec1.subVectors(pts[0], pts[1]);
+            const b = this._temp.vec2.subVectors(pts[2], pts[1]);
+            const angle = a.lengthSq() > 0 && b.lengthSq() > 0 ? a.angleTo(b) * 180 / Math.PI : 0;
+            m.rawValue = angle;
+            m.value = angle;
+            m.unit = '°';
+        } else if (m.type === 'area') {
+            m.rawValue = m.rawArea;
+            m.value = m.rawArea * lengthFactor * lengthFactor;
+            m.unit = `${this.units.displayUnit}²`;
+        }
+
+        if (m.objects.labelElement) {
+            m.objects.labelElement.textContent = this._formatValue(m);
+        }
+    }
+
+    _getLengthFactor(modelScale) {
+        const scale = this.units.useModelScale ? (modelScale || 1) : 1;
+        return (UNIT_TO_METER[this.units.sourceUnit] / UNIT_TO_METER[this.units.displayUnit]) / scale;
+    }
+
+    _formatValue(m) {
+        const value = m.value.toFixed(m.type === 'angle' ? Math.min(this.units.precision, 1) : this.units.precision);
+        if (m.type === 'angle') return `${value}${m.unit}`;
+        return `${value} ${m.unit}`;
+    }
+
+    _serialize(m) {
+        const data = {
+            id: m.id,
+            type: m.type,
+            points: m.points.map(p => p.toArray()),
+            value: m.value,
+            unit: m.unit,
+            text: this._formatValue(m),
+            modelId: m.modelId,
+            modelScale: m.modelScale
+        };
+        if (m.type === 'area') {
+            data.meshId = m.meshId;
+            data.faceCount = m.faceCount;
+        }
+        return data;
+    }
+
+    // ==================== 面区域面积 ====================
+
+    // 从点击的三角面出发，沿共享顶点扩展所有法线在容差内的共面三角面
+    _collectCoplanarRegion(mesh, faceIndex) {
+        const geometry = mesh?.geometry;
+        const position = geometry?.attributes?.position;
+        if (!position || faceIndex == null) return null;
+
+        const adjacency = this._getAdjacency(geometry);
+        const { normals, vertexKeys, triangleCount } = adjacency;
+        const cosTolerance = Math.cos(this.area.angleTolerance * Math.PI / 180);
+        const seedNormal = new Vector3().fromArray(normals, faceIndex * 3);
+
+        const visited = new Uint8Array(triangleCount);
+        const queue = [faceIndex];
+        const region = [];
+        visited[faceIndex] = 1;
+
+        while (queue.length > 0 && region.length < AREA_MAX_TRIANGLES) {
+            const tri = queue.pop();
+            region.push(tri);
+            for (let k = 0; k < 3; k++) {
+                const neighbors = adjacency.vertexTriangles.get(vertexKeys[tri * 3 + k]) || [];
+                for (const n of neighbors) {
+                    if (visited[n]) continue;
+                    visited[n] = 1;
+                    const dot = normals[n * 3] * seedNormal.x + normals[n * 3 + 1] * seedNormal.y + normals[n * 3 + 2] * seedNormal.z;
+                    if (dot >= cosTolerance) queue.push(n);
+                }
+            }
+        }
+
+        // 在世界坐标下累加面积并收集三角形（用于覆盖显示）
+        mesh.updateMatrixWorld(true);
+        const triangles = new Float32Array(region.length * 9);
+        const t = this._temp.tri;
+        let area = 0;
+        region.forEach((tri, i) => {
+            const [a, b, c] = this._getTriangleIndices(geometry, tri);
+            t.a.fromBufferAttribute(position, a).applyMatrix4(mesh.matrixWorld);
+            t.b.fromBufferAttribute(position, b).applyMatrix4(mesh.matrixWorld);
+            t.c.fromBufferAttribute(position, c).applyMatrix4(mesh.matrixWorld);
+            area += t.getArea();
+            t.a.toArray(triangles, i * 9);
+            t.b.toArray(triangles, i * 9 + 3);
+            t.c.toArray(triangles, i * 9 + 6);
+        });
+
+        return { area, triangles, faceCount: region.length };
+    }
+
+    // 按几何体缓存：三角面法线、焊接后的顶点键、顶点 -> 三角面邻接表
+    _getAdjacency(geometry) {
+        const cached = this._adjacencyCache.get(geometry);
+        if (cached) return cached;
+
+        const position = geometry.attributes.position;
+        const triangleCount = geometry.index ? geometry.index.count / 3 : position.count / 3;
+        const normals = new Float32Array(triangleCount * 3);
+        const vertexKeys = new Array(triangleCount * 3);
+        const vertexTriangles = new Map();
+        const t = new Triangle();
+        const normal = new Vector3();
+        const precision = 1e4;
+
+        for (let tri = 0; tri < triangleCount; tri++) {
+            const indices = this._getTriangleIndices(geometry, tri);
+            t.setFromAttributeAndIndices(position, indices[0], indices[1], indices[2]);
+            t.getNormal(normal).toArray(normals, tri * 3);
+            for (let k = 0; k < 3; k++) {
+                const i = indices[k];
+                const key = `${Math.round(position.getX(i) * precision)},${Math.round(position.getY(i) * precision)},${Math.round(position.getZ(i) * precision)}`;
+                vertexKeys[tri * 3 + k] = key;
+                let list = vertexTriangles.get(key);
+                if (!list) vertexTriangles.set(key, list = []);
+                list.push(tri);
+            }
+        }
+
+        const result = { normals, vertexKeys, vertexTriangles, triangleCount };
+        this._adjacencyCache.set(geometry, result);
+        return result;
+    }
+
+    // ==================== 显示对象 ====================
+
+    _ensureGroup() {
+        if (this._group || !this.scene) return;
+        this._group = new Group();
+        this._group.name = '__measurements';
+        this._group.userData.__isMeasurement = true;
+        this._group.visible = this.visible;
+        this.scene.add(this._group);
+        this._injectStyles();
+    }
+
+    _buildObjects(m, triangles) {
+        const objects = {};
+        const pts = m.points;
+
+        if (m.type === 'area' && triangles) {
+            const geometry = new BufferGeometry();
+            geometry.setAttribute('position', new Float32BufferAttribute(triangles, 3));
+            const overlay = new Mesh(geometry, new MeshBasicMaterial({
+                color: 0x2f9bff,
+                transparent: true,
+                opacity: 0.35,
+                side: DoubleSide,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -2,
+                polygonOffsetUnits: -2
+            }));
+            overlay.renderOrder = 998;
+            objects.overlay = this._markHelper(overlay);
+            this._group.add(overlay);
+        } else {
+            const linePoints = m.type === 'angle' ? [pts[0], pts[1], pts[2]] : pts;
+            objects.line = this._markHelper(this._createLine(linePoints, 0xffcc00));
+            this._group.add(objects.line);
+            if (m.type === 'angle') {
+                objects.arc = this._markHelper(this._createLine(this._buildArc(pts[0], pts[1], pts[2]), 0xffcc00));
+                this._group.add(objects.arc);
+            }
+        }
+
+        objects.points = this._markHelper(this._createPoints(pts));
+        this._group.add(objects.points);
+
+        const label = this._createLabel(m.type);
+        label.position.copy(this._getLabelAnchor(m));
+        label.visible = this.visible;
+        this._group.add(label);
+        objects.label = this._markHelper(label);
+        objects.labelElement = label.element.querySelector('.measurement-label');
+        return objects;
+    }
+
+    _getLabelAnchor(m) {
+        const pts = m.points;
+        if (m.type === 'distance') return new Vector3().addVectors(pts[0], pts[1]).multiplyScalar(0.5);
+        if (m.type === 'polyline') {
+            const i = Math.max(1, Math.floor(pts.length / 2));
+            return new Vector3().addVectors(pts[i - 1], pts[i]).multiplyScalar(0.5);
+        }
+        return pts[m.type === 'angle' ? 1 : 0].clone();
+    }
+
+    _buildArc(a, vertex, c) {
+        const u = new Vector3().subVectors(a, vertex);
+        const v = new Vector3().subVectors(c, vertex);
+        const radius = Math.min(u.length(), v.length()) * 0.25;
+        if (radius <= 0) return [vertex.clone(), vertex.clone()];
+        u.normalize();
+        v.normalize();
+        const points = [];
+        const segments = 24;
+        const angle = u.angleTo(v);
+        const axis = new Vector3().crossVectors(u, v).normalize();
+        for (let i = 0; i <= segments; i++) {
+            const dir = u.clone().applyAxisAngle(axis, angle * i / segments);
+            points.push(vertex.clone().addScaledVector(dir, radius));
+        }
+        return points;
+    }
+
+    _createLine(points, color) {
+        const geometry = new BufferGeometry().setFromPoints(points);
+        const line = new Line(geometry, new LineBasicMaterial({ color, depthTest: false, transparent: true }));
+        line.renderOrder = 999;
+        line.frustumCulled = false;
+        return line;
+    }
+
+    _createPoints(points) {
+        const geometry = new BufferGeometry().setFromPoints(points);
+        const material = new PointsMaterial({ color: 0xffffff, size: 8, sizeAttenuation: false, depthTest: false, transparent: true });
+        const object = new Points(geometry, material);
+        object.renderOrder = 1000;
+        object.frustumCulled = false;
+        return object;
+    }
+
+    _createLabel(type) {
+        const container = document.createElement('div');
+        container.className = 'measurement-label-container';
+        const el = document.createElement('div');
+        el.className = 'measurement-label';
+        el.dataset.type = type;
+        container.appendChild(el);
+        return new CSS2DObject(container);
+    }
+
+    _markHelper(object) {
+        object.userData.__isMeasurement = true;
+        return object;
+    }
+
+    _updatePreview(cursorPoint) {
+        const points = this._pending.map(p => p.point);
+        if (cursorPoint) points.push(cursorPoint);
+        this._clearPreview();
+        if (points.length === 0) return;
+        this._ensureGroup();
+        this._preview = {
+            points: this._markHelper(this._createPoints(points))
+        };
+        this._group.add(this._preview.points);
+        if (points.length >= 2) {
+            this._preview.line = this._markHelper(this._createLine(points, 0x66ccff));
+            this._group.add(this._preview.line);
+        }
+    }
+
+    _clearPreview() {
+        if (!this._preview) return;
+        this._disposeObjects(this._preview);
+        this._preview = null;
+    }
+
+    _cancelPending(silent = false) {
+        const hadPending = this._pending.length > 0;
+        this._pending = [];
+        this._clearPreview();
+        if (hadPending && !silent) {
+            this.events.emit(MEASUREMENT_EVENTS.CANCELLED, { type: this.activeTool });
+        }
+    }
+
+    _disposeObjects(objects) {
+        Object.values(objects || {}).forEach(obj => {
+            if (!obj?.isObject3D) return;
+            obj.parent?.remove(obj);
+            obj.geometry?.dispose();
+            obj.material?.dispose();
+            if (obj.isCSS2DObject) obj.element?.remove();
+        });
+    }
+
+    _toVector3(p) {
+        if (!p) return null;
+        if (p.isVector3) return p.clone();
+        if (Array.isArray(p) && p.length >= 3) return new Vector3(p[0], p[1], p[2]);
+        if (typeof p === 'object' && 'x' in p) return new Vector3(p.x, p.y, p.z);
+        return null;
+    }
+
+    _injectStyles() {
+        if (typeof document === 'undefined' || document.getElementById('f3d-measurement-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'f3d-measurement-styles';
+        style.textContent = `
+            .measurement-label-container { position: absolute; pointer-events: none; }
+            .measurement-label {
+                position: absolute;
+                transform: translate(-50%, calc(-100% - 6px));
+                padding: 3px 10px;
+                border-radius: 999px;
+                background: rgba(0, 0, 0, 0.75);
+                color: #ffcc00;
+                font-size: 12px;
+                line-height: 1.4;
+                white-space: nowrap;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3), 0 0 0 1px rgba(255, 255, 255, 0.1);
+                -webkit-user-select: none;
+                user-select: none;
+                -webkit-font-smoothing: antialiased;
+            }
+            .measurement-label[data-type="area"] { color: #7fc4ff; }
+        `;
+        document.head.appendChild(style);
+    }
+}
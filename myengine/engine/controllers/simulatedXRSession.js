@@ -0,0 +1,375 @@
+// 模拟 WebXR AR 会话：在没有设备（桌面浏览器、Node）时驱动 XRController，用于调试和单元测试
+import {
+    Matrix4,
+    PerspectiveCamera,
+    Plane,
+    Quaternion,
+    Ray,
+    Vector3
+} from "three";
+
+const UP = new Vector3(0, 1, 0);
+
+// 转为 XRPose 结构（matrix 为列主序，与 WebXR 一致）
+function toPose(matrix) {
+    const position = new Vector3();
+    const orientation = new Quaternion();
+    matrix.decompose(position, orientation, new Vector3());
+    return {
+        transform: {
+            matrix: Float32Array.from(matrix.elements),
+            position: { x: position.x, y: position.y, z: position.z, w: 1 },
+            orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+        },
+        emulatedPosition: false
+    };
+}
+
+// 模拟 XRSpace：resolve 返回该空间在世界（local-floor）中的矩阵
+class SimulatedXRSpace {
+    constructor(type, resolve) {
+        this.type = type;
+        this._resolve = resolve;
+    }
+
+    getMatrix() {
+        return this._resolve();
+    }
+}
+
+/**
+ * 模拟 XRFrame：提供 getPose / getViewerPose / hit-test 结果 / 锚点
+ */
+export class SimulatedXRFrame {
+    constructor(session, time) {
+        this.session = session;
+        this.time = time;
+        this.trackedAnchors = new Set(session._anchors);
+        if (!session.features.anchors) {
+            this.createAnchor = undefined;
+        }
+    }
+
+    getPose(space, baseSpace) {
+        if (!space?.getMatrix) return null;
+        const base = baseSpace?.getMatrix ? baseSpace.getMatrix().clone().invert() : new Matrix4();
+        return toPose(base.multiply(space.getMatrix()));
+    }
+
+    getViewerPose(baseSpace) {
+        const pose = this.getPose(this.session._viewerSpace, baseSpace);
+        return pose ? { ...pose, views: [] } : null;
+    }
+
+    getHitTestResults(hitTestSource) {
+        const matrix = hitTestSource?.space?.getMatrix?.();
+        if (!matrix) return [];
+        return this.session._hitTest(this.session._rayFromMatrix(matrix));
+    }
+
+    getHitTestResultsForTransientInput(hitTestSource) {
+        if (!hitTestSource) return [];
+        return this.session.inputSources
+            .filter(source => source.targetRayMode === 'screen')
+            .map(source => ({
+                inputSource: source,
+                results: this.session._hitTest(this.session._rayFromMatrix(source.targetRaySpace.getMatrix()))
+            }));
+    }
+
+    getLightEstimate(lightProbe) {
+        return lightProbe && this.session._lightEstimate ? { ...this.session._lightEstimate } : null;
+    }
+
+    /**
+     * 创建锚点
+     * @param {XRRigidTransform|{matrix: ArrayLike<number>}} transform 相对 space 的位姿
+     * @param {SimulatedXRSpace} space
+     * @returns {Promise<Object>} 锚点
+     */
+    createAnchor(transform, space) {
+        const matrix = new Matrix4().fromArray(transform.matrix);
+        if (space?.getMatrix) {
+            matrix.premultiply(space.getMatrix());
+        }
+        return Promise.resolve(this.session._createAnchor(matrix));
+    }
+}
+
+/**
+ * 模拟 immersive-ar 会话
+ * 平面为无限大（或带 size 半边长）的虚拟平面；触摸输入以屏幕坐标（-1 ~ 1，y 向下）模拟 screen 输入源。
+ * 通过 XRController.startAR({ session }) 使用，调用 step() 推进一帧。
+ * @example
+ * const session = new SimulatedXRSession({ planes: [{ position: [0, 0, 0], normal: [0, 1, 0] }] });
+ * await xrController.startAR({ session });
+ * session.step();          // hit-test，显示十字星
+ * session.tap(0, 0);       // 点击放置
+ */
+export class SimulatedXRSession extends EventTarget {
+    /**
+     * @param {Object} [options={}]
+     * @param {Array<{position: number[], normal: number[], size?: number}>} [options.planes] 虚拟平面，默认地面
+     * @param {number[]} [options.viewerPosition=[0, 1.6, 0]] 观察者（手机）位置
+     * @param {number[]} [options.viewerTarget=[0, 0, -1.5]] 观察者朝向的点
+     * @param {number} [options.fov=60] 视场角
+     * @param {number} [options.aspect=0.5625] 宽高比
+     * @param {boolean} [options.anchors=true] 是否支持锚点
+     * @param {boolean} [options.transientInput=true] 是否支持 transient input hit-test
+     * @param {boolean} [options.hitTest=true] 是否支持 hit-test
+     * @param {boolean} [options.lightEstimation=true] 是否支持光照估计（估计值通过 setLightEstimate 设置）
+     */
+    constructor(options = {}) {
+        super();
+        this.isSimulated = true;
+        this.mode = 'immersive-ar';
+        this.ended = false;
+        this.inputSources = [];
+        this.features = {
+            anchors: options.anchors !== false,
+            transientInput: options.transientInput !== false,
+            hitTest: options.hitTest !== false,
+            lightEstimation: options.lightEstimation !== false
+        };
+        this.preferredReflectionFormat = 'srgba8';
+        this.planes = [];
+        (options.planes || [{ position: [0, 0, 0], normal: [0, 1, 0] }]).forEach(plane => this.addPlane(plane));
+
+        this.camera = new PerspectiveCamera(options.fov ?? 60, options.aspect ?? 0.5625, 0.01, 100);
+        this.setViewerPose(options.viewerPosition || [0, 1.6, 0], options.viewerTarget || [0, 0, -1.5]);
+
+        this.time = 0;
+        this._callbacks = new Map();
+        this._callbackId = 0;
+        this._anchors = new Set();
+        this._lightEstimate = null;
+        this._identitySpace = new SimulatedXRSpace('local-floor', () => new Matrix4());
+        this._viewerSpace = new SimulatedXRSpace('viewer', () => this.camera.matrixWorld.clone());
+    }
+
+    /**
+     * 添加虚拟平面
+     * @param {{position: number[], normal: number[], size?: number}} plane
+     * @returns {Object} 平面
+     */
+    addPlane({ position = [0, 0, 0], normal = [0, 1, 0], size = Infinity } = {}) {
+        const point = new Vector3().fromArray(position);
+        const n = new Vector3().fromArray(normal).normalize();
+        const plane = { point, normal: n, size, plane: new Plane().setFromNormalAndCoplanarPoint(n, point) };
+        this.planes.push(plane);
+        return plane;
+    }
+
+    /**
+     * 设置观察者位姿
+     * @param {number[]} position
+     * @param {number[]} target
+     */
+    setViewerPose(position, target) {
+        this.camera.position.fromArray(position);
+        this.camera.lookAt(new Vector3().fromArray(target));
+        this.camera.updateMatrixWorld(true);
+        this.camera.updateProjectionMatrix();
+    }
+
+    /************************** XRSession 接口部分********************** */
+
+    requestReferenceSpace(type) {
+        if (type === 'viewer') return Promise.resolve(this._viewerSpace);
+        if (['local', 'local-floor', 'unbounded', 'bounded-floor'].includes(type)) {
+            return Promise.resolve(this._identitySpace);
+        }
+        return Promise.reject(new Error(`不支持的参考空间: ${type}`));
+    }
+
+    requestHitTestSource({ space } = {}) {
+        if (!this.features.hitTest) return Promise.reject(new Error('NotSupportedError'));
+        return Promise.resolve({ space, cancel() {} });
+    }
+
+    requestHitTestSourceForTransientInput({ profile } = {}) {
+        if (!this.features.hitTest || !this.features.transientInput) {
+            return Promise.reject(new Error('NotSupportedError'));
+        }
+        return Promise.resolve({ profile, cancel() {} });
+    }
+
+    requestLightProbe() {
+        if (!this.features.lightEstimation) return Promise.reject(new Error('NotSupportedError'));
+        const probe = new EventTarget();
+        probe.probeSpace = this._identitySpace;
+        return Promise.resolve(probe);
+    }
+
+    requestAnimationFrame(callback) {
+        const id = ++this._callbackId;
+        this._callbacks.set(id, callback);
+        return id;
+    }
+
+    cancelAnimationFrame(id) {
+        this._callbacks.delete(id);
+    }
+
+    updateRenderState() {}
+
+    end() {
+        if (!this.ended) {
+            this.ended = true;
+            this._callbacks.clear();
+            this._anchors.clear();
+            this.inputSources = [];
+            this.dispatchEvent(new Event('end'));
+        }
+        return Promise.resolve();
+    }
+
+    /************************** 模拟控制接口部分********************** */
+
+    /**
+     * 推进一帧：执行所有 requestAnimationFrame 回调
+     * @param {number} [delta=16] 毫秒
+     * @returns {SimulatedXRFrame}
+     */
+    step(delta = 16) {
+        this.time += delta;
+        const frame = new SimulatedXRFrame(this, this.time);
+        const callbacks = [...this._callbacks.values()];
+        this._callbacks.clear();
+        callbacks.forEach(callback => callback(this.time, frame));
+        return frame;
+    }
+
+    /**
+     * 手指按下
+     * @param {number} x 屏幕坐标 -1 ~ 1
+     * @param {number} y 屏幕坐标 -1 ~ 1（向下为正）
+     * @returns {Object} 输入源
+     */
+    touchStart(x = 0, y = 0) {
+        const source = {
+            handedness: 'none',
+            targetRayMode: 'screen',
+            profiles: ['generic-touchscreen'],
+            gamepad: { axes: [x, y], buttons: [] }
+        };
+        source.targetRaySpace = new SimulatedXRSpace('target-ray', () => this._screenRayMatrix(source.gamepad.axes));
+        this.inputSources.push(source);
+        this._dispatchInput('selectstart', source);
+        return source;
+    }
+
+    touchMove(source, x, y) {
+        source.gamepad.axes = [x, y];
+    }
+
+    touchEnd(source) {
+        if (!this.inputSources.includes(source)) return;
+        this._dispatchInput('select', source);
+        this._dispatchInput('selectend', source);
+        this.inputSources = this.inputSources.filter(item => item !== source);
+    }
+
+    /**
+     * 点击：按下 -> 一帧 -> 抬起
+     * @returns {SimulatedXRFrame}
+     */
+    tap(x = 0, y = 0) {
+        const source = this.touchStart(x, y);
+        const frame = this.step();
+        this.touchEnd(source);
+        return frame;
+    }
+
+    /**
+     * 设置光照估计结果（XRLightEstimate 结构），null 表示暂无估计
+     * @param {Object|null} estimate
+     * @param {number[]} [estimate.sphericalHarmonicsCoefficients] 27 个球谐系数，默认为均匀的白色环境光
+     * @param {{x: number, y: number, z: number}} [estimate.primaryLightDirection] 主光源方向（指向光源）
+     * @param {{x: number, y: number, z: number}} [estimate.primaryLightIntensity] 主光源强度（RGB）
+     */
+    setLightEstimate(estimate) {
+        if (!estimate) {
+            this._lightEstimate = null;
+            return;
+        }
+        const sh = new Float32Array(27);
+        sh.set([0.8, 0.8, 0.8]);
+        this._lightEstimate = {
+            sphericalHarmonicsCoefficients: estimate.sphericalHarmonicsCoefficients
+                ? Float32Array.from(estimate.sphericalHarmonicsCoefficients)
+                : sh,
+            primaryLightDirection: { x: 0, y: 1, z: 0, w: 0, ...estimate.primaryLightDirection },
+            primaryLightIntensity: { x: 1, y: 1, z: 1, w: 1, ...estimate.primaryLightIntensity }
+        };
+    }
+
+    /**
+     * 模拟跟踪漂移修正：所有锚点叠加一个变换
+     * @param {Matrix4} matrix
+     */
+    driftAnchors(matrix) {
+        this._anchors.forEach(anchor => anchor._matrix.premultiply(matrix));
+    }
+
+    _dispatchInput(type, source) {
+        const event = new Event(type);
+        event.inputSource = source;
+        event.frame = new SimulatedXRFrame(this, this.time);
+        this.dispatchEvent(event);
+    }
+
+    _createAnchor(matrix) {
+        const anchor = {
+            _matrix: matrix.clone(),
+            delete: () => this._anchors.delete(anchor)
+        };
+        anchor.anchorSpace = new SimulatedXRSpace('anchor', () => anchor._matrix.clone());
+        this._anchors.add(anchor);
+        return anchor;
+    }
+
+    // 从观察者穿过屏幕点的射线位姿（-Z 指向射线方向）
+    _screenRayMatrix([x, y]) {
+        const origin = this.camera.position.clone();
+        const target = new Vector3(x, -y, 0.5).unproject(this.camera);
+        return new Matrix4().lookAt(origin, target, UP).setPosition(origin);
+    }
+
+    _rayFromMatrix(matrix) {
+        const origin = new Vector3().setFromMatrixPosition(matrix);
+        const direction = new Vector3(0, 0, -1).transformDirection(matrix);
+        return new Ray(origin, direction);
+    }
+
+    // 与虚拟平面求交，结果位姿的 Y 轴为平面法线（与 WebXR hit-test 一致）
+    _hitTest(ray) {
+        let nearest = null;
+        this.planes.forEach(item => {
+            if (ray.direction.dot(item.normal) >= 0) return;
+            const point = ray.intersectPlane(item.plane, new Vector3());
+            if (!point || point.distanceTo(item.point) > item.size) return;
+            const distance = point.distanceTo(ray.origin);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { point, normal: item.normal, distance };
+            }
+        });
+        if (!nearest) return [];
+
+        const matrix = new Matrix4().compose(
+            nearest.point,
+            new Quaternion().setFromUnitVectors(UP, nearest.normal),
+            new Vector3(1, 1, 1)
+        );
+        const session = this;
+        return [{
+            getPose(baseSpace) {
+                const base = baseSpace?.getMatrix ? baseSpace.getMatrix().clone().invert() : new Matrix4();
+                return toPose(base.multiply(matrix));
+            },
+            createAnchor() {
+                return Promise.resolve(session._createAnchor(matrix));
+            }
+        }];
+    }
+}
@@ -0,0 +1,459 @@
+/**
+ * 动画状态机控制器 - 在 AnimationController 之上按状态和转换组织动画
+ * 状态对应动画或分割动画，转换支持交叉淡入淡出、参数条件，可由 mesh 点击、热点点击、API 触发或动画播放结束自动触发
+ */
+import { LoopOnce, LoopPingPong, LoopRepeat } from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 状态机事件名称常量
+ * @type {Object.<string, string>}
+ */
+const STATE_MACHINE_EVENTS = {
+    CHANGED: 'animation:state:changed',
+    FINISHED: 'animation:state:finished',
+    PARAMETER: 'animation:state:parameter'
+};
+
+const LOOP_MODES = { once: LoopOnce, repeat: LoopRepeat, pingpong: LoopPingPong };
+const DEFAULT_FADE = 0.3;       // 默认交叉淡入淡出时长（秒）
+const MAX_AUTO_TRANSITIONS = 16; // 条件转换连锁触发的上限，防止状态之间来回跳转死循环
+
+const COMPARATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+export class StateMachineController {
+    events = new EventBus();
+
+    // 状态机ID -> 状态机运行数据
+    machines = new Map();
+
+    /**
+     * 创建动画状态机控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this._boundMixers = new WeakSet();
+        this._unsubscribers = [];
+
+        const bus = engine?.events;
+        if (bus) {
+            this._unsubscribers.push(bus.on('mesh:click', data => this._onMeshClick(data)));
+        }
+        const hotspotEvents = engine?.hotspotController?.events;
+        if (hotspotEvents) {
+            this._unsubscribers.push(hotspotEvents.on('hotspot:click', ({ id } = {}) => this._onHotspotClick(id)));
+        }
+        // 模型动画晚于状态机创建时，加载后补上当前状态的姿态
+        const animationEvents = engine?.animationController?.events;
+        if (animationEvents) {
+            this._unsubscribers.push(animationEvents.on('animations:loaded', ({ modelId } = {}) => this._onAnimationsLoaded(modelId)));
+        }
+    }
+
+    /**
+     * 创建状态机（同ID会替换）
+     * @param {string} id 状态机ID
+     * @param {Object} definition 状态机定义
+     * @param {string} [definition.modelId] 默认模型ID（状态可单独指定）
+     * @param {string} definition.initial 初始状态
+     * @param {Object.<string, *>} [definition.parameters] 参数初始值
+     * @param {Object.<string, Object>} definition.states 状态表
+     * @param {string} [definition.states[].clip] 动画ID或名称（含 splitByTime 的分割动画），不设置表示无动画
+     * @param {'once'|'repeat'|'pingpong'} [definition.states[].loop='once'] 循环方式，once 播放结束后停在末帧
+     * @param {boolean} [definition.states[].reverse=false] 是否倒放（如用开门动画倒放表示关门）
+     * @param {number} [definition.states[].speed=1] 播放速度
+     * @param {number} [definition.states[].weight=1] 权重
+     * @param {Object.<string, *>} [definition.states[].set] 进入状态时设置的参数
+     * @param {Array<Object>} definition.transitions 转换列表，按顺序匹配第一个满足的转换
+     * @param {string|Array<string>} [definition.transitions[].from='*'] 来源状态，'*' 为任意状态
+     * @param {string} definition.transitions[].to 目标状态
+     * @param {string} [definition.transitions[].trigger] API 触发名称（trigger(id, name)）
+     * @param {string|Array<string>} [definition.transitions[].mesh] 点击的 mesh（userData.id、名称或uuid，含子节点）
+     * @param {string|Array<string>} [definition.transitions[].hotspot] 点击的热点ID
+     * @param {boolean} [definition.transitions[].onFinished=false] 来源状态动画播放结束时自动转换
+     * @param {Object|Array<Object>|Function} [definition.transitions[].conditions] 参数条件：{ param: value } 全部相等、
+     *  [{ param, op: '=='|'!='|'>'|'>='|'<'|'<=', value }] 或 (parameters) => boolean；未设置任何触发方式的转换在条件满足时自动执行
+     * @param {number} [definition.transitions[].duration=0.3] 交叉淡入淡出时长（秒）
+     * @param {Object.<string, *>} [definition.transitions[].set] 转换时设置的参数
+     * @returns {boolean} 是否创建成功
+     */
+    createMachine(id, definition = {}) {
+        const states = definition.states || {};
+        if (!id || !definition.initial || !states[definition.initial]) {
+            console.warn('StateMachineController.createMachine: 缺少状态机ID或初始状态无效');
+            return false;
+        }
+        const transitions = (definition.transitions || []).filter(transition => {
+            if (states[transition?.to]) return true;
+            console.warn(`StateMachineController.createMachine: 转换目标状态不存在 ${transition?.to}`);
+            return false;
+        });
+
+        this.removeMachine(id);
+        const machine = {
+            id,
+            modelId: definition.modelId ?? null,
+            states,
+            transitions,
+            parameters: { ...(definition.parameters || {}) },
+            current: null,
+            previous: null,
+            action: null,
+            finished: false
+        };
+        this.machines.set(id, machine);
+
+        this._enterState(machine, definition.initial, { duration: 0, initial: true });
+        this._runAutoTransitions(machine);
+        return true;
+    }
+
+    /**
+     * 删除状态机（模型保持当前姿态）
+     * @param {string} id 状态机ID
+     * @returns {boolean}
+     */
+    removeMachine(id) {
+        const machine = this.machines.get(id);
+        if (!machine) return false;
+        machine.action?.stopFading();
+        this.machines.delete(id);
+        return true;
+    }
+
+    /**
+     * 获取全部状态机ID
+     * @returns {Array<string>}
+     */
+    getMachineIds() {
+        return Array.from(this.machines.keys());
+    }
+
+    /**
+     * 通过 API 触发转换
+     * @param {string} id 状态机ID
+     * @param {string} name 触发名称
+     * @returns {boolean} 是否发生了转换
+     */
+    trigger(id, name) {
+        const machine = this._getMachine(id, 'trigger');
+        if (!machine) return false;
+        return this._tryTransition(machine, transition => transition.trigger === name, { type: 'trigger', name });
+    }
+
+    /**
+     * 直接切换到指定状态（不检查转换与条件）
+     * @param {string} id 状态机ID
+     * @param {string} state 状态名称
+     * @param {Object} [options={}] 选项
+     * @param {number} [options.duration=0.3] 交叉淡入淡出时长（秒）
+     * @returns {boolean}
+     */
+    setState(id, state, options = {}) {
+        const machine = this._getMachine(id, 'setState');
+        if (!machine) return false;
+        if (!machine.states[state]) {
+            console.warn(`StateMachineController.setState: 状态不存在 ${state}`);
+            return false;
+        }
+        this._enterState(machine, state, { duration: options.duration ?? DEFAULT_FADE, trigger: { type: 'api' } });
+        this._runAutoTransitions(machine);
+        return true;
+    }
+
+    /**
+     * 设置参数，并检查仅依赖条件的转换
+     * @param {string} id 状态机ID
+     * @param {string} name 参数名
+     * @param {*} value 参数值
+     * @returns {boolean}
+     */
+    setParameter(id, name, value) {
+        const machine = this._getMachine(id, 'setParameter');
+        if (!machine) return false;
+        this._setParameters(machine, { [name]: value });
+        this._runAutoTransitions(machine);
+        return true;
+    }
+
+    /**
+     * 获取参数
+     * @param {string} id 状态机ID
+     * @param {string} [name] 参数名，不传返回全部参数
+     * @returns {*}
+     */
+    getParameter(id, name) {
+        const machine = this.machines.get(id);
+        if (!machine) return undefined;
+        return name === undefined ? { ...machine.parameters } : machine.parameters[name];
+    }
+
+    /**
+     * 获取状态机当前状态
+     * @param {string} id 状态机ID
+     * @returns {{id: string, state: string, previous: string|null, finished: boolean, parameters: Object}|null}
+     */
+    getState(id) {
+        const machine = this.machines.get(id);
+        if (!machine) return null;
+        return {
+            id,
+            state: machine.current,
+            previous: machine.previous,
+            finished: machine.finished,
+            parameters: { ...machine.parameters }
+        };
+    }
+
+    /**
+     * 判断点击该 mesh 是否由状态机的 mesh 转换处理（AnimationController 据此跳过点击绑定，避免同一次点击重复播放）
+     * @param {THREE.Object3D} object 点击的对象
+     * @param {string} [modelId] 对象所属模型ID
+     * @returns {boolean}
+     */
+    handlesMesh(object, modelId) {
+        if (!object || this.machines.size === 0) return false;
+        const keys = this._collectObjectKeys(object);
+        for (const machine of this.machines.values()) {
+            if (machine.modelId && modelId && modelId !== machine.modelId) continue;
+            if (machine.transitions.some(transition => toList(transition.mesh).some(key => keys.has(key)))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this._unsubscribers.forEach(off => off?.());
+        this._unsubscribers = [];
+        this.machines.clear();
+        this.events.removeAllListeners();
+    }
+
+    _getMachine(id, method) {
+        const machine = this.machines.get(id);
+        if (!machine) console.warn(`StateMachineController.${method}: 状态机不存在 ${id}`);
+        return machine || null;
+    }
+
+    _onMeshClick(data) {
+        const object = data?.object;
+        if (!object || this.machines.size === 0) return;
+
+        // 与 AnimationController 一致：点击到热点或处于动画绑定模式时不处理 mesh 点击
+        const position = data.position || this.engine?.inputManager?.mouse?.position;
+        if (position && this.engine?.hotspotController?._intersectHotspotAt(position)?.hotspot) return;
+        if (this.engine?.animationController?._bindingState) return;
+
+        const keys = this._collectObjectKeys(object);
+        this.machines.forEach(machine => {
+            if (machine.modelId && data.modelId && data.modelId !== machine.modelId) return;
+            this._tryTransition(machine, transition => toList(transition.mesh).some(key => keys.has(key)), { type: 'mesh', object });
+        });
+    }
+
+    // 命中对象及其父节点链上的标识
+    _collectObjectKeys(object) {
+        const keys = new Set();
+        for (let current = object; current; current = current.parent) {
+            if (current.userData?.id) keys.add(current.userData.id);
+            if (current.name) keys.add(current.name);
+            keys.add(current.uuid);
+        }
+        return keys;
+    }
+
+    _onHotspotClick(id) {
+        if (id == null) return;
+        this.machines.forEach(machine => {
+            this._tryTransition(machine, transition => toList(transition.hotspot).includes(id), { type: 'hotspot', id });
+        });
+    }
+
+    _onAnimationsLoaded(modelId) {
+        this.machines.forEach(machine => {
+            const state = machine.states[machine.current];
+            if (!state || (state.modelId ?? machine.modelId) !== modelId) return;
+            // replaceModel/removeModel 后旧 mixer 已销毁，丢弃失效的 action 并重新应用当前状态
+            if (machine.action && !this._isActionAlive(machine.action)) machine.action = null;
+            if (machine.action) return;
+            this._enterState(machine, machine.current, { duration: 0, initial: true, silent: true });
+        });
+    }
+
+    _onActionFinished(event) {
+        this.machines.forEach(machine => {
+            if (!machine.action || machine.action !== event.action || machine.finished) return;
+            machine.finished = true;
+            this.events.emit(STATE_MACHINE_EVENTS.FINISHED, { id: machine.id, state: machine.current });
+            this._tryTransition(machine, transition => transition.onFinished === true, { type: 'finished' });
+        });
+    }
+
+    _tryTransition(machine, matchTrigger, trigger) {
+        const transition = machine.transitions.find(item =>
+            this._matchFrom(item, machine.current) && matchTrigger(item) && this._checkConditions(item, machine.parameters));
+        if (!transition) return false;
+
+        if (transition.set) this._setParameters(machine, transition.set);
+        this._enterState(machine, transition.to, { duration: transition.duration ?? DEFAULT_FADE, trigger });
+        this._runAutoTransitions(machine);
+        return true;
+    }
+
+    // 只有条件、没有任何触发方式的转换在条件满足时立即执行
+    _runAutoTransitions(machine) {
+        for (let i = 0; i < MAX_AUTO_TRANSITIONS; i++) {
+            const transition = machine.transitions.find(item =>
+                item.trigger == null && item.mesh == null && item.hotspot == null && !item.onFinished
+                && item.conditions != null && item.to !== machine.current
+                && this._matchFrom(item, machine.current) && this._checkConditions(item, machine.parameters));
+            if (!transition) return;
+            if (transition.set) this._setParameters(machine, transition.set);
+            this._enterState(machine, transition.to, { duration: transition.duration ?? DEFAULT_FADE, trigger: { type: 'condition' } });
+        }
+        console.warn(`StateMachineController: 状态机 ${machine.id} 条件转换连锁次数过多，已中止`);
+    }
+
+    _matchFrom(transition, current) {
+        const from = transition.from ?? '*';
+        return from === '*' || toList(from).includes(current);
+    }
+
+    _checkConditions(transition, parameters) {
+        const conditions = transition.conditions;
+        if (conditions == null) return true;
+        if (typeof conditions === 'function') return !!conditions({ ...parameters });
+        if (Array.isArray(conditions)) {
+            return conditions.every(({ param, op = '==', value }) => {
+                const compare = COMPARATORS[op];
+                if (!compare) {
+                    console.warn(`StateMachineController: 未知的条件运算符 ${op}`);
+                    return false;
+                }
+                return compare(parameters[param], value);
+            });
+        }
+        return Object.entries(conditions).every(([param, value]) => parameters[param] === value);
+    }
+
+    _setParameters(machine, values) {
+        Object.entries(values).forEach(([name, value]) => {
+            const previous = machine.parameters[name];
+            if (previous === value) return;
+            machine.parameters[name] = value;
+            this.events.emit(STATE_MACHINE_EVENTS.PARAMETER, { id: machine.id, name, value, previous });
+        });
+    }
+
+    _enterState(machine, name, { duration = 0, trigger = null, initial = false, silent = false } = {}) {
+        const state = machine.states[name];
+        const from = machine.current;
+        const previousAction = machine.action && this._isActionAlive(machine.action) ? machine.action : null;
+        const action = this._resolveAction(machine, state);
+
+        machine.previous = initial ? machine.previous : from;
+        machine.current = name;
+        machine.action = action;
+        machine.finished = false;
+
+        if (action) {
+            this._playStateAction(action, state, previousAction, duration, initial);
+        } else if (previousAction) {
+            if (duration > 0) previousAction.fadeOut(duration); else previousAction.stop();
+        }
+
+        if (!initial && state.set) this._setParameters(machine, state.set);
+        if (initial && state.set) Object.assign(machine.parameters, state.set);
+        if (!silent) {
+            this.events.emit(STATE_MACHINE_EVENTS.CHANGED, {
+                id: machine.id,
+                from: initial ? null : from,
+                to: name,
+                trigger,
+                parameters: { ...machine.parameters }
+            });
+        }
+    }
+
+    _resolveAction(machine, state) {
+        const modelId = state?.modelId ?? machine.modelId;
+        if (!state?.clip || !modelId) return null;
+        const action = this.engine?.animationController?.getAction(modelId, state.clip) || null;
+        if (action && !this._boundMixers.has(action.getMixer())) {
+            action.getMixer().addEventListener('finished', event => this._onActionFinished(event));
+            this._boundMixers.add(action.getMixer());
+        }
+        return action;
+    }
+
+    // action 所属 mixer 仍是 AnimationController 中某个模型的当前 mixer
+    _isActionAlive(action) {
+        const mixers = this.engine?.animationController?.mixers;
+        if (!mixers) return false;
+        const mixer = action.getMixer();
+        for (const current of mixers.values()) {
+            if (current === mixer) return true;
+        }
+        return false;
+    }
+
+    _playStateAction(action, state, previousAction, duration, initial) {
+        const loop = LOOP_MODES[state.loop] ?? LoopOnce;
+        const direction = state.reverse ? -1 : 1;
+        const clipDuration = action.getClip().duration;
+
+        // 同一动画的正反两个状态（开门/关门）直接从当前时间反向继续，中途打断也不会跳帧
+        const continuing = action === previousAction && action.isScheduled() && !initial;
+        if (!continuing) action.reset();
+
+        action.setLoop(loop, Infinity);
+        action.clampWhenFinished = true;
+        action.timeScale = direction * (state.speed ?? 1);
+        action.setEffectiveWeight(state.weight ?? 1);
+        action.enabled = true;
+        action.paused = false;
+
+        if (initial && loop === LoopOnce) {
+            // 初始状态不播放单次动画，直接停在结束姿态
+            action.time = state.reverse ? 0 : clipDuration;
+            action.paused = true;
+        } else if (!continuing && state.reverse) {
+            action.time = clipDuration;
+        }
+        action.play();
+
+        if (continuing) return;
+        // 两个动画控制不同节点（如柜门与抽屉）时保留上一个动画的末帧姿态，只在有重叠轨道时交叉淡出
+        if (previousAction && previousAction !== action && this._sharesTracks(previousAction, action)) {
+            if (duration > 0) {
+                action.crossFadeFrom(previousAction, duration, false);
+            } else {
+                previousAction.stop();
+            }
+        } else if (duration > 0 && !initial) {
+            action.fadeIn(duration);
+        }
+        if (initial) action.getMixer().update(0);
+    }
+
+    _sharesTracks(actionA, actionB) {
+        const names = new Set(actionA.getClip().tracks.map(track => track.name));
+        return actionB.getClip().tracks.some(track => names.has(track.name));
+    }
+}
+
+function toList(value) {
+    if (value == null) return [];
+    return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,743 @@
+/**
+ * 时间轴控制器 - 按绝对时间编排多模型动画、相机移动、热点显隐与材质变化
+ * 所有轨道按时间确定性求值，支持任意跳转和来回拖动（scrub）
+ */
+import { Color, LoopOnce, MathUtils } from "three";
+import { EventBus } from "../core/events/eventEmitter.js";
+import { cameraApi } from "../../editor/apis/cameraApi.js";
+
+/**
+ * 时间轴事件名称常量
+ * @type {Object.<string, string>}
+ */
+const TIMELINE_EVENTS = {
+    LOADED: 'timeline:loaded',
+    PLAY: 'timeline:play',
+    PAUSED: 'timeline:paused',
+    STOPPED: 'timeline:stopped',
+    SEEK: 'timeline:seek',
+    RATE: 'timeline:rate',
+    MARKER: 'timeline:marker',
+    LOOP: 'timeline:loop',
+    COMPLETE: 'timeline:complete',
+    SCRUB_START: 'timeline:scrub:start',
+    SCRUB_END: 'timeline:scrub:end'
+};
+
+const TRACK_TYPES = ['animation', 'camera', 'hotspot', 'material'];
+const DEFAULT_CAMERA_DURATION = 1;     // 默认相机移动时长（秒）
+
+export class TimelineController {
+    events = new EventBus();
+
+    state = 'idle';     // idle | stopped | playing | paused
+    time = 0;           // 当前时间（秒）
+    rate = 1;           // 播放速率，负数为倒放
+    loop = false;
+
+    tracks = [];
+    markers = [];
+
+    _duration = null;           // 显式指定的时长，为 null 时由轨道推算
+    _computedDuration = 0;
+    _controlledActions = new Map();     // action -> 接管前的播放参数
+    _base = null;                       // 首次求值前捕获的相机/热点/材质初始状态
+    _includeStartMarkers = false;       // 从端点开始播放时，端点上的标记也要触发
+    _scrub = null;
+
+    /**
+     * 创建时间轴控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        // 注册更新回调
+        engine?.addUpdateCallback('timelineController', this.update.bind(this));
+    }
+
+    /**
+     * 加载时间轴（时间单位均为秒）
+     * @param {Object} timeline 时间轴定义
+     * @param {number} [timeline.duration] 总时长，不传则取所有轨道与标记的最晚结束时间
+     * @param {boolean} [timeline.loop=false] 是否循环
+     * @param {number} [timeline.rate=1] 播放速率
+     * @param {Array<Object>} timeline.tracks 轨道列表
+     * @param {'animation'|'camera'|'hotspot'|'material'} timeline.tracks[].type 轨道类型
+     * @param {string} [timeline.tracks[].modelId] 模型ID（animation/material 轨道，条目可单独覆盖）
+     * @param {Array<Object>} timeline.tracks[].items 条目，均含 start（开始时间）
+     *  - animation: { clip: 动画ID/名称（含 splitByTime 的分割动画）, duration, offset: 片段内起始时间, speed, repeat, weight, fadeIn, fadeOut, hold: 结束后保持末帧(默认 true) }
+     *  - camera: { view: 视角名称或 { position, target, fov }, duration(默认1), easing, path: 'orbit'|'linear' }
+     *  - hotspot: { id | ids, visible }
+     *  - material: { material: 材质uuid/名称, property, value, duration(默认0，即瞬间切换), easing }
+     * @param {Array<Object>} [timeline.markers] 标记 { name, time, data }
+     * @returns {boolean} 是否加载成功
+     */
+    load(timeline) {
+        if (!timeline || !Array.isArray(timeline.tracks)) {
+            console.warn('TimelineController.load: 无效的时间轴定义');
+            return false;
+        }
+        this.unload(true);
+
+        this.tracks = timeline.tracks
+            .filter(track => {
+                if (TRACK_TYPES.includes(track?.type)) return true;
+                console.warn(`TimelineController.load: 未知的轨道类型 ${track?.type}`);
+                return false;
+            })
+            .map(track => this._compileTrack(track));
+        this.markers = [];
+        (timeline.markers || []).forEach(marker => this.addMarker(marker.name, marker.time, marker.data));
+
+        this._duration = typeof timeline.duration === 'number' ? Math.max(0, timeline.duration) : null;
+        this.loop = !!timeline.loop;
+        this.rate = typeof timeline.rate === 'number' ? timeline.rate : 1;
+        this.time = 0;
+        this.state = 'stopped';
+        this._updateDuration();
+
+        this.events.emit(TIMELINE_EVENTS.LOADED, { duration: this.getDuration(), tracks: this.tracks.length, markers: this.markers.length });
+        return true;
+    }
+
+    /**
+     * 卸载时间轴（交还动画控制权，不回到起点）
+     * @param {boolean} [silent=false] 是否不发送事件
+     * @returns {void}
+     */
+    unload(silent = false) {
+        if (this.state === 'idle') return;
+        this._release();
+        this._reset();
+        if (!silent) this.events.emit(TIMELINE_EVENTS.STOPPED, { time: 0, unloaded: true });
+    }
+
+    /**
+     * 播放（播放结束后再次调用会从头开始）
+     * @returns {boolean}
+     */
+    play() {
+        if (this.state === 'idle') {
+            console.warn('TimelineController.play: 尚未加载时间轴');
+            return false;
+        }
+        if (this.state === 'playing') return true;
+
+        const duration = this.getDuration();
+        if (this.rate >= 0 && this.time >= duration) this.time = 0;
+        if (this.rate < 0 && this.time <= 0) this.time = duration;
+        this._includeStartMarkers = this.rate >= 0 ? this.time === 0 : this.time === duration;
+
+        this.state = 'playing';
+        this._evaluate(this.time);
+        this.events.emit(TIMELINE_EVENTS.PLAY, this._buildPayload());
+        return true;
+    }
+
+    /**
+     * 暂停（保持当前画面）
+     * @returns {boolean}
+     */
+    pause() {
+        if (this.state !== 'playing') return false;
+        this.state = 'paused';
+        this.events.emit(TIMELINE_EVENTS.PAUSED, this._buildPayload());
+        return true;
+    }
+
+    /**
+     * 停止：回到起点并交还动画控制权
+     * @param {boolean} [silent=false] 是否不发送事件
+     * @returns {void}
+     */
+    stop(silent = false) {
+        if (this.state === 'idle') return;
+        const payload = this._buildPayload();
+        if (this._base) this._evaluate(0, true);
+        this._release();
+        this.time = 0;
+        this.state = 'stopped';
+        this._scrub = null;
+        if (!silent) this.events.emit(TIMELINE_EVENTS.STOPPED, payload);
+    }
+
+    /**
+     * 跳转到指定时间（跳转不会触发途经的标记）
+     * @param {number} time 时间（秒）
+     * @returns {boolean}
+     */
+    seek(time) {
+        if (this.state === 'idle' || typeof time !== 'number' || Number.isNaN(time)) return false;
+        const previous = this.time;
+        this.time = MathUtils.clamp(time, 0, this.getDuration());
+        this._includeStartMarkers = false;
+        if (this.state === 'stopped') this.state = 'paused';
+        this._evaluate(this.time, true);
+        this.events.emit(TIMELINE_EVENTS.SEEK, { ...this._buildPayload(), previous });
+        return true;
+    }
+
+    /**
+     * 跳转到标记
+     * @param {string} name 标记名称
+     * @returns {boolean}
+     */
+    seekToMarker(name) {
+        const marker = this.markers.find(m => m.name === name);
+        if (!marker) {
+            console.warn(`TimelineController.seekToMarker: 标记不存在 ${name}`);
+            return false;
+        }
+        return this.seek(marker.time);
+    }
+
+    /**
+     * 设置播放速率
+     * @param {number} rate 速率（1 为正常速度，负数倒放）
+     * @returns {boolean}
+     */
+    setRate(rate) {
+        if (typeof rate !== 'number' || !Number.isFinite(rate)) return false;
+        this.rate = rate;
+        this.events.emit(TIMELINE_EVENTS.RATE, { rate });
+        return true;
+    }
+
+    /**
+     * 设置是否循环
+     * @param {boolean} loop
+     * @returns {void}
+     */
+    setLoop(loop) {
+        this.loop = !!loop;
+    }
+
+    /**
+     * 开始拖动：暂停播放，之后用 scrub(time) 跟随拖动位置
+     * @returns {boolean}
+     */
+    beginScrub() {
+        if (this.state === 'idle' || this._scrub) return false;
+        this._scrub = { wasPlaying: this.state === 'playing' };
+        if (this.state === 'playing') this.state = 'paused';
+        this.events.emit(TIMELINE_EVENTS.SCRUB_START, this._buildPayload());
+        return true;
+    }
+
+    /**
+     * 拖动到指定时间（未调用 beginScrub 时等同于 seek）
+     * @param {number} time 时间（秒）
+     * @returns {boolean}
+     */
+    scrub(time) {
+        return this.seek(time);
+    }
+
+    /**
+     * 结束拖动：拖动前在播放则继续播放
+     * @returns {boolean}
+     */
+    endScrub() {
+        if (!this._scrub) return false;
+        const { wasPlaying } = this._scrub;
+        this._scrub = null;
+        this.events.emit(TIMELINE_EVENTS.SCRUB_END, this._buildPayload());
+        if (wasPlaying) this.play();
+        return true;
+    }
+
+    /**
+     * 添加标记（同名标记会被替换）
+     * @param {string} name 标记名称
+     * @param {number} time 时间（秒）
+     * @param {*} [data] 附加数据，随 timeline:marker 事件发出
+     * @returns {boolean}
+     */
+    addMarker(name, time, data = null) {
+        if (!name || typeof time !== 'number' || time < 0) {
+            console.warn('TimelineController.addMarker: 标记名称或时间无效');
+            return false;
+        }
+        this.markers = this.markers.filter(m => m.name !== name);
+        this.markers.push({ name, time, data });
+        this.markers.sort((a, b) => a.time - b.time);
+        this._updateDuration();
+        return true;
+    }
+
+    /**
+     * 删除标记
+     * @param {string} name 标记名称
+     * @returns {boolean}
+     */
+    removeMarker(name) {
+        const count = this.markers.length;
+        this.markers = this.markers.filter(m => m.name !== name);
+        return this.markers.length !== count;
+    }
+
+    /**
+     * 获取标记列表
+     * @returns {Array<{name: string, time: number, data: *}>}
+     */
+    getMarkers() {
+        return this.markers.map(m => ({ ...m }));
+    }
+
+    /**
+     * 获取总时长（秒）
+     * @returns {number}
+     */
+    getDuration() {
+        return this._duration ?? this._computedDuration;
+    }
+
+    /**
+     * 获取时间轴状态
+     * @returns {{state: string, time: number, duration: number, rate: number, loop: boolean, scrubbing: boolean}}
+     */
+    getState() {
+        return {
+            state: this.state,
+            time: this.time,
+            duration: this.getDuration(),
+            rate: this.rate,
+            loop: this.loop,
+            scrubbing: !!this._scrub
+        };
+    }
+
+    /**
+     * 每帧推进时间
+     * @param {number} deltaTime 帧间隔（秒）
+     * @returns {void}
+     */
+    update(deltaTime) {
+        if (this.state !== 'playing' || !deltaTime) return;
+        const duration = this.getDuration();
+        const from = this.time;
+        let to = from + deltaTime * this.rate;
+        const forward = this.rate >= 0;
+        const includeStart = this._includeStartMarkers;
+        this._includeStartMarkers = false;
+
+        const reachedEnd = forward ? to >= duration : to <= 0;
+        if (!reachedEnd) {
+            this._emitMarkers(from, to, includeStart);
+            this.time = to;
+            this._evaluate(to);
+            return;
+        }
+
+        const end = forward ? duration : 0;
+        this._emitMarkers(from, end, includeStart);
+
+        if (this.loop && duration > 0) {
+            const start = forward ? 0 : duration;
+            const overflow = (to - end) % duration;
+            to = start + overflow;
+            this.events.emit(TIMELINE_EVENTS.LOOP, { time: to, duration });
+            this._emitMarkers(start, to, true);
+            this.time = to;
+            this._evaluate(to, true);
+            return;
+        }
+
+        this.time = end;
+        this._evaluate(end);
+        this.state = 'paused';
+        this.events.emit(TIMELINE_EVENTS.COMPLETE, this._buildPayload());
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('timelineController');
+        this._release();
+        this._reset();
+        this.events.removeAllListeners();
+    }
+
+    _compileTrack(track) {
+        const items = (track.items || [])
+            .map(item => ({ ...item, start: Math.max(0, item.start ?? 0) }))
+            .sort((a, b) => a.start - b.start);
+        return { type: track.type, modelId: track.modelId ?? null, items, _lastKey: null };
+    }
+
+    _updateDuration() {
+        let duration = 0;
+        this.tracks.forEach(track => {
+            track.items.forEach(item => {
+                duration = Math.max(duration, item.start + this._getItemDuration(track, item));
+            });
+        });
+        this.markers.forEach(marker => { duration = Math.max(duration, marker.time); });
+        this._computedDuration = duration;
+        if (this._duration === null) this.time = Math.min(this.time, duration);
+    }
+
+    _getItemDuration(track, item) {
+        if (track.type === 'animation') {
+            if (typeof item.duration === 'number') return Math.max(0, item.duration);
+            const clip = this._resolveAction(track, item)?.getClip();
+            if (!clip) return 0;
+            const speed = Math.abs(item.speed ?? 1) || 1;
+            return Math.max(0, clip.duration - (item.offset ?? 0)) / speed * (item.repeat ?? 1);
+        }
+        if (track.type === 'camera') return item.duration ?? DEFAULT_CAMERA_DURATION;
+        if (track.type === 'material') return item.duration ?? 0;
+        return 0;
+    }
+
+    _evaluate(time, force = false) {
+        if (!this._base) this._captureBase();
+        if (force) this.tracks.forEach(track => { track._lastKey = null; });
+
+        const animationStates = new Map();
+        this.tracks.forEach(track => {
+            switch (track.type) {
+                case 'animation': this._evaluateAnimationTrack(track, time, animationStates); break;
+                case 'camera': this._evaluateCameraTrack(track, time); break;
+                case 'hotspot': this._evaluateHotspotTrack(track, time); break;
+                case 'material': this._evaluateMaterialTrack(track, time); break;
+            }
+        });
+        this._applyAnimationStates(animationStates);
+    }
+
+    /************************** 动画轨道 ********************** */
+
+    _resolveAction(track, item) {
+        const animationController = this.engine?.animationController;
+        const modelId = item.modelId ?? track.modelId;
+        if (!animationController || !modelId || item.clip == null) return null;
+
+        // 模型被移除或替换后 mixer 会变化，需要重新查找
+        if (item._action && animationController.mixers.get(modelId) === item._action.getMixer()) {
+            return item._action;
+        }
+        const action = animationController.getAction(modelId, item.clip);
+        if (!action) {
+            if (!item._warned && animationController.mixers.has(modelId)) {
+                console.warn(`TimelineController: 找不到动画 ${item.clip} (模型: ${modelId})`);
+                item._warned = true;
+            }
+            return null;
+        }
+        const resolvedBefore = !!item._action;
+        item._action = action;
+        // 首次解析到动画时才知道片段时长
+        if (!resolvedBefore && typeof item.duration !== 'number') this._updateDuration();
+        return action;
+    }
+
+    _evaluateAnimationTrack(track, time, states) {
+        const items = track.items;
+        if (items.length === 0) return;
+
+        // 第一个条目开始前停在其首帧，保证向回拖动时姿态可还原
+        let index = -1;
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].start <= time) index = i; else break;
+        }
+        const current = items[Math.max(index, 0)];
+        const local = Math.max(0, time - current.start);
+        const action = this._resolveAction(track, current);
+        if (!action) return;
+
+        const duration = this._getItemDuration(track, current);
+        const ended = local > duration;
+        if (ended && current.hold === false) return;
+
+        const weight = current.weight ?? 1;
+        let factor = 1;
+        if (current.fadeIn > 0 && index >= 0) factor = Math.min(factor, local / current.fadeIn);
+        if (current.fadeOut > 0 && current.hold === false) factor = Math.min(factor, (duration - local) / current.fadeOut);
+        factor = MathUtils.clamp(factor, 0, 1);
+        this._setAnimationState(states, action, this._getClipTime(current, action, Math.min(local, duration)), weight * factor);
+
+        // 淡入期间上一个条目停在末帧与当前条目混合
+        const previous = items[index - 1];
+        if (factor < 1 && previous && previous.hold !== false && current.fadeIn > 0) {
+            const previousAction = this._resolveAction(track, previous);
+            if (previousAction && previousAction !== action) {
+                const previousDuration = this._getItemDuration(track, previous);
+                this._setAnimationState(states, previousAction, this._getClipTime(previous, previousAction, previousDuration), (previous.weight ?? 1) * (1 - factor));
+            }
+        }
+    }
+
+    _getClipTime(item, action, local) {
+        const clipDuration = action.getClip().duration;
+        const speed = Math.abs(item.speed ?? 1) || 1;
+        let clipTime = (item.offset ?? 0) + local * speed;
+        if (clipTime > clipDuration) {
+            // repeat > 1 时循环取片段内时间，正好结束时停在末帧而不是首帧
+            clipTime = (item.repeat ?? 1) > 1 ? clipTime % clipDuration || clipDuration : clipDuration;
+        }
+        return clipTime;
+    }
+
+    _setAnimationState(states, action, time, weight) {
+        // 同一动画被多个轨道使用时取权重较大者
+        const existing = states.get(action);
+        if (existing && existing.weight >= weight) return;
+        states.set(action, { time, weight });
+    }
+
+    _applyAnimationStates(states) {
+        states.forEach((_, action) => this._takeControl(action));
+        const mixers = new Set();
+        this._controlledActions.forEach((_, action) => {
+            const state = states.get(action);
+            if (state) action.time = state.time;
+            action.setEffectiveWeight(state ? state.weight : 0);
+            mixers.add(action.getMixer());
+        });
+        // 只刷新姿态，不推进时间
+        mixers.forEach(mixer => mixer.update(0));
+    }
+
+    _takeControl(action) {
+        if (this._controlledActions.has(action)) return;
+        this._controlledActions.set(action, {
+            scheduled: action.isScheduled(),
+            enabled: action.enabled,
+            paused: action.paused,
+            time: action.time,
+            weight: action.weight,
+            loop: action.loop,
+            repetitions: action.repetitions,
+            clampWhenFinished: action.clampWhenFinished,
+            clampAtEnd: action._clampAtEnd
+        });
+        action.stopFading();
+        action.setLoop(LoopOnce, 1);
+        action.clampWhenFinished = true;
+        action._clampAtEnd = false;
+        action.enabled = true;
+        action.paused = true;
+        action.play();
+    }
+
+    _release() {
+        this._controlledActions.forEach((saved, action) => {
+            if (!saved.scheduled) action.stop();
+            action.setLoop(saved.loop, saved.repetitions);
+            action.clampWhenFinished = saved.clampWhenFinished;
+            action._clampAtEnd = saved.clampAtEnd;
+            action.enabled = saved.enabled;
+            action.paused = saved.paused;
+            if (saved.scheduled) action.time = saved.time;
+            action.setEffectiveWeight(saved.weight);
+        });
+        this._controlledActions.clear();
+        this._base = null;
+        this.tracks.forEach(track => {
+            track._lastKey = null;
+            track._applied = null;
+        });
+    }
+
+    /************************** 相机轨道 ********************** */
+
+    _evaluateCameraTrack(track, time) {
+        const camera = this.engine?.camera;
+        if (!camera?.interpolateView || track.items.length === 0) return;
+
+        let index = -1;
+        for (let i = 0; i < track.items.length; i++) {
+            if (track.items[i].start <= time) index = i; else break;
+        }
+
+        let from, to, progress, item = null;
+        if (index < 0) {
+            from = to = this._base.camera;
+            progress = 1;
+        } else {
+            item = track.items[index];
+            const duration = item.duration ?? DEFAULT_CAMERA_DURATION;
+            from = index > 0 ? this._resolveView(track.items[index - 1].view) : this._base.camera;
+            to = this._resolveView(item.view);
+            progress = duration > 0 ? Math.min((time - item.start) / duration, 1) : 1;
+        }
+        if (!from || !to) return;
+
+        // 两次移动之间不再每帧写相机，允许用户自由旋转
+        const key = progress >= 1 ? index : null;
+        if (key !== null && track._lastKey === key) return;
+        track._lastKey = key;
+
+        camera.cancelMove?.();
+        camera.interpolateView(from, to, progress, { easing: item?.easing, path: item?.path });
+    }
+
+    _resolveView(view) {
+        if (typeof view === 'string') {
+            const saved = this.engine?.camera?.getView(view);
+            if (!saved) console.warn(`TimelineController: 视角不存在 ${view}`);
+            return saved;
+        }
+        return view || null;
+    }
+
+    /************************** 热点轨道 ********************** */
+
+    _evaluateHotspotTrack(track, time) {
+        const hotspotController = this.engine?.hotspotController;
+        if (!hotspotController) return;
+
+        const visibility = new Map();
+        track.items.forEach(item => {
+            const ids = item.ids ?? (item.id != null ? [item.id] : []);
+            ids.forEach(id => {
+                if (!this._base.hotspots.has(id)) this._base.hotspots.set(id, hotspotController.isVisible(id));
+                if (!visibility.has(id)) visibility.set(id, this._base.hotspots.get(id));
+                if (item.start <= time) visibility.set(id, item.visible !== false);
+            });
+        });
+
+        track._applied ??= new Map();
+        visibility.forEach((visible, id) => {
+            if (track._applied.get(id) === visible) return;
+            if (hotspotController.setVisible(id, visible)) track._applied.set(id, visible);
+        });
+    }
+
+    /************************** 材质轨道 ********************** */
+
+    _evaluateMaterialTrack(track, time) {
+        // 按 材质+属性 分组，同组条目依次从上一个值过渡到下一个值
+        const groups = new Map();
+        track.items.forEach(item => {
+            const modelId = item.modelId ?? track.modelId;
+            const key = `${modelId}|${item.material}|${item.property}`;
+            if (!groups.has(key)) groups.set(key, { modelId, material: item.material, property: item.property, items: [] });
+            groups.get(key).items.push(item);
+        });
+
+        groups.forEach((group, key) => {
+            const material = this._resolveMaterial(group, track);
+            if (!material) return;
+            const base = this._getMaterialBase(key, material, group.property);
+
+            let value = base;
+            for (let i = 0; i < group.items.length; i++) {
+                const item = group.items[i];
+                if (item.start > time) break;
+                const duration = item.duration ?? 0;
+                const progress = duration > 0 ? Math.min((time - item.start) / duration, 1) : 1;
+                value = this._blendMaterialValue(value, item.value, cameraApi.resolveEasing(item.easing ?? 'linear')(progress));
+            }
+            this._applyMaterialValue(material, group.property, value);
+        });
+    }
+
+    _resolveMaterial(group, track) {
+        track._materials ??= new Map();
+        const cacheKey = `${group.modelId}|${group.material}`;
+        const model = this.engine?.assetsManager?.getModel(group.modelId);
+        const cached = track._materials.get(cacheKey);
+        if (cached && cached.model === model) return cached.material;
+        if (!model) return null;
+
+        const materials = this.engine.assetsManager.materialLoader?.getMaterials(model) || [];
+        const info = materials.find(m => m.uuid === group.material)
+            || materials.find(m => m.originalUuid === group.material)
+            || materials.find(m => m.name === group.material);
+        if (!info?.material || !(group.property in info.material)) {
+            if (!cached) console.warn(`TimelineController: 找不到材质或属性 ${group.material}.${group.property} (模型: ${group.modelId})`);
+            track._materials.set(cacheKey, { model, material: null });
+            return null;
+        }
+        track._materials.set(cacheKey, { model, material: info.material });
+        return info.material;
+    }
+
+    _getMaterialBase(key, material, property) {
+        const bases = this._base.materials;
+        if (!bases.has(key)) {
+            const value = material[property];
+            bases.set(key, value?.isColor ? value.clone() : value);
+        }
+        return bases.get(key);
+    }
+
+    _blendMaterialValue(from, to, alpha) {
+        if (from?.isColor) {
+            const target = to?.isColor ? to : new Color(to);
+            return alpha >= 1 ? target : new Color().lerpColors(from, target, alpha);
+        }
+        if (typeof from === 'number' && typeof to === 'number') {
+            return MathUtils.lerp(from, to, alpha);
+        }
+        // 布尔等不可插值的属性在条目开始时立即切换
+        return to;
+    }
+
+    _applyMaterialValue(material, property, value) {
+        const current = material[property];
+        if (current?.isColor) {
+            current.copy(value);
+            return;
+        }
+        if (current === value) return;
+        material[property] = value;
+        if (property === 'opacity') material.transparent = material.transparent || value < 1;
+        if (typeof value === 'boolean') material.needsUpdate = true;
+    }
+
+    /************************** 标记 ********************** */
+
+    _emitMarkers(from, to, includeFrom) {
+        if (this.markers.length === 0 || (from === to && !includeFrom)) return;
+        const forward = to >= from;
+        const list = forward ? this.markers : this.markers.slice().reverse();
+        list.forEach(marker => {
+            const t = marker.time;
+            const crossed = forward
+                ? (includeFrom ? t >= from : t > from) && t <= to
+                : (includeFrom ? t <= from : t < from) && t >= to;
+            if (crossed) this.events.emit(TIMELINE_EVENTS.MARKER, { name: marker.name, time: t, data: marker.data });
+        });
+    }
+
+    _captureBase() {
+        const camera = this.engine?.camera;
+        this._base = {
+            camera: camera ? {
+                position: camera.position.toArray(),
+                target: camera.getTarget?.().toArray() ?? [0, 0, 0],
+                fov: camera.fov
+            } : null,
+            hotspots: new Map(),
+            materials: new Map()
+        };
+    }
+
+    _buildPayload() {
+        return {
+            time: this.time,
+            duration: this.getDuration(),
+            rate: this.rate
+        };
+    }
+
+    _reset() {
+        this.tracks = [];
+        this.markers = [];
+        this.state = 'idle';
+        this.time = 0;
+        this.rate = 1;
+        this.loop = false;
+        this._duration = null;
+        this._computedDuration = 0;
+        this._base = null;
+        this._includeStartMarkers = false;
+        this._scrub = null;
+    }
+}
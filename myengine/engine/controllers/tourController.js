@@ -0,0 +1,260 @@
+/**
+ * 导览控制器 - 按顺序播放相机视角，支持停留、热点聚焦和动画触发
+ */
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 导览事件名称常量
+ * @type {Object.<string, string>}
+ */
+const TOUR_EVENTS = {
+    START: 'tour:start',
+    STEP: 'tour:step',
+    PAUSED: 'tour:paused',
+    RESUMED: 'tour:resumed',
+    STOPPED: 'tour:stopped',
+    COMPLETE: 'tour:complete'
+};
+
+const DEFAULT_TRANSITION = 1500;   // 默认过渡时长（毫秒）
+const DEFAULT_DWELL = 3000;        // 默认停留时长（毫秒）
+
+export class TourController {
+    events = new EventBus();
+
+    steps = [];
+    index = -1;
+    state = 'idle';     // idle | playing | paused
+
+    _phase = null;      // moving | dwell
+    _remaining = 0;     // 当前阶段剩余时间（毫秒）
+    _options = { loop: false };
+
+    /**
+     * 创建导览控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        // 注册更新回调
+        engine?.addUpdateCallback('tourController', this.update.bind(this));
+    }
+
+    /**
+     * 开始播放导览
+     * @param {Array<Object>} steps 导览步骤
+     * @param {string|Object} [steps[].view] 视角名称（cameraApi.saveView 保存）或 { position, target, fov }
+     * @param {string} [steps[].hotspotId] 聚焦的热点ID（未指定 view 时使用热点聚焦）
+     * @param {number} [steps[].duration=1500] 过渡时长（毫秒）
+     * @param {string|Function} [steps[].easing] 缓动
+     * @param {number} [steps[].dwell=3000] 到达后停留时长（毫秒）
+     * @param {Array<Object>|Object} [steps[].animations] 触发的动画 { modelId, name, action: 'play'|'stop', options }
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.loop=false] 是否循环
+     * @param {number} [options.startIndex=0] 起始步骤
+     * @returns {boolean} 是否开始播放
+     */
+    play(steps, options = {}) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            console.warn('TourController.play: 导览步骤为空');
+            return false;
+        }
+        this.stop(true);
+        this.steps = steps.slice();
+        this._options = { loop: !!options.loop };
+        this.state = 'playing';
+        this.events.emit(TOUR_EVENTS.START, { total: this.steps.length });
+        this._enterStep(Math.max(0, Math.min(options.startIndex ?? 0, this.steps.length - 1)));
+        return true;
+    }
+
+    /**
+     * 暂停导览（暂停计时并中止正在进行的相机过渡，继续时从当前位置完成剩余过渡）
+     * @returns {boolean}
+     */
+    pause() {
+        if (this.state !== 'playing') return false;
+        this.engine?.camera?.cancelMove?.();
+        this.state = 'paused';
+        this.events.emit(TOUR_EVENTS.PAUSED, this._buildPayload());
+        return true;
+    }
+
+    /**
+     * 继续导览
+     * @returns {boolean}
+     */
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.state = 'playing';
+        if (this._phase === 'moving' && this._remaining > 0) {
+            this._moveCamera(this.steps[this.index] || {}, this._remaining);
+        }
+        this.events.emit(TOUR_EVENTS.RESUMED, this._buildPayload());
+        return true;
+    }
+
+    /**
+     * 跳到下一步
+     * @returns {boolean}
+     */
+    skip() {
+        if (this.state === 'idle') return false;
+        this._next();
+        return true;
+    }
+
+    /**
+     * 回到上一步
+     * @returns {boolean}
+     */
+    previous() {
+        if (this.state === 'idle' || this.index <= 0) return false;
+        this._enterStep(this.index - 1);
+        return true;
+    }
+
+    /**
+     * 跳到指定步骤
+     * @param {number} index 步骤索引
+     * @returns {boolean}
+     */
+    goToStep(index) {
+        if (this.state === 'idle' || index < 0 || index >= this.steps.length) return false;
+        this._enterStep(index);
+        return true;
+    }
+
+    /**
+     * 停止导览（中止正在进行的相机过渡）
+     * @param {boolean} [silent=false] 是否不发送事件
+     * @returns {void}
+     */
+    stop(silent = false) {
+        if (this.state === 'idle') return;
+        this.engine?.camera?.cancelMove?.();
+        const payload = this._buildPayload();
+        this._reset();
+        if (!silent) this.events.emit(TOUR_EVENTS.STOPPED, payload);
+    }
+
+    /**
+     * 获取导览状态
+     * @returns {{state: string, index: number, total: number, phase: string|null}}
+     */
+    getState() {
+        return {
+            state: this.state,
+            index: this.index,
+            total: this.steps.length,
+            phase: this._phase
+        };
+    }
+
+    /**
+     * 每帧推进导览计时
+     * @param {number} deltaTime 帧间隔（秒）
+     * @returns {void}
+     */
+    update(deltaTime) {
+        if (this.state !== 'playing' || !this._phase) return;
+        this._remaining -= deltaTime * 1000;
+        if (this._remaining > 0) return;
+
+        if (this._phase === 'moving') {
+            const step = this.steps[this.index];
+            this._phase = 'dwell';
+            this._remaining = step?.dwell ?? DEFAULT_DWELL;
+        } else {
+            this._next();
+        }
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('tourController');
+        this._reset();
+        this.events.removeAllListeners();
+    }
+
+    _next() {
+        if (this.index + 1 < this.steps.length) {
+            this._enterStep(this.index + 1);
+        } else if (this._options.loop) {
+            this._enterStep(0);
+        } else {
+            const total = this.steps.length;
+            this._reset();
+            this.events.emit(TOUR_EVENTS.COMPLETE, { total });
+        }
+    }
+
+    _enterStep(index) {
+        this.index = index;
+        const step = this.steps[index] || {};
+        const duration = step.duration ?? DEFAULT_TRANSITION;
+
+        this._moveCamera(step, duration);
+        this._triggerAnimations(step.animations);
+
+        this._phase = 'moving';
+        this._remaining = duration;
+        this.events.emit(TOUR_EVENTS.STEP, this._buildPayload());
+    }
+
+    _moveCamera(step, duration) {
+        const camera = this.engine?.camera;
+        if (!camera) return;
+
+        if (step.view) {
+            if (typeof step.view === 'string') {
+                camera.goToView?.(step.view, { duration, easing: step.easing });
+            } else {
+                const tempName = '__tourStep';
+                if (camera.saveView?.(tempName, step.view)) {
+                    camera.goToView(tempName, { duration, easing: step.easing });
+                    camera.removeView(tempName);
+                }
+            }
+            return;
+        }
+
+        if (step.hotspotId != null) {
+            this.engine?.hotspotController?.focusCameraOnHotspot(step.hotspotId, { duration, force: true });
+        }
+    }
+
+    _triggerAnimations(animations) {
+        const animationController = this.engine?.animationController;
+        if (!animations || !animationController) return;
+        const list = Array.isArray(animations) ? animations : [animations];
+        list.forEach(({ modelId, name, action = 'play', options = {} } = {}) => {
+            if (!modelId || !name) return;
+            if (action === 'stop') {
+                animationController.stopAnimationByName(modelId, name);
+            } else {
+                animationController.playAnimationByName(modelId, name, { enabled: true, ...options });
+            }
+        });
+    }
+
+    _buildPayload() {
+        return {
+            index: this.index,
+            total: this.steps.length,
+            step: this.steps[this.index] || null
+        };
+    }
+
+    _reset() {
+        this.steps = [];
+        this.index = -1;
+        this.state = 'idle';
+        this._phase = null;
+        this._remaining = 0;
+    }
+}
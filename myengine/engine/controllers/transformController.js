@@ -0,0 +1,522 @@
+/**
+ * 变换控制器 - 负责模型、子网格、热点的移动/旋转/缩放 Gizmo
+ */
+import { Object3D, Vector3, Quaternion, Euler, MathUtils } from "three";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { EventBus } from "../core/events/eventEmitter.js";
+
+/**
+ * 变换事件名称常量
+ * @type {Object.<string, string>}
+ */
+const TRANSFORM_EVENTS = {
+    ATTACHED: 'transform:attached',
+    DETACHED: 'transform:detached',
+    START: 'transform:start',
+    CHANGE: 'transform:change',
+    END: 'transform:end',
+    MODE_CHANGED: 'transform:mode:changed',
+    SPACE_CHANGED: 'transform:space:changed'
+};
+
+const VALID_MODES = ['translate', 'rotate', 'scale'];
+const VALID_SPACES = ['local', 'world'];
+
+export class TransformController {
+    events = new EventBus();
+
+    // 当前附加目标 { type: 'model'|'mesh'|'hotspot'|'object', id, object }
+    target = null;
+
+    // 吸附设置（rotation 为角度）
+    snap = {
+        translation: null,
+        rotation: null,
+        scale: null
+    };
+
+    enabled = true;
+
+    _controls = null;
+    _helper = null;
+    _dragging = false;
+    _lockedByGizmo = false;     // 拖拽期间是否由 Gizmo 临时锁定了场景交互
+    _orbitState = null;         // 无热点控制器时的轨道控制器状态备份
+    _dragStart = null;          // 拖拽开始时的变换 { position, quaternion, scale, size }
+    _boundHandlers = {
+        onDraggingChanged: null,
+        onObjectChange: null
+    };
+
+    /**
+     * 创建变换控制器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.scene = engine?.mainScene;
+        this.camera = engine?.camera;
+
+        // 注册更新回调
+        engine?.addUpdateCallback('transformController', this.update.bind(this));
+    }
+
+    /**
+     * 附加 Gizmo 到目标
+     * @param {string|Object3D|Object} target 模型ID、mesh 的 userData.id/uuid/name、{ hotspotId } 或 Object3D
+     * @returns {boolean} 是否附加成功
+     */
+    attach(target) {
+        const resolved = this._resolveTarget(target);
+        if (!resolved) {
+            console.warn('TransformController.attach: 未找到目标', target);
+            return false;
+        }
+        if (resolved.type === 'hotspot' && this._controls?.mode === 'rotate' && !this._isMeshHotspot(resolved.id)) {
+            console.warn('TransformController.attach: Sprite 热点始终朝向相机，不支持旋转');
+        }
+
+        this._ensureControls();
+        if (!this._controls) return false;
+
+        if (this._dragging) this._onDraggingChanged({ value: false });
+        this.target = resolved;
+        this._controls.attach(resolved.object);
+        this._helper.visible = true;
+        this._applyEnabled();
+
+        this.events.emit(TRANSFORM_EVENTS.ATTACHED, { targetType: resolved.type, id: resolved.id });
+        return true;
+    }
+
+    /**
+     * 从当前目标移除 Gizmo
+     * @returns {void}
+     */
+    detach() {
+        if (!this._controls || !this.target) return;
+        if (this._dragging) this._onDraggingChanged({ value: false });
+
+        const { type, id } = this.target;
+        this._controls.detach();
+        this._helper.visible = false;
+        this.target = null;
+        this.events.emit(TRANSFORM_EVENTS.DETACHED, { targetType: type, id });
+    }
+
+    /**
+     * 获取当前附加目标信息
+     * @returns {{targetType: string, id: string}|null}
+     */
+    getTarget() {
+        if (!this.target) return null;
+        return { targetType: this.target.type, id: this.target.id };
+    }
+
+    /**
+     * 设置变换模式
+     * @param {'translate'|'rotate'|'scale'} mode 模式
+     * @returns {boolean} 是否设置成功
+     */
+    setMode(mode) {
+        if (!VALID_MODES.includes(mode)) {
+            console.warn(`TransformController.setMode: 无效的模式 ${mode}，可选值 ${VALID_MODES.join('/')}`);
+            return false;
+        }
+        this._ensureControls();
+        if (!this._controls) return false;
+        if (mode === 'rotate' && this.target?.type === 'hotspot' && !this._isMeshHotspot(this.target.id)) {
+            console.warn('TransformController.setMode: Sprite 热点始终朝向相机，不支持旋转');
+        }
+        this._controls.setMode(mode);
+        this.events.emit(TRANSFORM_EVENTS.MODE_CHANGED, { mode });
+        return true;
+    }
+
+    /**
+     * 获取变换模式
+     * @returns {string}
+     */
+    getMode() {
+        return this._controls?.mode || 'translate';
+    }
+
+    /**
+     * 设置变换坐标空间
+     * @param {'local'|'world'} space 坐标空间
+     * @returns {boolean} 是否设置成功
+     */
+    setSpace(space) {
+        if (!VALID_SPACES.includes(space)) {
+            console.warn(`TransformController.setSpace: 无效的坐标空间 ${space}，可选值 ${VALID_SPACES.join('/')}`);
+            return false;
+        }
+        this._ensureControls();
+        if (!this._controls) return false;
+        this._controls.setSpace(space);
+        this.events.emit(TRANSFORM_EVENTS.SPACE_CHANGED, { space });
+        return true;
+    }
+
+    /**
+     * 在本地/世界坐标空间之间切换
+     * @returns {string} 切换后的坐标空间
+     */
+    toggleSpace() {
+        const next = this.getSpace() === 'local' ? 'world' : 'local';
+        this.setSpace(next);
+        return next;
+    }
+
+    /**
+     * 获取变换坐标空间
+     * @returns {string}
+     */
+    getSpace() {
+        return this._controls?.space || 'world';
+    }
+
+    /**
+     * 设置吸附（传 null 或 0 关闭对应吸附）
+     * @param {Object} options 吸附选项
+     * @param {number|null} [options.translation] 平移网格步长
+     * @param {number|null} [options.rotation] 旋转角度步长（度）
+     * @param {number|null} [options.scale] 缩放步长
+     * @returns {Object} 当前吸附设置
+     */
+    setSnap(options = {}) {
+        ['translation', 'rotation', 'scale'].forEach(key => {
+            if (options[key] === undefined) return;
+            const value = Number(options[key]);
+            this.snap[key] = Number.isFinite(value) && value > 0 ? value : null;
+        });
+        this._applySnap();
+        return { ...this.snap };
+    }
+
+    /**
+     * 设置 Gizmo 尺寸
+     * @param {number} size 尺寸系数，默认1
+     * @returns {void}
+     */
+    setSize(size) {
+        this._ensureControls();
+        if (!this._controls || !(size > 0)) return;
+        this._controls.setSize(size);
+    }
+
+    /**
+     * 启用/禁用 Gizmo 交互
+     * @param {boolean} enabled 是否启用
+     * @returns {void}
+     */
+    setEnabled(enabled = true) {
+        this.enabled = !!enabled;
+        this._applyEnabled();
+    }
+
+    /**
+     * 是否正在拖拽 Gizmo
+     * @returns {boolean}
+     */
+    isDragging() {
+        return this._dragging;
+    }
+
+    /**
+     * 指针是否悬停在 Gizmo 轴上（用于屏蔽其它鼠标交互）
+     * @returns {boolean}
+     */
+    isPointerOverGizmo() {
+        return !!(this._controls?.enabled && this.target && this._controls.axis !== null);
+    }
+
+    /**
+     * 获取当前目标的变换数据
+     * @returns {Object|null}
+     */
+    getTransform() {
+        if (!this.target) return null;
+        return this._buildPayload();
+    }
+
+    /**
+     * 每帧检查目标是否仍在场景中（热点切换类型会替换对象，模型可能被移除）
+     * @returns {void}
+     */
+    update() {
+        if (!this.target || this._dragging) return;
+        const { type, id, object } = this.target;
+        if (type === 'hotspot') {
+            const sprite = this._getHotspot(id)?.sprite;
+            if (sprite && sprite !== object && sprite.parent) {
+                this.target.object = sprite;
+                this._controls.attach(sprite);
+                return;
+            }
+        }
+        // 显示低级别 LOD 时完整模型暂时脱离场景，仍保持选中（变换每帧同步到代理模型）
+        if (!object.parent && !this.engine?.lodController?.isDisplayed(object)) this.detach();
+    }
+
+    /**
+     * 释放资源
+     * @returns {void}
+     */
+    dispose() {
+        this.engine?.removeUpdateCallback('transformController');
+        this.detach();
+        if (this._controls) {
+            this._controls.removeEventListener('dragging-changed', this._boundHandlers.onDraggingChanged);
+            this._controls.removeEventListener('objectChange', this._boundHandlers.onObjectChange);
+            this._controls.dispose();
+        }
+        if (this._helper?.parent) this._helper.parent.remove(this._helper);
+        this._controls = null;
+        this._helper = null;
+        this.events.removeAllListeners();
+    }
+
+    // 懒创建 TransformControls，避免无 Gizmo 需求时增加开销
+    _ensureControls() {
+        if (this._controls) return;
+        const domElement = this.engine?.renderer?.domElement;
+        if (!this.camera || !domElement || !this.scene) {
+            console.warn('TransformController: 相机或渲染器未初始化');
+            return;
+        }
+
+        this._controls = new TransformControls(this.camera, domElement);
+        this._helper = this._controls.getHelper();
+        this._helper.name = '__transformGizmo';
+        this._helper.visible = false;
+        // 标记 Gizmo 对象，避免参与拾取、遮挡检测和视锥体剔除
+        this._helper.traverse(obj => { obj.userData.__isTransformGizmo = true; });
+        this.scene.add(this._helper);
+
+        this._boundHandlers.onDraggingChanged = this._onDraggingChanged.bind(this);
+        this._boundHandlers.onObjectChange = this._onObjectChange.bind(this);
+        this._controls.addEventListener('dragging-changed', this._boundHandlers.onDraggingChanged);
+        this._controls.addEventListener('objectChange', this._boundHandlers.onObjectChange);
+        this._applySnap();
+    }
+
+    _applySnap() {
+        if (!this._controls) return;
+        this._controls.setTranslationSnap(this.snap.translation);
+        this._controls.setRotationSnap(this.snap.rotation ? MathUtils.degToRad(this.snap.rotation) : null);
+        this._controls.setScaleSnap(this.snap.scale);
+    }
+
+    _applyEnabled() {
+        if (!this._controls) return;
+        this._controls.enabled = this.enabled && !!this.target;
+    }
+
+    // 拖拽开始/结束：临时锁定场景交互，避免拖拽 Gizmo 时相机跟着旋转
+    _onDraggingChanged({ value }) {
+        const dragging = !!value;
+        if (dragging === this._dragging) return;
+        this._dragging = dragging;
+
+        if (dragging) {
+            this._lockSceneInteraction();
+            this._dragStart = this._captureStart();
+            this.events.emit(TRANSFORM_EVENTS.START, this._buildPayload());
+        } else {
+            this._unlockSceneInteraction();
+            this._commitHotspot();
+            this._dragStart = null;
+            if (this.target) this.events.emit(TRANSFORM_EVENTS.END, this._buildPayload());
+        }
+    }
+
+    _onObjectChange() {
+        if (!this.target) return;
+        if (this.target.type === 'hotspot') this._syncHotspot();
+        this.events.emit(TRANSFORM_EVENTS.CHANGE, this._buildPayload());
+    }
+
+    _lockSceneInteraction() {
+        const hotspotController = this.engine?.hotspotController;
+        if (hotspotController?.setInteractionLocked) {
+            this._lockedByGizmo = !hotspotController.isInteractionLocked();
+            if (this._lockedByGizmo) hotspotController.setInteractionLocked(true);
+            return;
+        }
+        const orbit = this.engine?.editController;
+        if (orbit) {
+            this._orbitState = { enabled: orbit.enabled };
+            orbit.enabled = false;
+        }
+    }
+
+    _unlockSceneInteraction() {
+        const hotspotController = this.engine?.hotspotController;
+        if (this._lockedByGizmo) {
+            this._lockedByGizmo = false;
+            hotspotController?.setInteractionLocked(false);
+        }
+        const orbit = this.engine?.editController;
+        if (this._orbitState && orbit) {
+            orbit.enabled = this._orbitState.enabled;
+        }
+        this._orbitState = null;
+    }
+
+    _captureStart() {
+        const object = this.target?.object;
+        if (!object) return null;
+        const start = {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.scale.clone(),
+            size: null
+        };
+        if (this.target.type === 'hotspot') {
+            start.size = this._getHotspot(this.target.id)?.opts?.size ?? null;
+        }
+        return start;
+    }
+
+    // 拖拽中同步热点状态：热点每帧会按绑定 mesh 和 size 重算位置与缩放，需要同步回热点数据
+    _syncHotspot() {
+        const hs = this._getHotspot(this.target.id);
+        if (!hs?.sprite) return;
+        const mode = this.getMode();
+
+        if (mode === 'translate' && hs.state) {
+            // 保留 mesh 绑定，清空局部偏移后由热点控制器按新位置重新计算
+            hs.state.localOffset = null;
+            hs.state.targetObject = null;
+        } else if (mode === 'rotate') {
+            if (!hs.state) hs.state = {};
+            hs.state._hasCustomRotation = true;
+        } else if (mode === 'scale' && this._dragStart?.size) {
+            const startScale = Math.abs(this._dragStart.scale.x) || 1;
+            const ratio = Math.abs(hs.sprite.scale.x) / startScale;
+            hs.opts.size = Math.max(0.001, this._dragStart.size * ratio);
+        }
+
+        hs.sprite.updateMatrixWorld(true);
+        const hotspotController = this.engine?.hotspotController;
+        if (hotspotController?.labels?.has(hs.id)) {
+            hotspotController._updateLabelTransform(hs);
+        }
+    }
+
+    // 拖拽结束：通过热点控制器公开接口提交最终结果，使热点事件（及编辑器历史记录）保持一致
+    _commitHotspot() {
+        if (this.target?.type !== 'hotspot' || !this._dragStart) return;
+        const hotspotController = this.engine?.hotspotController;
+        const hs = this._getHotspot(this.target.id);
+        if (!hotspotController || !hs?.sprite) return;
+
+        const mode = this.getMode();
+        const { id, sprite } = hs;
+        if (mode === 'translate' && !sprite.position.equals(this._dragStart.position)) {
+            const p = sprite.position;
+            hotspotController.updateHotspot(id, { position: { x: p.x, y: p.y, z: p.z } });
+        } else if (mode === 'rotate' && this._isMeshHotspot(id) && !sprite.quaternion.equals(this._dragStart.quaternion)) {
+            const q = sprite.quaternion;
+            hotspotController.setHotspotQuaternion(id, { rx: q.x, ry: q.y, rz: q.z, rw: q.w });
+        } else if (mode === 'scale' && hs.opts.size !== this._dragStart.size) {
+            hotspotController.updateHotspot(id, { size: hs.opts.size / hotspotController.CONFIG.SIZE_SCALE_FACTOR });
+        }
+    }
+
+    _buildPayload() {
+        const { type, id, object } = this.target;
+        object.updateMatrixWorld(true);
+        const worldPosition = object.getWorldPosition(new Vector3());
+        const euler = new Euler().setFromQuaternion(object.quaternion);
+        const payload = {
+            targetType: type,
+            id,
+            mode: this.getMode(),
+            space: this.getSpace(),
+            position: object.position.toArray(),
+            quaternion: object.quaternion.toArray(),
+            rotation: [
+                MathUtils.radToDeg(euler.x),
+                MathUtils.radToDeg(euler.y),
+                MathUtils.radToDeg(euler.z)
+            ],
+            scale: object.scale.toArray(),
+            worldPosition: worldPosition.toArray(),
+            worldQuaternion: object.getWorldQuaternion(new Quaternion()).toArray()
+        };
+        if (type === 'hotspot') {
+            const hotspotController = this.engine?.hotspotController;
+            const hs = this._getHotspot(id);
+            if (hs && hotspotController) {
+                payload.size = hs.opts.size / hotspotController.CONFIG.SIZE_SCALE_FACTOR;
+            }
+        }
+        return payload;
+    }
+
+    // 解析附加目标：模型ID > 热点 > mesh 标识 > Object3D
+    _resolveTarget(target) {
+        if (!target) return null;
+
+        if (target instanceof Object3D) {
+            if (target.userData?.__isHotspot) {
+                const hotspotId = this._findHotspotIdBySprite(target);
+                if (hotspotId) return { type: 'hotspot', id: hotspotId, object: target };
+            }
+            return { type: 'object', id: target.userData?.id ?? target.uuid, object: target };
+        }
+
+        if (typeof target === 'object' && target.hotspotId != null) {
+            const hs = this._getHotspot(target.hotspotId);
+            return hs?.sprite ? { type: 'hotspot', id: target.hotspotId, object: hs.sprite } : null;
+        }
+
+        if (typeof target !== 'string' && typeof target !== 'number') return null;
+
+        const model = this.engine?.assetsManager?.getModel?.(target);
+        if (model) return { type: 'model', id: target, object: model };
+
+        const mesh = this._findMesh(target);
+        if (mesh) return { type: 'mesh', id: mesh.userData?.id ?? mesh.uuid, object: mesh };
+
+        const hs = this._getHotspot(target);
+        if (hs?.sprite) return { type: 'hotspot', id: target, object: hs.sprite };
+
+        return null;
+    }
+
+    _findMesh(identifier) {
+        const models = this.engine?.assetsManager?.assets?.models;
+        if (!models) return null;
+        let found = null;
+        models.forEach(model => {
+            if (found || !model?.traverse) return;
+            model.traverse(obj => {
+                if (found || obj.userData?.__isHotspot) return;
+                if (obj.userData?.id === identifier || obj.uuid === identifier || obj.name === identifier) {
+                    found = obj;
+                }
+            });
+        });
+        return found;
+    }
+
+    _getHotspot(id) {
+        return this.engine?.hotspotController?.hotspots?.get(id) || null;
+    }
+
+    _findHotspotIdBySprite(sprite) {
+        const hotspots = this.engine?.hotspotController?.hotspots;
+        if (!hotspots) return null;
+        for (const [id, hs] of hotspots) {
+            if (hs.sprite === sprite) return id;
+        }
+        return null;
+    }
+
+    _isMeshHotspot(id) {
+        return this._getHotspot(id)?.sprite?.userData?.__hotspotType === 'mesh';
+    }
+}
@@ -11,8 +11,17 @@ import {
     MeshBasicMaterial,
     Mesh,
     MeshStandardMaterial,
-    Box3
+    Box3,
+    Plane,
+    Ray,
+    Raycaster,
+    Vector2,
+    DataTexture,
+    DirectionalLight,
+    LightProbe,
+    WebGLCubeRenderTarget
 } from "three";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
 
 
 // 事件系统导入
@@ -44,6 +53,55 @@ export class XRController {
         this.scanningIndicator = null; // 扫描提示面片（黄色，参考 webxr_test）
         this.currentHitPose = null; // 当前检测到的 hit poseww
         this.currentHitMatrix = null; // 当前检测到的 hit matrix（用于放置模型）
+
+        // 放置后的手势操作（单指拖动、双指缩放/旋转）
+        this.gestureOptions = {
+            enabled: true,
+            drag: true,         // 单指按住模型沿平面拖动
+            pinch: true,        // 双指捏合缩放
+            rotate: true,       // 双指旋转（绕 Y 轴）
+            minScale: 0.2,      // 相对放置时大小的缩放下限
+            maxScale: 5         // 相对放置时大小的缩放上限
+        };
+        this._gesture = null; // 当前手势状态
+        this._gestureSources = new WeakSet(); // 参与过手势的输入源（其 select 不触发放置）
+        this._placementScales = new Map(); // 模型 -> 首次放置时的缩放（缩放限制的基准）
+
+        // 放置相关
+        this.placementOptions = {
+            planes: 'any',      // 可放置的平面：'horizontal' | 'vertical' | 'any'
+            multiple: false,    // 是否允许多次放置（再次点击放置模型副本）
+            anchors: true,      // 支持时使用 WebXR 锚点固定模型，抵消跟踪漂移
+            faceViewer: true    // 水平面上放置时模型正面朝向观察者
+        };
+        this.placements = []; // 放置记录
+        this.activePlacement = null; // 当前操作的放置记录
+        this._placementId = 0;
+        this._localBoxes = new WeakMap(); // 模型 -> 自身坐标系下的包围盒
+        this._viewerPosition = null; // 观察者（手机）位置
+
+        // 光照估计：WebXR light-estimation 驱动的环境光探针和主光源
+        this.lightingOptions = {
+            estimation: true,           // 是否请求光照估计
+            environment: true,          // 支持时使用估计的反射立方体贴图作为场景环境贴图
+            muteSceneLights: true,      // 估计生效时关闭场景中的静态灯光
+            environmentIntensity: 0.3   // 估计生效但没有反射贴图时，原环境贴图强度的倍数
+        };
+        this.estimatedLight = null; // 估计光源组（LightProbe + DirectionalLight）
+        this._lightProbe = null; // XRLightProbe
+        this._estimatedEnvironment = null; // 估计的反射立方体贴图
+        this._lightingState = null; // 估计生效前的灯光/环境状态，结束时恢复
+
+        // 接触阴影：放置模型下方的模糊阴影面片，不依赖阴影贴图，适用于透明 AR 背景
+        this.shadowOptions = {
+            enabled: true,
+            opacity: 0.45,
+            scale: 1.2      // 阴影相对模型底面的大小
+        };
+        this._shadowResources = null; // 共享的阴影几何体、材质、贴图
+
+        // Quick Look 相关
+        this.quickLookUrl = null; // 当前 USDZ 的 blob URL
     }
 
     // 检查是否支持ar
@@ -65,15 +123,27 @@ export class XRController {
             return false;
         }
 
-        if(!this.renderer || !this.renderer.xr) {
+        // options.session 可传入 SimulatedXRSession，无设备时调试/测试
+        const simulated = !!options.session?.isSimulated;
+        if(!simulated && (!this.renderer || !this.renderer.xr)) {
             throw new Error("XR渲染器未初始化");
         }
 
         try {
+            if (options.lighting !== undefined) {
+                this.setLightingOptions(options.lighting);
+            }
+            if (options.shadow !== undefined) {
+                this.setShadowOptions(options.shadow);
+            }
+
             const sessionInit = {
                 requiredFeatures: ['local-floor','hit-test'],
-                optionalFeatures: ['hand-tracking', 'bounded-floor']
+                optionalFeatures: ['hand-tracking', 'bounded-floor', 'anchors']
             };
+            if (this.lightingOptions.estimation) {
+                sessionInit.optionalFeatures.push('light-estimation');
+            }
 
             // 如果提供了 domOverlay 配置，添加到会话初始化选项中
             if (options.domOverlay) {
@@ -81,7 +151,14 @@ export class XRController {
                 sessionInit.domOverlay = options.domOverlay;
             }
 
-            const session = await navigator.xr.requestSession('immersive-ar', sessionInit);
+            const session = options.session || await navigator.xr.requestSession('immersive-ar', sessionInit);
+
+            if (options.gestures !== undefined) {
+                this.setGestureOptions(options.gestures);
+            }
+            if (options.placement) {
+                this.setPlacementOptions(options.placement);
+            }
 
             // 存储会话
             this.session = session;
@@ -104,8 +181,10 @@ export class XRController {
             }
 
             //设置渲染器会话
-            this.renderer.xr.enabled = true;
-            await this.renderer.xr.setSession(session);
+            if (!simulated) {
+                this.renderer.xr.enabled = true;
+                await this.renderer.xr.setSession(session);
+            }
 
             //确保场景背景透明
             if(this.scene) {
@@ -139,6 +218,9 @@ export class XRController {
 
             //  初始化 hit-test（立即开始平面检测）
             await this._initializeHitTest(session);
+
+            //  请求光照估计（不支持时保持场景原有灯光）
+            await this._initLightEstimation(session);
             
             // 确保测试十字星显示（如果 hit-test 不可用）
             if (!this.testReticleActive && (!this.hitTestSource && !this.transientHitTestSource)) {
@@ -160,7 +242,7 @@ export class XRController {
             this._setupClickHandlers(session);
 
             let lastTime = null;
-            this.renderer.setAnimationLoop((time, frame) => {
+            this._setAnimationLoop(session, (time, frame) => {
                 if (!this.isPresenting || !this.scene || !this.camera) return;
                 
                 // 计算 deltaTime（time 是 DOMHighResTimeStamp，单位毫秒）
@@ -170,10 +252,28 @@ export class XRController {
                 const deltaTime = (time - lastTime) / 1000;
                 lastTime = time;
                 
-                //  处理 hit-test 和更新可视化（每帧执行）
-                if (frame && !this.modelPlaced) {
+                // 记录观察者位置（放置时模型朝向观察者）
+                const viewerPose = frame?.getViewerPose?.(this.referenceSpace);
+                if (viewerPose) {
+                    const { x, y, z } = viewerPose.transform.position;
+                    this._viewerPosition = new Vector3(x, y, z);
+                }
+
+                //  处理 hit-test 和更新可视化（每帧执行，允许多次放置时放置后继续）
+                if (frame && (!this.modelPlaced || this.placementOptions.multiple)) {
                     this._handleHitTest(frame);
                 }
+
+                //  放置后处理拖动、缩放、旋转手势，并把模型同步到锚点
+                if (frame && this.modelPlaced) {
+                    this._updateGestures(frame);
+                    this._updateAnchors(frame);
+                }
+
+                //  更新光照估计
+                if (frame) {
+                    this._updateLightEstimation(frame);
+                }
                 
                 // 强制确保模型在未放置时保持隐藏（防止其他控制器修改可见性）
                 if (!this.modelPlaced) {
@@ -245,15 +345,20 @@ export class XRController {
                 this.transientHitTestSource = null;
                 this.modelPlaced = false;
                 this.currentHitPose = null;
+                this.currentHitMatrix = null;
                 this.testReticleActive = false;
+                this._gesture = null;
+                this._viewerPosition = null;
+                this._releasePlacements();
+                this._placementScales.clear();
+                this._stopLightEstimation();
+                this._disposeShadowResources();
                 
                 //  清理可视化指示器
                 this._cleanupVisualIndicators();
                 
                 // 停止 XR 渲染循环
-                if (this.renderer) {
-                    this.renderer.setAnimationLoop(null);
-                }
+                this._setAnimationLoop(session, null);
                 
                 // 恢复引擎动画循环
                 if (this.engine) {
@@ -274,6 +379,21 @@ export class XRController {
         }
     }
 
+    // 设置 XR 渲染循环；模拟会话没有 WebGL 绑定，直接由会话的 requestAnimationFrame 驱动
+    _setAnimationLoop(session, callback) {
+        if (!session?.isSimulated) {
+            this.renderer?.setAnimationLoop(callback);
+            return;
+        }
+        if (!callback) return;
+        const loop = (time, frame) => {
+            if (this.session !== session) return;
+            callback(time, frame);
+            session.requestAnimationFrame(loop);
+        };
+        session.requestAnimationFrame(loop);
+    }
+
     //结束会话
     async endSession()
     {
@@ -282,6 +402,56 @@ export class XRController {
         }
     }
 
+    // 检查是否支持 iOS AR Quick Look（Safari 的 <a rel="ar">）
+    isQuickLookSupported() {
+        if (typeof document === 'undefined') return false;
+        const anchor = document.createElement('a');
+        return !!anchor.relList?.supports?.('ar');
+    }
+
+    /**
+     * 通过 AR Quick Look 打开模型（不支持 WebXR AR 的 iOS 设备使用）
+     * @param {Object} [options={}]
+     * @param {Array<string>} [options.modelIds] 导出的模型，不传则导出全部
+     * @param {boolean} [options.open=true] 支持 Quick Look 时是否立即打开
+     * @param {string} [options.fileName='model.usdz'] 下载文件名
+     * @param {Object} [options.export] 传给 SceneExporter.exportUSDZ 的其他选项
+     * @returns {Promise<HTMLAnchorElement>} 指向 USDZ 的 <a rel="ar"> 链接
+     */
+    async openQuickLook(options = {}) {
+        const exporter = this.engine?.assetsManager?.sceneExporter;
+        if (!exporter) {
+            throw new Error("场景导出器未初始化");
+        }
+        const { modelIds, open = true, fileName = 'model.usdz' } = options;
+        const buffer = await exporter.exportUSDZ({ ...options.export, modelIds });
+
+        this.revokeQuickLook();
+        this.quickLookUrl = URL.createObjectURL(new Blob([buffer], { type: 'model/vnd.usdz+zip' }));
+
+        // Quick Look 要求 <a rel="ar"> 的第一个子元素为 <img>
+        const anchor = document.createElement('a');
+        anchor.rel = 'ar';
+        anchor.href = this.quickLookUrl;
+        anchor.download = fileName;
+        anchor.appendChild(document.createElement('img'));
+
+        const supported = this.isQuickLookSupported();
+        if (open && supported) {
+            anchor.click();
+        }
+        this.events.emit("xr:quicklook:ready", { anchor, url: this.quickLookUrl, size: buffer.byteLength, supported });
+        return anchor;
+    }
+
+    // 释放 Quick Look 生成的 blob URL
+    revokeQuickLook() {
+        if (this.quickLookUrl) {
+            URL.revokeObjectURL(this.quickLookUrl);
+            this.quickLookUrl = null;
+        }
+    }
+
     //  准备模型：缩放大小并初始隐藏
     _prepareModels() {
         if (!this.scene) return;
@@ -459,43 +629,12 @@ export class XRController {
             return;
         }
         
-        let hitPose = null;
-        let hitMatrix = null;
-        
         try {
-            // 优先使用 transient input hit-test（更可靠）
-            if (this.transientHitTestSource) {
-                const hitTestResults = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
-                
-                // 遍历所有输入源的结果
-                for (const inputSource of hitTestResults) {
-                    const results = inputSource.results;
-                    if (results && results.length > 0) {
-                        const hit = results[0];
-                        // 使用 referenceSpace（local-floor）来获取世界坐标
-                        const pose = hit.getPose(this.referenceSpace);
-                        if (pose) {
-                            hitPose = pose;
-                            hitMatrix = new Matrix4().fromArray(pose.transform.matrix);
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            // 如果 transient input 没有结果，使用普通 hit-test
-            if (!hitPose && this.hitTestSource) {
-                const hitTestResults = frame.getHitTestResults(this.hitTestSource);
-                
-                if (hitTestResults.length > 0) {
-                    const hit = hitTestResults[0];
-                    // 关键：使用 referenceSpace（local-floor）来获取世界坐标
-                    // 虽然 hit-test source 是用 viewer 空间创建的，但获取 pose 时要用 referenceSpace
-                    hitPose = hit.getPose(this.referenceSpace);
-                    if (hitPose) {
-                        hitMatrix = new Matrix4().fromArray(hitPose.transform.matrix);
-                    }
-                }
+            let { hitPose, hitMatrix } = this._getHitResult(frame);
+            // 不在允许放置的平面上（如只允许水平面时的墙面），视为未检测到
+            if (hitMatrix && !this._acceptsPlane(hitMatrix)) {
+                hitPose = null;
+                hitMatrix = null;
             }
             
             // 更新可视化
@@ -553,6 +692,55 @@ export class XRController {
         }
     }
     
+    /**
+     * 获取 hit-test 结果
+     * @param {XRFrame} frame
+     * @param {XRInputSource} [inputSource] 只取该输入源（如拖动中的手指）的 transient 结果，且不回退到 viewer 中心
+     * @returns {{hitPose: XRPose|null, hitMatrix: Matrix4|null}}
+     */
+    _getHitResult(frame, inputSource = null) {
+        let hitPose = null;
+        let hitMatrix = null;
+
+        // 优先使用 transient input hit-test（更可靠）
+        if (this.transientHitTestSource) {
+            const hitTestResults = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
+            
+            // 遍历所有输入源的结果
+            for (const inputResult of hitTestResults) {
+                if (inputSource && inputResult.inputSource !== inputSource) continue;
+                const results = inputResult.results;
+                if (results && results.length > 0) {
+                    const hit = results[0];
+                    // 使用 referenceSpace（local-floor）来获取世界坐标
+                    const pose = hit.getPose(this.referenceSpace);
+                    if (pose) {
+                        hitPose = pose;
+                        hitMatrix = new Matrix4().fromArray(pose.transform.matrix);
+                        break;
+                    }
+                }
+            }
+        }
+        
+        // 如果 transient input 没有结果，使用普通 hit-test
+        if (!hitPose && !inputSource && this.hitTestSource) {
+            const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+            
+            if (hitTestResults.length > 0) {
+                const hit = hitTestResults[0];
+                // 关键：使用 referenceSpace（local-floor）来获取世界坐标
+                // 虽然 hit-test source 是用 viewer 空间创建的，但获取 pose 时要用 referenceSpace
+                hitPose = hit.getPose(this.referenceSpace);
+                if (hitPose) {
+                    hitMatrix = new Matrix4().fromArray(hitPose.transform.matrix);
+                }
+            }
+        }
+
+        return { hitPose, hitMatrix };
+    }
+
     // 显示测试十字星（用于调试，当 hit-test 不可用时）
     _showTestReticle() {
         if (!this.reticle) {
@@ -595,13 +783,16 @@ export class XRController {
                 orientation: { x: 0, y: 0, z: 0, w: 1 }
             }
         };
+        this.currentHitMatrix = new Matrix4().makeTranslation(0, 0, -1.5);
+        // 十字星 matrixAutoUpdate 为 false，需直接写矩阵
+        this.reticle.matrix.copy(this.currentHitMatrix);
     }
 
     //  设置点击事件处理
     _setupClickHandlers(session) {
         // 监听选择事件（点击/触摸）
-        session.addEventListener('select', () => {
-            this._onSelect();
+        session.addEventListener('select', (event) => {
+            this._onSelect(event);
         });
         
         // 也监听 selectstart 和 selectend（用于更好的交互反馈）
@@ -617,18 +808,13 @@ export class XRController {
     }
 
     //  处理点击事件（点击十字星放置模型）
-    _onSelect() {
-        if (this.modelPlaced) {
-            // 如果已经放置，点击可以重新进入"拾取"模式（可选）
-            // this.modelPlaced = false; 
+    _onSelect(event) {
+        // 拖动、缩放手势结束时触发的 select 不视为放置
+        if (event?.inputSource && this._gestureSources.has(event.inputSource)) {
             return;
         }
-        
-        // 如果有测试十字星，使用测试位置
-        if (this.testReticleActive && this.currentHitPose) {
-            this.modelPlaced = true;
-            if (this.reticle) this.reticle.visible = false;
-            console.log('✅ 模型已放置在测试位置');
+        if (this.modelPlaced && !this.placementOptions.multiple) {
+            // 已放置且不允许多次放置，需先 reposition()
             return;
         }
         
@@ -638,44 +824,822 @@ export class XRController {
             return;
         }
         
-        // 确认放置：使用当前 hit matrix 固定模型位置（参考 webxr_test 的实现）
-        this.modelPlaced = true;
+        const placement = this._placeAt(this.currentHitMatrix);
+        if (!placement) return;
+        
+        // 单次放置模式下隐藏十字星
+        if (this.reticle && !this.placementOptions.multiple) {
+            this.reticle.visible = false;
+        }
         
-        // 使用保存的 hit matrix 固定模型位置（而不是 reticle.matrix）
-        this.models.forEach(model => {
-            // 固定模型位置（使用 hit-test 矩阵，参考 webxr_test）
-            model.matrix.copy(this.currentHitMatrix);
-            model.matrix.decompose(
-                model.position,
-                model.quaternion,
-                model.scale
-            );
-            model.matrixAutoUpdate = false; // 固定位置，不再自动更新
-            // 显示模型及其所有子对象（点击放置后才显示）
-            model.visible = true;
-            model.traverse((obj) => {
+        console.log(this.testReticleActive ? '✅ 模型已放置在测试位置' : `✅ 模型已放置在真实${placement.vertical ? '竖直' : '水平'}平面`);
+    }
+
+    /**
+     * 在 hit-test 位姿处放置模型
+     * 水平面上模型直立并朝向观察者；竖直面（墙面）上模型背面贴墙、正面沿法线朝外
+     * 原模型已被放置时（多次放置），放置其克隆体
+     * @param {Matrix4} hitMatrix hit-test 位姿（Y 轴为平面法线）
+     * @returns {Object|null} 放置记录
+     */
+    _placeAt(hitMatrix) {
+        if (this.models.length === 0) return null;
+
+        const usesOriginals = !this.placements.some(item => item.usesOriginals);
+        const objects = usesOriginals ? this.models : this.models.map(model => this._clonePlacementModel(model));
+        const { matrix, vertical } = this._computePlacementMatrix(hitMatrix);
+
+        const placement = {
+            id: `placement_${++this._placementId}`,
+            matrix,
+            vertical,
+            usesOriginals,
+            objects,
+            offsets: new Map(), // 模型 -> 相对放置坐标系的变换
+            anchor: null,
+            anchorRequest: null,
+            anchorRequested: false
+        };
+
+        objects.forEach((object, index) => {
+            const source = this.models[index];
+            if (!this._placementScales.has(source)) {
+                this._placementScales.set(source, object.scale.clone());
+            }
+            // 竖直面：沿法线（放置坐标系 Z 轴）外移，使模型背面贴墙
+            const box = this._getLocalBox(source);
+            const position = new Vector3();
+            if (vertical && !box.isEmpty()) {
+                position.z = -box.min.z * object.scale.z;
+            }
+            if (this.shadowOptions.enabled) {
+                this._attachShadow(object, box, vertical);
+            }
+            placement.offsets.set(object, {
+                source,
+                position,
+                quaternion: new Quaternion(),
+                scale: object.scale.clone()
+            });
+        });
+
+        this.placements.push(placement);
+        this.activePlacement = placement;
+        this.modelPlaced = true;
+        this._applyPlacement(placement);
+
+        // 显示模型及其所有子对象（点击放置后才显示）
+        objects.forEach(object => {
+            object.visible = true;
+            object.traverse((obj) => {
                 obj.visible = true;
             });
         });
-        
-        // 隐藏十字星
-        if (this.reticle) {
-            this.reticle.visible = false;
+
+        this.events.emit("xr:model:placed", { models: objects, ...this.getModelTransform(placement) });
+        return placement;
+    }
+
+    // 由 hit 位姿计算放置坐标系：Y 轴始终竖直向上，Z 轴为模型正面朝向
+    _computePlacementMatrix(hitMatrix) {
+        const position = new Vector3().setFromMatrixPosition(hitMatrix);
+        const normal = new Vector3().setFromMatrixColumn(hitMatrix, 1).normalize();
+        const vertical = Math.abs(normal.y) < 0.5;
+        const up = new Vector3(0, 1, 0);
+
+        let forward = null;
+        if (vertical) {
+            forward = normal.setY(0).normalize();
+        } else if (this.placementOptions.faceViewer && this._viewerPosition) {
+            forward = this._viewerPosition.clone().sub(position).setY(0);
         }
-        
-        console.log('✅ 模型已放置在真实平面（使用 hit-test 矩阵）');
+        if (!forward || forward.lengthSq() < 1e-6) {
+            // 沿用 hit 位姿的朝向
+            forward = new Vector3().setFromMatrixColumn(hitMatrix, 2).setY(0);
+            if (forward.lengthSq() < 1e-6) forward.set(0, 0, 1);
+        }
+        forward.normalize();
+
+        const right = new Vector3().crossVectors(up, forward).normalize();
+        const matrix = new Matrix4().makeBasis(right, up, forward).setPosition(position);
+        return { matrix, vertical };
     }
-    
+
+    // 按放置坐标系和相对变换更新模型
+    _applyPlacement(placement) {
+        const local = new Matrix4();
+        placement.offsets.forEach((offset, object) => {
+            local.compose(offset.position, offset.quaternion, offset.scale).premultiply(placement.matrix);
+            local.decompose(object.position, object.quaternion, object.scale);
+            object.updateMatrix();
+            object.matrixAutoUpdate = false; // 固定位置，不再自动更新
+        });
+    }
+
+    // 克隆模型用于多次放置（共享几何体与材质）
+    _clonePlacementModel(model) {
+        const clone = cloneSkinned(model);
+        clone.userData.xrPlacementClone = true;
+        // 原模型上的接触阴影不随克隆复制，放置时重新创建
+        this._removeShadow(clone);
+        this.scene?.add(clone);
+        return clone;
+    }
+
+    // 模型在自身坐标系下的包围盒（不含位置、旋转、缩放）
+    _getLocalBox(model) {
+        if (this._localBoxes.has(model)) return this._localBoxes.get(model);
+
+        const matrix = model.matrix.clone();
+        const autoUpdate = model.matrixAutoUpdate;
+        model.matrixAutoUpdate = false;
+        model.matrix.identity();
+        model.updateMatrixWorld(true);
+        const box = new Box3().setFromObject(model);
+        model.matrix.copy(matrix);
+        model.matrixAutoUpdate = autoUpdate;
+        model.updateMatrixWorld(true);
+
+        this._localBoxes.set(model, box);
+        return box;
+    }
+
+    // 为放置记录创建锚点；锚点被跟踪时，把模型同步到锚点的最新位姿（抵消跟踪漂移）
+    _updateAnchors(frame) {
+        if (!this.placementOptions.anchors) return;
+
+        this.placements.forEach(placement => {
+            // 正在拖动/缩放的模型由手势控制
+            if (this._gesture?.placement === placement) return;
+
+            if (!placement.anchor) {
+                if (!placement.anchorRequested && typeof frame.createAnchor === 'function') {
+                    this._requestAnchor(frame, placement);
+                }
+                return;
+            }
+            // 锚点暂时丢失跟踪时保持原位
+            if (frame.trackedAnchors && !frame.trackedAnchors.has(placement.anchor)) return;
+
+            const pose = frame.getPose(placement.anchor.anchorSpace, this.referenceSpace);
+            if (!pose) return;
+            const matrix = new Matrix4().fromArray(pose.transform.matrix);
+            if (!matrix.equals(placement.matrix)) {
+                placement.matrix.copy(matrix);
+                this._applyPlacement(placement);
+            }
+        });
+    }
+
+    _requestAnchor(frame, placement) {
+        placement.anchorRequested = true;
+        let request;
+        try {
+            request = Promise.resolve(frame.createAnchor(this._createRigidTransform(placement.matrix), this.referenceSpace));
+        } catch (error) {
+            console.warn('⚠️ 锚点创建失败，模型不会随跟踪修正:', error);
+            return;
+        }
+        placement.anchorRequest = request;
+        request.then(anchor => {
+            // 放置记录已移除，或拖动后重新请求了锚点
+            if (!this.placements.includes(placement) || placement.anchorRequest !== request) {
+                anchor?.delete?.();
+                return;
+            }
+            placement.anchor = anchor;
+            this.events.emit("xr:anchor:created", { placement: placement.id, anchor });
+        }).catch(error => {
+            console.warn('⚠️ 锚点创建失败，模型不会随跟踪修正:', error);
+        });
+    }
+
+    // 模型被拖到新位置后，在新位置重新创建锚点
+    _reanchor(placement) {
+        placement.anchor?.delete?.();
+        placement.anchor = null;
+        placement.anchorRequest = null;
+        placement.anchorRequested = false;
+    }
+
+    _createRigidTransform(matrix) {
+        const position = new Vector3();
+        const quaternion = new Quaternion();
+        matrix.decompose(position, quaternion, new Vector3());
+        const point = { x: position.x, y: position.y, z: position.z, w: 1 };
+        const orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+        if (typeof XRRigidTransform !== 'undefined') {
+            return new XRRigidTransform(point, orientation);
+        }
+        return { position: point, orientation, matrix: Float32Array.from(matrix.elements) };
+    }
+
+    // 按放置选项过滤 hit 结果所在平面
+    _acceptsPlane(hitMatrix) {
+        const normalY = new Vector3().setFromMatrixColumn(hitMatrix, 1).normalize().y;
+        switch (this.placementOptions.planes) {
+            case 'horizontal':
+                return normalY > 0.7;
+            case 'vertical':
+                return Math.abs(normalY) < 0.3;
+            default:
+                return true;
+        }
+    }
+
+    /************************** 接触阴影 ********************** */
+
+    /**
+     * 设置接触阴影选项
+     * @param {Object|boolean} options 见 shadowOptions，传布尔值则开关阴影
+     */
+    setShadowOptions(options = {}) {
+        if (typeof options === 'boolean') {
+            options = { enabled: options };
+        }
+        Object.assign(this.shadowOptions, options);
+        if (this._shadowResources) {
+            this._shadowResources.material.opacity = this.shadowOptions.opacity;
+        }
+        // 已放置的模型立即生效
+        this.placements.forEach(placement => {
+            placement.objects.forEach((object, index) => {
+                if (this.shadowOptions.enabled) {
+                    this._attachShadow(object, this._getLocalBox(this.models[index]), placement.vertical);
+                } else {
+                    this._removeShadow(object);
+                }
+            });
+        });
+    }
+
+    // 在模型底面（竖直放置时为背面）添加模糊阴影面片，作为模型子对象随拖动、缩放、锚点更新
+    _attachShadow(object, box, vertical) {
+        this._removeShadow(object);
+        if (box.isEmpty()) return;
+
+        const { geometry, material } = this._getShadowResources();
+        const shadow = new Mesh(geometry, material);
+        shadow.name = 'xr_contact_shadow';
+        shadow.userData.xrShadow = true;
+        shadow.renderOrder = -1;
+        shadow.raycast = () => {}; // 不参与拾取
+
+        const size = box.getSize(new Vector3()).multiplyScalar(this.shadowOptions.scale);
+        const center = box.getCenter(new Vector3());
+        if (vertical) {
+            // 贴在墙面上（模型背面所在平面）
+            shadow.position.set(center.x, center.y, box.min.z + 0.002);
+            shadow.scale.set(size.x, size.y, 1);
+        } else {
+            // 贴在模型底面（包围盒最低点），原点不在底部的模型也不会悬空或穿插
+            shadow.rotation.x = -Math.PI / 2;
+            shadow.position.set(center.x, box.min.y + 0.002, center.z);
+            shadow.scale.set(size.x, size.z, 1);
+        }
+        object.add(shadow);
+    }
+
+    _removeShadow(object) {
+        [...object.children].forEach(child => {
+            if (child.userData.xrShadow) child.removeFromParent();
+        });
+    }
+
+    // 共享的阴影资源：径向渐变贴图（DataTexture，无需 canvas）
+    _getShadowResources() {
+        if (this._shadowResources) return this._shadowResources;
+
+        const size = 64;
+        const data = new Uint8Array(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dx = (x + 0.5) / size * 2 - 1;
+                const dy = (y + 0.5) / size * 2 - 1;
+                const falloff = Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy));
+                data[(y * size + x) * 4 + 3] = Math.round(falloff * falloff * 255);
+            }
+        }
+        const texture = new DataTexture(data, size, size);
+        texture.needsUpdate = true;
+
+        const material = new MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: this.shadowOptions.opacity,
+            depthWrite: false,
+            toneMapped: false
+        });
+        this._shadowResources = { geometry: new PlaneGeometry(1, 1), material, texture };
+        return this._shadowResources;
+    }
+
+    _disposeShadowResources() {
+        if (!this._shadowResources) return;
+        const { geometry, material, texture } = this._shadowResources;
+        geometry.dispose();
+        material.dispose();
+        texture.dispose();
+        this._shadowResources = null;
+    }
+
+    /************************** 光照估计 ********************** */
+
+    /**
+     * 设置光照估计选项（estimation 在下次进入 AR 时生效）
+     * @param {Object|boolean} options 见 lightingOptions，传布尔值则开关光照估计
+     */
+    setLightingOptions(options = {}) {
+        if (typeof options === 'boolean') {
+            options = { estimation: options };
+        }
+        Object.assign(this.lightingOptions, options);
+        if (!this.lightingOptions.estimation) {
+            this._stopLightEstimation();
+        }
+    }
+
+    /**
+     * 光照估计是否生效
+     * @returns {boolean}
+     */
+    isLightEstimationActive() {
+        return !!this._lightingState;
+    }
+
+    async _initLightEstimation(session) {
+        if (!this.lightingOptions.estimation || typeof session.requestLightProbe !== 'function') return;
+
+        try {
+            const probe = await session.requestLightProbe({
+                reflectionFormat: session.preferredReflectionFormat
+            });
+            if (this.session !== session) return;
+            this._lightProbe = probe;
+
+            // 反射立方体贴图需要 XRWebGLBinding（同 three 的 XREstimatedLight）
+            if (this.lightingOptions.environment && !session.isSimulated && typeof XRWebGLBinding !== 'undefined') {
+                const gl = this.renderer.getContext();
+                switch (session.preferredReflectionFormat) {
+                    case 'srgba8':
+                        gl.getExtension('EXT_sRGB');
+                        break;
+                    case 'rgba16f':
+                        gl.getExtension('OES_texture_half_float');
+                        break;
+                }
+                const binding = new XRWebGLBinding(session, gl);
+                const texture = new WebGLCubeRenderTarget(16).texture;
+                probe.addEventListener('reflectionchange', () => {
+                    const properties = this.renderer?.properties.get(texture);
+                    const cubeMap = binding.getReflectionCubeMap(probe);
+                    if (properties && cubeMap) {
+                        properties.__webglTexture = cubeMap;
+                        texture.needsPMREMUpdate = true;
+                        if (this._lightingState && this.scene) {
+                            this.scene.environment = texture;
+                            this.scene.environmentIntensity = 1;
+                        }
+                    }
+                });
+                this._estimatedEnvironment = texture;
+            }
+        } catch (error) {
+            console.warn('⚠️ 光照估计不可用，使用场景原有灯光:', error);
+            this._lightProbe = null;
+        }
+    }
+
+    // 每帧把估计结果写入光探针和主光源
+    _updateLightEstimation(frame) {
+        if (!this._lightProbe || typeof frame.getLightEstimate !== 'function') return;
+        const estimate = frame.getLightEstimate(this._lightProbe);
+        if (!estimate) return;
+
+        if (!this.estimatedLight) {
+            this.estimatedLight = new Group();
+            this.estimatedLight.name = 'xr_estimated_light';
+            this.estimatedLight.add(new LightProbe());
+            this.estimatedLight.add(new DirectionalLight());
+        }
+        const [lightProbe, directionalLight] = this.estimatedLight.children;
+
+        lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+        lightProbe.intensity = 1;
+
+        // WebXR 的光强可能大于 1：归一化颜色，最大分量作为强度
+        const { x, y, z } = estimate.primaryLightIntensity;
+        const intensity = Math.max(1, x, y, z);
+        directionalLight.color.setRGB(x / intensity, y / intensity, z / intensity);
+        directionalLight.intensity = intensity;
+        directionalLight.position.copy(estimate.primaryLightDirection);
+
+        if (!this._lightingState) {
+            this._startLightEstimation();
+        }
+    }
+
+    // 估计生效：加入估计光源，关闭静态灯光，降低（或替换）环境贴图
+    _startLightEstimation() {
+        if (!this.scene) return;
+        const state = {
+            lights: new Map(),
+            environment: this.scene.environment,
+            environmentIntensity: this.scene.environmentIntensity
+        };
+
+        if (this.lightingOptions.muteSceneLights) {
+            this.scene.traverse(obj => {
+                if (obj.isLight && !this._isEstimatedLight(obj)) {
+                    state.lights.set(obj, obj.intensity);
+                    obj.intensity = 0;
+                }
+            });
+        }
+        this.scene.add(this.estimatedLight);
+
+        const reflection = this._estimatedEnvironment;
+        if (reflection && this.renderer?.properties.get(reflection)?.__webglTexture) {
+            this.scene.environment = reflection;
+            this.scene.environmentIntensity = 1;
+        } else if (this.scene.environment) {
+            this.scene.environmentIntensity = state.environmentIntensity * this.lightingOptions.environmentIntensity;
+        }
+
+        this._lightingState = state;
+        this.events.emit("xr:lighting:start", { light: this.estimatedLight });
+    }
+
+    _isEstimatedLight(obj) {
+        let current = obj;
+        while (current) {
+            if (current === this.estimatedLight) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    // 恢复估计前的灯光和环境贴图
+    _stopLightEstimation() {
+        const state = this._lightingState;
+        if (state) {
+            state.lights.forEach((intensity, light) => {
+                light.intensity = intensity;
+            });
+            if (this.scene) {
+                this.scene.environment = state.environment;
+                this.scene.environmentIntensity = state.environmentIntensity;
+            }
+            this._lightingState = null;
+            this.events.emit("xr:lighting:end");
+        }
+        this.estimatedLight?.removeFromParent();
+        this._lightProbe = null;
+        const reflection = this._estimatedEnvironment;
+        if (reflection) {
+            // __webglTexture 是 XR 会话持有的反射立方体贴图，先移除渲染器记录，
+            // dispose 时 three 只释放自己生成的 PMREM 数据，不删除 XR 的纹理
+            this.renderer?.properties.remove(reflection);
+            reflection.dispose();
+        }
+        this._estimatedEnvironment = null;
+    }
+
+    /**
+     * 设置放置选项
+     * @param {Object} options 见 placementOptions
+     */
+    setPlacementOptions(options = {}) {
+        Object.assign(this.placementOptions, options);
+    }
+
+    /**
+     * 获取所有放置记录
+     * @returns {Array<{id: string, vertical: boolean, anchored: boolean, models: Array<Object3D>}>}
+     */
+    getPlacements() {
+        return this.placements.map(placement => ({
+            id: placement.id,
+            vertical: placement.vertical,
+            anchored: !!placement.anchor,
+            models: placement.objects
+        }));
+    }
+
+    /**
+     * 移除一次放置（原模型隐藏，克隆体从场景移除）
+     * @param {string} id 放置记录ID
+     * @returns {boolean} 是否成功
+     */
+    removePlacement(id) {
+        const placement = this.placements.find(item => item.id === id);
+        if (!placement) {
+            console.warn(`removePlacement: 放置记录 ${id} 不存在`);
+            return false;
+        }
+        this._removePlacement(placement);
+        this.events.emit("xr:placement:removed", { placement: id });
+        return true;
+    }
+
+    /**
+     * 移除所有放置，回到十字星放置模式
+     */
+    clearPlacements() {
+        [...this.placements].forEach(placement => this.removePlacement(placement.id));
+    }
+
+    _removePlacement(placement, hide = true) {
+        this._reanchor(placement);
+        placement.objects.forEach(object => this._removeShadow(object));
+        if (placement.usesOriginals) {
+            if (hide) {
+                placement.objects.forEach(model => {
+                    model.visible = false;
+                    model.traverse((obj) => {
+                        obj.visible = false;
+                    });
+                });
+            }
+        } else {
+            placement.objects.forEach(object => object.removeFromParent());
+        }
+
+        this.placements = this.placements.filter(item => item !== placement);
+        if (this.activePlacement === placement) {
+            this.activePlacement = this.placements[this.placements.length - 1] || null;
+        }
+        if (this._gesture?.placement === placement) {
+            this._gesture = null;
+        }
+        this.modelPlaced = this.placements.length > 0;
+    }
+
+    // 会话结束：释放锚点和克隆体，原模型保持在最后放置的位置
+    _releasePlacements() {
+        [...this.placements].forEach(placement => this._removePlacement(placement, false));
+        this.activePlacement = null;
+    }
+
+    /**
+     * 回到十字星放置模式：移除当前（最近放置或操作的）模型，下一次点击重新放置（保留当前缩放）
+     * @returns {boolean} 是否成功
+     */
+    reposition() {
+        const placement = this.activePlacement;
+        if (!this.isPresenting || !placement) {
+            console.warn("reposition: 模型尚未放置");
+            return false;
+        }
+        this._removePlacement(placement);
+
+        if (this.testReticleActive) {
+            if (this.reticle) this.reticle.visible = true;
+        } else {
+            this.currentHitPose = null;
+            this.currentHitMatrix = null;
+        }
+        this.events.emit("xr:model:reposition", { placement: placement.id, models: placement.objects });
+        return true;
+    }
+
+    /**
+     * 设置手势选项
+     * @param {Object|boolean} options 见 gestureOptions，传布尔值则开关全部手势
+     */
+    setGestureOptions(options = {}) {
+        if (typeof options === 'boolean') {
+            options = { enabled: options };
+        }
+        Object.assign(this.gestureOptions, options);
+        if (!this.gestureOptions.enabled) {
+            this._gesture = null;
+        }
+    }
+
+    /**
+     * 获取已放置模型的当前变换（以放置中的第一个模型为准）
+     * @param {Object} [placement] 放置记录，默认当前放置
+     * @returns {{placement: string, vertical: boolean, position: Vector3, rotationY: number, scale: number}|null}
+     *          position 为放置点，scale 为相对首次放置时的倍数
+     */
+    getModelTransform(placement = this.activePlacement) {
+        if (!placement) return null;
+        const [object, offset] = placement.offsets.entries().next().value;
+        const base = this._placementScales.get(offset.source);
+        const forward = new Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+        return {
+            placement: placement.id,
+            vertical: placement.vertical,
+            position: new Vector3().setFromMatrixPosition(placement.matrix),
+            rotationY: Math.atan2(forward.x, forward.z),
+            scale: base ? offset.scale.x / base.x : 1
+        };
+    }
+
+    // 每帧处理放置后的手势：单指拖动，双指捏合缩放 + 旋转
+    _updateGestures(frame) {
+        const options = this.gestureOptions;
+        if (!options.enabled || !this.session || this.placements.length === 0) {
+            this._gesture = null;
+            return;
+        }
+
+        const touches = [];
+        for (const source of this.session.inputSources) {
+            if (source.targetRayMode === 'screen') touches.push(source);
+        }
+
+        const gesture = this._gesture;
+        if (touches.length === 0) {
+            if (gesture?.type) this._endGesture(gesture);
+            this._gesture = null;
+            return;
+        }
+
+        // 触点数变化时重新开始手势；双指变为单指时不接续拖动，避免模型跳动
+        if (!gesture || gesture.count !== touches.length) {
+            const previous = gesture?.type;
+            if (previous) this._endGesture(gesture);
+            this._gesture = this._startGesture(frame, touches, previous);
+            return;
+        }
+
+        if (gesture.type === 'drag') {
+            this._updateDrag(frame, gesture);
+        } else if (gesture.type === 'pinch') {
+            this._updatePinch(frame, gesture, touches);
+        }
+    }
+
+    _startGesture(frame, touches, previous) {
+        const gesture = { count: touches.length, type: null, placement: null };
+
+        if (touches.length === 1 && !previous && this.gestureOptions.drag) {
+            // 只有按在模型上才开始拖动
+            const ray = this._getInputRay(frame, touches[0]);
+            const placement = ray ? this._pickPlacement(ray) : null;
+            if (!placement) return gesture;
+
+            const normal = new Vector3().setFromMatrixColumn(placement.matrix, placement.vertical ? 2 : 1);
+            const origin = new Vector3().setFromMatrixPosition(placement.matrix);
+            const plane = new Plane().setFromNormalAndCoplanarPoint(normal, origin);
+            const point = this._getDragPoint(frame, touches[0], plane);
+            if (!point) return gesture;
+            Object.assign(gesture, {
+                type: 'drag',
+                placement,
+                source: touches[0],
+                plane,
+                origin: point,
+                matrix: placement.matrix.clone()
+            });
+        } else if (touches.length === 2 && this.activePlacement && (this.gestureOptions.pinch || this.gestureOptions.rotate)) {
+            const a = this._getScreenPoint(frame, touches[0]);
+            const b = this._getScreenPoint(frame, touches[1]);
+            if (!a || !b) return gesture;
+            const distance = a.distanceTo(b);
+            if (distance < 1e-4) return gesture;
+
+            const placement = this.activePlacement;
+            const offsets = new Map();
+            placement.offsets.forEach((offset, object) => offsets.set(object, {
+                source: offset.source,
+                position: offset.position.clone(),
+                quaternion: offset.quaternion.clone(),
+                scale: offset.scale.clone()
+            }));
+            Object.assign(gesture, {
+                type: 'pinch',
+                placement,
+                offsets,
+                distance,
+                angle: Math.atan2(b.y - a.y, b.x - a.x)
+            });
+        }
+
+        if (gesture.type) {
+            this.activePlacement = gesture.placement;
+            touches.forEach(source => this._gestureSources.add(source));
+        }
+        return gesture;
+    }
+
+    _endGesture(gesture) {
+        if (gesture.type === 'drag') {
+            this._reanchor(gesture.placement);
+        }
+        this._emitTransformed(gesture, true);
+    }
+
+    // 射线选中的放置记录
+    _pickPlacement(ray) {
+        const objects = this.placements.flatMap(placement => placement.objects);
+        const hit = new Raycaster(ray.origin, ray.direction).intersectObjects(objects, true)[0];
+        if (!hit) return null;
+        let object = hit.object;
+        while (object) {
+            const placement = this.placements.find(item => item.offsets.has(object));
+            if (placement) return placement;
+            object = object.parent;
+        }
+        return null;
+    }
+
+    // 拖动：平移放置坐标系，模型沿所在平面移动
+    _updateDrag(frame, gesture) {
+        const point = this._getDragPoint(frame, gesture.source, gesture.plane);
+        if (!point) return;
+        const position = new Vector3().setFromMatrixPosition(gesture.matrix).add(point.sub(gesture.origin));
+        gesture.placement.matrix.copy(gesture.matrix).setPosition(position);
+        this._applyPlacement(gesture.placement);
+        this._emitTransformed(gesture, false);
+    }
+
+    // 双指：缩放（相对首次放置大小限制在 minScale ~ maxScale），绕平面法线旋转
+    _updatePinch(frame, gesture, touches) {
+        const a = this._getScreenPoint(frame, touches[0]);
+        const b = this._getScreenPoint(frame, touches[1]);
+        if (!a || !b) return;
+        const { minScale, maxScale, pinch, rotate } = this.gestureOptions;
+        const placement = gesture.placement;
+
+        let factor = pinch ? a.distanceTo(b) / gesture.distance : 1;
+        const first = gesture.offsets.values().next().value;
+        const base = this._placementScales.get(first.source) || first.scale;
+        const target = Math.min(Math.max(first.scale.x * factor, base.x * minScale), base.x * maxScale);
+        factor = target / first.scale.x;
+
+        // 屏幕坐标 y 向下，手指逆时针转动时角度减小，对应模型绕法线正向旋转
+        const angle = rotate ? gesture.angle - Math.atan2(b.y - a.y, b.x - a.x) : 0;
+        const axis = placement.vertical ? new Vector3(0, 0, 1) : new Vector3(0, 1, 0);
+        const twist = new Quaternion().setFromAxisAngle(axis, angle);
+
+        gesture.offsets.forEach((start, object) => {
+            const offset = placement.offsets.get(object);
+            offset.position.copy(start.position).multiplyScalar(factor).applyQuaternion(twist);
+            offset.quaternion.copy(twist).multiply(start.quaternion);
+            offset.scale.copy(start.scale).multiplyScalar(factor);
+        });
+        this._applyPlacement(placement);
+        this._emitTransformed(gesture, false);
+    }
+
+    // 优先使用该手指的 hit-test 结果（需与拖动平面同向），否则与拖动平面求交
+    _getDragPoint(frame, source, plane) {
+        const { hitMatrix } = this._getHitResult(frame, source);
+        if (hitMatrix) {
+            const normal = new Vector3().setFromMatrixColumn(hitMatrix, 1).normalize();
+            if (normal.dot(plane.normal) > 0.9) {
+                return new Vector3().setFromMatrixPosition(hitMatrix);
+            }
+        }
+        const ray = this._getInputRay(frame, source);
+        return ray ? ray.intersectPlane(plane, new Vector3()) : null;
+    }
+
+    // 输入源的射线（referenceSpace 坐标，与场景世界坐标一致）
+    _getInputRay(frame, source) {
+        const pose = frame.getPose(source.targetRaySpace, this.referenceSpace);
+        if (!pose) return null;
+        const matrix = new Matrix4().fromArray(pose.transform.matrix);
+        const origin = new Vector3().setFromMatrixPosition(matrix);
+        const direction = new Vector3(0, 0, -1).transformDirection(matrix);
+        return new Ray(origin, direction);
+    }
+
+    // 触点屏幕坐标（-1 ~ 1），优先使用 screen 输入源的 gamepad.axes，否则由射线投影得到
+    _getScreenPoint(frame, source) {
+        const axes = source.gamepad?.axes;
+        if (axes && axes.length >= 2) {
+            return new Vector2(axes[0], axes[1]);
+        }
+        const ray = this._getInputRay(frame, source);
+        const camera = this.renderer?.xr?.getCamera?.();
+        if (!ray || !camera) return null;
+        const point = ray.at(1, new Vector3()).project(camera);
+        return new Vector2(point.x, -point.y);
+    }
+
+    _emitTransformed(gesture, end) {
+        this.events.emit("xr:model:transformed", {
+            gesture: gesture.type,
+            end,
+            models: gesture.placement.objects,
+            ...this.getModelTransform(gesture.placement)
+        });
+    }
+
     // 在默认位置放置模型（当 hit-test 不可用时）
     _placeModelsAtDefaultPosition() {
         const defaultTransform = {
             position: { x: 0, y: 0, z: -1.5 },
             orientation: { x: 0, y: 0, z: 0, w: 1 }
         };
-        this._placeModels(defaultTransform);
+        return this._placeModels(defaultTransform);
     }
 
-    //  在指定位置放置模型
+    //  在指定位姿（XRRigidTransform 结构）放置模型
     _placeModels(transform) {
         const position = new Vector3(
             transform.position.x,
@@ -690,13 +1654,7 @@ export class XRController {
             transform.orientation.w
         );
         
-        // 更新所有模型位置并显示
-        this.models.forEach(model => {
-            model.position.copy(position);
-            model.quaternion.copy(quaternion);
-            model.visible = true;
-            model.updateMatrixWorld(true);
-        });
+        return this._placeAt(new Matrix4().compose(position, quaternion, new Vector3(1, 1, 1)));
     }
 
     //  清理可视化指示器
@@ -0,0 +1,420 @@
+/**
+ * 资源字节缓存 - 以 URL 为键把 GLB/HDR/纹理的原始字节持久化到 IndexedDB
+ * 通过 version 或服务器返回的 ETag/Last-Modified 判断副本是否过期；两者都没有时（如跨域响应未暴露这些头）
+ * 副本超过 maxAge 后重新下载。超出容量时按最近使用时间淘汰，同一地址的并发请求共用一次下载。
+ * IndexedDB 不可用（隐私模式、非浏览器环境）时自动停用，加载照常走网络。
+ */
+const DB_NAME = 'f3d-asset-cache';
+const DB_VERSION = 1;
+const FILE_STORE = 'files';   // url -> ArrayBuffer
+const META_STORE = 'meta';    // { url, version, etag, lastModified, contentType, size, storedAt, lastAccess }
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;  // 无法向服务器验证的副本的有效期（毫秒）
+
+const promisify = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export class AssetCache {
+    enabled = true;
+    maxBytes = DEFAULT_MAX_BYTES;
+    maxAge = DEFAULT_MAX_AGE;
+    stats = { hits: 0, misses: 0, revalidated: 0, evictions: 0, errors: 0 };
+
+    /**
+     * 创建资源缓存
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.enabled=true] 是否启用持久化缓存
+     * @param {number} [options.maxBytes] IndexedDB 中最多保存的字节数
+     * @param {number} [options.maxAge] 没有 version 与 ETag/Last-Modified 的副本的有效期（毫秒），默认 24 小时
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false && typeof indexedDB !== 'undefined';
+        if (options.maxBytes > 0) this.maxBytes = options.maxBytes;
+        if (options.maxAge >= 0) this.maxAge = options.maxAge;
+
+        this._index = new Map();       // url -> meta（启动时从 IndexedDB 读入，统计与淘汰不必访问数据库）
+        this._objectUrls = new Map();  // url -> { objectUrl, refs }
+        this._inflight = new Map();    // url + version -> 进行中的请求 { promise, controller, waiters, handed, listeners }
+        this._dbPromise = null;
+    }
+
+    /**
+     * 是否可以缓存该地址（data:/blob: 等本地地址不缓存）
+     * @param {string} url 资源地址
+     * @returns {boolean}
+     */
+    isCacheable(url) {
+        return this.enabled && typeof url === 'string' && url.length > 0 && !/^(data|blob):/i.test(url);
+    }
+
+    /**
+     * 获取资源字节：命中且未过期时读取缓存，否则下载并写入缓存
+     * 同一地址（及版本）的并发调用共用一次请求；全部调用方都取消时才取消该请求
+     * @param {string} url 资源地址
+     * @param {Object} [options={}] 选项
+     * @param {AbortSignal} [options.signal] 取消信号
+     * @param {string|number} [options.version] 资源版本，与缓存副本一致时不再向服务器验证
+     * @param {boolean} [options.revalidate=true] 未指定版本时是否用 ETag/Last-Modified 向服务器验证
+     * @param {Function} [options.onProgress] 下载进度回调 (loaded, total)
+     * @returns {Promise<{buffer: ArrayBuffer, contentType: string}|null>} 不可缓存时为 null
+     */
+    fetch(url, options = {}) {
+        if (!this.isCacheable(url)) return Promise.resolve(null);
+
+        const key = `${url}\n${options.version ?? ''}`;
+        let pending = this._inflight.get(key);
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, waiters: 0, handed: 0, listeners: new Set() };
+            const onProgress = (loaded, total) => pending.listeners.forEach(listener => listener(loaded, total));
+            pending.promise = this._fetch(url, { ...options, signal: controller.signal, onProgress })
+                .finally(() => this._inflight.delete(key));
+            this._inflight.set(key, pending);
+        }
+        return this._join(pending, options);
+    }
+
+    /**
+     * 获取资源并创建 Object URL，供只接受 URL 的加载器使用；用完后需调用 releaseObjectURL
+     * @param {string} url 资源地址
+     * @param {Object} [options] 同 fetch
+     * @returns {Promise<string|null>} 不可缓存时为 null
+     */
+    async acquireObjectURL(url, options = {}) {
+        let entry = this._objectUrls.get(url);
+        if (!entry) {
+            const result = await this.fetch(url, options);
+            if (!result) return null;
+            // 并发获取同一地址时复用先完成的那个
+            entry = this._objectUrls.get(url);
+            if (!entry) {
+                entry = { objectUrl: URL.createObjectURL(new Blob([result.buffer], { type: result.contentType })), refs: 0 };
+                this._objectUrls.set(url, entry);
+            }
+        }
+        entry.refs++;
+        return entry.objectUrl;
+    }
+
+    /**
+     * 释放 acquireObjectURL 获取的 Object URL
+     * @param {string} url 资源原始地址
+     */
+    releaseObjectURL(url) {
+        const entry = this._objectUrls.get(url);
+        if (!entry || --entry.refs > 0) return;
+        URL.revokeObjectURL(entry.objectUrl);
+        this._objectUrls.delete(url);
+    }
+
+    /**
+     * 把资源地址映射到已获取的 Object URL（用作 LoadingManager 的 URL 修改器）
+     * @param {string} url 资源地址
+     * @returns {string}
+     */
+    resolveURL(url) {
+        return this._objectUrls.get(url)?.objectUrl || url;
+    }
+
+    /**
+     * 设置持久化缓存容量，超出部分立即淘汰
+     * @param {number} bytes 字节数
+     */
+    async setMaxBytes(bytes) {
+        if (!(bytes > 0)) return;
+        this.maxBytes = bytes;
+        const db = await this._open();
+        if (db) await this._evict(db);
+    }
+
+    /**
+     * 删除指定地址的缓存
+     * @param {string} url 资源地址
+     */
+    async remove(url) {
+        const db = await this._open();
+        if (!db || !this._index.has(url)) return false;
+        await this._delete(db, [url]);
+        return true;
+    }
+
+    /**
+     * 清空持久化缓存
+     */
+    async clear() {
+        const db = await this._open();
+        if (!db) return;
+        const tx = db.transaction([FILE_STORE, META_STORE], 'readwrite');
+        tx.objectStore(FILE_STORE).clear();
+        tx.objectStore(META_STORE).clear();
+        await this._complete(tx);
+        this._index.clear();
+    }
+
+    /**
+     * 获取缓存统计
+     * @returns {{enabled: boolean, count: number, bytes: number, maxBytes: number, hits: number, misses: number, revalidated: number, evictions: number, errors: number}}
+     */
+    getStats() {
+        let bytes = 0;
+        this._index.forEach(meta => { bytes += meta.size; });
+        return { enabled: this.enabled, count: this._index.size, bytes, maxBytes: this.maxBytes, ...this.stats };
+    }
+
+    /**
+     * 释放资源（已写入 IndexedDB 的数据保留）
+     */
+    dispose() {
+        this._objectUrls.forEach(entry => URL.revokeObjectURL(entry.objectUrl));
+        this._objectUrls.clear();
+        this._dbPromise?.then(db => db?.close());
+        this._dbPromise = null;
+    }
+
+    // ==================== 下载 ====================
+
+    /**
+     * 加入进行中的请求：各调用方可单独取消与接收进度，第一个之后的调用方拿到字节副本
+     * @private
+     */
+    _join(pending, { signal, onProgress }) {
+        if (signal?.aborted) return Promise.reject(signal.reason);
+
+        pending.waiters++;
+        if (onProgress) pending.listeners.add(onProgress);
+        return new Promise((resolve, reject) => {
+            let joined = true;
+            const leave = () => {
+                if (!joined) return;
+                joined = false;
+                signal?.removeEventListener('abort', onAbort);
+                pending.listeners.delete(onProgress);
+                // 所有调用方都已取消时才真正中止下载
+                if (--pending.waiters === 0 && signal?.aborted) pending.controller.abort(signal.reason);
+            };
+            const onAbort = () => {
+                leave();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            pending.promise.then(result => {
+                if (!joined) return;
+                leave();
+                resolve(result && pending.handed++ > 0 ? { ...result, buffer: result.buffer.slice(0) } : result);
+            }, error => {
+                if (!joined) return;
+                leave();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _fetch(url, { signal, version, revalidate = true, onProgress } = {}) {
+        const db = await this._open();
+        const meta = db ? this._index.get(url) : null;
+        const versionKey = version == null ? null : String(version);
+        const headers = {};
+
+        if (meta && (versionKey === null || meta.version === versionKey)) {
+            // 服务器没有提供验证信息（跨域响应未暴露 ETag/Last-Modified 时也是如此）：在有效期内视为不变，过期后重新下载
+            const unverifiable = !meta.etag && !meta.lastModified;
+            const fresh = Date.now() - (meta.storedAt ?? 0) < this.maxAge;
+            if (versionKey !== null || !revalidate || (unverifiable && fresh)) {
+                const cached = await this._read(db, meta);
+                if (cached) {
+                    this.stats.hits++;
+                    return cached;
+                }
+            } else if (!unverifiable) {
+                if (meta.etag) headers['If-None-Match'] = meta.etag;
+                if (meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+            }
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { signal, headers, credentials: 'same-origin' });
+        } catch (error) {
+            // 离线等网络错误：有副本就先用副本
+            const cached = !signal?.aborted && meta ? await this._read(db, meta) : null;
+            if (cached) {
+                this.stats.hits++;
+                return cached;
+            }
+            throw error;
+        }
+
+        if (response.status === 304 && meta) {
+            const cached = await this._read(db, meta);
+            if (cached) {
+                this.stats.revalidated++;
+                return cached;
+            }
+            // 副本已丢失，去掉验证头重新下载
+            this._index.delete(url);
+            return this._fetch(url, { signal, version, revalidate: false, onProgress });
+        }
+
+        if (!response.ok) {
+            const error = new Error(`fetch for "${url}" responded with ${response.status}: ${response.statusText}`);
+            error.response = response;
+            throw error;
+        }
+
+        const buffer = await this._readBody(response, onProgress);
+        const contentType = response.headers.get('Content-Type') || '';
+        this.stats.misses++;
+
+        if (db) {
+            // 写入不阻塞加载
+            this._write(db, url, buffer, {
+                version: versionKey,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                contentType,
+                storedAt: Date.now()
+            }).catch(error => {
+                this.stats.errors++;
+                console.warn(`AssetCache: 写入缓存失败 ${url}`, error);
+            });
+        }
+        return { buffer, contentType };
+    }
+
+
+    // ==================== IndexedDB ====================
+
+    _open() {
+        if (!this.enabled) return Promise.resolve(null);
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(FILE_STORE)) db.createObjectStore(FILE_STORE);
+                    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })
+                .then(async db => {
+                    const metas = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+                    metas.forEach(meta => this._index.set(meta.url, meta));
+                    return db;
+                })
+                .catch(error => {
+                    console.warn('AssetCache: IndexedDB 不可用，持久化缓存已停用', error);
+                    this.enabled = false;
+                    return null;
+                });
+        }
+        return this._dbPromise;
+    }
+
+    async _read(db, meta) {
+        if (!db || !meta) return null;
+        try {
+            const buffer = await promisify(db.transaction(FILE_STORE).objectStore(FILE_STORE).get(meta.url));
+            if (!buffer) {
+                this._index.delete(meta.url);
+                return null;
+            }
+            // 更新最近使用时间（不等待写入）
+            meta.lastAccess = Date.now();
+            const tx = db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).put(meta);
+            return { buffer, contentType: meta.contentType };
+        } catch (error) {
+            this.stats.errors++;
+            console.warn(`AssetCache: 读取缓存失败 ${meta.url}`, error);
+            return null;
+        }
+    }
+
+    async _write(db, url, buffer, info) {
+        // 单个资源超过总容量时不缓存
+        if (buffer.byteLength > this.maxBytes) return;
+
+        const meta = { url, ...info, size: buffer.byteLength, lastAccess: Date.now() };
+        const tx = db.transaction([FILE_STORE, META_STORE], 'readwrite');
+        tx.objectStore(FILE_STORE).put(buffer, url);
+        tx.objectStore(META_STORE).put(meta);
+        await this._complete(tx);
+        this._index.set(url, meta);
+        await this._evict(db, url);
+    }
+
+    /**
+     * 按最近使用时间淘汰，直到总量不超过容量
+     * @private
+     */
+    async _evict(db, keepUrl = null) {
+        let total = 0;
+        this._index.forEach(meta => { total += meta.size; });
+        if (total <= this.maxBytes) return;
+
+        const victims = [];
+        [...this._index.values()]
+            .filter(meta => meta.url !== keepUrl)
+            .sort((a, b) => a.lastAccess - b.lastAccess)
+            .some(meta => {
+                victims.push(meta.url);
+                total -= meta.size;
+                return total <= this.maxBytes;
+            });
+        await this._delete(db, victims);
+        this.stats.evictions += victims.length;
+    }
+
+    async _delete(db, urls) {
+        if (urls.length === 0) return;
+        const tx = db.transaction([FILE_STORE, META_STORE], 'readwrite');
+        urls.forEach(url => {
+            tx.objectStore(FILE_STORE).delete(url);
+            tx.objectStore(META_STORE).delete(url);
+            this._index.delete(url);
+        });
+        await this._complete(tx);
+    }
+
+    _complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * 读取响应体，支持流式进度
+     * @private
+     */
+    async _readBody(response, onProgress) {
+        if (!onProgress || !response.body?.getReader) return response.arrayBuffer();
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress(loaded, total);
+        }
+
+        const buffer = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            buffer.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return buffer.buffer;
+    }
+}
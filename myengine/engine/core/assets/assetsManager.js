@@ -1,7 +1,10 @@
+import { HalfFloatType, FloatType } from "three";
 import { EventBus } from "../events/eventEmitter.js";
 import {ModelLoader} from "./modelLoader.js";
 import { SceneLoader } from "./sceneLoader.js";
 import { MaterialLoader } from "./materialLoader.js";
+import { SceneExporter } from "./sceneExporter.js";
+import { AssetCache } from "./assetCache.js";
 /**
  * 资产管理器 - 负责加载和管理3D资产
  */
@@ -17,8 +20,16 @@ export class AssetsManager {
     events = new EventBus();
     
     // 资源加载策略（无并发限制，按需加载）
-    retryAttempts = 3;
-    retryDelay = 1000;
+    retryAttempts = 3;   // 总尝试次数（含首次），仅网络错误、超时与 5xx/408/429 会重试
+    retryDelay = 1000;   // 首次重试前等待（毫秒）
+    retryBackoff = 2;    // 每次重试等待时间的倍数
+    timeout = 0;         // 单次尝试超时（毫秒），0 为不限制
+    
+    // 内存预算：超出时按最近使用时间释放未被引用、且不在场景中的资产
+    memoryBudget = 512 * 1024 * 1024;
+    // `${type}:${id}` -> { type, id, refCount, bytes, lastUsed }
+    _assetMeta = new Map();
+    _evictions = 0;
     /**
      * 创建资产管理器
      * @param {Engine} engine 引擎实例
@@ -26,10 +37,20 @@ export class AssetsManager {
     constructor(engine) {
         this.engine = engine;
         this.engineEvents = engine?.events;
+        const cacheConfig = engine?.config?.assetCache || {};
+        if (cacheConfig.memoryBudget > 0) this.memoryBudget = cacheConfig.memoryBudget;
+        // 持久化字节缓存（IndexedDB）
+        this.cache = new AssetCache(cacheConfig);
         // 初始化加载器
-        this.modelLoader = new ModelLoader(engine?.renderer, this._onProgress.bind(this));
+        this.modelLoader = new ModelLoader(engine?.renderer, this._onProgress.bind(this), {
+            transcoderPath: engine?.config?.transcoderPath
+        });
         this.sceneLoader = new SceneLoader(engine);
         this.materialLoader = new MaterialLoader(engine);
+        this.sceneExporter = new SceneExporter(engine);
+        
+        // 已由缓存取到本地的资源，加载器通过 Object URL 读取
+        this.modelLoader?.loadingManager?.setURLModifier(url => this.cache.resolveURL(url));
         
         // 设置模型加载回调
         if (this.modelLoader?.loadingManager) {
@@ -86,68 +107,398 @@ export class AssetsManager {
     getSceneLoader() { return this.sceneLoader; }
     getMaterialLoader() { return this.materialLoader; }
     
+    /**
+     * 设置默认加载策略
+     * @param {Object} policy { retryAttempts, retryDelay, retryBackoff, timeout }
+     */
+    setLoadPolicy(policy = {}) {
+        ['retryAttempts', 'retryDelay', 'retryBackoff', 'timeout'].forEach(key => {
+            const value = Number(policy[key]);
+            if (policy[key] !== undefined && Number.isFinite(value) && value >= 0) this[key] = value;
+        });
+        return this;
+    }
+    
     /**
      * 加载资源并跟踪
+     * loader 以 (url, { ...options, signal }) 调用，signal 在取消或单次超时时触发
      * @private
+     * @param {Object} [options] { id, signal, retryAttempts, retryDelay, retryBackoff, timeout }，未指定的策略使用实例默认值
      */
     load(type, url, loader, options = {}) {
         const id = options.id || url;
+        const { signal } = options;
+        const attempts = Math.max(1, options.retryAttempts ?? this.retryAttempts);
+        const delay = options.retryDelay ?? this.retryDelay;
+        const backoff = options.retryBackoff ?? this.retryBackoff;
+        const timeout = options.timeout ?? this.timeout;
         this._startLoading({ type, id, url });
         
-        return loader(url, options)
+        const attempt = index => this._loadAttempt(loader, url, options, timeout)
+            .catch(error => {
+                if (signal?.aborted || index + 1 >= attempts || !this._isRetryable(error)) throw error;
+                const wait = delay * Math.pow(backoff, index);
+                this._emitEvent('load:retry', { type, id, url, attempt: index + 1, delay: wait, error });
+                return this._wait(wait, signal).then(() => attempt(index + 1));
+            });
+        
+        return attempt(0)
             .then(asset => {
                 this.assets[type]?.set(id, asset);
+                this._trackAsset(type, id, asset);
                 this._emitEvent('asset:loaded', { type, id, url, asset });
+                this._enforceMemoryBudget();
                 return asset;
             })
             .catch(error => {
+                if (signal?.aborted) {
+                    const reason = this._toAbortError(signal.reason);
+                    this._emitEvent('load:cancelled', { type, id, url, reason });
+                    throw reason;
+                }
                 this._emitEvent('load:error', { type, id, url, error });
                 throw error;
             })
             .finally(() => this._finishLoading());
     }
     
+    /**
+     * 执行一次加载尝试：外部取消与超时都会中止本次请求
+     * @private
+     */
+    _loadAttempt(loader, url, options, timeout) {
+        const { signal } = options;
+        if (signal?.aborted) return Promise.reject(signal.reason);
+        
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = timeout > 0 ? setTimeout(() => {
+            const error = new Error(`加载超时（${timeout}ms）: ${url}`);
+            error.name = 'TimeoutError';
+            controller.abort(error);
+        }, timeout) : null;
+        
+        // 加载器不响应 signal 时也保证按时结束
+        const aborted = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        
+        return Promise.race([
+            new Promise(resolve => resolve(loader(url, { ...options, signal: controller.signal }))),
+            aborted
+        ]).finally(() => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        });
+    }
+    
+    /**
+     * 经由持久化缓存加载：先把字节取到本地（Object URL），用完即释放
+     * 缓存不可用时 load 收到 null，照常走网络
+     * @private
+     */
+    _withCachedURL(url, options, signal, load) {
+        return this.cache.acquireObjectURL(url, {
+            signal,
+            version: options.version,
+            onProgress: (loaded, total) => this._onProgress(url, loaded, total, total ? (loaded / total) * 100 : 0)
+        }).then(objectUrl => load(objectUrl).finally(() => {
+            if (objectUrl) this.cache.releaseObjectURL(url);
+        }));
+    }
+    
+    /**
+     * 是否为可重试的错误（网络中断、超时、服务端临时错误）
+     * @private
+     */
+    _isRetryable(error) {
+        if (!error || error.name === 'AbortError') return false;
+        if (error.name === 'TimeoutError') return true;
+        const status = error.response?.status;
+        if (status) return status >= 500 || status === 408 || status === 429;
+        return error instanceof TypeError && /fetch|network/i.test(error.message);
+    }
+    
+    /**
+     * 等待指定时间，取消时提前结束
+     * @private
+     */
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    
+    /**
+     * 统一取消原因为 AbortError
+     * @private
+     */
+    _toAbortError(reason) {
+        if (reason?.name === 'AbortError') return reason;
+        const error = new Error('加载已取消');
+        error.name = 'AbortError';
+        error.cause = reason;
+        return error;
+    }
+    
     /**
      * 加载模型
+     * @param {string} url 模型URL
+     * @param {string} [id=url] 模型ID
+     * @param {Object} [options={}] { signal, retryAttempts, retryDelay, retryBackoff, timeout }
      */
-    loadModel(url, id = url) {
+    loadModel(url, id = url, options = {}) {
         return this.load('models', url, 
-            url => this.modelLoader.loadAsync(url), 
-            { id }
+            (url, { signal }) => this._withCachedURL(url, options, signal, () => this.modelLoader.loadAsync(url, { signal })), 
+            { ...options, id }
         );
     }
     
     /**
      * 加载模型并添加到场景
+     * @param {string} url 模型URL
+     * @param {Object} [options={}] 加载选项（同 ModelLoader.processModel，另支持以下渐进加载选项）
+     * @param {string} [options.proxyUrl] 代理模型（低模或低级别 LOD）URL，先加载并立即显示，完整模型就绪后原位替换
+     * @param {Array<{url: string, screenSize: number}>} [options.lods] 运行时 LOD 级别（由高到低），完整模型作为第 0 级
+     * @param {boolean} [options.progressive=false] 未指定 proxyUrl 时，用最低一级 LOD 作为代理模型
+     * @param {AbortSignal} [options.signal] 取消信号，取消后模型（含已显示的代理）不会留在场景中
+     * @param {string|number} [options.version] 资源版本，与持久化缓存中的副本一致时不再向服务器验证
+     * @returns {Promise<Object3D>} 完整模型加载（并替换代理）完成后 resolve
      */
     loadModelToScene(url, options = {}) {
         const { id = url } = options;
+        const lods = options.lods?.length ? options.lods : null;
+        const proxyUrl = options.proxyUrl || (options.progressive && lods ? lods[lods.length - 1].url : null);
+        const proxy = proxyUrl ? this._loadProxyModel(proxyUrl, { ...options, id }) : null;
         
         return this.load('models', url, 
-            () => this.modelLoader.loadAsync(url)
+            (url, { signal }) => this._withCachedURL(url, options, signal, () => this.modelLoader.loadAsync(url, { signal }))
                 .then(model => {
                     if (!model) throw new Error('加载的模型为空');
+                    if (signal.aborted) {
+                        this.modelLoader.disposeModel(model);
+                        throw signal.reason;
+                    }
                     
                     // 处理模型
                     this.modelLoader.processModel(model, options);
                     
-                    // 添加到场景
-                    if (options.addToScene !== false && this.engine?.mainScene) {
+                    // 作为代理加载过的 LOD 级别交给 LOD 控制器复用，不再重复请求
+                    const reused = proxy?.model && lods?.some(level => level.url === proxy.url) ? proxy.model : null;
+                    
+                    if (proxy) {
+                        this._swapProxyModel(id, proxy, model, options, !!reused);
+                    } else if (options.addToScene !== false && this.engine?.mainScene) {
+                        // 添加到场景
                         this.engine.mainScene.add(model);
                     }
                     
+                    if (lods) {
+                        this.engine?.lodController?.register(id, lods, {
+                            model,
+                            preloaded: reused ? { [proxy.url]: reused } : null
+                        });
+                    }
+                    
                     return model;
                 }),
-            { id }
-        );
+            options
+        ).catch(error => {
+            if (proxy) {
+                // 不再接受迟到的代理；取消时代理一并移除，加载失败则保留已显示的代理
+                proxy.cancelled = true;
+                if (options.signal?.aborted) this._discardProxyModel(id, proxy);
+            }
+            throw error;
+        });
     }
-    
+
+    /**
+     * 加载代理模型并立即显示
+     * @private
+     * @returns {{url: string, model: Object3D|null, base: Object|null, cancelled: boolean}} 代理句柄
+     */
+    _loadProxyModel(proxyUrl, options) {
+        const proxy = { url: proxyUrl, model: null, base: null, cancelled: false };
+        
+        this._withCachedURL(proxyUrl, {}, options.signal, () => this.modelLoader.loadAsync(proxyUrl, { signal: options.signal }))
+            .then(model => {
+                if (!model) return;
+                // 完整模型已先到达：代理直接丢弃
+                if (proxy.cancelled) {
+                    this.modelLoader.disposeModel(model);
+                    return;
+                }
+                
+                this.modelLoader.processModel(model, options);
+                model.userData.__isProxy = true;
+                // 记录处理后的根节点变换，替换时只把代理期间的增量（拖拽、自转）延续到完整模型
+                proxy.base = {
+                    position: model.position.clone(),
+                    quaternion: model.quaternion.clone(),
+                    scale: model.scale.clone()
+                };
+                proxy.model = model;
+                
+                if (options.addToScene !== false && this.engine?.mainScene) {
+                    this.engine.mainScene.add(model);
+                }
+                this.assets.models.set(options.id, model);
+                this._emitEvent('model:proxy', { id: options.id, url: proxyUrl, model });
+            })
+            .catch(error => {
+                if (error?.name === 'AbortError') return;
+                // 代理失败不影响完整模型加载
+                console.warn(`AssetsManager: 代理模型加载失败 ${proxyUrl}`, error);
+            });
+        
+        return proxy;
+    }
+
+    /**
+     * 移除并释放已显示的代理模型
+     * @private
+     */
+    _discardProxyModel(id, proxy) {
+        const model = proxy.model;
+        if (!model) return;
+        model.removeFromParent();
+        if (this.assets.models.get(id) === model) this.assets.models.delete(id);
+        this.modelLoader.disposeModel(model);
+        proxy.model = null;
+    }
+
+    /**
+     * 用完整模型原位替换代理模型
+     * 相机不做任何调整；热点、爆炸图、剖切等通过 model:swapped 事件重新解析到新模型
+     * @private
+     */
+    _swapProxyModel(id, proxy, model, options, keepProxy = false) {
+        proxy.cancelled = true;
+        const old = proxy.model;
+        const parent = old?.parent || (options.addToScene !== false ? this.engine?.mainScene : null);
+        
+        if (old && proxy.base) {
+            const { position, quaternion, scale } = proxy.base;
+            model.position.add(old.position).sub(position);
+            model.quaternion.premultiply(old.quaternion.clone().multiply(quaternion.clone().invert()));
+            model.scale.multiply(old.scale).divide(scale);
+            old.removeFromParent();
+            delete old.userData.__isProxy;
+        }
+        
+        parent?.add(model);
+        model.updateMatrixWorld(true);
+        this.assets.models.set(id, model);
+        this._emitEvent('model:swapped', { id, model, proxy: old });
+        
+        if (old && !keepProxy) {
+            this.modelLoader.disposeModel(old);
+        }
+    }
+
+    /**
+     * 从场景移除模型：解除 LOD、动画、热点、高亮与变换控件对它的引用，并释放几何体、材质、纹理与 BVH
+     * @param {string} id 模型ID
+     * @param {Object} [options={}] 选项
+     * @param {boolean} [options.dispose=true] 引用归零时是否立即释放 GPU 资源，false 时留在内存中按预算淘汰
+     * @param {boolean} [options.keepHotspots=false] 保留绑定在该模型上的热点（解除绑定），默认一并删除
+     * @returns {boolean} 是否已移除
+     */
+    removeModel(id, options = {}) {
+        const model = this.getModel(id);
+        if (!model) {
+            console.warn(`AssetsManager.removeModel: 模型不存在 ${id}`);
+            return false;
+        }
+
+        this._detachModel(id, model, options);
+
+        const dispose = options.dispose !== false;
+        if (this.releaseAsset('models', id, { evict: dispose }) === -1 && dispose) {
+            // 未经资产表跟踪的模型直接释放
+            this.evictAsset('models', id);
+        }
+        this._emitEvent('model:removed', { id, model });
+        return true;
+    }
+
+    /**
+     * 用新模型替换已有模型：新模型加载完成后才移除旧模型，加载失败时旧模型保持不变
+     * @param {string} id 模型ID
+     * @param {string} url 新模型URL
+     * @param {Object} [options={}] 加载选项（同 loadModelToScene，不支持代理模型）
+     * @param {boolean} [options.keepHotspots=false] 保留热点并按 bindMeshId 重新绑定到新模型
+     * @returns {Promise<Object3D>} 新模型
+     */
+    replaceModel(id, url, options = {}) {
+        const old = this.getModel(id);
+        if (!old) {
+            return Promise.reject(new Error(`模型不存在: ${id}`));
+        }
+        const parent = old.parent || this.engine?.mainScene;
+
+        return this.loadModelToScene(url, { ...options, id, addToScene: false, proxyUrl: null, progressive: false })
+            .then(model => {
+                // 资产表此时已指向新模型，旧模型不再参与引用计数，直接释放
+                this._detachModel(id, old, options);
+                this.modelLoader.disposeModel(old);
+
+                if (options.addToScene !== false) parent?.add(model);
+                this._emitEvent('model:replaced', { id, model, previous: old, url });
+                return model;
+            });
+    }
+
+    /**
+     * 解除各控制器对模型的引用并从场景移除
+     * @private
+     */
+    _detachModel(id, model, options = {}) {
+        const engine = this.engine;
+
+        // LOD 恢复到完整模型后再移除，低级别模型随之释放
+        if (engine?.lodController?.entries.get(id)?.model === model) {
+            engine.lodController.unregister(id);
+        }
+        // 替换时新模型可能已用同一ID注册了动画，只清理属于旧模型的
+        const mixer = engine?.animationController?.mixers.get(id);
+        if (!mixer || mixer.getRoot() === model) {
+            engine?.animationController?.removeModelAnimations(id);
+        }
+        engine?.hotspotController?.removeByModel(model, { keep: options.keepHotspots === true });
+        engine?.highlightController?.clearObject(model);
+
+        const transformTarget = engine?.transformController?.target?.object;
+        for (let node = transformTarget; node; node = node.parent) {
+            if (node === model) {
+                engine.transformController.detach();
+                break;
+            }
+        }
+
+        model.removeFromParent();
+    }
+
     /**
      * 加载场景 - 整合加载多个资源
      * @param {Object} config 配置
      * @returns {Promise} 加载完成的Promise
      */
     loadScene(config = {}) {
+        // 取消信号只作用于本次加载，不合并进场景配置
+        const { signal, ...sceneConfig } = config;
+        config = sceneConfig;
+        
         // 合并配置
         this.sceneConfig = {
             ...this.sceneConfig,
@@ -175,7 +526,7 @@ export class AssetsManager {
         
         // 创建加载任务
         const modelPromises = models.map(modelConfig => {
-            return this.loadModelToScene(modelConfig.url, modelConfig)
+            return this.loadModelToScene(modelConfig.url, { signal, ...modelConfig })
                 .then(model => {
                     console.log("AssetsManager: 模型加载完成,准备发送事件", {
                         modelId: modelConfig.id || modelConfig.url,
@@ -196,7 +547,7 @@ export class AssetsManager {
         });
         
         const envPromises = environments.map(envConfig => {
-            return this.loadEnvironment(envConfig.url, envConfig)
+            return this.loadEnvironment(envConfig.url, { signal, ...envConfig })
                 .then(env => {
                     this._emitEvent('scene:env', { 
                         environment: env, 
@@ -265,8 +616,11 @@ export class AssetsManager {
                 return sceneData;
             })
             .catch(error => {
-                console.error('场景加载失败:', error);
-                this._emitEvent('scene:error', { error });
+                // 取消已通过 load:cancelled 通知
+                if (error?.name !== 'AbortError') {
+                    console.error('场景加载失败:', error);
+                    this._emitEvent('scene:error', { error });
+                }
                 
                 throw error;
             });
@@ -279,8 +633,9 @@ export class AssetsManager {
         const { id = url } = options;
         
         return this.load('environments', url,
-            () => this.sceneLoader.loadHDR(url, options),
-            { id }
+            (url, { signal }) => this._withCachedURL(url, options, signal,
+                objectUrl => this.sceneLoader.loadHDR(objectUrl || url, { ...options, signal })),
+            { ...options, id }
         );
     }
     
@@ -294,6 +649,186 @@ export class AssetsManager {
     getModel(id) { return this.getAsset('models', id); }
     getEnvironment(id) { return this.getAsset('environments', id); }
     
+    // ============ 缓存与内存管理 ============
+    
+    /**
+     * 增加资产引用计数（加载完成时已持有一个引用）
+     * @param {string} type 资产类型（models/environments）
+     * @param {string} id 资产ID
+     * @returns {number} 当前引用数，资产不存在时为 -1
+     */
+    retainAsset(type, id) {
+        const meta = this._assetMeta.get(`${type}:${id}`);
+        if (!meta) return -1;
+        meta.refCount++;
+        meta.lastUsed = Date.now();
+        return meta.refCount;
+    }
+    
+    /**
+     * 减少资产引用计数；无人引用的资产在超出内存预算时按 LRU 释放
+     * @param {string} type 资产类型
+     * @param {string} id 资产ID
+     * @param {Object} [options={}] { evict: 引用归零时立即释放 }
+     * @returns {number} 剩余引用数，资产不存在时为 -1
+     */
+    releaseAsset(type, id, options = {}) {
+        const meta = this._assetMeta.get(`${type}:${id}`);
+        if (!meta) return -1;
+        meta.refCount = Math.max(0, meta.refCount - 1);
+        meta.lastUsed = Date.now();
+        if (meta.refCount === 0) {
+            if (options.evict) this.evictAsset(type, id);
+            else this._enforceMemoryBudget();
+        }
+        return meta.refCount;
+    }
+    
+    /**
+     * 立即释放资产占用的 GPU 资源并从资产表移除
+     * 仍在场景中使用的资产不会被释放
+     * @param {string} type 资产类型
+     * @param {string} id 资产ID
+     * @returns {boolean} 是否已释放
+     */
+    evictAsset(type, id) {
+        const asset = this.getAsset(type, id);
+        if (!asset) return false;
+        if (this._isAssetInUse(type, asset)) {
+            console.warn(`AssetsManager.evictAsset: 资产仍在场景中使用 ${type}/${id}`);
+            return false;
+        }
+        
+        if (asset.isTexture) asset.dispose();
+        else this.modelLoader?.disposeModel(asset);
+        this.assets[type].delete(id);
+        this._assetMeta.delete(`${type}:${id}`);
+        this._evictions++;
+        this._emitEvent('asset:evicted', { type, id });
+        return true;
+    }
+    
+    /**
+     * 设置内存预算（字节），超出部分立即按 LRU 释放
+     * @param {number} bytes 字节数
+     */
+    setMemoryBudget(bytes) {
+        if (!(bytes > 0)) return;
+        this.memoryBudget = bytes;
+        this._enforceMemoryBudget();
+    }
+    
+    /**
+     * 获取缓存统计
+     * @returns {{memory: Object, persistent: Object}} memory 为内存中的资产，persistent 为 IndexedDB 字节缓存
+     */
+    getCacheStats() {
+        let bytes = 0;
+        let referenced = 0;
+        this._assetMeta.forEach(meta => {
+            bytes += meta.bytes;
+            if (meta.refCount > 0) referenced++;
+        });
+        return {
+            memory: { count: this._assetMeta.size, bytes, budget: this.memoryBudget, referenced, evictions: this._evictions },
+            persistent: this.cache.getStats()
+        };
+    }
+    
+    /**
+     * 清空持久化缓存
+     * @returns {Promise<void>}
+     */
+    clearPersistentCache() {
+        return this.cache.clear();
+    }
+    
+    /**
+     * 记录新加载资产的占用与引用
+     * @private
+     */
+    _trackAsset(type, id, asset) {
+        this._assetMeta.set(`${type}:${id}`, {
+            type,
+            id,
+            refCount: 1,
+            bytes: this._estimateAssetBytes(asset),
+            lastUsed: Date.now()
+        });
+    }
+    
+    /**
+     * 超出内存预算时按最近使用时间释放无人引用的资产
+     * @private
+     */
+    _enforceMemoryBudget() {
+        let total = 0;
+        this._assetMeta.forEach(meta => { total += meta.bytes; });
+        if (total <= this.memoryBudget) return;
+        
+        const candidates = [...this._assetMeta.values()]
+            .filter(meta => meta.refCount === 0 && !this._isAssetInUse(meta.type, this.getAsset(meta.type, meta.id)))
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const meta of candidates) {
+            if (total <= this.memoryBudget) break;
+            if (this.evictAsset(meta.type, meta.id)) total -= meta.bytes;
+        }
+    }
+    
+    /**
+     * 资产是否仍被场景使用（模型在场景图中或由 LOD 低级别代替显示，或环境贴图正被场景引用）
+     * @private
+     */
+    _isAssetInUse(type, asset) {
+        if (!asset) return false;
+        if (asset.isTexture) {
+            const scene = this.engine?.mainScene;
+            return scene?.environment === asset || scene?.background === asset;
+        }
+        return !!asset.parent || !!this.engine?.lodController?.isDisplayed(asset);
+    }
+    
+    /**
+     * 估算资产占用的显存（几何体属性与纹理）
+     * @private
+     */
+    _estimateAssetBytes(asset) {
+        if (!asset) return 0;
+        if (asset.isTexture) return this._estimateTextureBytes(asset);
+        
+        let bytes = 0;
+        const seen = new Set();
+        asset.traverse?.(child => {
+            const geometry = child.geometry;
+            if (geometry && !seen.has(geometry)) {
+                seen.add(geometry);
+                Object.values(geometry.attributes || {}).forEach(attribute => { bytes += attribute.array?.byteLength || 0; });
+                bytes += geometry.index?.array?.byteLength || 0;
+            }
+            const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+            materials.forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value?.isTexture && !seen.has(value)) {
+                        seen.add(value);
+                        bytes += this._estimateTextureBytes(value);
+                    }
+                });
+            });
+        });
+        return bytes;
+    }
+    
+    _estimateTextureBytes(texture) {
+        if (texture.isCompressedTexture && texture.mipmaps?.length) {
+            return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data?.byteLength || 0), 0);
+        }
+        const width = texture.image?.width || 0;
+        const height = texture.image?.height || 0;
+        const bytesPerPixel = texture.type === FloatType ? 16 : texture.type === HalfFloatType ? 8 : 4;
+        // 含 mipmap 约多出 1/3
+        return Math.round(width * height * bytesPerPixel * (texture.generateMipmaps ? 4 / 3 : 1));
+    }
+    
     // ============ 材质管理功能 ============
     //获取材质列表
     getMaterials(model, serverMaterials = null)
@@ -392,6 +927,8 @@ export class AssetsManager {
     dispose() {
         // 清除资产
         Object.values(this.assets).forEach(map => map.clear());
+        this._assetMeta.clear();
+        this.cache?.dispose();
         
         // 释放加载器
         this.modelLoader?.dispose();
@@ -402,6 +939,7 @@ export class AssetsManager {
         this.modelLoader = null;
         this.sceneLoader = null;
         this.materialLoader = null;
+        this.sceneExporter = null;
         this.pendingLoads = 0;
     }
 }
@@ -8,6 +8,7 @@ import * as THREE from "three";
 // 常量定义
 const MIN_TEXTURE_SIZE = 4; // 最小纹理尺寸
 const DEFAULT_ANISOTROPY = 4; // 默认各向异性过滤值
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]; // KTX2 文件头
 const TEXTURE_QUALITY_SETTINGS = {
     low: { maxSize: 1024, anisotropy: 1 },
     medium: { maxSize: 2048, anisotropy: 4 },
@@ -97,6 +98,167 @@ export class MaterialLoader {
         return exportData;
     }
 
+    /**
+     * 导出模型上通过接口修改过的材质覆盖项（用于场景状态保存）
+     * 只包含颜色/数值/布尔属性与纹理替换记录，不导出纹理像素数据
+     * @param {Object} model - Three.js 模型对象
+     * @returns {Array<Object>} 覆盖项列表 [{uuid, name, color, number, boolean, texture}]
+     */
+    exportMaterialOverrides(model) {
+        if (!model) return [];
+        const result = [];
+        this.getMaterials(model).forEach(info => {
+            const overrides = info.material?.userData?.__overrides;
+            if (!overrides) return;
+            result.push({
+                uuid: info.uuid,
+                name: info.name || '',
+                ...JSON.parse(JSON.stringify(overrides))
+            });
+        });
+        return result;
+    }
+
+    /**
+     * 将导出的材质覆盖项重新应用到模型
+     * 材质查找顺序与其他接口一致：uuid -> originalUuid -> name（重新加载后内部uuid会变化，优先使用名称）
+     * @param {Object} model - Three.js 模型对象
+     * @param {Array<Object>} overrides - exportMaterialOverrides 的返回值
+     * @returns {Promise<number>} 成功应用的覆盖项数量
+     */
+    async applyMaterialOverrides(model, overrides = []) {
+        if (!model || !Array.isArray(overrides)) return 0;
+        let applied = 0;
+
+        for (const entry of overrides) {
+            const key = entry.name || entry.uuid;
+            if (!key) continue;
+
+            Object.entries(entry.color || {}).forEach(([prop, value]) => {
+                if (this.updateMaterialColor(model, key, prop, value)) applied++;
+            });
+            Object.entries(entry.number || {}).forEach(([prop, value]) => {
+                if (this.updateMaterialProperty(model, key, prop, value)) applied++;
+            });
+            Object.entries(entry.boolean || {}).forEach(([prop, value]) => {
+                if (this.updateMaterialBooleanProperty(model, key, prop, value)) applied++;
+            });
+            for (const [mapType, source] of Object.entries(entry.texture || {})) {
+                const ok = source === null
+                    ? this.removeMaterialTexture(model, key, mapType)
+                    : await this.replaceMaterialTexture(model, key, mapType, source);
+                if (ok) applied++;
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * 预加载一组材质覆盖项，返回可同步应用的结果（用于一次性切换多项材质，避免逐项生效导致闪烁）
+     * 覆盖项格式与 exportMaterialOverrides 一致，另支持 material 字段指定材质（uuid/originalUuid/name）
+     * @param {Object} model - Three.js 模型对象
+     * @param {Array<Object>} overrides - 覆盖项列表
+     * @param {Object} [options={}] - 选项
+     * @param {Array<{mesh: THREE.Mesh, material: THREE.Material}>} [options.materialSwaps] - 将在覆盖项之前应用的材质切换（如材质变体），覆盖项按切换后的材质查找
+     * @returns {Promise<{apply: Function, dispose: Function}|null>} 纹理加载失败时返回 null
+     */
+    async prepareMaterialOverrides(model, overrides = [], options = {}) {
+        if (!model || !Array.isArray(overrides)) return null;
+
+        // 只遍历一次模型
+        const materials = this._getMaterialsWithSwaps(model, options.materialSwaps);
+        const findMaterial = key => materials.find(m => m.uuid === key || m.originalUuid === key || m.name === key);
+
+        const steps = [];
+        const loads = [];
+        for (const entry of overrides) {
+            const key = entry.material ?? entry.name ?? entry.uuid;
+            const target = key != null ? findMaterial(key) : null;
+            if (!target) {
+                console.warn(`prepareMaterialOverrides: 未找到材质 ${key}`);
+                continue;
+            }
+            ['color', 'number', 'boolean'].forEach(type => {
+                Object.entries(entry[type] || {}).forEach(([prop, value]) => steps.push({ target, type, prop, value }));
+            });
+            Object.entries(entry.texture || {}).forEach(([mapType, source]) => {
+                if (!this._isValidTextureType(mapType)) {
+                    console.warn(`无效的纹理类型: ${mapType}`);
+                    return;
+                }
+                const step = { target, type: 'texture', prop: mapType, value: source, texture: null };
+                steps.push(step);
+                if (source !== null) {
+                    loads.push(this._loadTextureFromSource(source, mapType).then(async texture => {
+                        if (!texture) throw new Error('纹理加载失败');
+                        await this._waitForTexture(texture);
+                        step.texture = texture;
+                    }));
+                }
+            });
+        }
+
+        const dispose = () => steps.forEach(step => step.texture?.dispose());
+        const results = await Promise.allSettled(loads);
+        const failed = results.find(r => r.status === 'rejected');
+        if (failed) {
+            console.error('prepareMaterialOverrides: 纹理预加载失败', failed.reason);
+            dispose();
+            return null;
+        }
+
+        return {
+            dispose,
+            // 同步应用全部覆盖项，返回成功数量
+            apply: () => {
+                let applied = 0;
+                steps.forEach(step => {
+                    const material = step.target.material;
+                    if (step.type !== 'texture') {
+                        if (this._applyMaterialProperty(step.target, step.prop, step.value, step.type)) applied++;
+                        return;
+                    }
+                    if (step.value === null) {
+                        const oldTexture = material[step.prop];
+                        if (oldTexture) {
+                            oldTexture.dispose();
+                            material[step.prop] = null;
+                            material.needsUpdate = true;
+                        }
+                    } else {
+                        // 不回写 mesh.material：批量应用前可能已切换过材质（变体）
+                        this._assignTexture(step.target, step.prop, step.texture, false);
+                        step.texture = null;
+                    }
+                    if (step.value === null || typeof step.value === 'string') {
+                        this._recordOverride(material, 'texture', step.prop, step.value);
+                    }
+                    applied++;
+                });
+                return applied;
+            }
+        };
+    }
+
+    /**
+     * 按材质切换后的状态收集模型材质：临时应用切换、收集后立即还原（同步完成，不会被渲染到）
+     * @private
+     * @param {Object} model - Three.js 模型对象
+     * @param {Array<{mesh: THREE.Mesh, material: THREE.Material}>} [swaps] - 材质切换
+     * @returns {Array<Object>} getMaterials 的返回值
+     */
+    _getMaterialsWithSwaps(model, swaps) {
+        if (!Array.isArray(swaps) || swaps.length === 0) return this.getMaterials(model);
+        const originals = swaps.map(({ mesh }) => mesh.material);
+        swaps.forEach(({ mesh, material }) => { mesh.material = material; });
+        try {
+            return this.getMaterials(model);
+        } finally {
+            swaps.forEach(({ mesh }, i) => { mesh.material = originals[i]; });
+        }
+    }
+
     /**
      * 生成稳定的材质ID
      */
@@ -283,38 +445,6 @@ export class MaterialLoader {
                 return false;
             }
 
-            // 获取原始纹理用于后续释放，并保存其参数
-            const originalTexture = material[textureType];
-            let originalTextureParams = null;
-            if (originalTexture) {
-                originalTextureParams = {
-                    offset: originalTexture.offset ? originalTexture.offset.clone() : new THREE.Vector2(0, 0),
-                    repeat: originalTexture.repeat ? originalTexture.repeat.clone() : new THREE.Vector2(1, 1),
-                    wrapS: originalTexture.wrapS || THREE.RepeatWrapping,
-                    wrapT: originalTexture.wrapT || THREE.RepeatWrapping,
-                    minFilter: originalTexture.minFilter || THREE.LinearFilter,
-                    magFilter: originalTexture.magFilter || THREE.LinearFilter,
-                    generateMipmaps: originalTexture.generateMipmaps !== false,
-                    // 追加的保持一致性参数
-                    colorSpace: originalTexture.colorSpace,
-                    encoding: originalTexture.encoding,
-                    flipY: originalTexture.flipY,
-                    anisotropy: originalTexture.anisotropy || 1,
-                    rotation: originalTexture.rotation || 0,
-                    center: originalTexture.center ? originalTexture.center.clone() : new THREE.Vector2(0.5, 0.5)
-                };
-            }
-            
-            // 保存材质的透明度相关属性，避免替换纹理时丢失透明度
-            const materialProperties = {
-                transparent: material.transparent,
-                opacity: material.opacity,
-                alphaTest: material.alphaTest,
-                side: material.side,
-                depthWrite: material.depthWrite,
-                depthTest: material.depthTest
-            };
-
             // 加载新纹理
             const newTexture = await this._loadTextureFromSource(textureSource, textureType);
             
@@ -323,102 +453,19 @@ export class MaterialLoader {
             }
 
             // 等待纹理真正完成加载
-            await new Promise((resolve, reject) => {
-                if (newTexture.image && newTexture.image.complete) {
-                    resolve();
-                } else {
-                    newTexture.onLoad = resolve;
-                    newTexture.onError = reject;
-                    // 如果纹理已经有内容，手动触发加载完成
-                    if (newTexture.image && newTexture.image.width > 0) {
-                        resolve();
-                    }
-                }
-            });
+            await this._waitForTexture(newTexture);
 
             // 验证新纹理质量
             if (!this._validateTextureQuality(newTexture, textureType)) {
                 // console.warn(`纹理质量验证失败: ${textureType}, 但继续使用该纹理`);
             }
 
-            // 释放旧纹理
-            if (originalTexture && originalTexture.dispose) {
-                originalTexture.dispose();
-            }
+            this._assignTexture(targetMaterial, textureType, newTexture);
 
-            // 应用新纹理
-            material[textureType] = newTexture;
-            
-            // 正确设置纹理参数 - 保持原始参数或使用默认值
-            if (newTexture) {
-                if (originalTextureParams) {
-                    // 保持原始纹理的UV参数
-                    newTexture.offset.copy(originalTextureParams.offset);
-                    newTexture.repeat.copy(originalTextureParams.repeat);
-                    newTexture.rotation = originalTextureParams.rotation;
-                    newTexture.center.copy(originalTextureParams.center);
-                    newTexture.wrapS = originalTextureParams.wrapS;
-                    newTexture.wrapT = originalTextureParams.wrapT;
-                    newTexture.minFilter = originalTextureParams.minFilter;
-                    newTexture.magFilter = originalTextureParams.magFilter;
-                    newTexture.generateMipmaps = originalTextureParams.generateMipmaps;
-                    newTexture.anisotropy = originalTextureParams.anisotropy;
-                    if (typeof originalTextureParams.flipY !== 'undefined') newTexture.flipY = originalTextureParams.flipY;
-                    // 保持原始的颜色空间/编码（向后兼容）
-                    if (typeof originalTextureParams.colorSpace !== 'undefined') {
-                        newTexture.colorSpace = originalTextureParams.colorSpace;
-                    }
-                    if (typeof originalTextureParams.encoding !== 'undefined') {
-                        newTexture.encoding = originalTextureParams.encoding;
-                    }
-                } else {
-                    // 只有在没有原始纹理时才使用默认值
-                    newTexture.offset.set(0, 0);
-                    newTexture.repeat.set(1, 1);
-                    newTexture.wrapS = THREE.RepeatWrapping;
-                    newTexture.wrapT = THREE.RepeatWrapping;
-                    newTexture.minFilter = THREE.LinearFilter;
-                    newTexture.magFilter = THREE.LinearFilter;
-                    newTexture.generateMipmaps = true;
-                    // 根据纹理类型设置合理色彩空间
-                    this._setCorrectColorSpace(newTexture, textureType);
-                }
-                newTexture.needsUpdate = true;
+            // 记录纹理覆盖（仅可序列化的字符串来源）
+            if (typeof textureSource === 'string') {
+                this._recordOverride(material, 'texture', textureType, textureSource);
             }
-                        
-            // 如果此材质绑定在任何SkinnedMesh上，确保开启skinning 以正确响应骨骼动画
-            if (targetMaterial.meshes && Array.isArray(targetMaterial.meshes)) {
-                targetMaterial.meshes.forEach(meshInfo => {
-                    const mesh = meshInfo.mesh;
-                    if (mesh && mesh.isSkinnedMesh && 'skinning' in material) {
-                        material.skinning = true;
-                    }
-                });
-            }
-            
-            // 恢复透明度等属性
-            if (materialProperties) {
-                material.transparent = materialProperties.transparent;
-                material.opacity = materialProperties.opacity;
-                material.alphaTest = materialProperties.alphaTest;
-                material.side = materialProperties.side;
-                material.depthWrite = materialProperties.depthWrite;
-                material.depthTest = materialProperties.depthTest;
-            }
-            
-            material.needsUpdate = true;
-            
-            // 强制更新所有使用此材质的mesh
-            targetMaterial.meshes.forEach(meshInfo => {
-                const mesh = meshInfo.mesh;
-                if (mesh && mesh.isMesh) {
-                    if (Array.isArray(mesh.material)) {
-                        mesh.material[meshInfo.materialIndex] = material;
-                    } else {
-                        mesh.material = material;
-                    }
-                }
-            });
 
             // 通知外部：材质纹理替换完成（通过引擎事件系统）
             if (this.engine && this.engine.events) {
@@ -453,6 +500,155 @@ export class MaterialLoader {
         }
     }
 
+    /**
+     * 将已加载的纹理赋给材质（同步），保持原纹理的UV/采样参数与材质透明度设置
+     * @private
+     * @param {Object} targetMaterial - getMaterials 返回的材质信息
+     * @param {string} textureType - 纹理类型
+     * @param {THREE.Texture} newTexture - 已加载完成的纹理
+     * @param {boolean} [reassignMeshes=true] - 是否将材质重新赋给 targetMaterial.meshes 中的 mesh
+     */
+    _assignTexture(targetMaterial, textureType, newTexture, reassignMeshes = true) {
+        const material = targetMaterial.material;
+
+        // 获取原始纹理用于后续释放，并保存其参数
+        const originalTexture = material[textureType];
+        let originalTextureParams = null;
+        if (originalTexture) {
+            originalTextureParams = {
+                offset: originalTexture.offset ? originalTexture.offset.clone() : new THREE.Vector2(0, 0),
+                repeat: originalTexture.repeat ? originalTexture.repeat.clone() : new THREE.Vector2(1, 1),
+                wrapS: originalTexture.wrapS || THREE.RepeatWrapping,
+                wrapT: originalTexture.wrapT || THREE.RepeatWrapping,
+                minFilter: originalTexture.minFilter || THREE.LinearFilter,
+                magFilter: originalTexture.magFilter || THREE.LinearFilter,
+                generateMipmaps: originalTexture.generateMipmaps !== false,
+                // 追加的保持一致性参数
+                colorSpace: originalTexture.colorSpace,
+                encoding: originalTexture.encoding,
+                flipY: originalTexture.flipY,
+                anisotropy: originalTexture.anisotropy || 1,
+                rotation: originalTexture.rotation || 0,
+                center: originalTexture.center ? originalTexture.center.clone() : new THREE.Vector2(0.5, 0.5)
+            };
+        }
+        
+        // 保存材质的透明度相关属性，避免替换纹理时丢失透明度
+        const materialProperties = {
+            transparent: material.transparent,
+            opacity: material.opacity,
+            alphaTest: material.alphaTest,
+            side: material.side,
+            depthWrite: material.depthWrite,
+            depthTest: material.depthTest
+        };
+
+        // 释放旧纹理
+        if (originalTexture && originalTexture.dispose) {
+            originalTexture.dispose();
+        }
+
+        // 应用新纹理
+        material[textureType] = newTexture;
+        
+        // 正确设置纹理参数 - 保持原始参数或使用默认值
+        if (newTexture) {
+            if (originalTextureParams) {
+                // 保持原始纹理的UV参数
+                newTexture.offset.copy(originalTextureParams.offset);
+                newTexture.repeat.copy(originalTextureParams.repeat);
+                newTexture.rotation = originalTextureParams.rotation;
+                newTexture.center.copy(originalTextureParams.center);
+                newTexture.wrapS = originalTextureParams.wrapS;
+                newTexture.wrapT = originalTextureParams.wrapT;
+                newTexture.minFilter = originalTextureParams.minFilter;
+                newTexture.magFilter = originalTextureParams.magFilter;
+                newTexture.generateMipmaps = originalTextureParams.generateMipmaps;
+                newTexture.anisotropy = originalTextureParams.anisotropy;
+                if (typeof originalTextureParams.flipY !== 'undefined') newTexture.flipY = originalTextureParams.flipY;
+                // 保持原始的颜色空间/编码（向后兼容）
+                if (typeof originalTextureParams.colorSpace !== 'undefined') {
+                    newTexture.colorSpace = originalTextureParams.colorSpace;
+                }
+                if (typeof originalTextureParams.encoding !== 'undefined') {
+                    newTexture.encoding = originalTextureParams.encoding;
+                }
+            } else {
+                // 只有在没有原始纹理时才使用默认值
+                newTexture.offset.set(0, 0);
+                newTexture.repeat.set(1, 1);
+                newTexture.wrapS = THREE.RepeatWrapping;
+                newTexture.wrapT = THREE.RepeatWrapping;
+                newTexture.minFilter = THREE.LinearFilter;
+                newTexture.magFilter = THREE.LinearFilter;
+                newTexture.generateMipmaps = true;
+                // 根据纹理类型设置合理色彩空间
+                this._setCorrectColorSpace(newTexture, textureType);
+            }
+            // 压缩纹理（KTX2）的 mipmap 与翻转由文件决定，GPU 端无法生成或翻转
+            if (newTexture.isCompressedTexture) {
+                newTexture.flipY = false;
+                newTexture.generateMipmaps = false;
+                newTexture.minFilter = newTexture.mipmaps?.length > 1 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+            }
+            newTexture.needsUpdate = true;
+        }
+                    
+        // 如果此材质绑定在任何SkinnedMesh上，确保开启skinning 以正确响应骨骼动画
+        if (targetMaterial.meshes && Array.isArray(targetMaterial.meshes)) {
+            targetMaterial.meshes.forEach(meshInfo => {
+                const mesh = meshInfo.mesh;
+                if (mesh && mesh.isSkinnedMesh && 'skinning' in material) {
+                    material.skinning = true;
+                }
+            });
+        }
+        
+        // 恢复透明度等属性
+        if (materialProperties) {
+            material.transparent = materialProperties.transparent;
+            material.opacity = materialProperties.opacity;
+            material.alphaTest = materialProperties.alphaTest;
+            material.side = materialProperties.side;
+            material.depthWrite = materialProperties.depthWrite;
+            material.depthTest = materialProperties.depthTest;
+        }
+        
+        material.needsUpdate = true;
+        
+        // 强制更新所有使用此材质的mesh
+        if (!reassignMeshes) return;
+        targetMaterial.meshes.forEach(meshInfo => {
+            const mesh = meshInfo.mesh;
+            if (mesh && mesh.isMesh) {
+                if (Array.isArray(mesh.material)) {
+                    mesh.material[meshInfo.materialIndex] = material;
+                } else {
+                    mesh.material = material;
+                }
+            }
+        });
+    }
+
+    /**
+     * 等待纹理图片加载完成
+     * @private
+     */
+    async _waitForTexture(newTexture) {
+        await new Promise((resolve, reject) => {
+            if (newTexture.image && newTexture.image.complete) {
+                resolve();
+            } else {
+                newTexture.onLoad = resolve;
+                newTexture.onError = reject;
+                // 如果纹理已经有内容，手动触发加载完成
+                if (newTexture.image && newTexture.image.width > 0) {
+                    resolve();
+                }
+            }
+        });
+    }
+
     /**
      * 移除材质纹理
      */
@@ -493,6 +689,7 @@ export class MaterialLoader {
                     THREE.Cache.remove(oldTexture.uuid);
                 }
             }
+            this._recordOverride(material, 'texture', textureType, null);
 
             return true;
         } catch (error) {
@@ -613,6 +810,24 @@ export class MaterialLoader {
                 return false;
             }
 
+            return this._applyMaterialProperty(targetMaterial, propertyName, value, type);
+        } catch (error) {
+            console.error('修改材质属性失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 将属性值应用到已找到的材质（不做材质查找）
+     * @private
+     * @param {Object} targetMaterial - getMaterials 返回的材质信息
+     * @param {string} propertyName - 属性名
+     * @param {*} value - 属性值
+     * @param {'color'|'number'|'boolean'} type - 属性类型
+     * @returns {boolean} 是否应用成功
+     */
+    _applyMaterialProperty(targetMaterial, propertyName, value, type) {
+        try {
             const material = targetMaterial.material;
             let processedValue = value;
 
@@ -795,6 +1010,7 @@ export class MaterialLoader {
             }
 
             material.needsUpdate = true;
+            this._recordOverride(material, type, propertyName, value);
             
             // 强制刷新所有使用此材质的网格
             targetMaterial.meshes.forEach(meshInfo => {
@@ -815,6 +1031,22 @@ export class MaterialLoader {
     }
 
     // ========== 私有方法 ==========
+    /**
+     * 记录材质覆盖项（保存在 material.userData.__overrides 中，随材质生命周期存在）
+     * @private
+     * @param {THREE.Material} material - 材质
+     * @param {string} type - 覆盖类型 color|number|boolean|texture
+     * @param {string} key - 属性名或纹理类型
+     * @param {*} value - 原始传入值
+     */
+    _recordOverride(material, type, key, value) {
+        if (!material) return;
+        if (!material.userData) material.userData = {};
+        const overrides = material.userData.__overrides || (material.userData.__overrides = {});
+        if (!overrides[type]) overrides[type] = {};
+        overrides[type][key] = value;
+    }
+
     /**
      * 根据材质透明状态更新 mesh 的 renderOrder
      * 渲染顺序：不透明 mesh = 0，热点和透明 mesh = 2
@@ -924,10 +1156,101 @@ export class MaterialLoader {
         return true;
     }
 
+    /**
+     * 判断纹理源是否为 KTX2（.ktx2 地址、image/ktx2 数据/文件或带 KTX2 文件头的二进制）
+     * @private
+     */
+    _isKTX2Source(source) {
+        if (typeof source === 'string') {
+            if (source.startsWith('data:')) return source.startsWith('data:image/ktx2');
+            return source.split(/[?#]/)[0].toLowerCase().endsWith('.ktx2');
+        }
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            return source.type === 'image/ktx2' || (source.name || '').toLowerCase().endsWith('.ktx2');
+        }
+        if (source instanceof ArrayBuffer) {
+            const header = new Uint8Array(source, 0, Math.min(KTX2_IDENTIFIER.length, source.byteLength));
+            return KTX2_IDENTIFIER.every((byte, i) => header[i] === byte);
+        }
+        return false;
+    }
+
+    /**
+     * 使用引擎共享的 KTX2Loader 加载压缩纹理
+     * @private
+     */
+    async _loadKTX2Texture(source, textureType) {
+        const ktx2Loader = this.engine?.assetsManager?.modelLoader?.getKTX2Loader?.();
+        if (!ktx2Loader) {
+            throw new Error('KTX2Loader 未初始化（需要渲染器）');
+        }
+
+        let texture;
+        if (typeof source === 'string' && !source.startsWith('data:')) {
+            texture = await ktx2Loader.loadAsync(source);
+        } else {
+            let buffer = source;
+            if (typeof source === 'string') {
+                buffer = await (await fetch(source)).arrayBuffer();
+            } else if (!(source instanceof ArrayBuffer)) {
+                buffer = await source.arrayBuffer();
+            }
+            texture = await new Promise((resolve, reject) => ktx2Loader.parse(buffer, resolve, reject));
+        }
+
+        if (typeof source === 'string' && !source.startsWith('data:')) {
+            texture.userData.sourceUrl = source;
+        }
+
+        // 未显式声明色彩空间的文件按纹理类型设置
+        if (!texture.colorSpace || texture.colorSpace === THREE.NoColorSpace) {
+            this._setCorrectColorSpace(texture, textureType);
+        }
+        texture.anisotropy = Math.min(this.maxAnisotropy, texture.anisotropy || this.maxAnisotropy);
+        return texture;
+    }
+
+    /**
+     * 经由持久化缓存加载远程纹理（字节缓存在 IndexedDB，解码流程与直接加载相同）
+     * @private
+     * @returns {Promise<THREE.Texture|null>} 缓存不可用时为 null
+     */
+    async _loadCachedTexture(cache, source, textureType) {
+        const cached = await cache.fetch(source);
+        if (!cached) return null;
+
+        let texture;
+        if (this._isKTX2Source(source)) {
+            texture = await this._loadKTX2Texture(cached.buffer, textureType);
+        } else {
+            const objectUrl = URL.createObjectURL(new Blob([cached.buffer], { type: cached.contentType }));
+            try {
+                texture = await this._loadTextureFromSource(objectUrl, textureType);
+            } finally {
+                URL.revokeObjectURL(objectUrl);
+            }
+        }
+        if (texture) texture.userData.sourceUrl = source;
+        return texture;
+    }
+
     /**
      * 从不同源加载纹理 
      */
     async _loadTextureFromSource(source, textureType = 'map') {
+        // 远程纹理优先经由持久化缓存读取，失败时回到原有加载流程
+        const cache = this.engine?.assetsManager?.cache;
+        if (cache?.isCacheable(source)) {
+            const texture = await this._loadCachedTexture(cache, source, textureType).catch(error => {
+                console.warn('纹理缓存读取失败，改为直接加载:', source, error?.message);
+                return null;
+            });
+            if (texture) return texture;
+        }
+        // KTX2/Basis 压缩纹理交给 KTX2Loader 转码（GPU 压缩格式，不做尺寸调整）
+        if (this._isKTX2Source(source)) {
+            return this._loadKTX2Texture(source, textureType);
+        }
         return new Promise((resolve, reject) => {
             if (source === null || source === undefined) {
                 resolve(null);
@@ -1205,7 +1528,8 @@ export class MaterialLoader {
                 const originalColorSpace = texture.colorSpace;
                 const originalEncoding = texture.encoding;
                 
-                const originalUrl = texture.image && texture.image.src ? texture.image.src : null;
+                // 优先保存来源地址（经缓存或 KTX2 加载的纹理 image.src 为已回收的 Object URL 或不存在）
+                const originalUrl = texture.userData?.sourceUrl || (texture.image && texture.image.src ? texture.image.src : null);
                 let thumbUrl = null;
                 let url = null;
                 
@@ -1215,7 +1539,7 @@ export class MaterialLoader {
     
                 try {
                     const img = texture.image;
-                    if (img && img.width && img.height) {
+                    if (img && img.width && img.height && !texture.isCompressedTexture) {
                         // 1. 生成缩略图（所有类型都生成，用于UI预览）
                         const max = 256;
                         const s = Math.min(max / img.width, max / img.height, 1);
@@ -27,11 +27,14 @@ function initializeBVH() {
 
 // 3D模型加载器，支持GLTF/GLB(含Draco压缩)、FBX、OBJ、STL格式
 export class ModelLoader {
-  // renderer参数用于KTX2纹理加载
-  constructor(renderer = null, onProgress = null) {
+  // renderer参数用于KTX2纹理加载，options.transcoderPath 为 KTX2/Basis 转码器路径
+  constructor(renderer = null, onProgress = null, options = {}) {
     this.loadingManager = new LoadingManager();
     this.renderer = renderer;
     this.onProgressCallback = onProgress;
+    this.transcoderPath = options.transcoderPath || '/libs/basis/';
+    // glTF 解析器（按模型缓存，用于按需加载 KHR_materials_variants 的变体材质）
+    this.gltfParsers = new WeakMap();
     
     // 初始化 BVH（只需执行一次）
     initializeBVH();
@@ -224,7 +227,8 @@ export class ModelLoader {
   }
   
   // 通用加载方法 - 根据文件扩展名自动选择加载器
-  load(url, onLoad, onProgress, onError) {
+  // options.signal 为 AbortSignal，触发后立即以 signal.reason 回调 onError，之后完成的结果会被释放
+  load(url, onLoad, onProgress, onError, options = {}) {
     // 检测文件扩展名来确定加载器类型
     const extension = url.split('.').pop().toLowerCase();
     let loadMethod;
@@ -249,15 +253,38 @@ export class ModelLoader {
     }
     
     // 调用对应的加载方法
-    return this[loadMethod](url, onLoad, onProgress, onError);
+    return this[loadMethod](url, onLoad, onProgress, onError, options);
   }
   
-  loadAsync(url) {
+  loadAsync(url, options = {}) {
     return new Promise((resolve, reject) => {
-      this.load(url, resolve, null, reject);
+      this.load(url, resolve, null, reject, options);
     });
   }
   
+  // 取消时立即回调 onError(signal.reason)，返回只回调一次的 onError
+  // 加载器与 LoadingManager 共用（保留进度、错误、URL 改写回调和 DRACO/KTX2 配置），无法只中断某一个请求，
+  // 请求完成后由 _rejectIfAborted 释放并丢弃结果
+  _rejectOnAbort(signal, onError) {
+    if (!signal) return onError;
+    let called = false;
+    const once = (error) => {
+      if (called) return;
+      called = true;
+      if (onError) onError(error);
+    };
+    signal.addEventListener('abort', () => once(signal.reason), { once: true });
+    return once;
+  }
+  
+  // 已取消时回调 onError(signal.reason) 并执行清理，返回是否已取消
+  _rejectIfAborted(signal, onError, cleanup) {
+    if (!signal?.aborted) return false;
+    cleanup?.();
+    if (onError) onError(signal.reason);
+    return true;
+  }
+  
   // 批量加载模型
   async loadMultiple(urls, options = {}) {
     const results = [];
@@ -300,12 +327,31 @@ export class ModelLoader {
     if (this.renderer) {
       this.ktx2Loader = new KTX2Loader(this.loadingManager);
       this.ktx2Loader.crossOrigin = 'anonymous';
-      // 使用 public 目录下的解码器文件（Vite 会将 public 目录映射到根路径）
-      this.ktx2Loader.setTranscoderPath('/libs/basis/');
+      // 默认使用 public 目录下的转码器文件（Vite 会将 public 目录映射到根路径）
+      this.ktx2Loader.setTranscoderPath(this.transcoderPath);
       this.ktx2Loader.detectSupport(this.renderer);
     }
   }
   
+  // 设置KTX2转码器路径（转码器在首次使用时加载，已创建的加载器会被替换）
+  setTranscoderPath(path) {
+    if (!path || path === this.transcoderPath) return;
+    this.transcoderPath = path.endsWith('/') ? path : `${path}/`;
+    if (this.ktx2Loader) {
+      this.ktx2Loader.dispose();
+      this.ktx2Loader = null;
+    }
+    this.initKTX2Loader();
+    if (this.ktx2Loader && this.gltfLoader) {
+      this.gltfLoader.setKTX2Loader(this.ktx2Loader);
+    }
+  }
+  
+  // 获取KTX2加载器（无渲染器时为 null）
+  getKTX2Loader() {
+    return this.ktx2Loader || null;
+  }
+  
   // 初始化GLTF加载器
   initGLTFLoader() {
     this.gltfLoader = new GLTFLoader(this.loadingManager);
@@ -318,10 +364,17 @@ export class ModelLoader {
   }
   
   // 加载GLTF/GLB模型
-  loadGLTF(url, onLoad, onProgress, onError) {
+  loadGLTF(url, onLoad, onProgress, onError, options = {}) {
+    const { signal } = options;
+    if (this._rejectIfAborted(signal, onError)) return;
+    onError = this._rejectOnAbort(signal, onError);
+    
     this.gltfLoader.load(
       url,
       (gltf) => {
+        // 取消后才解析完成：释放已创建的几何体、材质与纹理
+        if (this._rejectIfAborted(signal, onError, () => this.disposeModel(gltf.scene))) return;
+        
         console.log("ModelLoader: GLTF加载完成", {
           url,
           hasScene: !!gltf.scene,
@@ -374,6 +427,7 @@ export class ModelLoader {
         if (onProgress) onProgress(xhr);
       },
       (error) => {
+        if (this._rejectIfAborted(signal, onError)) return;
         console.error('Error loading GLTF:', error);
         this.handleLoadError(url, error);
         if (onError) onError(error);
@@ -408,10 +462,22 @@ export class ModelLoader {
       }
     });
     
+    // KHR_materials_variants：记录变体名称，保留解析器以便切换时按需加载材质
+    const variants = gltf.userData?.gltfExtensions?.KHR_materials_variants?.variants;
+    if (Array.isArray(variants) && variants.length > 0 && gltf.parser) {
+      gltf.scene.userData.gltfVariants = variants.map((v, i) => v?.name || `variant_${i}`);
+      this.gltfParsers.set(gltf.scene, gltf.parser);
+    }
+    
     // 构建 BVH 索引（加速射线检测）
     this.buildBVH(gltf.scene);
   }
   
+  // 获取模型对应的 glTF 解析器（仅包含材质变体的模型会保留）
+  getGLTFParser(model) {
+    return this.gltfParsers.get(model) || null;
+  }
+  
   // 处理加载错误
   handleLoadError(url, error) {
     if (error.message.includes('404')) {
@@ -424,10 +490,15 @@ export class ModelLoader {
   }
   
   // 加载FBX模型
-  loadFBX(url, onLoad, onProgress, onError) {
+  loadFBX(url, onLoad, onProgress, onError, options = {}) {
+    const { signal } = options;
+    if (this._rejectIfAborted(signal, onError)) return;
+    onError = this._rejectOnAbort(signal, onError);
+    
     this.fbxLoader.load(
       url,
       (fbx) => {
+        if (this._rejectIfAborted(signal, onError, () => this.disposeModel(fbx))) return;
         // FBX通常需要缩放调整，但不强制应用
         // 让用户通过options来控制缩放
         console.log("ModelLoader: FBX加载完成", {
@@ -441,6 +512,7 @@ export class ModelLoader {
       },
       (xhr) => this._handleXHRProgress(xhr, url, onProgress),
       (error) => {
+        if (this._rejectIfAborted(signal, onError)) return;
         console.error('Error loading FBX:', error);
         if (onError) onError(error);
       }
@@ -448,14 +520,20 @@ export class ModelLoader {
   }
   
   // 加载OBJ模型
-  loadOBJ(url, onLoad, onProgress, onError) {
+  loadOBJ(url, onLoad, onProgress, onError, options = {}) {
+    const { signal } = options;
+    if (this._rejectIfAborted(signal, onError)) return;
+    onError = this._rejectOnAbort(signal, onError);
+    
     this.objLoader.load(
       url,
       (obj) => {
+        if (this._rejectIfAborted(signal, onError, () => this.disposeModel(obj))) return;
         if (onLoad) onLoad(obj);
       },
       (xhr) => this._handleXHRProgress(xhr, url, onProgress),
       (error) => {
+        if (this._rejectIfAborted(signal, onError)) return;
         console.error('Error loading OBJ:', error);
         if (onError) onError(error);
       }
@@ -463,20 +541,47 @@ export class ModelLoader {
   }
   
   // 加载STL模型
-  loadSTL(url, onLoad, onProgress, onError) {
+  loadSTL(url, onLoad, onProgress, onError, options = {}) {
+    const { signal } = options;
+    if (this._rejectIfAborted(signal, onError)) return;
+    onError = this._rejectOnAbort(signal, onError);
+    
     this.stlLoader.load(
       url,
       (geometry) => {
+        if (this._rejectIfAborted(signal, onError, () => geometry.dispose())) return;
         if (onLoad) onLoad(geometry);
       },
       (xhr) => this._handleXHRProgress(xhr, url, onProgress),
       (error) => {
+        if (this._rejectIfAborted(signal, onError)) return;
         console.error('Error loading STL:', error);
         if (onError) onError(error);
       }
     );
   }
   
+  // 释放模型占用的几何体、BVH、材质与纹理（模型需已从场景移除）
+  disposeModel(model) {
+    if (!model) return;
+    const textures = new Set();
+    model.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.disposeBoundsTree?.();
+        child.geometry.dispose();
+      }
+      const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+      materials.forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value?.isTexture) textures.add(value);
+        });
+        material.dispose();
+      });
+    });
+    textures.forEach((texture) => texture.dispose());
+    this.gltfParsers.delete(model);
+  }
+
   // 获取加载状态
   getLoadingStats() {
     return {
@@ -0,0 +1,499 @@
+import { Box3, BufferGeometry, Group, Mesh, MeshStandardMaterial, Object3D, PropertyBinding, Vector3 } from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { USDZExporter } from "three/examples/jsm/exporters/USDZExporter.js";
+import { decompress } from "three/examples/jsm/utils/WebGLTextureUtils.js";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { isHelperObject } from "../sceneHelpers.js";
+
+// USDZ（UsdPreviewSurface）可导出的贴图槽
+const USDZ_MAP_KEYS = ['map', 'emissiveMap', 'normalMap', 'aoMap', 'roughnessMap', 'metalnessMap', 'alphaMap'];
+
+const USDZ_ALIGNMENT = 64;          // USDZ 要求每个文件数据按 64 字节对齐
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL = 0x06054b50;
+
+/**
+ * 校验 USDZ 包结构（不依赖浏览器，可在 Node 脚本中对导出结果运行）
+ * 规则：ZIP 中全部文件不压缩、第一个文件为 .usda/.usdc 根图层、每个文件数据起始偏移按 64 字节对齐、
+ * 本地文件头与中央目录的条目数一致
+ * @param {ArrayBuffer|Uint8Array} data USDZ 数据
+ * @returns {{valid: boolean, errors: Array<string>, entries: Array<{name: string, offset: number, size: number}>}}
+ */
+export function validateUSDZ(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const entries = [];
+    const errors = [];
+
+    let pos = 0;
+    while (pos + 30 <= bytes.length && view.getUint32(pos, true) === ZIP_LOCAL_HEADER) {
+        const flags = view.getUint16(pos + 6, true);
+        const method = view.getUint16(pos + 8, true);
+        const size = view.getUint32(pos + 18, true);
+        const nameLength = view.getUint16(pos + 26, true);
+        const extraLength = view.getUint16(pos + 28, true);
+        const name = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLength));
+        const offset = pos + 30 + nameLength + extraLength;
+
+        if (method !== 0) errors.push(`${name}: 使用了压缩（method ${method}），USDZ 要求不压缩存储`);
+        if (flags & 0x08) errors.push(`${name}: 使用了数据描述符，文件头中缺少大小`);
+        if (offset % USDZ_ALIGNMENT !== 0) errors.push(`${name}: 数据偏移 ${offset} 未按 ${USDZ_ALIGNMENT} 字节对齐`);
+        if (offset + size > bytes.length) {
+            errors.push(`${name}: 数据超出文件末尾`);
+            break;
+        }
+        entries.push({ name, offset, size });
+        pos = offset + size;
+    }
+
+    if (entries.length === 0) {
+        errors.push('不是有效的 ZIP 文件或不包含任何文件');
+    } else if (!/\.usd[ac]?$/i.test(entries[0].name)) {
+        errors.push(`第一个文件应为 USD 根图层（如 model.usda），实际为 ${entries[0].name}`);
+    }
+
+    if (pos + 4 > bytes.length || view.getUint32(pos, true) !== ZIP_CENTRAL_HEADER) {
+        errors.push('文件条目之后缺少中央目录');
+    } else {
+        let end = -1;
+        for (let i = bytes.length - 22; i >= pos; i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL) { end = i; break; }
+        }
+        if (end < 0) {
+            errors.push('缺少中央目录结束记录');
+        } else if (view.getUint16(end + 10, true) !== entries.length) {
+            errors.push(`中央目录记录 ${view.getUint16(end + 10, true)} 个文件，实际读取到 ${entries.length} 个`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, entries };
+}
+
+/**
+ * 场景导出器 - 负责将编辑后的场景导出为 glTF/GLB，以及供 iOS AR Quick Look 使用的 USDZ
+ */
+export class SceneExporter {
+    /**
+     * 创建场景导出器
+     * @param {Engine} engine 引擎实例
+     */
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    /**
+     * 导出场景为 glTF
+     * @param {Object} [options={}] 导出选项
+     * @param {boolean} [options.binary=true] 是否导出为 GLB（ArrayBuffer），否则为 glTF JSON 对象
+     * @param {boolean} [options.includeHotspots=true] 是否将热点导出为带 extras 的空节点
+     * @param {boolean} [options.includeSplitClips=true] 是否导出 splitByTime 分割出的动画片段
+     * @param {boolean} [options.onlyVisible=true] 是否只导出可见对象
+     * @param {Array<string>} [options.modelIds] 只导出指定模型，不传则导出全部
+     * @returns {Promise<ArrayBuffer|Object>} GLB 数据或 glTF JSON
+     */
+    async exportGLTF(options = {}) {
+        const {
+            binary = true,
+            includeHotspots = true,
+            includeSplitClips = true,
+            onlyVisible = true,
+            modelIds = null
+        } = options;
+
+        const models = this._collectModels(modelIds);
+        if (models.size === 0 && !includeHotspots) {
+            throw new Error('没有可导出的模型');
+        }
+
+        const root = new Group();
+        root.name = 'Scene';
+        const animations = [];
+
+        models.forEach((model, modelId) => {
+            const copy = this._cloneModel(model, onlyVisible);
+            if (!copy) return;
+            root.add(copy);
+            animations.push(...this._bindClipsToModel(this._collectClips(model, modelId, includeSplitClips), model));
+        });
+
+        if (includeHotspots) {
+            const hotspotGroup = this._buildHotspotNodes(models);
+            if (hotspotGroup) root.add(hotspotGroup);
+        }
+
+        if (root.children.length === 0) {
+            throw new Error('没有可导出的对象');
+        }
+
+        const exporter = new GLTFExporter();
+        return exporter.parseAsync(root, {
+            binary,
+            onlyVisible: false,     // 可见性已在克隆时处理
+            animations: this._uniqueClips(animations),
+            trs: true
+        });
+    }
+
+    /**
+     * 导出模型为 USDZ（iOS AR Quick Look）
+     * 材质替换、贴图替换等编辑结果随材质引用一并导出；非 MeshStandardMaterial 的材质转换为标准材质
+     * @param {Object} [options={}] 导出选项
+     * @param {Array<string>} [options.modelIds] 只导出指定模型，不传则导出全部
+     * @param {boolean} [options.onlyVisible=true] 是否只导出可见对象
+     * @param {boolean} [options.keepTransform] 是否保留模型在场景中的变换（位置、旋转、缩放），
+     *        默认单个模型时不保留（按模型原始尺寸导出，Quick Look 中即为真实尺寸），多个模型时保留相对摆放
+     * @param {number} [options.scale=1] 额外缩放
+     * @param {'horizontal'|'vertical'} [options.alignment='horizontal'] Quick Look 放置平面
+     * @param {boolean} [options.quickLookCompatible=true] 按 Quick Look 的贴图变换规则导出
+     * @param {number} [options.maxTextureSize=1024] 贴图最大尺寸
+     * @returns {Promise<ArrayBuffer>} USDZ 数据
+     */
+    async exportUSDZ(options = {}) {
+        const {
+            modelIds = null,
+            onlyVisible = true,
+            scale = 1,
+            alignment = 'horizontal',
+            quickLookCompatible = true,
+            maxTextureSize = 1024
+        } = options;
+
+        const models = this._collectModels(modelIds);
+        if (models.size === 0) {
+            throw new Error('没有可导出的模型');
+        }
+        const keepTransform = options.keepTransform ?? models.size > 1;
+
+        const content = new Group();
+        models.forEach(model => {
+            const copy = this._cloneModel(model, onlyVisible);
+            if (!copy) return;
+            if (!keepTransform) {
+                copy.position.set(0, 0, 0);
+                copy.quaternion.identity();
+                copy.scale.set(1, 1, 1);
+            }
+            content.add(copy);
+        });
+        if (content.children.length === 0) {
+            throw new Error('没有可导出的对象');
+        }
+
+        const disposables = [];
+        this._prepareUSDZ(content, disposables);
+
+        // 放置原点在底面中心：Quick Look 把原点放到识别到的平面上
+        content.scale.setScalar(scale);
+        content.updateMatrixWorld(true);
+        const box = new Box3().setFromObject(content);
+        const root = new Group();
+        root.name = 'Scene';
+        if (!box.isEmpty()) {
+            const center = box.getCenter(new Vector3());
+            content.position.set(-center.x, -box.min.y, -center.z);
+        }
+        root.add(content);
+
+        const exporter = new USDZExporter();
+        // KTX2 等压缩贴图需解压后才能写入 PNG；decompress 会调用 renderer.setSize，
+        // 不传渲染器让它使用自己的临时渲染器，避免改动视口画布尺寸
+        exporter.setTextureUtils({ decompress: texture => decompress(texture, maxTextureSize) });
+
+        try {
+            const data = await exporter.parseAsync(root, {
+                ar: {
+                    anchoring: { type: 'plane' },
+                    planeAnchoring: { alignment: alignment === 'vertical' ? 'vertical' : 'horizontal' }
+                },
+                onlyVisible: false,     // 可见性已在克隆时处理
+                quickLookCompatible,
+                maxTextureSize
+            });
+            const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+            const { valid, errors } = validateUSDZ(buffer);
+            if (!valid) console.warn('exportUSDZ: 生成的 USDZ 结构不符合规范', errors);
+            return buffer;
+        } finally {
+            disposables.forEach(item => item.dispose());
+        }
+    }
+
+    // USDZExporter 只支持单材质的 MeshStandardMaterial：多材质网格按 group 拆分，其余材质转换为标准材质
+    _prepareUSDZ(root, disposables) {
+        const converted = new Map();
+        const convert = material => {
+            if (!converted.has(material)) {
+                const result = this._toUSDZMaterial(material);
+                if (result !== material) disposables.push(result);
+                converted.set(material, result);
+            }
+            return converted.get(material);
+        };
+
+        const meshes = [];
+        root.traverse(obj => {
+            if (obj.isMesh && !obj.isInstancedMesh) meshes.push(obj);
+        });
+
+        meshes.forEach(mesh => {
+            let geometry = mesh.geometry;
+            if (!geometry?.attributes?.position) return;
+            if (!geometry.attributes.normal) {
+                geometry = geometry.clone();
+                geometry.computeVertexNormals();
+                disposables.push(geometry);
+                mesh.geometry = geometry;
+            }
+
+            if (!Array.isArray(mesh.material)) {
+                mesh.material = convert(mesh.material);
+                return;
+            }
+
+            // 多材质网格：按 group 拆成单材质子网格，挂到替换原网格的同名节点下
+            const total = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+            const groups = geometry.groups.length > 0
+                ? geometry.groups
+                : [{ start: 0, count: total, materialIndex: 0 }];
+            const node = new Group();
+            node.name = mesh.name;
+            node.visible = mesh.visible;
+            node.position.copy(mesh.position);
+            node.quaternion.copy(mesh.quaternion);
+            node.scale.copy(mesh.scale);
+
+            groups.forEach((group, index) => {
+                const material = mesh.material[group.materialIndex ?? 0];
+                const count = Math.min(group.count, total - group.start);
+                if (!material || count <= 0) return;
+                const indices = new Array(count);
+                for (let i = 0; i < count; i++) {
+                    indices[i] = geometry.index ? geometry.index.getX(group.start + i) : group.start + i;
+                }
+                const part = new BufferGeometry();
+                Object.entries(geometry.attributes).forEach(([name, attribute]) => part.setAttribute(name, attribute));
+                part.setIndex(indices);
+                disposables.push(part);
+
+                const child = new Mesh(part, convert(material));
+                child.name = `${mesh.name || 'Mesh'}_${index}`;
+                node.add(child);
+            });
+
+            [...mesh.children].forEach(child => node.add(child));
+            const parent = mesh.parent;
+            if (parent) {
+                parent.children[parent.children.indexOf(mesh)] = node;
+                node.parent = parent;
+                mesh.parent = null;
+            }
+        });
+    }
+
+    _toUSDZMaterial(material) {
+        const unsupported = USDZ_MAP_KEYS.filter(key => material[key] && !this._isUSDZTexture(material[key]));
+        if (material.isMeshStandardMaterial && unsupported.length === 0) return material;
+
+        let result;
+        if (material.isMeshStandardMaterial) {
+            result = material.clone();
+        } else {
+            const params = {
+                name: material.name,
+                map: material.map || null,
+                alphaMap: material.alphaMap || null,
+                aoMap: material.aoMap || null,
+                normalMap: material.normalMap || null,
+                emissiveMap: material.emissiveMap || null,
+                opacity: material.opacity,
+                transparent: material.transparent,
+                alphaTest: material.alphaTest,
+                side: material.side,
+                // Basic/Lambert 等无 PBR 参数的材质按非金属、较粗糙处理
+                roughness: material.shininess != null ? 1 - Math.min(material.shininess, 100) / 100 : 1,
+                metalness: 0
+            };
+            // 没有的颜色参数不传：值为 undefined 时 three 会对每个材质打印警告（如 Basic 材质的 emissive）
+            if (material.color) params.color = material.color.clone();
+            if (material.emissive) params.emissive = material.emissive.clone();
+            result = new MeshStandardMaterial(params);
+        }
+        USDZ_MAP_KEYS.forEach(key => {
+            if (result[key] && !this._isUSDZTexture(result[key])) {
+                console.warn(`SceneExporter.exportUSDZ: 贴图 ${key} 的图像类型无法写入 USDZ，已忽略`, material.name);
+                result[key] = null;
+            }
+        });
+        return result;
+    }
+
+    _isUSDZTexture(texture) {
+        if (texture.isCompressedTexture) return true;
+        const image = texture.image;
+        return (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) ||
+            (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) ||
+            (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas) ||
+            (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+    }
+
+    _collectModels(modelIds) {
+        const all = this.engine?.assetsManager?.assets?.models;
+        const result = new Map();
+        if (!all) return result;
+        all.forEach((model, id) => {
+            if (!model) return;
+            if (Array.isArray(modelIds) && !modelIds.includes(id)) return;
+            result.set(id, model);
+        });
+        return result;
+    }
+
+    // 克隆模型（SkeletonUtils 可正确处理蒙皮网格），贴图共享引用，因此包含替换后的贴图
+    // 保留原节点 uuid，动画轨道按 uuid 绑定到各自模型的克隆节点
+    _cloneModel(model, onlyVisible) {
+        if (onlyVisible && this._isHidden(model)) return null;
+        model.updateMatrixWorld(true);
+        const copy = cloneSkinned(model);
+
+        const hidden = [];
+        const materials = new Map();
+        this._parallelTraverse(model, copy, (source, target) => {
+            if (source !== model && onlyVisible && this._isHidden(source)) {
+                hidden.push(target);
+            }
+            target.uuid = source.uuid;
+            target.visible = true;
+            this._stripInternalData(target.userData);
+            if (target.material) {
+                target.material = Array.isArray(target.material)
+                    ? target.material.map(material => this._cleanMaterial(material, materials))
+                    : this._cleanMaterial(target.material, materials);
+            }
+        });
+        hidden.forEach(obj => obj.parent?.remove(obj));
+        return copy;
+    }
+
+    // 引擎内部的 __ 前缀数据（绑定、隔离状态、含 data URL 贴图的材质覆盖记录等）不写入导出文件的 extras
+    _stripInternalData(userData) {
+        if (!userData) return false;
+        let stripped = false;
+        Object.keys(userData).forEach(key => {
+            if (key.startsWith('__')) {
+                delete userData[key];
+                stripped = true;
+            }
+        });
+        return stripped;
+    }
+
+    // 材质与场景共享，含内部数据时改用克隆（同一材质只克隆一次）
+    _cleanMaterial(material, cache) {
+        if (!material?.userData || !Object.keys(material.userData).some(key => key.startsWith('__'))) return material;
+        if (!cache.has(material)) {
+            const copy = material.clone();
+            this._stripInternalData(copy.userData);
+            cache.set(material, copy);
+        }
+        return cache.get(material);
+    }
+
+    // 视锥体剔除会改写 visible，剔除开启时只按动画隔离状态判断
+    _isHidden(object) {
+        if (isHelperObject(object)) return true;
+        if (object.userData?.__configuratorHidden) return true;
+        if (object.userData?.__isolationControlled) {
+            return object.userData.__isolationVisible === false;
+        }
+        return !this.engine?.cullingEnabled && object.visible === false;
+    }
+
+    _parallelTraverse(a, b, callback) {
+        callback(a, b);
+        for (let i = 0; i < a.children.length; i++) {
+            if (b.children[i]) this._parallelTraverse(a.children[i], b.children[i], callback);
+        }
+    }
+
+    _collectClips(model, modelId, includeSplitClips) {
+        const clips = Array.isArray(model.animations) ? [...model.animations] : [];
+        if (includeSplitClips) {
+            const animationController = this.engine?.animationController;
+            clips.push(...(animationController?.getSplitClips?.(modelId) || []));
+        }
+        return clips;
+    }
+
+    // 所有模型克隆位于同一根节点下，按节点名查找会绑定到先找到的同名节点（如同一文件加载两次）
+    // 因此将轨道的节点名改写为该模型内对应节点的 uuid（克隆保留了 uuid）
+    _bindClipsToModel(clips, model) {
+        return [...new Set(clips)].filter(Boolean).map(clip => {
+            const bound = clip.clone();
+            bound.tracks.forEach(track => {
+                const nodeName = PropertyBinding.parseTrackName(track.name).nodeName ?? '';
+                const node = PropertyBinding.findNode(model, nodeName);
+                if (!node) return;
+                const rest = track.name.slice(track.name.indexOf(nodeName) + nodeName.length);
+                track.name = node.uuid + (rest.startsWith('.') ? rest : `.${rest}`);
+            });
+            return bound;
+        });
+    }
+
+    // 同名 clip 在 glTF 中无法区分，追加序号
+    _uniqueClips(clips) {
+        const seen = new Set();
+        const names = new Map();
+        const result = [];
+        clips.forEach(clip => {
+            if (!clip || seen.has(clip)) return;
+            seen.add(clip);
+            const count = names.get(clip.name) || 0;
+            names.set(clip.name, count + 1);
+            if (count === 0) {
+                result.push(clip);
+            } else {
+                const renamed = clip.clone();
+                renamed.name = `${clip.name}_${count}`;
+                result.push(renamed);
+            }
+        });
+        return result;
+    }
+
+    // 热点导出为空节点，完整热点数据写入 extras.hotspot
+    _buildHotspotNodes(models) {
+        const hotspotController = this.engine?.hotspotController;
+        if (!hotspotController?.hotspots?.size) return null;
+
+        const group = new Group();
+        group.name = 'Hotspots';
+        group.userData = { type: 'f3d-hotspots' };
+
+        hotspotController.hotspots.forEach((hs, id) => {
+            const data = hotspotController.exportHotspot(id);
+            if (!data || !hs.sprite) return;
+            const node = new Object3D();
+            node.name = `hotspot_${id}`;
+            node.position.copy(hs.sprite.position);
+            node.quaternion.copy(hs.sprite.quaternion);
+            node.userData = { hotspot: data, modelId: this._findOwnerModelId(data.bindMeshId, models) };
+            group.add(node);
+        });
+        return group.children.length > 0 ? group : null;
+    }
+
+    _findOwnerModelId(meshId, models) {
+        if (meshId == null) return null;
+        let ownerId = null;
+        models.forEach((model, modelId) => {
+            if (ownerId) return;
+            model.traverse(obj => {
+                if (!ownerId && obj.userData?.id === meshId) ownerId = modelId;
+            });
+        });
+        return ownerId;
+    }
+}
@@ -5,7 +5,8 @@ import {
     SphereGeometry,
     ShaderMaterial,
     BackSide,
-    Mesh
+    Mesh,
+    LoadingManager
 } from "three";
 import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
 
@@ -83,15 +84,28 @@ export class SceneLoader {
      * @param {string} url HDR贴图URL
      * @param {Object} options 选项
      */
-    loadHDR(url, { intensity = 100.0, background = true } = {}) {
+    loadHDR(url, { intensity = 100.0, background = true, signal } = {}) {
         if (!this.renderer) return Promise.reject('渲染器未初始化');
+        if (signal?.aborted) return Promise.reject(signal.reason);
+        
+        // 带取消信号时使用独立的 LoadingManager，中止只影响本次请求
+        const manager = signal ? new LoadingManager() : undefined;
+        if (manager) signal.addEventListener('abort', () => manager.abort(), { once: true });
         
         const pmremGenerator = new PMREMGenerator(this.renderer);
         pmremGenerator.compileEquirectangularShader();
 
         return new Promise((resolve, reject) => {
-            new RGBELoader()
+            new RGBELoader(manager)
                 .load(url, texture => {
+                    // 取消后才解析完成：释放已创建的纹理与 PMREM 资源，不修改场景
+                    if (signal?.aborted) {
+                        texture.dispose();
+                        pmremGenerator.dispose();
+                        reject(signal.reason);
+                        return;
+                    }
+                    
                     // 仅在需要设置背景时清除背景，避免破坏自定义CSS背景
                     if (background) {
                         this._clearBackground();
@@ -119,7 +133,10 @@ export class SceneLoader {
                     pmremGenerator.dispose();
                     
                     resolve(envMap);
-                }, undefined, reject);
+                }, undefined, error => {
+                    pmremGenerator.dispose();
+                    reject(signal?.aborted ? signal.reason : error);
+                });
         });
     }
 
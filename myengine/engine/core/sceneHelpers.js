@@ -0,0 +1,20 @@
+/**
+ * 场景辅助对象判断 - 热点、变换Gizmo、测量标注和剖切辅助对象的显隐由各自控制器管理，
+ * 不参与视锥体剔除、射线检测、爆炸视图和导出
+ */
+
+/**
+ * 辅助对象的 userData 标记
+ * @type {string[]}
+ */
+const HELPER_FLAGS = ['__isHotspot', '__isTransformGizmo', '__isMeasurement', '__isClipping'];
+
+/**
+ * 是否为引擎辅助对象
+ * @param {THREE.Object3D} object 对象
+ * @returns {boolean}
+ */
+export function isHelperObject(object) {
+    const data = object?.userData;
+    return !!data && HELPER_FLAGS.some(flag => data[flag]);
+}
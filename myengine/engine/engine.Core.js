@@ -1,9 +1,12 @@
 export * from "./engine.js";
 export * from "./core/events/eventEmitter.js";
+export * from "./core/sceneHelpers.js";
 export * from "./core/assets/assetsManager.js";
 export * from "./core/assets/modelLoader.js";
 export * from "./core/assets/sceneLoader.js";
 export * from "./core/assets/materialLoader.js";
+export * from "./core/assets/sceneExporter.js";
+export * from "./core/assets/assetCache.js";
 export * from "./core/postprocessing/CustomOutlinePass.js";
 export * from "./interaction/inputManager.js";
 export * from "./controllers/editController.js";
@@ -12,3 +15,14 @@ export * from "./controllers/animationController.js";
 export * from "./controllers/hotspotController.js";
 export * from "./controllers/highlightController.js";
 export * from "./controllers/xrController.js";
+export * from "./controllers/transformController.js";
+export * from "./controllers/tourController.js";
+export * from "./controllers/measurementController.js";
+export * from "./controllers/clippingController.js";
+export * from "./controllers/explodeController.js";
+export * from "./controllers/configuratorController.js";
+export * from "./controllers/lodController.js";
+export * from "./controllers/layoutController.js";
+export * from "./controllers/simulatedXRSession.js";
+export * from "./controllers/timelineController.js";
+export * from "./controllers/stateMachineController.js";
\ No newline at end of file
@@ -26,6 +26,7 @@ import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
 import { CSS2DRenderer } from "three/examples/jsm/renderers/CSS2DRenderer.js";
 
 import { EventBus } from "./core/events/eventEmitter.js";
+import { isHelperObject } from "./core/sceneHelpers.js";
 import { AssetsManager } from "./core/assets/assetsManager.js";
 import { InputManager } from "./interaction/inputManager.js";
 import { ModelController } from "./controllers/modelController.js";
@@ -34,6 +35,16 @@ import { HotspotController } from "./controllers/hotspotController.js";
 import { HighlightController } from "./controllers/highlightController.js";
 import { EditorController } from "./controllers/editController.js";
 import { XRController } from "./controllers/xrController.js";
+import { TransformController } from "./controllers/transformController.js";
+import { TourController } from "./controllers/tourController.js";
+import { MeasurementController } from "./controllers/measurementController.js";
+import { ClippingController } from "./controllers/clippingController.js";
+import { ExplodeController } from "./controllers/explodeController.js";
+import { ConfiguratorController } from "./controllers/configuratorController.js";
+import { LodController } from "./controllers/lodController.js";
+import { LayoutController } from "./controllers/layoutController.js";
+import { TimelineController } from "./controllers/timelineController.js";
+import { StateMachineController } from "./controllers/stateMachineController.js";
 import { Logger } from "../editor/tools/logger.js";
 import { cameraApi } from "../editor/apis/cameraApi.js";
 
@@ -57,6 +68,16 @@ export class Engine {
     hotspotController = null; //热点控制器
     highlightController = null; //高亮控制器
     xrController = null; //XR控制器
+    transformController = null; //变换控制器
+    tourController = null; //导览控制器
+    measurementController = null; //测量控制器
+    clippingController = null; //剖切控制器
+    explodeController = null; //爆炸图控制器
+    configuratorController = null; //配置器控制器
+    lodController = null; //LOD控制器
+    layoutController = null; //多模型布局控制器
+    timelineController = null; //时间轴控制器
+    stateMachineController = null; //动画状态机控制器
     assetsManager = null; //资源管理器
     inputManager = null; //输入管理器
     
@@ -147,6 +168,7 @@ export class Engine {
             canvas: domElement instanceof HTMLCanvasElement ? domElement : undefined,
             antialias:true, 
             alpha: true,
+            stencil: true,      // 剖切封盖依赖模板缓冲
             xr: true,  
             powerPreference: "high-performance",  
             precision: "highp"  
@@ -247,6 +269,16 @@ export class Engine {
         this.hotspotController = new HotspotController(this);
         this.highlightController = new HighlightController(this);
         this.xrController = new XRController(this);
+        this.transformController = new TransformController(this);
+        this.tourController = new TourController(this);
+        this.measurementController = new MeasurementController(this);
+        this.clippingController = new ClippingController(this);
+        this.explodeController = new ExplodeController(this);
+        this.configuratorController = new ConfiguratorController(this);
+        this.lodController = new LodController(this);
+        this.layoutController = new LayoutController(this);
+        this.timelineController = new TimelineController(this);
+        this.stateMachineController = new StateMachineController(this);
     }
 
     /**
@@ -369,6 +401,16 @@ export class Engine {
         this.animationController?.dispose();
         this.hotspotController?.dispose();
         this.highlightController?.dispose();
+        this.transformController?.dispose();
+        this.tourController?.dispose();
+        this.measurementController?.dispose();
+        this.clippingController?.dispose();
+        this.explodeController?.dispose();
+        this.configuratorController?.dispose();
+        this.lodController?.dispose();
+        this.layoutController?.dispose();
+        this.timelineController?.dispose();
+        this.stateMachineController?.dispose();
 
         // 清理管理器
         this.inputManager?.dispose();
@@ -407,6 +449,16 @@ export class Engine {
         this.hotspotController = null;
         this.highlightController = null;
         this.xrController = null;
+        this.transformController = null;
+        this.tourController = null;
+        this.measurementController = null;
+        this.clippingController = null;
+        this.explodeController = null;
+        this.configuratorController = null;
+        this.lodController = null;
+        this.layoutController = null;
+        this.timelineController = null;
+        this.stateMachineController = null;
         this.inputManager = null;
         this.assetsManager = null;
         this.containerElement = null;
@@ -543,6 +595,10 @@ export class Engine {
         // 遍历场景中的所有对象
         this.mainScene.traverse(object => {
             if (object.isMesh || object.isGroup) {
+                // 跳过热点、变换Gizmo、测量标注和剖切辅助对象（可见性由各自控制器管理）
+                if (isHelperObject(object)) return;
+                // 跳过被配置器隐藏的mesh，保持隐藏
+                if (object.userData?.__configuratorHidden) return;
                 // 跳过被动画隔离控制的mesh
                 if (object.userData?.__isolationControlled) {
                     // 使用隔离时设置的可见性，不进行视锥体剔除
@@ -586,7 +642,7 @@ export class Engine {
         // 如果禁用，显示所有对象
         if (!enabled && this.mainScene) {
             this.mainScene.traverse(object => {
-                if (object.isMesh || object.isGroup) {
+                if ((object.isMesh || object.isGroup) && !isHelperObject(object) && !object.userData?.__configuratorHidden) {
                     object.visible = true;
                 }
             });
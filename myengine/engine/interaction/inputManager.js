@@ -4,6 +4,7 @@
  * @description 负责处理DOM元素的鼠标和键盘输入事件，提供射线检测、高亮显示和动画播放功能
  */
 import { Raycaster, Vector2, Color, TextureLoader, MeshBasicMaterial } from "three";
+import { isHelperObject } from "../core/sceneHelpers.js";
 
 /**
  * 鼠标按钮映射常量
@@ -75,6 +76,10 @@ export class InputManager {
         this.selectedObject = null;
         this.raycastEnabled = true;
         
+        // ==================== 点击拦截 ====================
+        // 拦截器返回 true 时该次点击被消费，不再派发点击事件和模型点击处理（测量等工具使用）
+        this.clickInterceptors = new Set();
+        
         // ==================== 高亮功能 ====================
         this.autoHighlight = true;
         this.originalMaterials = new Map();
@@ -181,7 +186,8 @@ export class InputManager {
             event.clientY - this.mouse.dragStart.y
         );
         
-        if (dragDistance < DEFAULT_CONFIG.CLICK_THRESHOLD) {
+        // 点击被拦截器消费时（如测量工具）不再派发
+        if (dragDistance < DEFAULT_CONFIG.CLICK_THRESHOLD && !this._interceptClick(button)) {
             // 一次性执行所有射线检测（包括热点和模型）
             const allIntersects = this._performUnifiedRaycast(this.mouse.position);
             
@@ -285,7 +291,8 @@ export class InputManager {
             code: event.code,
             ctrl: event.ctrlKey,
             shift: event.shiftKey,
-            alt: event.altKey
+            alt: event.altKey,
+            meta: event.metaKey
         });
     }
     
@@ -304,7 +311,8 @@ export class InputManager {
             code: event.code,
             ctrl: event.ctrlKey,
             shift: event.shiftKey,
-            alt: event.altKey
+            alt: event.altKey,
+            meta: event.metaKey
         });
     }
     
@@ -403,6 +411,78 @@ export class InputManager {
         }
     }
 
+    /**
+     * 检测鼠标位置下的模型（无高亮等副作用）
+     * @public
+     * @param {{x: number, y: number}} normalizedPosition - 标准化的鼠标位置
+     * @returns {Object} 射线检测结果 { hit, object, modelId, point, face, faceIndex, distance, intersect }
+     */
+    intersectModels(normalizedPosition) {
+        if (!this.raycastEnabled || !this.engine.camera || !this.engine.mainScene || !normalizedPosition) {
+            return { hit: false };
+        }
+        
+        this.raycastMouse.set(normalizedPosition.x, normalizedPosition.y);
+        this.raycaster.setFromCamera(this.raycastMouse, this.engine.camera);
+        this._updateSceneForRaycast();
+        
+        const intersect = this._performRaycastIntersection().find(item => !item.object?.userData?.__isHotspot);
+        if (!intersect) return { hit: false };
+        
+        const modelInfo = this.findModelInfo(intersect.object);
+        return {
+            hit: true,
+            object: intersect.object,
+            modelId: modelInfo.modelId,
+            point: intersect.point,
+            face: intersect.face,
+            faceIndex: intersect.faceIndex,
+            distance: intersect.distance,
+            intersect
+        };
+    }
+    
+    /**
+     * 添加点击拦截器
+     * @public
+     * @param {Function} interceptor - ({ position, button }) => boolean，返回 true 表示消费该次点击
+     * @returns {Function} 移除拦截器的函数
+     */
+    addClickInterceptor(interceptor) {
+        if (typeof interceptor !== 'function') return () => {};
+        this.clickInterceptors.add(interceptor);
+        return () => this.removeClickInterceptor(interceptor);
+    }
+    
+    /**
+     * 移除点击拦截器
+     * @public
+     * @param {Function} interceptor - 拦截器
+     * @returns {void}
+     */
+    removeClickInterceptor(interceptor) {
+        this.clickInterceptors?.delete(interceptor);
+    }
+    
+    /**
+     * 执行点击拦截器
+     * @private
+     * @param {string} button - 鼠标按钮
+     * @returns {boolean} 是否被消费
+     */
+    _interceptClick(button) {
+        if (!this.clickInterceptors?.size) return false;
+        const data = { position: this.mouse.position, button };
+        for (const interceptor of this.clickInterceptors) {
+            try {
+                if (interceptor(data) === true) return true;
+            } catch (error) {
+                console.warn('InputManager: 点击拦截器执行失败', error);
+            }
+        }
+        return false;
+    }
+    
     /**
      * 更新场景以支持射线检测
      * @private
@@ -536,12 +616,15 @@ export class InputManager {
         // 收集所有mesh进行射线检测
         const allMeshes = [];
         this.engine.mainScene.traverse((object) => {
-            if (object.isMesh && !object.userData?.__isHotspot) {
+            if (object.isMesh && !isHelperObject(object)) {
                 // 过滤掉隐藏的mesh
                 if (!object.visible) {
                     return;
                 }
                 
+                // 过滤掉被配置器隐藏的mesh
+                if (object.userData?.__configuratorHidden) return;
+
                 // 过滤掉被隔离控制且不可见的mesh
                 if (object.userData?.__isolationControlled === true) {
                     const isolationVisible = object.userData?.__isolationVisible;
@@ -573,6 +656,7 @@ export class InputManager {
                     const obj = item.object;
                     if (obj?.userData?.__isHotspot) return false;
                     if (!obj?.visible) return false;
+                    if (obj?.userData?.__configuratorHidden) return false;
                     if (obj?.userData?.__isolationControlled === true) {
                         if (obj.userData?.__isolationVisible === false) return false;
                     }
@@ -581,7 +665,8 @@ export class InputManager {
             }
         }
         
-        return intersects;
+        // 剔除位于剖切区域内的命中点
+        return this.engine.clippingController?.filterIntersections(intersects) ?? intersects;
     }
 
     /**
@@ -938,5 +1023,7 @@ export class InputManager {
         this.raycaster = null;
         this.raycastMouse = null;
         this.selectedObject = null;
+        this.clickInterceptors?.clear();
+        this.clickInterceptors = null;
     }
 }
\ No newline at end of file
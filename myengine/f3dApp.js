@@ -14,6 +14,7 @@ const SHADOW_MAP_SIZE = 1024;                   // 标准分辨率
 const SHADOW_CAMERA_BOUNDS = 15;                // 中等范围
 const SHADOW_BIAS = -0.0001;                    // 标准偏移
 const ANGLE_TO_RADIAN = Math.PI / 180;          // 角度值转为弧度值
+const SCENE_STATE_VERSION = 1;                  // 场景状态JSON版本号
 
 //导出引擎库ss
 export class F3dApp {
@@ -23,6 +24,13 @@ export class F3dApp {
         autoStart: true,                        // 是否自动开始
         backgroundColor: null,                  // 背景颜色
         transparentBackground: false,           // 是否透明
+        transcoderPath: '/libs/basis/',         // KTX2/Basis 转码器路径
+        assetCache: {                           // 资源缓存
+            enabled: true,                      // 是否把模型/HDR/纹理字节持久化到 IndexedDB
+            maxBytes: 500 * 1024 * 1024,        // IndexedDB 缓存容量（超出按 LRU 淘汰）
+            maxAge: 24 * 60 * 60 * 1000,        // 无 ETag/Last-Modified 的副本有效期（毫秒），过期后重新下载
+            memoryBudget: 512 * 1024 * 1024     // 内存中无人引用资产的预算（超出按 LRU 释放）
+        },
         lights: {
             ambient: { color: 0xffffff, intensity: 0 },
             main: { color: 0xffffff, intensity: 0, position: { x: 5, y: 10, z: 7 }, castShadow: false },
@@ -52,6 +60,10 @@ export class F3dApp {
     animCtrl = null;             // 动画控制器
     sceneLoader = null;          // 场景加载器
 
+    // 场景状态记录（用于 exportSceneState）
+    _modelRecords = new Map();   // 模型ID -> { url, options }
+    _environmentRecord = null;   // 当前环境贴图 { id, url, background }
+
     // 场景配置
     _sceneConfig = {
         models: [],              // 模型列表
@@ -101,7 +113,9 @@ export class F3dApp {
         }
         try {
             this.engine = new Engine({
-                domElement: container
+                domElement: container,
+                transcoderPath: this.config.transcoderPath,
+                assetCache: this.config.assetCache
             });
 
             if (!this.engine) {
@@ -250,7 +264,14 @@ export class F3dApp {
                 ['asset:loaded', 'loaded'],
                 ['load:complete', 'ready'],
                 ['load:error', 'error'],
+                ['load:cancelled', 'cancelled'],
+                ['load:retry', 'retry'],
+                ['asset:evicted', 'asset:evicted'],
                 ['model:loaded', 'modelLoaded'],
+                ['model:proxy', 'model:proxy'],
+                ['model:swapped', 'model:swapped'],
+                ['model:removed', 'model:removed'],
+                ['model:replaced', 'model:replaced'],
                 ['scene:loading', 'scene.loading'],
                 ['load:progress', 'scene.progress'],
                 ['scene:loaded', 'scene.loaded'],
@@ -277,10 +298,27 @@ export class F3dApp {
             // animationController 事件
             { source: this.engine?.animationController?.events, events: [
                 ['animations:loaded', 'animations:loaded'],
+                ['animations:removed', 'animations:removed'],
                 ['animation:updated', 'animation:updated'],
                 ['globalSettings:changed', 'globalSettings:changed'],
                 // 动画完成事件转发
-                ['animation:finished', 'animation.finished']
+                ['animation:finished', 'animation.finished'],
+                ['animation:seeked', 'animation:seeked'],
+                ['animation:scrub:start', 'animation:scrub:start'],
+                ['animation:scrub:end', 'animation:scrub:end'],
+                ['animation:layer:updated', 'animation:layer:updated'],
+                ['animation:layer:removed', 'animation:layer:removed'],
+                ['animation:layer:finished', 'animation:layer:finished'],
+                ['animation:draft:updated', 'animation:draft:updated'],
+                ['animation:draft:preview', 'animation:draft:preview'],
+                ['animation:draft:removed', 'animation:draft:removed'],
+                ['animation:authored', 'animation:authored']
+            ]},
+            // 动画状态机事件
+            { source: this.engine?.stateMachineController?.events, events: [
+                ['animation:state:changed', 'animation:state:changed'],
+                ['animation:state:finished', 'animation:state:finished'],
+                ['animation:state:parameter', 'animation:state:parameter']
             ]},
             {
                 source: this.engine?.hotspotController?.events, events: [
@@ -293,6 +331,107 @@ export class F3dApp {
                     ['hotspot:camera:focus', 'hotspot:camera:focus'],
                     ['hotspot:attached', 'hotspot:attached']
                 ]
+            },
+            // XR 事件
+            {
+                source: this.engine?.xrController?.events, events: [
+                    ['xr:ar:started', 'xr:ar:started'],
+                    ['xr:ar:ended', 'xr:ar:ended'],
+                    ['xr:quicklook:ready', 'xr:quicklook:ready'],
+                    ['xr:model:placed', 'xr:model:placed'],
+                    ['xr:model:transformed', 'xr:model:transformed'],
+                    ['xr:model:reposition', 'xr:model:reposition'],
+                    ['xr:placement:removed', 'xr:placement:removed'],
+                    ['xr:anchor:created', 'xr:anchor:created'],
+                    ['xr:lighting:start', 'xr:lighting:start'],
+                    ['xr:lighting:end', 'xr:lighting:end']
+                ]
+            },
+            // 变换Gizmo事件
+            {
+                source: this.engine?.transformController?.events, events: [
+                    ['transform:attached', 'transform:attached'],
+                    ['transform:detached', 'transform:detached'],
+                    ['transform:start', 'transform:start'],
+                    ['transform:change', 'transform:change'],
+                    ['transform:end', 'transform:end']
+                ]
+            },
+            // 导览事件
+            {
+                source: this.engine?.tourController?.events, events: [
+                    ['tour:start', 'tour:start'],
+                    ['tour:step', 'tour:step'],
+                    ['tour:paused', 'tour:paused'],
+                    ['tour:resumed', 'tour:resumed'],
+                    ['tour:stopped', 'tour:stopped'],
+                    ['tour:complete', 'tour:complete']
+                ]
+            },
+            // 测量事件
+            {
+                source: this.engine?.measurementController?.events, events: [
+                    ['measurement:started', 'measurement:started'],
+                    ['measurement:stopped', 'measurement:stopped'],
+                    ['measurement:point', 'measurement:point'],
+                    ['measurement:added', 'measurement:added'],
+                    ['measurement:removed', 'measurement:removed'],
+                    ['measurement:cancelled', 'measurement:cancelled'],
+                    ['measurement:cleared', 'measurement:cleared']
+                ]
+            },
+            // 剖切事件
+            {
+                source: this.engine?.clippingController?.events, events: [
+                    ['clipping:changed', 'clipping:changed'],
+                    ['clipping:added', 'clipping:added'],
+                    ['clipping:removed', 'clipping:removed']
+                ]
+            },
+            // 爆炸图事件
+            {
+                source: this.engine?.explodeController?.events, events: [
+                    ['explode:start', 'explode:start'],
+                    ['explode:update', 'explode:update'],
+                    ['explode:complete', 'explode:complete']
+                ]
+            },
+            // 配置器事件
+            {
+                source: this.engine?.configuratorController?.events, events: [
+                    ['configurator:changed', 'configurator:changed'],
+                    ['configurator:error', 'configurator:error']
+                ]
+            },
+            // LOD事件
+            {
+                source: this.engine?.lodController?.events, events: [
+                    ['lod:changed', 'lod:changed'],
+                    ['lod:error', 'lod:error']
+                ]
+            },
+            // 多模型布局事件
+            {
+                source: this.engine?.layoutController?.events, events: [
+                    ['layout:changed', 'layout:changed'],
+                    ['layout:complete', 'layout:complete']
+                ]
+            },
+            // 时间轴事件
+            {
+                source: this.engine?.timelineController?.events, events: [
+                    ['timeline:loaded', 'timeline:loaded'],
+                    ['timeline:play', 'timeline:play'],
+                    ['timeline:paused', 'timeline:paused'],
+                    ['timeline:stopped', 'timeline:stopped'],
+                    ['timeline:seek', 'timeline:seek'],
+                    ['timeline:rate', 'timeline:rate'],
+                    ['timeline:marker', 'timeline:marker'],
+                    ['timeline:loop', 'timeline:loop'],
+                    ['timeline:complete', 'timeline:complete'],
+                    ['timeline:scrub:start', 'timeline:scrub:start'],
+                    ['timeline:scrub:end', 'timeline:scrub:end']
+                ]
             }
         ];
 
@@ -318,6 +457,7 @@ export class F3dApp {
      * @returns {Function} returns.addModel - 添加模型到场景
      * @returns {Function} returns.addEnvironment - 添加环境贴图到场景
      * @returns {Function} returns.autoStart - 设置是否自动开始
+     * @returns {Function} returns.layout - 设置多模型布局（同 setModelLayout）
      * @returns {Function} returns.load - 加载场景并返回Promise
      */
     createScene() {
@@ -326,6 +466,7 @@ export class F3dApp {
             models: [],
             environments: [],
             autoStart: true,
+            layout: null,
         };
 
         // 创建构建器对象
@@ -348,9 +489,29 @@ export class F3dApp {
                 return builder;
             },
 
+            // 设置多模型布局：模型加载完成后依次进入槽位，避免在原点重叠
+            layout: (type, options = {}) => {
+                this._sceneConfig.layout = { type, options };
+                return builder;
+            },
+
 
             // 加载场景并返回Promise
             load: () => {
+                this._sceneConfig.models.forEach(({ url, ...options }) => {
+                    this._modelRecords.set(options.id || url, { url, options });
+                });
+                const env = this._sceneConfig.environments[this._sceneConfig.environments.length - 1];
+                if (env) {
+                    this._environmentRecord = { id: env.id || env.url, url: env.url, background: env.background === true };
+                }
+                const layout = this._sceneConfig.layout;
+                if (layout) {
+                    this.setModelLayout(layout.type, {
+                        models: this._sceneConfig.models.map(({ url, id }) => id || url),
+                        ...layout.options
+                    });
+                }
                 return this.assets.loadScene(this._sceneConfig);
             }
         };
@@ -443,14 +604,16 @@ export class F3dApp {
      * @param {string} [options.id=url] - 环境贴图ID
      * @param {number} [options.intensity=1.0] - 环境光强度
      * @param {boolean} [options.background=true] - 是否作为背景
+     * @param {AbortSignal} [options.signal] - 取消信号
      * @returns {Promise} 返回加载完成的Promise
      */
     loadEnvironment(url, options = {}) {
-        const { id = url, intensity = 1.0, background = true } = options;
+        const { id = url, intensity = 1.0, background = true, signal, timeout, retryAttempts, version } = options;
 
-        return this.assets?.loadEnvironment(url, { id, intensity, background })
+        return this.assets?.loadEnvironment(url, { id, intensity, background, signal, timeout, retryAttempts, version })
             .then(envMap => {
                 this.environments.set(id, envMap);
+                this._environmentRecord = { id, url, background };
                 return envMap;
             });
     }
@@ -472,6 +635,7 @@ export class F3dApp {
             background: false
         }).then(envMap => {
             this.environments.set(url, envMap);
+            this._environmentRecord = { id: url, url, background: this._environmentRecord?.background === true };
             console.log('HDR环境贴图已切换，保持背景设置不变');
             return envMap;
         });
@@ -490,7 +654,14 @@ export class F3dApp {
      * 加载3D模型
      * @param {string} url - 模型URL
      * @param {Object} options - 加载选项
-     * @returns {Promise} 加载完成的Promise
+     * @param {string} [options.proxyUrl] - 代理模型URL（低模），先显示代理，完整模型就绪后原位替换
+     * @param {Array<{url: string, screenSize: number}>} [options.lods] - 运行时LOD级别（由高到低）
+     * @param {boolean} [options.progressive=false] - 未指定 proxyUrl 时用最低一级 LOD 作为代理
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后 Promise 以 AbortError 拒绝，模型不会进入场景
+     * @param {number} [options.timeout] - 单次请求超时（毫秒），默认见 setLoadPolicy
+     * @param {number} [options.retryAttempts] - 总尝试次数，默认见 setLoadPolicy
+     * @param {string|number} [options.version] - 资源版本，与缓存副本一致时直接使用缓存
+     * @returns {Promise} 完整模型加载完成的Promise
      */
     loadModel(url, options = {}) {
         // 验证URL参数
@@ -515,7 +686,14 @@ export class F3dApp {
             autoScale = true,
             alignToGround = true,
             rotate = false,
-            rotateSpeed = 1
+            rotateSpeed = 1,
+            proxyUrl,
+            lods,
+            progressive = false,
+            signal,
+            timeout,
+            retryAttempts,
+            version
         } = options;
 
         return this.assets.loadModelToScene(url, {
@@ -524,13 +702,24 @@ export class F3dApp {
             rotation,
             scale,
             autoScale,
-            alignToGround
+            alignToGround,
+            proxyUrl,
+            lods,
+            progressive,
+            signal,
+            timeout,
+            retryAttempts,
+            version
         }).then(model => {
             if (!model) {
                 throw new Error('模型加载失败');
             }
 
             this.models.set(id, model);
+            this._modelRecords.set(id, {
+                url,
+                options: { id, position, rotation, scale, autoScale, alignToGround, rotate, rotateSpeed, proxyUrl, lods, progressive, version }
+            });
 
             if (rotate && this.modelCtrl) {
                 this.modelCtrl.setRotation(id, true, rotateSpeed);
@@ -543,11 +732,62 @@ export class F3dApp {
 
             return model;
         }).catch(error => {
-            this._handleError(`模型加载失败: ${url}`, error, 'model');
+            // 主动取消不作为错误上报
+            if (error?.name !== 'AbortError') {
+                this._handleError(`模型加载失败: ${url}`, error, 'model');
+            }
             throw error;
         });
     }
 
+    /**
+     * 设置资源加载策略（重试、退避与超时）
+     * @param {Object} policy
+     * @param {number} [policy.retryAttempts] - 总尝试次数（含首次），仅网络错误、超时与服务端临时错误会重试
+     * @param {number} [policy.retryDelay] - 首次重试前等待（毫秒）
+     * @param {number} [policy.retryBackoff] - 每次重试等待时间的倍数
+     * @param {number} [policy.timeout] - 单次请求超时（毫秒），0 为不限制
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setLoadPolicy(policy = {}) {
+        if (!this.assets) {
+            console.warn('setLoadPolicy: 资源管理器未初始化');
+            return this;
+        }
+        this.assets.setLoadPolicy(policy);
+        return this;
+    }
+
+    /**
+     * 获取资源缓存统计
+     * @returns {Object} { memory: {count, bytes, budget, referenced, evictions}, persistent: {enabled, count, bytes, maxBytes, hits, misses, revalidated, evictions, errors} }
+     */
+    getCacheStats() {
+        if (!this.assets) {
+            console.warn('getCacheStats: 资源管理器未初始化');
+            return null;
+        }
+        return this.assets.getCacheStats();
+    }
+
+    /**
+     * 设置内存预算（字节），超出时按 LRU 释放无人引用的资产
+     * @param {number} bytes - 字节数
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setAssetMemoryBudget(bytes) {
+        this.assets?.setMemoryBudget(bytes);
+        return this;
+    }
+
+    /**
+     * 清空 IndexedDB 中的资源缓存
+     * @returns {Promise<void>}
+     */
+    clearAssetCache() {
+        return this.assets?.clearPersistentCache() || Promise.resolve();
+    }
+
     /**
      * 获取模型
      * @param {string} id - 模型ID
@@ -557,6 +797,96 @@ export class F3dApp {
         return this.models.get(id) || this.assets?.getModel(id);
     }
 
+    /**
+     * 移除模型并释放其几何体、材质、纹理与BVH
+     * 同时清理模型的动画混合器与mesh动画绑定、绑定在模型上的热点、高亮与LOD，完成后触发 model:removed
+     * @param {string} id - 模型ID
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.keepHotspots=false] - 保留绑定在该模型上的热点（仅解除绑定）
+     * @param {boolean} [options.dispose=true] - 是否立即释放GPU资源，false 时模型留在内存中按预算淘汰
+     * @returns {boolean} 是否移除成功
+     */
+    removeModel(id, options = {}) {
+        if (!this.assets) {
+            console.warn('removeModel: 资源管理器未初始化');
+            return false;
+        }
+        if (!this.assets.removeModel(id, options)) return false;
+
+        this.models.delete(id);
+        this._modelRecords.delete(id);
+        this.modelCtrl?.behaviors.rotation.delete(id);
+        return true;
+    }
+
+    /**
+     * 替换模型：新模型加载完成后原位替换旧模型，旧模型的资源随即释放；加载失败时旧模型保持不变
+     * 未指定的位置、旋转、缩放等摆放选项沿用原模型的加载选项，自转设置保持不变
+     * @param {string} id - 要替换的模型ID
+     * @param {string} url - 新模型URL
+     * @param {Object} [options] - 加载选项（同 loadModel，不支持代理模型）
+     * @param {boolean} [options.keepHotspots=false] - 保留热点，并按 bindMeshId 重新绑定到新模型
+     * @returns {Promise<Object3D>} 新模型
+     */
+    replaceModel(id, url, options = {}) {
+        if (!url || typeof url !== 'string') {
+            const error = new Error('无效的模型URL');
+            this._handleError('无效的模型URL', error, 'model');
+            return Promise.reject(error);
+        }
+        if (!this.assets) {
+            const error = new Error('资源管理器未初始化');
+            this._handleError('资源管理器未初始化', error, 'model');
+            return Promise.reject(error);
+        }
+
+        const previous = this._modelRecords.get(id)?.options || {};
+        const {
+            position = previous.position,
+            rotation = previous.rotation,
+            scale = previous.scale ?? 1,
+            autoScale = previous.autoScale ?? true,
+            alignToGround = previous.alignToGround ?? true,
+            lods,
+            signal,
+            timeout,
+            retryAttempts,
+            version,
+            keepHotspots = false
+        } = options;
+
+        return this.assets.replaceModel(id, url, {
+            position,
+            rotation,
+            scale,
+            autoScale,
+            alignToGround,
+            lods,
+            signal,
+            timeout,
+            retryAttempts,
+            version,
+            keepHotspots
+        }).then(model => {
+            this.models.set(id, model);
+            this._modelRecords.set(id, {
+                url,
+                options: { ...previous, id, position, rotation, scale, autoScale, alignToGround, lods, version, proxyUrl: undefined, progressive: false }
+            });
+
+            if (model.animations && model.animations.length > 0) {
+                this.registerModelAnimation(id);
+            }
+
+            return model;
+        }).catch(error => {
+            if (error?.name !== 'AbortError') {
+                this._handleError(`模型替换失败: ${url}`, error, 'model');
+            }
+            throw error;
+        });
+    }
+
     /**
      * 注册模型动画（手动触发动画控制器注册）
      * @param {string} modelId - 模型ID
@@ -818,170 +1148,516 @@ export class F3dApp {
     }
 
     /**
-     * 同时设置模型旋转开关与速度
-     * @param {string} id - 模型ID
-     * @param {boolean} enabled - 是否启用旋转
-     * @param {number} speed - 旋转速度
-     * @returns {boolean}
+     * 将动画定位到指定时间并渲染该姿态（原始动画与分割动画均可）
+     * @param {string} modelId - 模型ID
+     * @param {string} animationIdOrName - 动画ID或名称
+     * @param {number|{normalized: number}} time - 时间（秒），或 { normalized: 0~1 } 按时长比例
+     * @param {Object} [options={}] - { cycle: 往返动画按完整往返周期定位, direction: 1/-1, pause: 定位后是否暂停（默认 true） }
+     * @returns {boolean} 是否成功
      */
-    setModelRotationState(id, enabled, speed) {
-        return this.modelCtrl?.setRotationState(id, enabled, speed);
+    seekAnimation(modelId, animationIdOrName, time, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.seekAnimation(modelId, animationIdOrName, time, options);
     }
 
     /**
-     * 设置相机自动旋转（围绕模型中心）
+     * 获取动画当前时间（用于同步进度条）
+     * @param {string} modelId - 模型ID
+     * @param {string} animationIdOrName - 动画ID或名称
+     * @returns {{time: number, duration: number, normalized: number, direction: number, paused: boolean, running: boolean}|null}
      */
-    setCameraAutoRotate(enabled, speed = 1.0) {
-        if (!this.engine?.editController) {
-            console.warn('setCameraAutoRotate: 编辑控制器未初始化');
-            return false;
-        }
-        this.engine.editController.setCameraAutoRotate(enabled, speed);
-        return true;
+    getAnimationTime(modelId, animationIdOrName) {
+        return this.animCtrl?.getAnimationTime(modelId, animationIdOrName) || null;
     }
 
     /**
-     * 获取相机自动旋转状态
+     * 开始拖动动画进度：暂停模型上正在播放的动画，之后用 scrubAnimation 跟随滑块
+     * @param {string} modelId - 模型ID
+     * @returns {boolean}
      */
-    getCameraAutoRotateState() {
-        if (!this.engine?.editController) {
-            return { enabled: false, speed: 1.0 };
-        }
-        return this.engine.editController.getCameraAutoRotate();
+    beginAnimationScrub(modelId) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.beginScrub(modelId);
     }
 
     /**
-     * 截取场景图片
-     * @returns {Promise<string>} 返回包含图片数据URL的Promise
+     * 拖动动画到指定时间
+     * @param {string} modelId - 模型ID
+     * @param {string} animationIdOrName - 动画ID或名称
+     * @param {number|{normalized: number}} time - 时间（秒）或 { normalized }
+     * @param {Object} [options={}] - { cycle, direction }
+     * @returns {boolean}
      */
-    takeScreenshot() {
-        return this.engine?.captureScreenshot();
+    scrubAnimation(modelId, animationIdOrName, time, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.scrubAnimation(modelId, animationIdOrName, time, options);
     }
 
     /**
-     * 添加更新回调
-     * @param {string} key - 回调标识符
-     * @param {Function} callback - 更新回调函数
-     * @returns {F3dApp} 返回当前实例，支持链式调用
+     * 结束拖动动画进度
+     * @param {string} modelId - 模型ID
+     * @param {Object} [options={}] - { resume: 拖动前在播放的动画是否从新位置继续（默认 true） }
+     * @returns {boolean}
      */
-    addUpdate(key, callback) {
-        this.engine?.addUpdateCallback(key, callback);
-        return this;
+    endAnimationScrub(modelId, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.endScrub(modelId, options);
     }
 
     /**
-     * 移除更新回调
-     * @param {string} key - 回调标识符
-     * @returns {F3dApp} 返回当前实例，支持链式调用
+     * 创建动画层（如在待机循环之上叠加某个部件的按键动画）
+     * @param {string} modelId - 模型ID
+     * @param {string} name - 层名称
+     * @param {Object} [options={}] - { blendMode: 'normal'|'additive', weight: 0~1, mask: 逻辑ID或节点名称数组 }
+     * @returns {boolean} 是否创建成功
      */
-    removeUpdate(key) {
-        this.engine?.removeUpdateCallback(key);
-        return this;
+    createAnimationLayer(modelId, name, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.createLayer(modelId, name, options);
     }
 
     /**
-     * 注册事件监听
-     * @param {string} event - 事件名称
-     * @param {Function} callback - 事件回调函数
-     * @returns {Function} 返回取消监听的函数
+     * 删除动画层
+     * @param {string} modelId - 模型ID
+     * @param {string} name - 层名称
+     * @returns {boolean}
      */
-    on(event, callback) {
-        return this.events.on(event, callback);
+    removeAnimationLayer(modelId, name) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.removeLayer(modelId, name);
     }
-    
+
     /**
-     * 删除事件监听
-     * @param {string} event - 事件名称
-     * @param {Function} callback - 事件回调函数
-     * @returns {boolean} 操作是否成功
+     * 在动画层上播放动画（原始动画或分割动画）
+     * @param {string} modelId - 模型ID
+     * @param {string} layerName - 层名称
+     * @param {string} animationIdOrName - 动画ID或名称
+     * @param {Object} [options={}] - { loop: 'once'|'repeat'|'pingpong', speed, weight, fadeIn, clampWhenFinished, referenceTime, replace }
+     * @returns {boolean}
      */
-    off(event, callback) {
-        return this.events.off(event, callback)
+    playAnimationOnLayer(modelId, layerName, animationIdOrName, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.playOnLayer(modelId, layerName, animationIdOrName, options);
     }
 
     /**
-     * 一次性事件监听
-     * @param {string} event - 事件名称
-     * @param {Function} callback - 事件回调函数
-     * @returns {Function} 返回取消监听的函数
+     * 停止动画层上的动画
+     * @param {string} modelId - 模型ID
+     * @param {string} layerName - 层名称
+     * @param {string} [animationIdOrName] - 动画ID或名称，不传停止层内全部动画
+     * @param {Object} [options={}] - { fadeOut: 秒 }
+     * @returns {boolean}
      */
-    once(event, callback) {
-        return this.events.once(event, callback)
+    stopAnimationOnLayer(modelId, layerName, animationIdOrName, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.stopOnLayer(modelId, layerName, animationIdOrName, options);
     }
 
-
-
     /**
-     * 发送信号执行功能
-     * @param {string} event - 事件名称
-     * @param {*} data - 事件数据
-     * @returns {boolean} 事件是否被处理
+     * 设置动画层权重
+     * @param {string} modelId - 模型ID
+     * @param {string} name - 层名称
+     * @param {number} weight - 权重（0~1）
+     * @param {Object} [options={}] - { duration: 过渡时长（秒） }
+     * @returns {boolean}
      */
-    emit(event, data) {
-        return this.events.emit(event, data);
+    setAnimationLayerWeight(modelId, name, weight, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.setLayerWeight(modelId, name, weight, options);
     }
 
     /**
-     * 设置服务器材质信息（用于从外部注入，避免依赖全局变量）
-     * @param {Array} serverMaterials - 服务器材质数组
+     * 设置动画层遮罩
+     * @param {string} modelId - 模型ID
+     * @param {string} name - 层名称
+     * @param {Array<string>|null} mask - 逻辑ID或节点名称，null 表示作用于整个模型
+     * @returns {boolean}
      */
-    setServerMaterials(serverMaterials) {
-        if (this.assets && this.assets.materialLoader) {
-            this.assets.materialLoader.setServerMaterials(serverMaterials);
-        }
+    setAnimationLayerMask(modelId, name, mask) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.setLayerMask(modelId, name, mask);
     }
 
     /**
-     * 获取模型材质列表
-     * @param {Object} model - 模型对象
-     * @param {Array} serverMaterials - 可选的服务器材质数组（用于获取服务器UUID，如果不传则使用实例中保存的值）
-     * @returns {Array} 材质列表
+     * 获取模型的动画层
+     * @param {string} modelId - 模型ID
      */
-    getMaterials(model, serverMaterials = null) {
-        return this.assets.getMaterials(model, serverMaterials);
+    getAnimationLayers(modelId) {
+        return this.animCtrl?.getLayers(modelId) || [];
     }
 
     /**
-     * 获取材质详细信息
-     * @param {Object} model - 模型对象
-     * @param {string} materialUuid - 材质UUID
-     * @returns {Object} 材质详细信息
+     * 创建程序化动画草稿（从空白开始录制关键帧）
+     * @param {string} modelId - 模型ID
+     * @param {string} name - 动画名称
+     * @param {Object} [options={}] - { duration: 时长（秒），不传取最后一个关键帧时间 }
+     * @returns {string|null} 草稿ID
      */
-    getMaterialDetails(model, materialUuid) {
-        return this.assets.getMaterialDetails(model, materialUuid);
+    createAnimationDraft(modelId, name, options = {}) {
+        if (!this.animCtrl) return null;
+        return this.animCtrl.createClipDraft(modelId, name, options);
     }
 
     /**
-     * 更新材质颜色
-     * @param {Object} model - 模型对象
-     * @param {string} materialUuid - 材质UUID
-     * @param {string} colorType - 颜色类型
-     * @param {number|string} colorValue - 颜色值
-     * @returns {boolean} 操作是否成功
+     * 将已注册的程序化动画载入草稿重新编辑
+     * @param {string} animationId - 动画ID
+     * @returns {string|null} 草稿ID
      */
-    updateMaterialColor(model, materialUuid, colorType, colorValue) {
-        return this.assets.updateMaterialColor(model, materialUuid, colorType, colorValue);
+    editAuthoredAnimation(animationId) {
+        if (!this.animCtrl) return null;
+        return this.animCtrl.editAuthoredClip(animationId);
     }
 
     /**
-     * 更新材质属性
-     * @param {Object} model - 模型对象
-     * @param {string} materialUuid - 材质UUID
-     * @param {string} propertyName - 属性名称
-     * @param {*} value - 属性值
-     * @returns {boolean} 操作是否成功
+     * 录制关键帧：记录节点当前的位置/旋转/缩放/可见性及材质透明度/颜色
+     * @param {string} draftId - 草稿ID
+     * @param {number} time - 时间（秒）
+     * @param {Array<string>|string} [meshIds] - mesh 的 userData.id/uuid/名称，不传则使用变换Gizmo当前选中的对象
+     * @param {Object} [options={}] - { properties: 录制的属性, interpolation: 'linear'|'step'|'smooth' }
+     * @returns {number} 写入的关键帧数量
      */
-    updateMaterialProperty(model, materialUuid, propertyName, value) {
-        return this.assets.updateMaterialProperty(model, materialUuid, propertyName, value);
+    recordAnimationKeyframe(draftId, time, meshIds, options = {}) {
+        if (!this.animCtrl) return 0;
+        let targets = meshIds;
+        if (!targets || targets.length === 0) {
+            const target = this.engine?.transformController?.getTarget();
+            if (!target || target.targetType === 'hotspot' || target.targetType === 'model') {
+                console.warn('recordAnimationKeyframe: 未指定 mesh，且变换Gizmo没有选中 mesh');
+                return 0;
+            }
+            targets = [target.id];
+        }
+        return this.animCtrl.recordKeyframe(draftId, targets, time, options);
     }
 
     /**
-     * 更新材质布尔属性
-     * @param {Object} model - 模型对象
-     * @param {string} materialUuid - 材质UUID
-     * @param {string} propertyName - 属性名称
-     * @param {boolean} value - 布尔值
-     * @returns {boolean} 操作是否成功
+     * 直接设置关键帧值
+     * @param {string} draftId - 草稿ID
+     * @param {string} meshId - mesh 的 userData.id/uuid/名称
+     * @param {'position'|'rotation'|'scale'|'visible'|'opacity'|'color'} property - 属性
+     * @param {number} time - 时间（秒）
+     * @param {*} value - 值（rotation 为欧拉角弧度 [x,y,z] 或四元数 [x,y,z,w]，color 为 '#rrggbb'）
+     * @param {Object} [options={}] - { interpolation }
+     * @returns {boolean}
+     */
+    setAnimationKeyframe(draftId, meshId, property, time, value, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.setKeyframe(draftId, meshId, property, time, value, options);
+    }
+
+    /**
+     * 移动关键帧时间
+     * @param {string} draftId - 草稿ID
+     * @param {string|null} meshId - mesh 标识，null 表示全部 mesh
+     * @param {string|null} property - 属性，null 表示全部属性
+     * @param {number} fromTime - 原时间（秒）
+     * @param {number} toTime - 新时间（秒）
+     * @returns {boolean}
+     */
+    moveAnimationKeyframe(draftId, meshId, property, fromTime, toTime) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.moveKeyframe(draftId, meshId, property, fromTime, toTime);
+    }
+
+    /**
+     * 删除关键帧
+     * @param {string} draftId - 草稿ID
+     * @param {string|null} meshId - mesh 标识，null 表示全部 mesh
+     * @param {string|null} property - 属性，null 表示全部属性
+     * @param {number} time - 时间（秒）
+     * @returns {boolean}
+     */
+    removeAnimationKeyframe(draftId, meshId, property, time) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.removeKeyframe(draftId, meshId, property, time);
+    }
+
+    /**
+     * 设置关键帧轨道的插值方式
+     * @param {string} draftId - 草稿ID
+     * @param {string|null} meshId - mesh 标识，null 表示全部 mesh
+     * @param {string|null} property - 属性，null 表示全部属性
+     * @param {'linear'|'step'|'smooth'} interpolation - 插值方式
+     * @returns {boolean}
+     */
+    setAnimationTrackInterpolation(draftId, meshId, property, interpolation) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.setTrackInterpolation(draftId, meshId, property, interpolation);
+    }
+
+    /**
+     * 设置草稿时长
+     * @param {string} draftId - 草稿ID
+     * @param {number|null} duration - 时长（秒），null 恢复为自动
+     * @returns {boolean}
+     */
+    setAnimationDraftDuration(draftId, duration) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.setClipDraftDuration(draftId, duration);
+    }
+
+    /**
+     * 获取草稿的轨道与关键帧
+     * @param {string} draftId - 草稿ID
+     */
+    getAnimationDraft(draftId) {
+        return this.animCtrl?.getClipDraft(draftId) || null;
+    }
+
+    /**
+     * 预览草稿
+     * @param {string} draftId - 草稿ID
+     * @param {Object} [options={}] - { time: 定格时间（秒），不传则播放, loop, speed }
+     * @returns {boolean}
+     */
+    previewAnimationDraft(draftId, options = {}) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.previewClipDraft(draftId, options);
+    }
+
+    /**
+     * 停止草稿预览并恢复节点原值
+     * @param {string} draftId - 草稿ID
+     * @returns {boolean}
+     */
+    stopAnimationDraftPreview(draftId) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.stopClipDraftPreview(draftId);
+    }
+
+    /**
+     * 将草稿注册为模型动画（可按名称播放、绑定到 mesh、设置循环方式并随模型导出）
+     * @param {string} draftId - 草稿ID
+     * @param {Object} [options={}] - { keepDraft: 注册后保留草稿继续编辑 }
+     * @returns {string|null} 动画ID
+     */
+    registerAnimationDraft(draftId, options = {}) {
+        if (!this.animCtrl) return null;
+        return this.animCtrl.registerClipDraft(draftId, options);
+    }
+
+    /**
+     * 丢弃草稿
+     * @param {string} draftId - 草稿ID
+     * @returns {boolean}
+     */
+    discardAnimationDraft(draftId) {
+        if (!this.animCtrl) return false;
+        return this.animCtrl.discardClipDraft(draftId);
+    }
+
+    /**
+     * 同时设置模型旋转开关与速度
+     * @param {string} id - 模型ID
+     * @param {boolean} enabled - 是否启用旋转
+     * @param {number} speed - 旋转速度
+     * @returns {boolean}
+     */
+    setModelRotationState(id, enabled, speed) {
+        return this.modelCtrl?.setRotationState(id, enabled, speed);
+    }
+
+    /**
+     * 设置相机自动旋转（围绕模型中心）
+     */
+    setCameraAutoRotate(enabled, speed = 1.0) {
+        if (!this.engine?.editController) {
+            console.warn('setCameraAutoRotate: 编辑控制器未初始化');
+            return false;
+        }
+        this.engine.editController.setCameraAutoRotate(enabled, speed);
+        return true;
+    }
+
+    /**
+     * 获取相机自动旋转状态
+     */
+    getCameraAutoRotateState() {
+        if (!this.engine?.editController) {
+            return { enabled: false, speed: 1.0 };
+        }
+        return this.engine.editController.getCameraAutoRotate();
+    }
+
+    /**
+     * 截取场景图片
+     * @returns {Promise<string>} 返回包含图片数据URL的Promise
+     */
+    takeScreenshot() {
+        return this.engine?.captureScreenshot();
+    }
+
+    /**
+     * 导出编辑后的场景为 glTF/GLB（包含替换后的贴图、分割动画和热点）
+     * @param {Object} [options={}] - 导出选项
+     * @param {boolean} [options.binary=true] - 是否导出为 GLB
+     * @param {boolean} [options.includeHotspots=true] - 是否导出热点（作为带 extras 的节点）
+     * @param {boolean} [options.includeSplitClips=true] - 是否导出分割的动画片段
+     * @param {boolean} [options.onlyVisible=true] - 是否只导出可见对象
+     * @param {Array<string>} [options.modelIds] - 只导出指定模型
+     * @returns {Promise<ArrayBuffer|Object|null>} GLB 数据或 glTF JSON，失败返回 null
+     */
+    async exportGLTF(options = {}) {
+        if (!this.assets?.sceneExporter) {
+            console.warn('exportGLTF: 资源管理器未初始化');
+            return null;
+        }
+        try {
+            const result = await this.assets.sceneExporter.exportGLTF(options);
+            this.events.emit('scene:exported', { binary: options.binary !== false });
+            return result;
+        } catch (error) {
+            this._handleError('导出glTF失败', error, 'export');
+            return null;
+        }
+    }
+
+    /**
+     * 导出模型为 USDZ（iOS AR Quick Look），包含编辑后的材质与贴图
+     * @param {string} [modelId] - 模型ID，不传则导出全部模型
+     * @param {Object} [options={}] - 导出选项，见 SceneExporter.exportUSDZ
+     * @returns {Promise<ArrayBuffer|null>} USDZ 数据，失败返回 null
+     */
+    async exportUSDZ(modelId, options = {}) {
+        if (!this.assets?.sceneExporter) {
+            console.warn('exportUSDZ: 资源管理器未初始化');
+            return null;
+        }
+        try {
+            const modelIds = modelId ? [modelId] : options.modelIds;
+            const result = await this.assets.sceneExporter.exportUSDZ({ ...options, modelIds });
+            this.events.emit('scene:exported', { format: 'usdz', modelIds: modelIds || null });
+            return result;
+        } catch (error) {
+            this._handleError('导出USDZ失败', error, 'export');
+            return null;
+        }
+    }
+
+    /**
+     * 添加更新回调
+     * @param {string} key - 回调标识符
+     * @param {Function} callback - 更新回调函数
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    addUpdate(key, callback) {
+        this.engine?.addUpdateCallback(key, callback);
+        return this;
+    }
+
+    /**
+     * 移除更新回调
+     * @param {string} key - 回调标识符
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    removeUpdate(key) {
+        this.engine?.removeUpdateCallback(key);
+        return this;
+    }
+
+    /**
+     * 注册事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} callback - 事件回调函数
+     * @returns {Function} 返回取消监听的函数
+     */
+    on(event, callback) {
+        return this.events.on(event, callback);
+    }
+    
+    /**
+     * 删除事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} callback - 事件回调函数
+     * @returns {boolean} 操作是否成功
+     */
+    off(event, callback) {
+        return this.events.off(event, callback)
+    }
+
+    /**
+     * 一次性事件监听
+     * @param {string} event - 事件名称
+     * @param {Function} callback - 事件回调函数
+     * @returns {Function} 返回取消监听的函数
+     */
+    once(event, callback) {
+        return this.events.once(event, callback)
+    }
+
+
+
+    /**
+     * 发送信号执行功能
+     * @param {string} event - 事件名称
+     * @param {*} data - 事件数据
+     * @returns {boolean} 事件是否被处理
+     */
+    emit(event, data) {
+        return this.events.emit(event, data);
+    }
+
+    /**
+     * 设置服务器材质信息（用于从外部注入，避免依赖全局变量）
+     * @param {Array} serverMaterials - 服务器材质数组
+     */
+    setServerMaterials(serverMaterials) {
+        if (this.assets && this.assets.materialLoader) {
+            this.assets.materialLoader.setServerMaterials(serverMaterials);
+        }
+    }
+
+    /**
+     * 获取模型材质列表
+     * @param {Object} model - 模型对象
+     * @param {Array} serverMaterials - 可选的服务器材质数组（用于获取服务器UUID，如果不传则使用实例中保存的值）
+     * @returns {Array} 材质列表
+     */
+    getMaterials(model, serverMaterials = null) {
+        return this.assets.getMaterials(model, serverMaterials);
+    }
+
+    /**
+     * 获取材质详细信息
+     * @param {Object} model - 模型对象
+     * @param {string} materialUuid - 材质UUID
+     * @returns {Object} 材质详细信息
+     */
+    getMaterialDetails(model, materialUuid) {
+        return this.assets.getMaterialDetails(model, materialUuid);
+    }
+
+    /**
+     * 更新材质颜色
+     * @param {Object} model - 模型对象
+     * @param {string} materialUuid - 材质UUID
+     * @param {string} colorType - 颜色类型
+     * @param {number|string} colorValue - 颜色值
+     * @returns {boolean} 操作是否成功
+     */
+    updateMaterialColor(model, materialUuid, colorType, colorValue) {
+        return this.assets.updateMaterialColor(model, materialUuid, colorType, colorValue);
+    }
+
+    /**
+     * 更新材质属性
+     * @param {Object} model - 模型对象
+     * @param {string} materialUuid - 材质UUID
+     * @param {string} propertyName - 属性名称
+     * @param {*} value - 属性值
+     * @returns {boolean} 操作是否成功
+     */
+    updateMaterialProperty(model, materialUuid, propertyName, value) {
+        return this.assets.updateMaterialProperty(model, materialUuid, propertyName, value);
+    }
+
+    /**
+     * 更新材质布尔属性
+     * @param {Object} model - 模型对象
+     * @param {string} materialUuid - 材质UUID
+     * @param {string} propertyName - 属性名称
+     * @param {boolean} value - 布尔值
+     * @returns {boolean} 操作是否成功
      */
     updateMaterialBooleanProperty(model, materialUuid, propertyName, value) {
         return this.assets.updateMaterialBooleanProperty(model, materialUuid, propertyName, value);
@@ -992,13 +1668,27 @@ export class F3dApp {
      * @param {Object} model - 模型对象
      * @param {string} materialUuid - 材质UUID
      * @param {string} mapType - 纹理类型
-     * @param {string} textureSource - 纹理源（URL、路径或base64）
+     * @param {string} textureSource - 纹理源（URL、路径或base64；.ktx2 地址使用 KTX2/Basis 压缩纹理）
      * @returns {boolean} 操作是否成功
      */
     replaceMaterialTexture(model, materialUuid, mapType, textureSource) {
         return this.assets.replaceMaterialTexture(model, materialUuid, mapType, textureSource);
     }
 
+    /**
+     * 设置 KTX2/Basis 转码器路径（需在加载 KTX2 纹理前设置）
+     * @param {string} path - 转码器目录（包含 basis_transcoder.js / .wasm）
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setKTX2TranscoderPath(path) {
+        if(!this.assets?.modelLoader) {
+            console.warn('setKTX2TranscoderPath: 资源管理器未初始化');
+            return this;
+        }
+        this.assets.modelLoader.setTranscoderPath(path);
+        return this;
+    }
+
     // 二进制纹理接口已移除，统一使用图片URL/本地路径/base64
 
     /**
@@ -1423,13 +2113,104 @@ export class F3dApp {
     }
 
 
+    /************************** 动画状态机接口部分********************** */
+    /**
+     * 创建动画状态机（同ID会替换）
+     * 状态对应动画或分割动画，转换可由 mesh 点击、热点点击、triggerAnimationState 或动画结束触发，并可附加参数条件
+     * @example
+     * app.createAnimationStateMachine('cabinet', {
+     *     modelId: 'cabinet',
+     *     initial: 'closed',
+     *     parameters: { doorOpen: false },
+     *     states: {
+     *         closed: { clip: 'door', reverse: true, set: { doorOpen: false } },
+     *         open: { clip: 'door', set: { doorOpen: true } },
+     *         drawerOut: { clip: 'drawer' }
+     *     },
+     *     transitions: [
+     *         { from: 'closed', to: 'open', mesh: 'Door' },
+     *         { from: ['open', 'drawerOut'], to: 'closed', mesh: 'Door' },
+     *         { from: 'open', to: 'drawerOut', mesh: 'Drawer', conditions: { doorOpen: true }, duration: 0.2 }
+     *     ]
+     * });
+     * @param {string} id - 状态机ID
+     * @param {Object} definition - 状态机定义 { modelId, initial, parameters, states, transitions }，字段说明见 StateMachineController.createMachine
+     * @returns {boolean} 是否创建成功
+     */
+    createAnimationStateMachine(id, definition) {
+        if(!this.engine?.stateMachineController) {
+            console.warn('createAnimationStateMachine: 状态机控制器未初始化');
+            return false;
+        }
+        return this.engine.stateMachineController.createMachine(id, definition);
+    }
 
-    /************************** 热点接口部分********************** */
     /**
-     * 添加热点
+     * 删除动画状态机（模型保持当前姿态）
+     * @param {string} id - 状态机ID
+     * @returns {boolean}
      */
-    addHotspot(opts = {}) {
-        if(!this.engine?.hotspotController) {
+    removeAnimationStateMachine(id) {
+        return this.engine?.stateMachineController?.removeMachine(id) || false;
+    }
+
+    /**
+     * 通过名称触发状态机转换
+     * @param {string} id - 状态机ID
+     * @param {string} name - 转换的 trigger 名称
+     * @returns {boolean} 是否发生了转换
+     */
+    triggerAnimationState(id, name) {
+        return this.engine?.stateMachineController?.trigger(id, name) || false;
+    }
+
+    /**
+     * 直接切换状态机到指定状态（不检查转换与条件）
+     * @param {string} id - 状态机ID
+     * @param {string} state - 状态名称
+     * @param {Object} [options={}] - { duration: 交叉淡入淡出时长（秒） }
+     * @returns {boolean}
+     */
+    setAnimationState(id, state, options = {}) {
+        return this.engine?.stateMachineController?.setState(id, state, options) || false;
+    }
+
+    /**
+     * 设置状态机参数（会检查仅依赖条件的转换）
+     * @param {string} id - 状态机ID
+     * @param {string} name - 参数名
+     * @param {*} value - 参数值
+     * @returns {boolean}
+     */
+    setAnimationStateParameter(id, name, value) {
+        return this.engine?.stateMachineController?.setParameter(id, name, value) || false;
+    }
+
+    /**
+     * 获取状态机参数
+     * @param {string} id - 状态机ID
+     * @param {string} [name] - 参数名，不传返回全部参数
+     */
+    getAnimationStateParameter(id, name) {
+        return this.engine?.stateMachineController?.getParameter(id, name);
+    }
+
+    /**
+     * 获取状态机当前状态
+     * @param {string} id - 状态机ID
+     * @returns {{id: string, state: string, previous: string|null, finished: boolean, parameters: Object}|null}
+     */
+    getAnimationState(id) {
+        return this.engine?.stateMachineController?.getState(id) || null;
+    }
+
+
+    /************************** 热点接口部分********************** */
+    /**
+     * 添加热点
+     */
+    addHotspot(opts = {}) {
+        if(!this.engine?.hotspotController) {
             console.warn('addHotspot: 热点控制器未初始化');
             return null;
         }
@@ -1656,22 +2437,1334 @@ export class F3dApp {
         return this;
     }
 
+    /**
+     * 显示/隐藏单个热点
+     * @param {string} id - 热点ID
+     * @param {boolean} [visible=true] - 是否显示
+     * @returns {boolean} 热点是否存在
+     */
+    setHotspotVisible(id, visible = true) {
+        if(!this.engine?.hotspotController) {
+            console.warn('setHotspotVisible: 热点控制器未初始化');
+            return false;
+        }
+        return this.engine.hotspotController.setVisible(id, visible);
+    }
+
 
-    /************************** XR控制器接口部分********************** */
-    //进入ar
-    async enterAR(options = {}) {
-        if(!this.xrCtrl) {
-            throw new Error("XR控制器未初始化");
+    /************************** 视角与导览接口部分********************** */
+    /**
+     * 保存视角
+     * @param {string} name - 视角名称
+     * @param {Object} [view] - 视角数据 { position, target, fov }，不传则保存当前相机状态
+     * @returns {Object|null} 保存的视角
+     */
+    saveView(name, view = null) {
+        if(!this.camera?.saveView) {
+            console.warn('saveView: 相机未初始化');
+            return null;
         }
-        return await this.xrCtrl.startAR(options);
+        return this.camera.saveView(name, view);
     }
 
-    //退出ar
-    async exitAR() {
-        if(!this.xrCtrl) {
-            return ;
+    /**
+     * 移动到已保存的视角
+     * @param {string} name - 视角名称
+     * @param {Object} [options={}] - { duration: 毫秒, easing: 缓动, path: 'orbit'|'linear', cancelOnInteraction, onComplete }
+     * @returns {Promise<boolean>} 到达时为 true，视角不存在或被中止时为 false
+     */
+    goToView(name, options = {}) {
+        if(!this.camera?.goToView) {
+            console.warn('goToView: 相机未初始化');
+            return Promise.resolve(false);
         }
-        await this.xrCtrl.endSession();
+        return this.camera.goToView(name, options);
+    }
+
+    /**
+     * 平滑移动相机
+     * @param {{x:number,y:number,z:number}} position - 目标相机位置
+     * @param {{x:number,y:number,z:number}} [target] - 目标观察点，不传则保持当前观察点
+     * @param {Object} [options={}] - { duration: 毫秒, easing, path: 'orbit'|'linear', fov, cancelOnInteraction }
+     * @returns {Promise<boolean>} 完成时为 true，被中止时为 false
+     */
+    moveCameraTo(position, target = null, options = {}) {
+        if(!this.camera?.smoothMoveTo || !position) {
+            console.warn('moveCameraTo: 相机未初始化或参数无效');
+            return Promise.resolve(false);
+        }
+        const { duration = 1000, ...rest } = options;
+        return this.camera.smoothMoveTo(position, target, duration, rest);
+    }
+
+    /**
+     * 中止相机平滑移动
+     */
+    cancelCameraMove() {
+        return this.camera?.cancelMove?.() || false;
+    }
+
+    /**
+     * 列出所有视角
+     */
+    listViews() {
+        return this.camera?.listViews?.() || [];
+    }
+
+    /**
+     * 删除视角
+     * @param {string} name - 视角名称
+     */
+    removeView(name) {
+        return this.camera?.removeView?.(name) || false;
+    }
+
+    /**
+     * 播放导览
+     * @param {Array<Object>} steps - 导览步骤 { view | hotspotId, duration, easing, dwell, animations }
+     * @param {Object} [options={}] - { loop, startIndex }
+     * @returns {boolean} 是否开始播放
+     */
+    playTour(steps, options = {}) {
+        if(!this.engine?.tourController) {
+            console.warn('playTour: 导览控制器未初始化');
+            return false;
+        }
+        return this.engine.tourController.play(steps, options);
+    }
+
+    /**
+     * 暂停导览
+     */
+    pauseTour() {
+        return this.engine?.tourController?.pause() || false;
+    }
+
+    /**
+     * 继续导览
+     */
+    resumeTour() {
+        return this.engine?.tourController?.resume() || false;
+    }
+
+    /**
+     * 跳到导览下一步
+     */
+    skipTourStep() {
+        return this.engine?.tourController?.skip() || false;
+    }
+
+    /**
+     * 回到导览上一步
+     */
+    previousTourStep() {
+        return this.engine?.tourController?.previous() || false;
+    }
+
+    /**
+     * 停止导览
+     */
+    stopTour() {
+        this.engine?.tourController?.stop();
+        return this;
+    }
+
+    /**
+     * 获取导览状态
+     */
+    getTourState() {
+        return this.engine?.tourController?.getState() || null;
+    }
+
+
+    /************************** 测量接口部分********************** */
+    /**
+     * 开始测量（左键取点，右键/回车完成折线，Esc 取消，退格撤销上一点）
+     * @param {'distance'|'polyline'|'angle'|'area'} type - 测量类型
+     * @returns {boolean} 是否开始
+     */
+    startMeasurement(type) {
+        if(!this.engine?.measurementController) {
+            console.warn('startMeasurement: 测量控制器未初始化');
+            return false;
+        }
+        return this.engine.measurementController.startMeasurement(type);
+    }
+
+    /**
+     * 结束测量工具
+     */
+    stopMeasurement() {
+        this.engine?.measurementController?.stopMeasurement();
+        return this;
+    }
+
+    /**
+     * 完成当前测量（折线）
+     * @returns {Object|null} 测量数据
+     */
+    finishMeasurement() {
+        return this.engine?.measurementController?.finishMeasurement() || null;
+    }
+
+    /**
+     * 通过坐标添加测量
+     * @param {'distance'|'polyline'|'angle'} type - 测量类型
+     * @param {Array} points - 世界坐标点列表
+     * @param {Object} [options={}] - { modelId, modelScale }
+     */
+    addMeasurement(type, points, options = {}) {
+        if(!this.engine?.measurementController) {
+            console.warn('addMeasurement: 测量控制器未初始化');
+            return null;
+        }
+        return this.engine.measurementController.addMeasurement(type, points, options);
+    }
+
+    /**
+     * 删除测量
+     * @param {string} id - 测量ID
+     */
+    removeMeasurement(id) {
+        return this.engine?.measurementController?.removeMeasurement(id) || false;
+    }
+
+    /**
+     * 清空全部测量
+     */
+    clearMeasurements() {
+        this.engine?.measurementController?.clearMeasurements();
+        return this;
+    }
+
+    /**
+     * 获取全部测量
+     */
+    getMeasurements() {
+        return this.engine?.measurementController?.getMeasurements() || [];
+    }
+
+    /**
+     * 导出测量数据
+     * @param {boolean} [stringify=false] - 是否返回JSON字符串
+     */
+    exportMeasurements(stringify = false) {
+        return this.engine?.measurementController?.exportMeasurements(stringify) || null;
+    }
+
+    /**
+     * 设置测量单位
+     * @param {Object} options - { sourceUnit, displayUnit, precision, useModelScale }
+     */
+    setMeasurementUnits(options = {}) {
+        if(!this.engine?.measurementController) {
+            console.warn('setMeasurementUnits: 测量控制器未初始化');
+            return null;
+        }
+        return this.engine.measurementController.setUnits(options);
+    }
+
+    /**
+     * 设置测量吸附
+     * @param {Object} options - { vertex, edge, threshold }
+     */
+    setMeasurementSnap(options = {}) {
+        if(!this.engine?.measurementController) {
+            console.warn('setMeasurementSnap: 测量控制器未初始化');
+            return null;
+        }
+        return this.engine.measurementController.setSnap(options);
+    }
+
+    /**
+     * 显示/隐藏全部测量
+     */
+    setMeasurementsVisible(visible = true) {
+        this.engine?.measurementController?.setVisible(visible);
+        return this;
+    }
+
+
+    /************************** 剖切接口部分********************** */
+    /**
+     * 添加剖切平面（保留法线指向的一侧，剖面自动封盖）
+     * @param {Object} [options={}] - { id, normal, point, constant, capColor, showHelper }
+     * @returns {string|null} 平面ID
+     */
+    addClippingPlane(options = {}) {
+        if(!this.engine?.clippingController) {
+            console.warn('addClippingPlane: 剖切控制器未初始化');
+            return null;
+        }
+        return this.engine.clippingController.addPlane(options);
+    }
+
+    /**
+     * 更新剖切平面
+     * @param {string} id - 平面ID
+     * @param {Object} options - { normal, point, constant, capColor, showHelper }
+     */
+    updateClippingPlane(id, options = {}) {
+        return this.engine?.clippingController?.updatePlane(id, options) || false;
+    }
+
+    /**
+     * 删除剖切平面（剖切盒ID为 'box'）
+     * @param {string} id - 平面ID
+     */
+    removeClippingPlane(id) {
+        return this.engine?.clippingController?.removePlane(id) || false;
+    }
+
+    /**
+     * 设置剖切盒（只保留盒内部分）
+     * @param {Object} box - { min, max }
+     * @param {Object} [options={}] - { capColor, showHelper }
+     */
+    setClippingBox(box, options = {}) {
+        if(!this.engine?.clippingController) {
+            console.warn('setClippingBox: 剖切控制器未初始化');
+            return false;
+        }
+        return this.engine.clippingController.setBox(box, options);
+    }
+
+    /**
+     * 按模型包围盒设置剖切盒
+     * @param {string} [modelId] - 模型ID，不传则使用全部模型
+     * @param {Object} [options={}] - { padding, capColor, showHelper }
+     */
+    setClippingBoxFromModel(modelId = null, options = {}) {
+        if(!this.engine?.clippingController) {
+            console.warn('setClippingBoxFromModel: 剖切控制器未初始化');
+            return false;
+        }
+        return this.engine.clippingController.setBoxFromModel(modelId, options);
+    }
+
+    /**
+     * 移除剖切盒
+     */
+    removeClippingBox() {
+        return this.engine?.clippingController?.removeBox() || false;
+    }
+
+    /**
+     * 在视口中拖拽编辑剖切平面/剖切盒
+     * @param {string} id - 平面ID（剖切盒为 'box'）
+     * @param {'translate'|'rotate'|'scale'} [mode='translate'] - 变换模式
+     */
+    editClippingPlane(id, mode = 'translate') {
+        if(!this.engine?.clippingController) {
+            console.warn('editClippingPlane: 剖切控制器未初始化');
+            return false;
+        }
+        return this.engine.clippingController.editPlane(id, mode);
+    }
+
+    /**
+     * 结束剖切平面拖拽编辑
+     */
+    stopClippingEdit() {
+        this.engine?.clippingController?.stopEditing();
+        return this;
+    }
+
+    /**
+     * 清空全部剖切
+     */
+    clearClipping() {
+        this.engine?.clippingController?.clear();
+        return this;
+    }
+
+    /**
+     * 启用/禁用剖切（保留平面配置）
+     */
+    setClippingEnabled(enabled = true) {
+        this.engine?.clippingController?.setEnabled(enabled);
+        return this;
+    }
+
+    /**
+     * 设置剖面封盖
+     * @param {Object} options - { enabled, color }
+     */
+    setClippingCaps(options = {}) {
+        const clipping = this.engine?.clippingController;
+        if(!clipping) {
+            console.warn('setClippingCaps: 剖切控制器未初始化');
+            return this;
+        }
+        if (options.enabled !== undefined) clipping.setCapsEnabled(options.enabled);
+        if (options.color !== undefined) clipping.setCapColor(options.color, options.id);
+        return this;
+    }
+
+    /**
+     * 显示/隐藏剖切平面辅助框
+     */
+    setClippingHelpersVisible(visible = true, id = null) {
+        this.engine?.clippingController?.setHelpersVisible(visible, id);
+        return this;
+    }
+
+    /**
+     * 获取剖切配置
+     */
+    getClippingPlanes() {
+        return this.engine?.clippingController?.getPlanes() || [];
+    }
+
+
+    /************************** 爆炸图接口部分********************** */
+    /**
+     * 展开爆炸图（绑定到部件的热点随部件移动）
+     * @param {string} modelId - 模型ID
+     * @param {Object} [options={}] - 选项
+     * @param {number} [options.factor=1] - 爆炸系数，0 为收拢
+     * @param {'x'|'y'|'z'|Array<number>} [options.axis] - 限定爆炸方向
+     * @param {'radial'|'hierarchy'} [options.mode='radial'] - 爆炸方式
+     * @param {number} [options.duration=800] - 动画时长（毫秒）
+     * @param {string|Function|Array<number>} [options.easing] - 缓动
+     * @returns {Promise<boolean>} 动画是否完整结束
+     */
+    explode(modelId, options = {}) {
+        if(!this.engine?.explodeController) {
+            console.warn('explode: 爆炸图控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.explodeController.explode(modelId, options);
+    }
+
+    /**
+     * 收拢爆炸图
+     * @param {string} modelId - 模型ID
+     * @param {Object} [options={}] - { duration, easing }
+     */
+    collapse(modelId, options = {}) {
+        if(!this.engine?.explodeController) {
+            console.warn('collapse: 爆炸图控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.explodeController.collapse(modelId, options);
+    }
+
+    /**
+     * 立即设置爆炸系数（滑块拖动）
+     * @param {string} modelId - 模型ID
+     * @param {number} factor - 爆炸系数
+     * @param {Object} [options={}] - { axis, mode }
+     */
+    setExplodeFactor(modelId, factor, options = {}) {
+        return this.engine?.explodeController?.setExplodeFactor(modelId, factor, options) || false;
+    }
+
+    /**
+     * 获取当前爆炸系数
+     */
+    getExplodeFactor(modelId) {
+        return this.engine?.explodeController?.getExplodeFactor(modelId) ?? 0;
+    }
+
+
+    /************************** 配置器接口部分********************** */
+    /**
+     * 定义配置选项组
+     * @param {string} name - 选项组名称（如 "Color"）
+     * @param {Object} definition - { modelId, options: { 值: { materials, show, hide, variant } }, default }
+     * @returns {boolean}
+     */
+    defineOptionGroup(name, definition) {
+        if(!this.engine?.configuratorController) {
+            console.warn('defineOptionGroup: 配置器控制器未初始化');
+            return false;
+        }
+        return this.engine.configuratorController.defineGroup(name, definition);
+    }
+
+    /**
+     * 批量定义配置选项组
+     * @param {Object} config - 选项组名称 -> 定义
+     */
+    defineOptionGroups(config = {}) {
+        return this.engine?.configuratorController?.defineGroups(config) || 0;
+    }
+
+    /**
+     * 删除配置选项组
+     */
+    removeOptionGroup(name) {
+        return this.engine?.configuratorController?.removeGroup(name) || false;
+    }
+
+    /**
+     * 获取全部配置选项组
+     */
+    getOptionGroups() {
+        return this.engine?.configuratorController?.getGroups() || [];
+    }
+
+    /**
+     * 切换配置选项（资源加载完成后一次性应用）
+     * @param {string} group - 选项组名称
+     * @param {string} value - 选项值
+     * @param {Object} [options={}] - { crossFade: 交叉淡入时长（毫秒） }
+     * @returns {Promise<boolean>}
+     */
+    setOption(group, value, options = {}) {
+        if(!this.engine?.configuratorController) {
+            console.warn('setOption: 配置器控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.configuratorController.setOption(group, value, options);
+    }
+
+    /**
+     * 同时切换多个配置选项
+     * @param {Object} selection - 选项组名称 -> 选项值
+     * @param {Object} [options={}] - { crossFade }
+     * @returns {Promise<boolean>}
+     */
+    setOptions(selection, options = {}) {
+        if(!this.engine?.configuratorController) {
+            console.warn('setOptions: 配置器控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.configuratorController.setOptions(selection, options);
+    }
+
+    /**
+     * 获取当前配置（选项组 -> 选项值）
+     */
+    getSelection() {
+        return this.engine?.configuratorController?.getSelection() || {};
+    }
+
+    /**
+     * 获取模型中的 glTF 材质变体（KHR_materials_variants）
+     * @param {string} modelId - 模型ID
+     */
+    getGLTFVariants(modelId) {
+        return this.engine?.configuratorController?.getGLTFVariants(modelId) || [];
+    }
+
+    /**
+     * 由 glTF 材质变体生成配置选项组
+     * @param {string} modelId - 模型ID
+     * @param {string} [groupName='Variants'] - 选项组名称
+     */
+    importGLTFVariants(modelId, groupName = 'Variants') {
+        return this.engine?.configuratorController?.importGLTFVariants(modelId, groupName) || false;
+    }
+
+
+    /************************** LOD接口部分********************** */
+    /**
+     * 为已加载的模型注册运行时LOD
+     * @param {string} modelId - 模型ID（作为最高细节级别）
+     * @param {Array<{url: string, screenSize: number}>} levels - 低细节级别（由高到低），模型在屏幕上的高度占比低于 screenSize 时切换
+     * @param {Object} [options={}] - { preload: 是否立即加载全部级别 }
+     * @returns {boolean}
+     */
+    registerModelLOD(modelId, levels, options = {}) {
+        if(!this.engine?.lodController) {
+            console.warn('registerModelLOD: LOD控制器未初始化');
+            return false;
+        }
+        return this.engine.lodController.register(modelId, levels, { preload: options.preload === true });
+    }
+
+    /**
+     * 取消模型的LOD，恢复完整模型
+     * @param {string} modelId - 模型ID
+     */
+    unregisterModelLOD(modelId) {
+        return this.engine?.lodController?.unregister(modelId) || false;
+    }
+
+    /**
+     * 启用/禁用运行时LOD切换
+     * @param {boolean} enabled
+     */
+    setLODEnabled(enabled) {
+        if(!this.engine?.lodController) {
+            console.warn('setLODEnabled: LOD控制器未初始化');
+            return;
+        }
+        this.engine.lodController.setEnabled(enabled);
+    }
+
+    /**
+     * 锁定模型的LOD级别
+     * @param {string} modelId - 模型ID
+     * @param {number|null} level - 级别（0 为完整模型），null 恢复自动切换
+     * @returns {boolean}
+     */
+    setModelLODLevel(modelId, level) {
+        if(!this.engine?.lodController) {
+            console.warn('setModelLODLevel: LOD控制器未初始化');
+            return false;
+        }
+        return this.engine.lodController.setLevel(modelId, level);
+    }
+
+    /**
+     * 获取LOD统计信息
+     * @returns {Object} 统计信息 {total, levels, loading, switches}，levels[i] 为处于第 i 级的模型数
+     */
+    getLODStats() {
+        if (!this.engine?.lodController) {
+            console.warn('getLODStats: LOD控制器未初始化');
+            return { total: 0, levels: [], loading: 0, switches: 0 };
+        }
+        return this.engine.lodController.getStats();
+    }
+
+
+    /************************** 多模型布局接口部分********************** */
+    /**
+     * 排列多个模型（统一缩放基准，按包围盒计算间距）
+     * 之后加载、移除或替换模型时自动重新排列，已就位的模型以动画移动到新槽位
+     * @param {'row'|'grid'|'circle'|'slots'|'none'} type - 布局方式，none 停止布局管理
+     * @param {Object} [options={}] - 选项
+     * @param {Array<string>} [options.models] - 参与布局的模型ID（按槽位顺序），默认场景中全部模型
+     * @param {boolean} [options.auto] - 之后加载的模型是否自动加入，未指定 models 时默认 true
+     * @param {'uniform'|'individual'|'none'} [options.normalize='uniform'] - uniform：最大模型缩放到 targetSize，其余等比例；individual：各自缩放到 targetSize；none：保持当前缩放
+     * @param {number} [options.targetSize=5] - 缩放基准尺寸
+     * @param {number} [options.spacing=1] - 模型之间的间隔
+     * @param {Array<number>} [options.center=[0,0,0]] - 布局中心
+     * @param {'x'|'z'} [options.axis='x'] - row：排列方向
+     * @param {number} [options.columns] - grid：列数
+     * @param {number} [options.radius] - circle：半径，默认自动计算
+     * @param {boolean} [options.faceOutward=false] - circle：模型正面朝向圆外
+     * @param {Array<{position: Array<number>, rotation?: Array<number>, scale?: number}>} [options.slots] - slots：自定义槽位（rotation 为弧度）
+     * @param {number} [options.duration=800] - 动画时长（毫秒）
+     * @param {string|Function|Array<number>} [options.easing] - 缓动
+     * @returns {Promise<boolean>} 排列动画是否完整结束
+     */
+    setModelLayout(type, options = {}) {
+        if(!this.engine?.layoutController) {
+            console.warn('setModelLayout: 布局控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.layoutController.setLayout(type, options);
+    }
+
+    /**
+     * 按当前布局重新排列（如手动拖动后复位）
+     * @param {Object} [options={}] - { duration, easing }
+     * @returns {Promise<boolean>}
+     */
+    relayoutModels(options = {}) {
+        if(!this.engine?.layoutController) {
+            console.warn('relayoutModels: 布局控制器未初始化');
+            return Promise.resolve(false);
+        }
+        return this.engine.layoutController.relayout(options);
+    }
+
+    /**
+     * 把模型加入当前布局
+     * @param {string} modelId - 模型ID
+     * @param {number} [index] - 槽位顺序，默认追加到末尾
+     * @returns {boolean}
+     */
+    addModelToLayout(modelId, index) {
+        return this.engine?.layoutController?.addToLayout(modelId, index) || false;
+    }
+
+    /**
+     * 把模型移出当前布局（模型保持当前位置）
+     * @param {string} modelId - 模型ID
+     * @returns {boolean}
+     */
+    removeModelFromLayout(modelId) {
+        return this.engine?.layoutController?.removeFromLayout(modelId) || false;
+    }
+
+    /**
+     * 获取当前布局
+     * @returns {{type: string, models: string[], options: Object}|null}
+     */
+    getModelLayout() {
+        return this.engine?.layoutController?.getLayout() || null;
+    }
+
+
+    /************************** 时间轴接口部分********************** */
+    /**
+     * 加载时间轴（时间单位为秒），按绝对时间编排多模型动画、相机移动、热点显隐与材质变化
+     * @param {Object} timeline - 时间轴定义
+     * @param {Array<Object>} timeline.tracks - 轨道 { type: 'animation'|'camera'|'hotspot'|'material', modelId, items }
+     *  - animation 条目：{ start, clip: 动画ID/名称（含分割动画）, duration, offset, speed, repeat, weight, fadeIn, fadeOut, hold }
+     *  - camera 条目：{ start, view: 视角名称或 { position, target, fov }, duration, easing, path }
+     *  - hotspot 条目：{ start, id | ids, visible }
+     *  - material 条目：{ start, material, property, value, duration, easing }
+     * @param {Array<Object>} [timeline.markers] - 标记 { name, time, data }，播放经过时触发 timeline:marker
+     * @param {number} [timeline.duration] - 总时长，默认取最晚结束的轨道条目或标记
+     * @param {boolean} [timeline.loop=false] - 是否循环
+     * @param {number} [timeline.rate=1] - 播放速率
+     * @returns {boolean} 是否加载成功
+     */
+    loadTimeline(timeline) {
+        if(!this.engine?.timelineController) {
+            console.warn('loadTimeline: 时间轴控制器未初始化');
+            return false;
+        }
+        return this.engine.timelineController.load(timeline);
+    }
+
+    /**
+     * 播放时间轴（结束后再次播放从头开始）
+     */
+    playTimeline() {
+        return this.engine?.timelineController?.play() || false;
+    }
+
+    /**
+     * 暂停时间轴
+     */
+    pauseTimeline() {
+        return this.engine?.timelineController?.pause() || false;
+    }
+
+    /**
+     * 停止时间轴（回到起点并交还动画控制权）
+     */
+    stopTimeline() {
+        this.engine?.timelineController?.stop();
+        return this;
+    }
+
+    /**
+     * 卸载时间轴
+     */
+    unloadTimeline() {
+        this.engine?.timelineController?.unload();
+        return this;
+    }
+
+    /**
+     * 跳转到指定时间
+     * @param {number} time - 时间（秒）
+     * @returns {boolean}
+     */
+    seekTimeline(time) {
+        return this.engine?.timelineController?.seek(time) || false;
+    }
+
+    /**
+     * 跳转到标记
+     * @param {string} name - 标记名称
+     * @returns {boolean}
+     */
+    seekTimelineMarker(name) {
+        return this.engine?.timelineController?.seekToMarker(name) || false;
+    }
+
+    /**
+     * 设置时间轴播放速率
+     * @param {number} rate - 速率，负数倒放
+     * @returns {boolean}
+     */
+    setTimelineRate(rate) {
+        return this.engine?.timelineController?.setRate(rate) || false;
+    }
+
+    /**
+     * 拖动进度条：开始拖动时调用 beginTimelineScrub，拖动中调用 scrubTimeline，松开时调用 endTimelineScrub
+     */
+    beginTimelineScrub() {
+        return this.engine?.timelineController?.beginScrub() || false;
+    }
+
+    /**
+     * 拖动到指定时间
+     * @param {number} time - 时间（秒）
+     */
+    scrubTimeline(time) {
+        return this.engine?.timelineController?.scrub(time) || false;
+    }
+
+    /**
+     * 结束拖动（拖动前在播放则继续播放）
+     */
+    endTimelineScrub() {
+        return this.engine?.timelineController?.endScrub() || false;
+    }
+
+    /**
+     * 添加时间轴标记
+     * @param {string} name - 标记名称
+     * @param {number} time - 时间（秒）
+     * @param {*} [data] - 附加数据
+     * @returns {boolean}
+     */
+    addTimelineMarker(name, time, data = null) {
+        return this.engine?.timelineController?.addMarker(name, time, data) || false;
+    }
+
+    /**
+     * 删除时间轴标记
+     * @param {string} name - 标记名称
+     * @returns {boolean}
+     */
+    removeTimelineMarker(name) {
+        return this.engine?.timelineController?.removeMarker(name) || false;
+    }
+
+    /**
+     * 获取时间轴状态
+     * @returns {{state: string, time: number, duration: number, rate: number, loop: boolean, scrubbing: boolean}|null}
+     */
+    getTimelineState() {
+        return this.engine?.timelineController?.getState() || null;
+    }
+
+
+    /************************** 变换Gizmo接口部分********************** */
+    /**
+     * 附加变换Gizmo（移动/旋转/缩放）
+     * @param {string|Object3D|Object} target - 模型ID、mesh的userData.id/uuid/name、{ hotspotId } 或 Object3D
+     * @param {Object} [options={}] - 选项
+     * @param {'translate'|'rotate'|'scale'} [options.mode] - 变换模式
+     * @param {'local'|'world'} [options.space] - 坐标空间
+     * @param {Object} [options.snap] - 吸附设置 { translation, rotation(度), scale }
+     * @returns {boolean} 是否附加成功
+     */
+    attachTransformGizmo(target, options = {}) {
+        if(!this.engine?.transformController) {
+            console.warn('attachTransformGizmo: 变换控制器未初始化');
+            return false;
+        }
+        const ctrl = this.engine.transformController;
+        if (options.mode) ctrl.setMode(options.mode);
+        if (options.space) ctrl.setSpace(options.space);
+        if (options.snap) ctrl.setSnap(options.snap);
+        return ctrl.attach(target);
+    }
+
+    /**
+     * 移除变换Gizmo
+     */
+    detachTransformGizmo() {
+        this.engine?.transformController?.detach();
+        return this;
+    }
+
+    /**
+     * 设置变换模式
+     * @param {'translate'|'rotate'|'scale'} mode - 变换模式
+     */
+    setTransformMode(mode) {
+        if(!this.engine?.transformController) {
+            console.warn('setTransformMode: 变换控制器未初始化');
+            return false;
+        }
+        return this.engine.transformController.setMode(mode);
+    }
+
+    /**
+     * 设置变换坐标空间
+     * @param {'local'|'world'} space - 坐标空间
+     */
+    setTransformSpace(space) {
+        if(!this.engine?.transformController) {
+            console.warn('setTransformSpace: 变换控制器未初始化');
+            return false;
+        }
+        return this.engine.transformController.setSpace(space);
+    }
+
+    /**
+     * 切换本地/世界坐标空间
+     * @returns {string|null} 切换后的坐标空间
+     */
+    toggleTransformSpace() {
+        if(!this.engine?.transformController) {
+            console.warn('toggleTransformSpace: 变换控制器未初始化');
+            return null;
+        }
+        return this.engine.transformController.toggleSpace();
+    }
+
+    /**
+     * 设置变换吸附（传 null 或 0 关闭）
+     * @param {Object} snap - { translation: 网格步长, rotation: 角度步长(度), scale: 缩放步长 }
+     */
+    setTransformSnap(snap = {}) {
+        if(!this.engine?.transformController) {
+            console.warn('setTransformSnap: 变换控制器未初始化');
+            return null;
+        }
+        return this.engine.transformController.setSnap(snap);
+    }
+
+    /**
+     * 启用/禁用变换Gizmo交互
+     */
+    setTransformGizmoEnabled(enabled = true) {
+        this.engine?.transformController?.setEnabled(enabled);
+        return this;
+    }
+
+    /**
+     * 获取当前Gizmo目标的变换数据
+     */
+    getTransformGizmoState() {
+        return this.engine?.transformController?.getTransform() || null;
+    }
+
+
+    /************************** 场景状态接口部分********************** */
+    /**
+     * 导出场景状态（版本化的纯数据，可直接 JSON.stringify 保存）
+     * 包含：模型及变换、HDR环境与强度、背景模式、相机位置/目标/限制、热点、动画分割与绑定、材质覆盖项
+     * @returns {Object|null} 场景状态数据
+     */
+    exportSceneState() {
+        if (!this.engine) {
+            console.warn('exportSceneState: 引擎未初始化');
+            return null;
+        }
+
+        const models = [];
+        const materials = {};
+        this._modelRecords.forEach((record, id) => {
+            const model = this.getModel(id);
+            if (!model) return;
+            models.push({
+                id,
+                url: record.url,
+                options: JSON.parse(JSON.stringify(record.options || {})),
+                visible: model.visible,
+                transform: {
+                    position: model.position.toArray(),
+                    quaternion: model.quaternion.toArray(),
+                    scale: model.scale.toArray()
+                }
+            });
+
+            const overrides = this.assets?.materialLoader?.exportMaterialOverrides(model) || [];
+            if (overrides.length > 0) {
+                materials[id] = overrides;
+            }
+        });
+
+        const exposure = this.engine.renderer?.toneMappingExposure ?? 1.5;
+        const environment = this._environmentRecord ? {
+            ...this._environmentRecord,
+            intensity: Math.round((exposure / 3.0) * 200)
+        } : null;
+
+        const limits = this.camera?.getLimits() || {};
+        const camera = this.camera ? {
+            position: this.camera.position.toArray(),
+            target: this.camera.getTarget().toArray(),
+            fov: this.camera.fov,
+            views: this.camera.listViews?.() || [],
+            limits: {
+                minDistance: limits.minDistance,
+                maxDistance: limits.maxDistance,
+                minPolarAngle: limits.minPolarAngle,
+                maxPolarAngle: limits.maxPolarAngle
+            }
+        } : null;
+
+        const authored = this.animCtrl?.getAuthoredDefinitions().map(({ animationId, ...def }) => def) || [];
+        const splits = this.animCtrl?.getSplitDefinitions().map(({ id, ...def }) => def) || [];
+        const bindings = (this.animCtrl?.getAllBindings() || []).map(binding => ({
+            modelId: binding.modelId,
+            meshId: binding.meshName,
+            animationName: binding.animationName,
+            options: JSON.parse(JSON.stringify(binding.options || {}))
+        }));
+
+        return {
+            version: SCENE_STATE_VERSION,
+            exportTime: new Date().toISOString(),
+            models,
+            environment,
+            background: this._getBackgroundState(),
+            camera,
+            hotspots: this._exportRestHotspots(),
+            animations: { authored, splits, bindings },
+            materials
+        };
+    }
+
+    /**
+     * 导入场景状态
+     * 按依赖顺序恢复：背景 -> 环境贴图与模型（等待加载完成）-> 模型变换 -> 材质 -> 程序化动画、动画分割与绑定 -> 热点 -> 相机
+     * 热点在模型进入场景之后再创建，保证 bindMeshId 对应的 mesh 已存在
+     * @param {Object|string} state - exportSceneState 的返回值或其JSON字符串
+     * @returns {Promise<Object>} 恢复结果统计 { models, materials, bindings, hotspots }
+     */
+    async importSceneState(state) {
+        let data = state;
+        if (typeof state === 'string') {
+            try {
+                data = JSON.parse(state);
+            } catch (error) {
+                this._handleError('场景状态解析失败', error, 'state');
+                throw error;
+            }
+        }
+
+        if (!data || typeof data !== 'object') {
+            const error = new Error('无效的场景状态数据');
+            this._handleError('无效的场景状态数据', error, 'state');
+            throw error;
+        }
+
+        if (!data.version || data.version > SCENE_STATE_VERSION) {
+            const error = new Error(`不支持的场景状态版本: ${data.version}`);
+            this._handleError('不支持的场景状态版本', error, 'state');
+            throw error;
+        }
+
+        if (!this.engine || !this.assets) {
+            const error = new Error('引擎未初始化');
+            this._handleError('引擎未初始化', error, 'state');
+            throw error;
+        }
+
+        const result = { models: 0, materials: 0, bindings: 0, hotspots: 0 };
+        const modelStates = Array.isArray(data.models) ? data.models.filter(m => m?.id && m.url) : [];
+
+        try {
+            // 1. 背景（环境背景由环境贴图加载时设置）
+            this._applyBackgroundState(data.background);
+
+            // 2. 并行加载环境贴图和尚未加载的模型，全部完成后再继续
+            const tasks = [];
+            const env = data.environment;
+            if (env?.url) {
+                tasks.push(this.loadEnvironment(env.url, {
+                    id: env.id || env.url,
+                    background: data.background?.mode === 'environment'
+                }));
+            }
+
+            const pending = modelStates.filter(m => !this.getModel(m.id));
+            if (pending.length > 0) {
+                // 走 loadScene 以触发 scene:model，使稳定ID、动画注册和热点绑定恢复保持一致
+                tasks.push(this.assets.loadScene({
+                    models: pending.map(m => ({ ...m.options, id: m.id, url: m.url })),
+                    environments: [],
+                    autoStart: false
+                }));
+            }
+            await Promise.all(tasks);
+
+            if (env?.intensity !== undefined) {
+                this.setHDRIntensity(env.intensity);
+            }
+
+            // 3. 模型变换
+            modelStates.forEach(m => {
+                const model = this.assets.getModel(m.id);
+                if (!model) return;
+
+                this.models.set(m.id, model);
+                this._modelRecords.set(m.id, { url: m.url, options: m.options || {} });
+                this._applyModelTransform(model, m.transform);
+                if (typeof m.visible === 'boolean') model.visible = m.visible;
+
+                if (m.options?.rotate && this.modelCtrl) {
+                    this.modelCtrl.setRotation(m.id, true, m.options.rotateSpeed ?? 1);
+                }
+                if (model.animations && model.animations.length > 0) {
+                    this.registerModelAnimation(m.id);
+                }
+                result.models++;
+            });
+
+            // 4. 材质覆盖项
+            for (const [modelId, overrides] of Object.entries(data.materials || {})) {
+                const model = this.getModel(modelId);
+                if (!model) continue;
+                result.materials += await this.assets.materialLoader.applyMaterialOverrides(model, overrides);
+            }
+
+            // 5. 程序化动画、动画分割与绑定（分割与绑定可能引用这些动画的名称，需先注册）
+            if (this.animCtrl) {
+                const { authored = [], splits = [], bindings = [] } = data.animations || {};
+                // 同名动画可能来自本系列导出的 glTF（只含变换轨道），用保存的完整定义替换
+                authored.forEach(def => this.animCtrl.registerAuthoredClip(def, { replace: true }));
+                splits.forEach(def => {
+                    const exists = this.animCtrl.getSplitDefinitions(def.modelId).some(d => d.name === def.name);
+                    if (!exists) {
+                        this.animCtrl.splitByTime(def.modelId, def.sourceName, [[def.startTime, def.endTime]], [def.name]);
+                    }
+                });
+                bindings.forEach(b => {
+                    if (this.animCtrl.bindMeshAnimation(b.modelId, b.meshId, b.animationName, b.options || {})) {
+                        result.bindings++;
+                    }
+                });
+            }
+
+            // 6. 热点（模型已在场景中，bindMeshId 可直接解析）
+            const hotspotCtrl = this.engine.hotspotController;
+            if (hotspotCtrl && Array.isArray(data.hotspots)) {
+                data.hotspots.forEach(hs => {
+                    if (hotspotCtrl.add({ ...hs, autoSelect: false })) {
+                        result.hotspots++;
+                    }
+                });
+            }
+
+            // 7. 相机
+            this._applyCameraState(data.camera);
+        } catch (error) {
+            this._handleError('场景状态导入失败', error, 'state');
+            throw error;
+        }
+
+        this.events.emit('scene:state:imported', { version: data.version, ...result });
+        return result;
+    }
+
+    /**
+     * 导出热点：爆炸状态下热点随部件移动，减去爆炸位移后保存收拢状态下的位置
+     * @private
+     * @returns {Array<Object>}
+     */
+    _exportRestHotspots() {
+        const hotspots = this.engine.hotspotController?.exportHotspots() || [];
+        const explodeCtrl = this.engine.explodeController;
+        if (!explodeCtrl) return hotspots;
+        hotspots.forEach(data => {
+            const offset = explodeCtrl.getHotspotOffset(data.id);
+            if (!offset) return;
+            data.position = {
+                x: data.position.x - offset.x,
+                y: data.position.y - offset.y,
+                z: data.position.z - offset.z
+            };
+        });
+        return hotspots;
+    }
+
+    /**
+     * 获取当前背景模式
+     * @private
+     * @returns {Object} { mode: 'color'|'gradient'|'environment'|'transparent'|'none', ... }
+     */
+    _getBackgroundState() {
+        const uniforms = this.sceneLoader?.backgroundMesh?.material?.uniforms;
+        if (uniforms?.topColor && uniforms?.bottomColor) {
+            return {
+                mode: 'gradient',
+                topColor: '#' + uniforms.topColor.value.getHexString(),
+                bottomColor: '#' + uniforms.bottomColor.value.getHexString()
+            };
+        }
+
+        const background = this.scene?.background;
+        if (background?.isColor) {
+            return { mode: 'color', color: '#' + background.getHexString() };
+        }
+        if (background && background === this.sceneLoader?.envMap) {
+            return { mode: 'environment' };
+        }
+        if (this.engine?.renderer?.getClearAlpha?.() === 0) {
+            return { mode: 'transparent' };
+        }
+        return { mode: 'none' };
+    }
+
+    /**
+     * 应用背景模式
+     * @private
+     * @param {Object} background - _getBackgroundState 的返回值
+     */
+    _applyBackgroundState(background) {
+        if (!background) return;
+        switch (background.mode) {
+            case 'color':
+                this.setBackgroundColor(background.color);
+                break;
+            case 'gradient':
+                this.setGradientBackground(background.topColor, background.bottomColor);
+                break;
+            case 'transparent':
+                this.setTransparentBackground(true);
+                break;
+            case 'none':
+                this.setBackgroundColor(null);
+                break;
+        }
+    }
+
+    /**
+     * 应用模型变换
+     * @private
+     * @param {Object} model - 模型对象
+     * @param {Object} transform - { position, quaternion, scale } 数组形式
+     */
+    _applyModelTransform(model, transform) {
+        if (!model || !transform) return;
+        if (Array.isArray(transform.position)) model.position.fromArray(transform.position);
+        if (Array.isArray(transform.quaternion)) model.quaternion.fromArray(transform.quaternion);
+        if (Array.isArray(transform.scale)) model.scale.fromArray(transform.scale);
+        model.updateMatrixWorld(true);
+    }
+
+    /**
+     * 应用相机状态
+     * @private
+     * @param {Object} camera - { position, target, fov, limits }
+     */
+    _applyCameraState(camera) {
+        if (!camera || !this.camera) return;
+        if (camera.limits) {
+            this.camera.setLimits(camera.limits);
+        }
+        if (typeof camera.fov === 'number' && camera.fov !== this.camera.fov) {
+            this.camera.fov = camera.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        if (Array.isArray(camera.position)) {
+            this.camera.setPosition(...camera.position);
+        }
+        if (Array.isArray(camera.target)) {
+            this.camera.setTarget(...camera.target);
+        }
+        if (Array.isArray(camera.views) && this.camera.saveView) {
+            camera.views.forEach(({ name, ...view }) => this.camera.saveView(name, view));
+        }
+    }
+
+
+    /************************** XR控制器接口部分********************** */
+    /**
+     * 进入ar：支持 WebXR AR 时启动会话；否则（如 iOS Safari）导出 USDZ 并通过 AR Quick Look 打开
+     * @param {Object} [options={}] - startAR 选项
+     * @param {Object} [options.placement] - 放置选项（planes、multiple、anchors、faceViewer），见 XRController.placementOptions
+     * @param {Object|boolean} [options.gestures] - 手势选项，见 XRController.gestureOptions
+     * @param {Object|boolean} [options.lighting] - 光照估计选项，见 XRController.lightingOptions
+     * @param {Object|boolean} [options.shadow] - 接触阴影选项，见 XRController.shadowOptions
+     * @param {XRSession} [options.session] - 外部会话（如 SimulatedXRSession，无设备调试）
+     * @param {boolean} [options.quickLook=true] - 不支持 WebXR AR 时是否回退到 Quick Look
+     * @param {string} [options.modelId] - Quick Look 只导出指定模型
+     * @returns {Promise<boolean|HTMLAnchorElement>} WebXR 会话结果；回退时返回 <a rel="ar"> 链接
+     */
+    async enterAR(options = {}) {
+        if(!this.xrCtrl) {
+            throw new Error("XR控制器未初始化");
+        }
+        if (!options.session && options.quickLook !== false && !(await this.xrCtrl.isARSupported())) {
+            const { modelId, ...rest } = options;
+            return await this.xrCtrl.openQuickLook({
+                ...rest,
+                modelIds: modelId ? [modelId] : rest.modelIds
+            });
+        }
+        return await this.xrCtrl.startAR(options);
+    }
+
+    //退出ar
+    async exitAR() {
+        if(!this.xrCtrl) {
+            return ;
+        }
+        await this.xrCtrl.endSession();
+    }
+
+    /**
+     * AR 中回到十字星模式重新放置模型
+     * @returns {boolean} 是否成功
+     */
+    repositionAR() {
+        if(!this.xrCtrl) {
+            console.warn('repositionAR: XR控制器未初始化');
+            return false;
+        }
+        return this.xrCtrl.reposition();
+    }
+
+    /**
+     * 设置 AR 放置选项
+     * @param {Object} options - planes（'horizontal' | 'vertical' | 'any'）、multiple、anchors、faceViewer
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setARPlacement(options) {
+        if(!this.xrCtrl) {
+            console.warn('setARPlacement: XR控制器未初始化');
+            return this;
+        }
+        this.xrCtrl.setPlacementOptions(options);
+        return this;
+    }
+
+    /**
+     * 获取 AR 中的所有放置记录
+     * @returns {Array<Object>} 放置记录列表
+     */
+    getARPlacements() {
+        return this.xrCtrl?.getPlacements() || [];
+    }
+
+    /**
+     * 移除 AR 中的一次放置
+     * @param {string} [id] - 放置记录ID，不传则移除全部
+     * @returns {boolean} 是否成功
+     */
+    removeARPlacement(id) {
+        if(!this.xrCtrl) {
+            console.warn('removeARPlacement: XR控制器未初始化');
+            return false;
+        }
+        if (id === undefined) {
+            this.xrCtrl.clearPlacements();
+            return true;
+        }
+        return this.xrCtrl.removePlacement(id);
+    }
+
+    /**
+     * 设置 AR 光照估计（WebXR light-estimation 驱动环境光探针与主光源）
+     * @param {Object|boolean} options - false 关闭；对象见 XRController.lightingOptions
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setARLighting(options) {
+        if(!this.xrCtrl) {
+            console.warn('setARLighting: XR控制器未初始化');
+            return this;
+        }
+        this.xrCtrl.setLightingOptions(options);
+        return this;
+    }
+
+    /**
+     * 设置 AR 接触阴影（放置模型下方的模糊阴影）
+     * @param {Object|boolean} options - false 关闭；对象见 XRController.shadowOptions
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setARShadow(options) {
+        if(!this.xrCtrl) {
+            console.warn('setARShadow: XR控制器未初始化');
+            return this;
+        }
+        this.xrCtrl.setShadowOptions(options);
+        return this;
+    }
+
+    /**
+     * 设置 AR 手势（单指拖动、双指缩放/旋转）
+     * @param {Object|boolean} options - false 关闭手势；对象见 XRController.gestureOptions
+     * @returns {F3dApp} 返回当前实例，支持链式调用
+     */
+    setARGestures(options) {
+        if(!this.xrCtrl) {
+            console.warn('setARGestures: XR控制器未初始化');
+            return this;
+        }
+        this.xrCtrl.setGestureOptions(options);
+        return this;
     }
 
 
@@ -1682,6 +3775,8 @@ export class F3dApp {
     dispose() {
         this.models.clear();
         this.environments.clear();
+        this._modelRecords.clear();
+        this._environmentRecord = null;
         this.engine?.dispose();
         this.engine = null;
 
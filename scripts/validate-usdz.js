@@ -0,0 +1,55 @@
+/**
+ * 校验 USDZ 文件结构（ZIP 条目、根图层顺序、64 字节对齐）
+ * 用法：node scripts/validate-usdz.js [file.usdz ...]
+ * 不传文件时用 SceneExporter 导出一个示例场景（标准/Basic/多材质网格）并校验导出结果
+ */
+import { readFile } from "node:fs/promises";
+import { BoxGeometry, Group, Mesh, MeshBasicMaterial, MeshStandardMaterial, SphereGeometry } from "three";
+import { SceneExporter, validateUSDZ } from "../myengine/engine/core/assets/sceneExporter.js";
+
+// 与引擎中模型的常见组合一致：标准材质、需转换的 Basic 材质、按 group 拆分的多材质网格
+function buildSampleModel() {
+    const model = new Group();
+    model.name = 'Sample';
+
+    const body = new Mesh(new BoxGeometry(1, 1, 1), new MeshStandardMaterial({ name: 'Body', color: 0x3366cc }));
+    body.name = 'Body';
+    model.add(body);
+
+    const cap = new Mesh(new SphereGeometry(0.3), new MeshBasicMaterial({ name: 'Cap', color: 0xffaa00 }));
+    cap.name = 'Cap';
+    cap.position.y = 0.8;
+    model.add(cap);
+
+    const panels = new Mesh(new BoxGeometry(0.5, 0.5, 0.5), [
+        new MeshStandardMaterial({ name: 'PanelA' }),
+        new MeshBasicMaterial({ name: 'PanelB' })
+    ]);
+    panels.name = 'Panels';
+    panels.geometry.clearGroups();
+    panels.geometry.addGroup(0, 18, 0);
+    panels.geometry.addGroup(18, 18, 1);
+    panels.position.x = 1;
+    model.add(panels);
+    return model;
+}
+
+async function exportSample() {
+    const engine = { assetsManager: { assets: { models: new Map([['sample', buildSampleModel()]]) } } };
+    return new SceneExporter(engine).exportUSDZ();
+}
+
+const files = process.argv.slice(2);
+const targets = files.length > 0
+    ? files.map(file => ({ label: file, load: () => readFile(file) }))
+    : [{ label: '示例场景导出', load: exportSample }];
+
+let failed = false;
+for (const { label, load } of targets) {
+    const { valid, errors, entries } = validateUSDZ(await load());
+    console.log(`${valid ? '通过' : '失败'} ${label}（${entries.length} 个文件）`);
+    entries.forEach(entry => console.log(`  ${entry.name}  偏移 ${entry.offset}  ${entry.size} 字节`));
+    errors.forEach(error => console.log(`  ✗ ${error}`));
+    if (!valid) failed = true;
+}
+process.exit(failed ? 1 : 0);
@@ -45,6 +45,20 @@ arButton.style.cssText = `
 `;
 document.body.appendChild(arButton);
 
+// 模型放置后由 XRController 内置手势操作：单指拖动、双指缩放/旋转
+// 监听只注册一次，多次进入 AR 不会重复
+const scaleLabel = document.getElementById('scale-label');
+const repositionButton = document.getElementById('reposition-button');
+app.on('xr:model:transformed', ({ scale }) => {
+    scaleLabel.textContent = scale.toFixed(1) + 'x';
+});
+// 点击 dom-overlay 上的按钮时阻止 XR select，避免同时放置或移动模型
+repositionButton.addEventListener('beforexrselect', (e) => e.preventDefault());
+repositionButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    app.repositionAR();
+});
+
 arButton.addEventListener('click', async () => {
     try {
         arButton.disabled = true;
@@ -69,65 +83,6 @@ arButton.addEventListener('click', async () => {
         overlay.style.display = 'block';
         arButton.style.display = 'none';
 
-        // 绑定滑动条事件
-        const slider = document.getElementById('scale-slider');
-        const scaleLabel = slider.previousElementSibling; // 获取 1x 标签
-        
-        // 记录初始缩放比例
-        let baseScale = null;
-        
-        // 尝试获取模型，增加重试机制或查找逻辑
-        let model = app.getModel('/model/01.glb');
-        if (!model) {
-            console.warn('Model not found by ID, searching in scene...');
-            // 备用方案：遍历场景查找 Mesh
-            app.scene.traverse(child => {
-                if (child.isMesh && !model) {
-                    // 找到最顶层的父对象（排除场景本身）
-                    let parent = child;
-                    while (parent.parent && parent.parent !== app.scene) {
-                        parent = parent.parent;
-                    }
-                    model = parent;
-                }
-            });
-        }
-
-        if (model) {
-            baseScale = model.scale.clone();
-            console.log('Base scale captured:', baseScale);
-            // 更新 UI 显示当前状态
-            scaleLabel.textContent = `1.0x`;
-        } else {
-            console.error('Model not found for scaling!');
-            scaleLabel.textContent = 'Error';
-            scaleLabel.style.color = 'red';
-        }
-
-        // 监听滑动事件
-        slider.oninput = (e) => {
-            e.stopPropagation();
-            const factor = parseFloat(e.target.value);
-            
-            // 更新标签文本
-            if (baseScale) {
-                 scaleLabel.textContent = factor.toFixed(1) + 'x';
-            }
-
-            if (model && baseScale) {
-                // 基于初始大小进行缩放
-                model.scale.copy(baseScale).multiplyScalar(factor);
-                
-                // 强制更新矩阵，确保渲染立即生效
-                model.updateMatrix();
-                model.updateMatrixWorld(true);
-            }
-        };
-
-        // 防止触摸事件穿透到 AR 场景
-        slider.addEventListener('touchstart', (e) => e.stopPropagation(), { passive: false });
-        slider.addEventListener('touchmove', (e) => e.stopPropagation(), { passive: false });
-
     } catch (error) {
         console.error('AR 启动失败:', error);
         alert('启动 AR 失败: ' + error.message);